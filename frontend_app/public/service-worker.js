@@ -0,0 +1,142 @@
+/* eslint-disable no-restricted-globals */
+//
+// Service worker for offline-first use of Currency Calculator Hub.
+// - Precaches the app shell on install
+// - Serves navigations network-first with the cached shell as offline fallback
+// - Caches hashed build assets (/static/) cache-first as they are requested
+// - Caches rate API responses (latest rates and symbols) stale-while-revalidate; answers from
+//   the cache carry a `sw-cached-at` header (epoch ms the response was stored) so the app can
+//   tell them from fresh ones. Requests made with `cache: 'no-cache'` (app revalidations) go
+//   to the network first and only fall back to the cache when it fails
+//
+// Plain service worker without build tooling: bump CACHE_VERSION to drop old caches.
+//
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `cc-hub-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `cc-hub-assets-${CACHE_VERSION}`;
+const RATES_CACHE = `cc-hub-rates-${CACHE_VERSION}`;
+
+const scopeUrl = new URL(self.registration.scope);
+const SHELL_URLS = ['./', 'index.html', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'].map(
+  (p) => new URL(p, scopeUrl).toString()
+);
+
+// Rate endpoints across the supported providers (see src/services/providers.js)
+const RATE_PATH_PATTERNS = [/\/latest(\.json)?$/, /\/symbols$/, /\/currencies(\.json)?$/];
+
+// Header stamped on cached rate responses (read by src/services/api.js)
+const CACHED_AT_HEADER = 'sw-cached-at';
+
+// Request cache modes that ask for a network answer rather than the cached copy
+const REVALIDATE_CACHE_MODES = new Set(['no-cache', 'no-store', 'reload']);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = new Set([SHELL_CACHE, ASSET_CACHE, RATES_CACHE]);
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith('cc-hub-') && !keep.has(k)).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Network-first for navigations; offline falls back to the cached index.html.
+ */
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(new URL('index.html', scopeUrl).toString(), response.clone());
+    return response;
+  } catch {
+    const cached = await caches.match(new URL('index.html', scopeUrl).toString());
+    return cached || Response.error();
+  }
+}
+
+/**
+ * Cache-first for immutable hashed assets.
+ */
+async function handleAsset(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(ASSET_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Store a copy of a rate response stamped with the time it was cached.
+ */
+async function putRates(cache, request, response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  const body = await response.blob();
+  await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+}
+
+/**
+ * Stale-while-revalidate for rate responses: answer from cache immediately when possible
+ * and refresh the cache in the background; fall back to the network when nothing is cached.
+ * Revalidation requests (REVALIDATE_CACHE_MODES) are network-first instead.
+ */
+async function handleRates(event) {
+  const { request } = event;
+  const cache = await caches.open(RATES_CACHE);
+  const cached = await cache.match(request);
+
+  const network = fetch(request)
+    .then(async (response) => {
+      if (response.ok) await putRates(cache, request, response.clone()).catch(() => undefined);
+      return response;
+    })
+    .catch(() => undefined);
+
+  // the app asked for current rates: the cached copy is only a fallback
+  if (REVALIDATE_CACHE_MODES.has(request.cache)) {
+    const response = await network;
+    return response || cached || Response.error();
+  }
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  const response = await network;
+  return response || Response.error();
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (url.origin === scopeUrl.origin && url.pathname.startsWith(`${scopeUrl.pathname.replace(/\/$/, '')}/static/`)) {
+    event.respondWith(handleAsset(request));
+    return;
+  }
+
+  if (RATE_PATH_PATTERNS.some((re) => re.test(url.pathname))) {
+    event.respondWith(handleRates(event));
+  }
+});
@@ -1,9 +1,14 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import './App.css';
 import { getBaseUrl } from './config/env';
+import { RatesProvider } from './context/RatesContext';
+import AlertCenter from './components/AlertCenter';
+import BatchConverter from './components/BatchConverter';
 import Calculator from './components/Calculator';
 import CurrencyConverter from './components/CurrencyConverter';
 import DailyRates from './components/DailyRates';
+import NumberSettings from './components/NumberSettings';
+import QuickConvert from './components/QuickConvert';
 
 /**
  * Core app shell with Ocean Professional theme.
@@ -11,7 +16,11 @@ import DailyRates from './components/DailyRates';
  * - Calculator placeholder
  * - Currency converter placeholder
  * - Daily rates placeholder
+ * - Batch conversion of CSV/TSV files
  * Includes theme toggle with localStorage persistence.
+ * Cards share latest rates through RatesProvider.
+ * Header holds the alert center and the number format settings.
+ * The quick-convert bar below the header converts typed queries ("250 eur to jpy").
  */
 
 // PUBLIC_INTERFACE
@@ -42,85 +51,105 @@ function App() {
   };
 
   return (
-    <div className="App">
-      {/* App Header */}
-      <header className="header container">
-        <div className="brand">
-          <div className="logo-dot" aria-hidden="true" />
-          <div className="brand-text">
-            <h1 className="title">Currency Calculator Hub</h1>
-            <p className="subtitle">Ocean Professional</p>
+    <RatesProvider>
+      <div className="App">
+        {/* App Header */}
+        <header className="header container">
+          <div className="brand">
+            <div className="logo-dot" aria-hidden="true" />
+            <div className="brand-text">
+              <h1 className="title">Currency Calculator Hub</h1>
+              <p className="subtitle">Ocean Professional</p>
+            </div>
           </div>
-        </div>
 
-        <div className="header-actions">
-          <button
-            className="btn btn-ghost"
-            onClick={toggleTheme}
-            aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
-            title={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
-          >
-            {theme === 'light' ? '🌙 Dark' : '☀️ Light'}
-          </button>
-        </div>
-      </header>
-
-      {/* Hero / Intro */}
-      <section className="container hero">
-        <div className="hero-content">
-          <h2 className="hero-title">All-in-one currency tools</h2>
-          <p className="hero-desc">
-            Calculate, convert, and review daily rates in a modern, responsive interface.
-          </p>
-          <p className="muted" style={{ marginTop: '8px', fontSize: '0.85rem' }}>
-            API base: {getBaseUrl()}
-          </p>
-        </div>
-      </section>
-
-      {/* Main Content */}
-      <main className="container grid">
-        {/* Calculator Module */}
-        <section className="card span-2">
-          <header className="card-header">
-            <h3 className="card-title">Calculator</h3>
-            <span className="badge badge-amber">Module</span>
-          </header>
-          <div className="card-body">
-            <Calculator />
+          <div className="header-actions">
+            <AlertCenter />
+            <NumberSettings />
+            <button
+              className="btn btn-ghost"
+              onClick={toggleTheme}
+              aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
+              title={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
+            >
+              {theme === 'light' ? '🌙 Dark' : '☀️ Light'}
+            </button>
           </div>
-        </section>
+        </header>
 
-        {/* Currency Converter */}
-        <section className="card">
-          <header className="card-header">
-            <h3 className="card-title">Currency Converter</h3>
-            <span className="badge badge-blue">Live</span>
-          </header>
-          <div className="card-body">
-            <CurrencyConverter />
-          </div>
+        {/* Quick convert */}
+        <section className="container quick-convert">
+          <QuickConvert />
         </section>
 
-        {/* Daily Rates */}
-        <section className="card">
-          <header className="card-header">
-            <h3 className="card-title">Daily Rates</h3>
-            <span className="badge badge-neutral">Today</span>
-          </header>
-          <div className="card-body">
-            <DailyRates />
+        {/* Hero / Intro */}
+        <section className="container hero">
+          <div className="hero-content">
+            <h2 className="hero-title">All-in-one currency tools</h2>
+            <p className="hero-desc">
+              Calculate, convert, and review daily rates in a modern, responsive interface.
+            </p>
+            <p className="muted" style={{ marginTop: '8px', fontSize: '0.85rem' }}>
+              API base: {getBaseUrl()}
+            </p>
           </div>
         </section>
-      </main>
 
-      {/* Footer */}
-      <footer className="container footer">
-        <p className="muted">
-          © {new Date().getFullYear()} Currency Calculator Hub • Built with React
-        </p>
-      </footer>
-    </div>
+        {/* Main Content */}
+        <main className="container grid">
+          {/* Calculator Module */}
+          <section className="card span-2">
+            <header className="card-header">
+              <h3 className="card-title">Calculator</h3>
+              <span className="badge badge-amber">Module</span>
+            </header>
+            <div className="card-body">
+              <Calculator />
+            </div>
+          </section>
+
+          {/* Currency Converter */}
+          <section className="card">
+            <header className="card-header">
+              <h3 className="card-title">Currency Converter</h3>
+              <span className="badge badge-blue">Live</span>
+            </header>
+            <div className="card-body">
+              <CurrencyConverter />
+            </div>
+          </section>
+
+          {/* Daily Rates */}
+          <section className="card">
+            <header className="card-header">
+              <h3 className="card-title">Daily Rates</h3>
+              <span className="badge badge-neutral">Today</span>
+            </header>
+            <div className="card-body">
+              <DailyRates />
+            </div>
+          </section>
+
+          {/* Batch Conversion */}
+          <section className="card span-2">
+            <header className="card-header">
+              <h3 className="card-title">Batch Conversion</h3>
+              <span className="badge badge-neutral">CSV</span>
+            </header>
+            <div className="card-body">
+              <BatchConverter />
+            </div>
+          </section>
+        </main>
+
+        {/* Footer */}
+        <footer className="container footer">
+          <p className="muted">
+            © {new Date().getFullYear()} Currency Calculator Hub • Built with React
+          </p>
+        </footer>
+      </div>
+    </RatesProvider>
   );
 }
 
@@ -0,0 +1,260 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import useDailyRates from '../hooks/useDailyRates';
+import useRateAlerts from '../hooks/useRateAlerts';
+import { ALERT_RULE_TYPES, describeAlertRule } from '../utils/alerts';
+import { buildCurrencyOptions, defaultBaseCurrency } from '../utils/currency';
+
+/**
+ * PUBLIC_INTERFACE
+ * AlertCenter
+ * Header button with an unread counter that opens the alert center panel:
+ * - Create threshold ("EUR/USD rises above 1.12") and daily move ("GBP/USD moves more than 1%") rules
+ * - Enable/disable and delete rules
+ * - List of triggered alerts, marked read when the panel is opened
+ * - Opt-in to browser notifications (Notification API permission)
+ *
+ * Props: none
+ * Returns: JSX.Element
+ */
+export default function AlertCenter() {
+  const { symbols } = useDailyRates({ base: defaultBaseCurrency });
+  const {
+    rules, events, unreadCount, addRule, removeRule, toggleRule, markAllRead, clearEvents, permission, requestPermission,
+  } = useRateAlerts();
+
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState({ type: 'above', from: 'EUR', to: defaultBaseCurrency, value: '' });
+  const [formError, setFormError] = useState('');
+  const rootRef = useRef(null);
+
+  const options = useMemo(() => buildCurrencyOptions(symbols), [symbols]);
+
+  // Opening the panel marks alerts as read
+  useEffect(() => {
+    if (open) markAllRead();
+  }, [open, events, markAllRead]);
+
+  // Close on Escape or a click outside the panel
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    const onClick = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('keydown', onKey);
+    document.addEventListener('mousedown', onClick);
+    return () => {
+      document.removeEventListener('keydown', onKey);
+      document.removeEventListener('mousedown', onClick);
+    };
+  }, [open]);
+
+  const onField = useCallback((field, value) => {
+    setForm((f) => ({ ...f, [field]: value }));
+    setFormError('');
+  }, []);
+
+  const onSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+      try {
+        addRule(form);
+        setForm((f) => ({ ...f, value: '' }));
+      } catch (err) {
+        setFormError(String(err.message || err).replace(/^\[alerts\]\s*/, ''));
+      }
+    },
+    [addRule, form]
+  );
+
+  return (
+    <div className="alert-center" ref={rootRef}>
+      <button
+        className="btn btn-ghost"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        aria-controls="alert-panel"
+        aria-label={unreadCount ? `Rate alerts, ${unreadCount} new` : 'Rate alerts'}
+        title="Rate alerts"
+      >
+        🔔 Alerts{unreadCount > 0 && <span className="ac-count" aria-hidden="true">{unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div id="alert-panel" className="ac-panel" role="dialog" aria-label="Rate alerts">
+          <form className="ac-form" onSubmit={onSubmit}>
+            <label htmlFor="ac-from" className="sr-only">Currency</label>
+            <select id="ac-from" className="ac-input" value={form.from} onChange={(e) => onField('from', e.target.value)}>
+              {options.map((opt) => (
+                <option key={opt.value} value={opt.value}>{opt.value}</option>
+              ))}
+            </select>
+            <span aria-hidden="true">/</span>
+            <label htmlFor="ac-to" className="sr-only">Quote currency</label>
+            <select id="ac-to" className="ac-input" value={form.to} onChange={(e) => onField('to', e.target.value)}>
+              {options.map((opt) => (
+                <option key={opt.value} value={opt.value}>{opt.value}</option>
+              ))}
+            </select>
+            <label htmlFor="ac-type" className="sr-only">Condition</label>
+            <select id="ac-type" className="ac-input" value={form.type} onChange={(e) => onField('type', e.target.value)}>
+              {Object.entries(ALERT_RULE_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <label htmlFor="ac-value" className="sr-only">{form.type === 'change' ? 'Percent' : 'Rate'}</label>
+            <input
+              id="ac-value"
+              className="ac-input"
+              inputMode="decimal"
+              placeholder={form.type === 'change' ? '1' : '1.12'}
+              value={form.value}
+              onChange={(e) => onField('value', e.target.value)}
+            />
+            <button type="submit" className="btn btn-primary">Add</button>
+          </form>
+          {formError && <p className="ac-error" role="alert">{formError}</p>}
+
+          {permission !== 'granted' && permission !== 'unsupported' && (
+            <p className="ac-note muted">
+              {permission === 'denied' ? (
+                'Browser notifications are blocked for this site; alerts appear here only.'
+              ) : (
+                <>
+                  Get alerts while the tab is in the background.{' '}
+                  <button type="button" className="btn btn-ghost ac-small" onClick={requestPermission}>
+                    Enable notifications
+                  </button>
+                </>
+              )}
+            </p>
+          )}
+
+          <h4 className="ac-heading">Rules</h4>
+          {rules.length === 0 ? (
+            <p className="muted ac-note">No rules yet. Rules are checked whenever new rates arrive.</p>
+          ) : (
+            <ul className="ac-list">
+              {rules.map((rule) => (
+                <li key={rule.id} className={`ac-rule${rule.enabled ? '' : ' is-disabled'}`}>
+                  <span>{describeAlertRule(rule)}</span>
+                  <span className="ac-actions">
+                    <button
+                      type="button"
+                      className="btn btn-ghost ac-small"
+                      onClick={() => toggleRule(rule.id)}
+                      aria-pressed={rule.enabled}
+                      aria-label={`${rule.enabled ? 'Pause' : 'Resume'} alert ${describeAlertRule(rule)}`}
+                    >
+                      {rule.enabled ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-ghost ac-small"
+                      onClick={() => removeRule(rule.id)}
+                      aria-label={`Delete alert ${describeAlertRule(rule)}`}
+                    >
+                      ✕
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="ac-heading-row">
+            <h4 className="ac-heading">Triggered</h4>
+            {events.length > 0 && (
+              <button type="button" className="btn btn-ghost ac-small" onClick={clearEvents}>Clear</button>
+            )}
+          </div>
+          {events.length === 0 ? (
+            <p className="muted ac-note">Nothing triggered yet.</p>
+          ) : (
+            <ul className="ac-list" aria-live="polite">
+              {events.map((event) => (
+                <li key={event.id} className="ac-event">
+                  <span>{event.message}</span>
+                  <time className="muted" dateTime={new Date(event.at).toISOString()}>
+                    {new Date(event.at).toLocaleString()}
+                  </time>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const acStyle = document.createElement('style');
+acStyle.innerHTML = `
+.alert-center { position: relative; }
+.ac-count {
+  display: inline-grid;
+  place-items: center;
+  min-width: 1.3em;
+  margin-left: 6px;
+  padding: 0 5px;
+  border-radius: 999px;
+  background: var(--color-error);
+  color: #fff;
+  font-size: 0.75rem;
+  font-weight: 800;
+}
+.ac-panel {
+  position: absolute;
+  right: 0;
+  top: calc(100% + 8px);
+  z-index: 20;
+  width: min(420px, 92vw);
+  max-height: 70vh;
+  overflow: auto;
+  display: grid;
+  gap: 8px;
+  padding: 12px;
+  border: 1px solid var(--border);
+  border-radius: var(--radius-sm);
+  background: var(--surface);
+  box-shadow: var(--shadow);
+  text-align: left;
+}
+.ac-form { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; }
+.ac-input {
+  flex: 1 1 70px;
+  min-width: 0;
+  padding: 6px 8px;
+  border-radius: var(--radius-sm);
+  border: 1px solid var(--border);
+  background: var(--surface);
+  color: var(--text);
+  font-size: 0.85rem;
+}
+.ac-input:focus { outline: none; box-shadow: 0 0 0 4px var(--ring); }
+.ac-form #ac-type { flex: 2 1 140px; }
+.ac-error { margin: 0; color: var(--color-error); font-size: 0.85rem; }
+.ac-note { margin: 0; font-size: 0.85rem; }
+.ac-heading-row { display: flex; align-items: center; justify-content: space-between; }
+.ac-heading { margin: 4px 0 0; font-size: 0.85rem; text-transform: uppercase; letter-spacing: 0.04em; color: var(--text-muted); }
+.ac-list { list-style: none; padding: 0; margin: 0; display: grid; gap: 6px; }
+.ac-rule, .ac-event {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 8px;
+  padding: 6px 8px;
+  border: 1px solid var(--border);
+  border-radius: var(--radius-sm);
+  font-size: 0.85rem;
+}
+.ac-rule.is-disabled > span:first-child { opacity: 0.5; text-decoration: line-through; }
+.ac-event { flex-direction: column; align-items: flex-start; gap: 2px; }
+.ac-event time { font-size: 0.75rem; }
+.ac-actions { display: inline-flex; gap: 4px; }
+.ac-small { padding: 2px 8px; font-size: 0.8rem; }
+`;
+document.head.appendChild(acStyle);
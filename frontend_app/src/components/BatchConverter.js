@@ -0,0 +1,301 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import useDailyRates from '../hooks/useDailyRates';
+import { loadRatesForDay } from '../hooks/useHistoricalRates';
+import useNumberSettings from '../hooks/useNumberSettings';
+import { batchToCsv, convertBatch, readBatch } from '../utils/batchConvert';
+import { buildCurrencyOptions, defaultBaseCurrency, formatCurrency, loadSelection } from '../utils/currency';
+import { toIsoDate } from '../utils/date';
+import { downloadTextFile } from '../utils/download';
+import { formatDecimalString } from '../utils/locale';
+import CurrencyCombobox from './CurrencyCombobox';
+
+// Readable names for the detected field separator
+const SEPARATOR_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+const SAMPLE = 'date,description,amount,currency\n2024-03-28,Hotel,"1,234.50",EUR\n,Taxi,42,GBP';
+
+/**
+ * PUBLIC_INTERFACE
+ * BatchConverter
+ * Batch mode for month-end expense lists (see utils/batchConvert):
+ * - Paste CSV/TSV text or upload a file of amounts with source currencies and optional dates
+ * - Field and decimal separators are detected per file; the decimal separator can be forced
+ * - Undated lines convert at the latest rates, dated lines at the rates of their day (loaded one
+ *   day at a time and cached like the converter's rate date)
+ * - Shows each line with the rate, rate date and provider used, and totals per currency
+ * - Downloads the converted file as CSV or TSV
+ *
+ * Props: none
+ * Returns: JSX.Element
+ */
+export default function BatchConverter() {
+  const { rates, base, date, provider, symbols, loading, error } = useDailyRates({ base: defaultBaseCurrency });
+  const { settings: numberSettings, resolved } = useNumberSettings();
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [fileError, setFileError] = useState('');
+  const [target, setTarget] = useState(() => loadSelection()?.to || 'EUR');
+  const [decimal, setDecimal] = useState(''); // '' = detect, '.' or ','
+  const [byDate, setByDate] = useState({});
+  const requestedDays = useRef(new Set());
+  const today = useMemo(() => toIsoDate(), []);
+
+  const currencyOptions = useMemo(() => buildCurrencyOptions(symbols), [symbols]);
+
+  const batch = useMemo(
+    () => (text.trim() ? readBatch(text, { decimal: decimal || null, numberSettings }) : null),
+    [text, decimal, numberSettings]
+  );
+  const days = useMemo(
+    () => [...new Set((batch?.lines || []).map((l) => l.date).filter(Boolean))].sort(),
+    [batch]
+  );
+
+  // Rates for dated lines, one day at a time; days already requested are not fetched again
+  useEffect(() => {
+    const missing = days.filter((day) => !requestedDays.current.has(day));
+    if (!missing.length) return;
+    missing.forEach((day) => requestedDays.current.add(day));
+    (async () => {
+      for (const day of missing) {
+        let entry;
+        if (day > today) {
+          entry = { error: `No rates for future date ${day}` };
+        } else {
+          try {
+            const data = await loadRatesForDay({ base: defaultBaseCurrency, date: day });
+            entry = { rates: data.rates, base: data.base, date: data.date, provider: data.provider };
+          } catch (err) {
+            entry = { error: `No rates for ${day}: ${(err?.message || 'Unknown error').replace(/^\[\w+\]\s*/, '')}` };
+          }
+        }
+        setByDate((m) => ({ ...m, [day]: entry }));
+      }
+    })();
+  }, [days, today]);
+
+  const result = useMemo(() => {
+    if (!batch) return null;
+    const latest = Object.keys(rates || {}).length ? { rates, base, date, provider } : undefined;
+    return convertBatch(batch.lines, { target, latest, byDate, precision: resolved.precision });
+  }, [batch, rates, base, date, provider, target, byDate, resolved.precision]);
+
+  const onFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setText(await file.text());
+      setFileName(file.name);
+      setFileError('');
+    } catch {
+      setFileError(`Could not read ${file.name}`);
+    }
+  }, []);
+
+  const onClear = useCallback(() => {
+    setText('');
+    setFileName('');
+    setFileError('');
+  }, []);
+
+  const onDownload = useCallback(
+    (format) => {
+      if (!batch || !result) return;
+      const name = (fileName.replace(/\.[^.]+$/, '') || 'conversions').replace(/[^\w-]+/g, '-');
+      const separator = format === 'tsv' ? '\t' : ',';
+      downloadTextFile(
+        `${name}-${target}.${format}`,
+        batchToCsv(batch, result, { target, separator }),
+        format === 'tsv' ? 'text/tab-separated-values' : 'text/csv'
+      );
+    },
+    [batch, result, fileName, target]
+  );
+
+  const money = (value, code) => (value === undefined ? '' : formatCurrency(Number(value), code, numberSettings));
+
+  const summary = useMemo(() => {
+    if (!batch || !result) return '';
+    const parts = [`${result.rows.length} ${result.rows.length === 1 ? 'line' : 'lines'}`];
+    if (result.failed) parts.push(`${result.failed} with errors`);
+    if (result.pending) parts.push(`${result.pending} waiting for rates`);
+    parts.push(`${SEPARATOR_NAMES[batch.separator] || batch.separator}-separated`);
+    if (batch.decimal) parts.push(`decimal ${batch.decimal === ',' ? 'comma' : 'point'}${decimal ? '' : ' (detected)'}`);
+    else parts.push('amounts read in your number format');
+    return parts.join(' · ');
+  }, [batch, result, decimal]);
+
+  return (
+    <div className="bc">
+      <div className="bc-input">
+        <label htmlFor="batch-text" className="bc-label">CSV or TSV lines</label>
+        <textarea
+          id="batch-text"
+          className="bc-text"
+          rows={6}
+          spellCheck={false}
+          placeholder={SAMPLE}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setFileName('');
+          }}
+        />
+        <div className="bc-actions">
+          <label className="btn btn-ghost bc-file">
+            Upload file…
+            <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain" className="sr-only" onChange={onFile} />
+          </label>
+          {fileName && <span className="muted">{fileName}</span>}
+          <button type="button" className="btn btn-ghost" onClick={onClear} disabled={!text}>Clear</button>
+        </div>
+        {fileError && <p className="bc-error" role="alert">{fileError}</p>}
+      </div>
+
+      <div className="bc-options">
+        <div className="bc-option">
+          <span className="bc-label">Convert to</span>
+          <CurrencyCombobox
+            id="batch-target"
+            label="Target currency"
+            options={currencyOptions}
+            symbols={symbols}
+            value={target}
+            onChange={setTarget}
+          />
+        </div>
+        <label className="bc-option">
+          <span className="bc-label">Decimal separator</span>
+          <select className="bc-select" value={decimal} onChange={(e) => setDecimal(e.target.value)}>
+            <option value="">Detect from amounts</option>
+            <option value=".">Point ({formatDecimalString('1234.5', { locale: 'en-US' })})</option>
+            <option value=",">Comma ({formatDecimalString('1234.5', { locale: 'de-DE' })})</option>
+          </select>
+        </label>
+      </div>
+
+      {loading && <p className="muted" role="status">Loading latest rates…</p>}
+      {error && !loading && <p className="bc-error" role="alert">Unable to load rates: {error.message || 'Unknown error'}</p>}
+
+      {result && (
+        <>
+          <p className="muted bc-summary" role="status">{summary}</p>
+
+          <div className="bc-table-wrap">
+            <table className="bc-table">
+              <caption className="sr-only">Converted lines</caption>
+              <thead>
+                <tr>
+                  <th scope="col">Line</th>
+                  <th scope="col">Date</th>
+                  <th scope="col" className="num">Amount</th>
+                  <th scope="col" className="num">{target}</th>
+                  <th scope="col" className="num">Rate</th>
+                  <th scope="col">Rate date</th>
+                  <th scope="col">Provider</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.map((r) => (
+                  <tr key={r.line} className={r.error ? 'is-error' : undefined}>
+                    <td>{r.line}</td>
+                    <td>{r.date || '—'}</td>
+                    <td className="num">{r.currency ? money(r.amount, r.currency) : r.fields.join(batch.separator === '\t' ? ' ' : batch.separator)}</td>
+                    {r.error || r.pending ? (
+                      <td colSpan={4} className={r.error ? 'bc-error' : 'muted'}>{r.error || 'Loading rates…'}</td>
+                    ) : (
+                      <>
+                        <td className="num"><strong>{money(r.converted, target)}</strong></td>
+                        <td className="num">{formatDecimalString(r.rate, numberSettings)}</td>
+                        <td>{r.rateDate}</td>
+                        <td>{r.provider}</td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {result.totals.length > 0 && (
+            <table className="bc-table bc-totals">
+              <caption className="bc-label">Totals per currency</caption>
+              <thead>
+                <tr>
+                  <th scope="col">Currency</th>
+                  <th scope="col" className="num">Lines</th>
+                  <th scope="col" className="num">Amount</th>
+                  <th scope="col" className="num">{target}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.totals.map((t) => (
+                  <tr key={t.currency}>
+                    <td>{t.currency}</td>
+                    <td className="num">{t.count}</td>
+                    <td className="num">{money(t.amount, t.currency)}</td>
+                    <td className="num">{money(t.converted, target)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th scope="row">Total</th>
+                  <td className="num">{result.totals.reduce((n, t) => n + t.count, 0)}</td>
+                  <td />
+                  <td className="num"><strong>{money(result.total, target)}</strong></td>
+                </tr>
+              </tfoot>
+            </table>
+          )}
+
+          <div className="bc-actions">
+            <button type="button" className="btn btn-primary" onClick={() => onDownload('csv')} disabled={!!result.pending}>
+              Download CSV
+            </button>
+            <button type="button" className="btn btn-ghost" onClick={() => onDownload('tsv')} disabled={!!result.pending}>
+              Download TSV
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const bcStyle = document.createElement('style');
+bcStyle.innerHTML = `
+.bc { display: grid; gap: 12px; }
+.bc-input { display: grid; gap: 6px; }
+.bc-label { font-size: 0.85rem; font-weight: 600; text-align: left; }
+.bc-text, .bc-select {
+  width: 100%;
+  padding: 8px 10px;
+  border-radius: var(--radius-sm);
+  border: 1px solid var(--border);
+  background: var(--surface);
+  color: var(--text);
+  font-size: 0.9rem;
+}
+.bc-text { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; resize: vertical; }
+.bc-text:focus, .bc-select:focus { outline: none; box-shadow: 0 0 0 4px var(--ring); }
+.bc-actions { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+.bc-actions .btn { padding: 6px 12px; font-size: 0.85rem; }
+.bc-file { cursor: pointer; }
+.bc-file:focus-within { box-shadow: 0 0 0 4px var(--ring); }
+.bc-options { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 10px; }
+.bc-option { display: grid; gap: 4px; }
+.bc-summary { margin: 0; font-size: 0.85rem; }
+.bc-error { margin: 0; color: var(--color-error); font-size: 0.85rem; }
+.bc-table-wrap { max-height: 360px; overflow: auto; border: 1px solid var(--border); border-radius: var(--radius-sm); }
+.bc-table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+.bc-table th, .bc-table td { padding: 6px 8px; border-bottom: 1px solid var(--border); text-align: left; white-space: nowrap; }
+.bc-table thead th { position: sticky; top: 0; background: var(--surface); font-weight: 700; }
+.bc-table .num { text-align: right; font-variant-numeric: tabular-nums; }
+.bc-table tr.is-error td { background: color-mix(in srgb, var(--color-error), transparent 94%); }
+.bc-totals caption { padding-bottom: 6px; }
+.bc-totals tfoot th, .bc-totals tfoot td { border-bottom: none; }
+`;
+document.head.appendChild(bcStyle);
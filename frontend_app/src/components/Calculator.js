@@ -1,5 +1,37 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { createCalcState, inputDigit, inputDecimal, clearAll, deleteLast, setOperator, equals, inputKey } from '../utils/calc';
+import useCalcTape from '../hooks/useCalcTape';
+import useCardBridge from '../hooks/useCardBridge';
+import useDailyRates from '../hooks/useDailyRates';
+import useNumberSettings from '../hooks/useNumberSettings';
+import FinancialPanel from './FinancialPanel';
+import {
+  createCalcState, inputDigit, inputDecimal, clearAll, deleteLast, setOperator, inputParen, equals, inputKey, formatExpression,
+  memoryAdd, memoryClear, memoryRecall, memorySubtract, recallValue, applyFunction, toggleSign, inputPercent, showCalculation,
+} from '../utils/calc';
+import { tapeToCsv, tapeToText } from '../utils/calcTape';
+import { defaultBaseCurrency } from '../utils/currency';
+import { evaluateCurrencyExpression } from '../utils/currencyExpression';
+import { toIsoDate } from '../utils/date';
+import { decimalToString, toDecimal } from '../utils/decimal';
+import { downloadTextFile } from '../utils/download';
+import { formatDecimalString } from '../utils/locale';
+
+// Keypad modes: the scientific keys add a function block, the financial mode replaces the
+// keypad with the VAT/margin/interest calculations
+const MODES = [
+  { value: 'basic', label: 'Basic' },
+  { value: 'scientific', label: 'Scientific' },
+  { value: 'financial', label: 'Financial' },
+];
+
+// Scientific function keys: [function name, label, accessible name]
+const FUNCTION_KEYS = [
+  ['square', 'x²', 'Square'],
+  ['sqrt', '√', 'Square root'],
+  ['reciprocal', '1/x', 'Reciprocal'],
+  ['log', 'log', 'Logarithm base 10'],
+  ['ln', 'ln', 'Natural logarithm'],
+];
 
 /**
  * PUBLIC_INTERFACE
@@ -7,26 +39,54 @@ import { createCalcState, inputDigit, inputDecimal, clearAll, deleteLast, setOpe
  * A11y-friendly calculator component with keyboard support.
  * - Digits 0-9, decimal
  * - C (clear), DEL (delete)
- * - Operators: +, -, ×, ÷
+ * - Operators: +, -, ×, ÷ evaluated with standard precedence
+ * - Parentheses ( )
  * - Equals =
+ * - Expression line showing the full formula as it is typed
+ * - Numbers shown with the user's locale separators and digits; a display precision from the
+ *   number settings replaces the default number of result decimals
+ * - Memory register: MC, MR, M+, M− (an "M" on the screen shows it holds a value)
+ * - Modes: Basic; Scientific adds %, ±, √, x², xʸ (^), 1/x, log and ln; Financial swaps the keypad
+ *   for VAT add/remove (configurable rates), markup/margin, percentage change and interest
+ *   calculations whose results can be used on the calculator
+ * - Formula field for typed expressions, including currency amounts converted with the latest
+ *   rates ("100 USD + 50 EUR in GBP"); the result shows its currency
+ * - "→ Converter" sends the displayed number (and its currency) to the converter amount; values
+ *   the converter sends back ("Use in calculator") become the current entry
+ * - Paper-tape history of completed calculations, persisted across reloads: clicking an entry
+ *   restores its result, and the tape can be exported as text or CSV
  *
  * Props: none
  * Returns: <section> element rendering the calculator UI
  */
 export default function Calculator() {
   const [state, setState] = useState(() => createCalcState());
+  const [mode, setMode] = useState('basic');
   const containerRef = useRef(null);
+  const { settings: numberSettings, resolved } = useNumberSettings();
+  const precision = useMemo(
+    () => (resolved.precision === null ? undefined : { displayScale: resolved.precision }),
+    [resolved.precision]
+  );
+
+  // Record every completed calculation on the tape
+  const { entries: tape, addCalculation, clearTape } = useCalcTape();
+  useEffect(() => {
+    if (state.calculation) addCalculation(state.calculation);
+  }, [state.calculation, addCalculation]);
 
   // keyboard handling when focused inside calculator
   const onKeyDown = useCallback((e) => {
+    // tape buttons, the formula field and the financial form keep their own key handling
+    if (e.target instanceof Element && e.target.closest('.calc-tape, .calc-fin, .calc-modes, .calc-formula')) return;
     // Prevent page scroll on space etc. for calculator keys
     const prev = state;
-    const next = inputKey(prev, e.key);
+    const next = inputKey(prev, e.key, precision);
     if (next !== prev) {
       e.preventDefault();
       setState(next);
     }
-  }, [state]);
+  }, [state, precision]);
 
   useEffect(() => {
     const el = containerRef.current;
@@ -40,26 +100,105 @@ export default function Calculator() {
   // Actions
   const pressDigit = useCallback((d) => setState((s) => inputDigit(s, d)), []);
   const pressDecimal = useCallback(() => setState((s) => inputDecimal(s)), []);
-  const pressClear = useCallback(() => setState(() => clearAll()), []);
+  const pressClear = useCallback(() => setState((s) => clearAll(s)), []);
   const pressDelete = useCallback(() => setState((s) => deleteLast(s)), []);
   const pressOp = useCallback((op) => setState((s) => setOperator(s, op)), []);
-  const pressEquals = useCallback(() => setState((s) => equals(s)), []);
+  const pressParen = useCallback((p) => setState((s) => inputParen(s, p)), []);
+  const pressEquals = useCallback(() => setState((s) => equals(s, precision)), [precision]);
+  const pressMemory = useCallback((action) => setState((s) => action(s)), []);
+  const pressFunction = useCallback((name) => setState((s) => applyFunction(s, name, precision)), [precision]);
+  const pressSign = useCallback(() => setState((s) => toggleSign(s)), []);
+  const pressPercent = useCallback(() => setState((s) => inputPercent(s, precision)), [precision]);
+  // a tape or financial result becomes the current entry, e.g. as the next operand
+  const enterResult = useCallback((value) => setState((s) => recallValue(s.error ? clearAll(s) : s, value)), []);
+  const restoreEntry = useCallback((entry) => enterResult(entry.result), [enterResult]);
+
+  // Typed formulas; currency amounts are converted with the latest rates
+  const { rates, base } = useDailyRates({ base: defaultBaseCurrency });
+  const [formula, setFormula] = useState('');
+  const [formulaError, setFormulaError] = useState('');
+  const onFormulaSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+      if (!formula.trim()) return;
+      try {
+        const result = evaluateCurrencyExpression(formula, { rates, base, numberSettings, precision: resolved.precision });
+        setState((s) => showCalculation(s, result, precision));
+        setFormulaError('');
+      } catch (err) {
+        setFormulaError(err?.code === 'DIV_ZERO' ? 'Cannot divide by zero' : String(err?.message || err).replace(/^\[\w+\]\s*/, ''));
+      }
+    },
+    [formula, rates, base, numberSettings, resolved.precision, precision]
+  );
+
+  // The currency of the displayed result, while it is shown unchanged
+  const displayCurrency = !state.entering && state.tokens.length === 0 && state.calculation?.result === state.display
+    ? state.calculation.currency || null
+    : null;
+
+  // Bridge to the converter card
+  const { toCalculator, sendToConverter } = useCardBridge();
+  const handledMessage = useRef(toCalculator?.id);
+  useEffect(() => {
+    if (!toCalculator || toCalculator.id === handledMessage.current) return;
+    handledMessage.current = toCalculator.id;
+    enterResult(toCalculator.value);
+  }, [toCalculator, enterResult]);
+  const sendDisplay = useCallback(() => {
+    try {
+      sendToConverter(decimalToString(toDecimal(state.display)), displayCurrency);
+    } catch {
+      // error messages are not numbers
+    }
+  }, [state.display, displayCurrency, sendToConverter]);
+
+  // Full formula as typed, e.g. "2 + 3 × (4", with localized numbers ("1.234,5 × 2" in de-DE)
+  const localize = useCallback(
+    (text) => text.replace(/\d+(\.\d*)?/g, (n) => formatDecimalString(n, numberSettings)),
+    [numberSettings]
+  );
+  const expression = useMemo(() => localize(formatExpression(state)), [state, localize]);
+  const display = useMemo(() => (state.error ? state.display : localize(state.display)), [state, localize]);
 
   // Accessible label for current expression state
   const liveLabel = useMemo(() => {
     if (state.error) return state.display;
-    const parts = [];
-    if (state.accumulator !== null) parts.push(`${state.accumulator}`);
-    if (state.operator) {
-      const map = { '+': 'plus', '-': 'minus', '*': 'times', '/': 'divided by' };
-      parts.push(map[state.operator] || state.operator);
-    }
-    parts.push(state.display);
-    return parts.join(' ');
-  }, [state]);
+    if (!expression) return display;
+    const map = {
+      '+': 'plus', '−': 'minus', '×': 'times', '÷': 'divided by', '^': 'to the power of',
+      '(': 'open bracket', ')': 'close bracket', '=': 'equals',
+    };
+    const spoken = expression.replace(/[+−×÷^()=]/g, (ch) => ` ${map[ch]} `).replace(/\s+/g, ' ').trim();
+    return state.tokens.length === 0 && !state.entering ? `${spoken} ${display}` : spoken;
+  }, [expression, display, state]);
+
+  const exportTape = useCallback(
+    (format) => {
+      const stamp = toIsoDate();
+      if (format === 'csv') {
+        downloadTextFile(`calculator-tape-${stamp}.csv`, tapeToCsv(tape), 'text/csv');
+        return;
+      }
+      const text = tapeToText(tape, {
+        formatNumber: (n) => formatDecimalString(n, numberSettings),
+        formatTime: (at) => new Date(at).toLocaleString(resolved.locale),
+      });
+      downloadTextFile(`calculator-tape-${stamp}.txt`, text);
+    },
+    [tape, numberSettings, resolved.locale]
+  );
+
+  // Newest entry at the bottom, like a paper roll
+  const tapeListRef = useRef(null);
+  useEffect(() => {
+    const el = tapeListRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [tape.length]);
 
   // Style hooks from theme
   const boxCls = 'calc-box';
+  const exprCls = 'calc-expr';
   const screenCls = 'calc-screen';
   const gridCls = 'calc-grid';
   const btnCls = 'btn';
@@ -76,49 +215,179 @@ export default function Calculator() {
         outline: 'none'
       }}
     >
-      {/* Display */}
+      <div className="calc-modes" role="group" aria-label="Keypad mode">
+        {MODES.map((m) => (
+          <button
+            key={m.value}
+            className={`${btnCls} ${mode === m.value ? btnPrimary : 'btn-ghost'}`}
+            onClick={() => setMode(m.value)}
+            aria-pressed={mode === m.value}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Expression line + display */}
+      <div className={exprCls} aria-hidden="true" title={expression}>
+        {expression || '\u00a0'}
+      </div>
       <div className={screenCls} aria-live="polite" aria-atomic="true">
-        {state.display}
+        {state.memory !== null && (
+          <span className="calc-mem" aria-hidden="true" title={`Memory: ${localize(state.memory)}`}>M</span>
+        )}
+        {display}
+        {displayCurrency && <span className="calc-cur">{displayCurrency}</span>}
       </div>
       <div className="sr-only" aria-live="polite">{liveLabel}</div>
 
-      {/* Keypad */}
-      <div className={gridCls}>
-        {/* Row: C, DEL, ÷ */}
-        <button className={`${btnCls} btn-ghost`} onClick={pressClear} aria-label="Clear" title="Clear (C)">
-          C
-        </button>
-        <button className={`${btnCls} btn-ghost`} onClick={pressDelete} aria-label="Delete" title="Delete (Backspace)">
-          DEL
-        </button>
-        <button className={`${btnCls} btn-ghost`} onClick={() => pressOp('/')} aria-label="Divide" title="Divide (/)">
-          ÷
+      <div className="calc-actions">
+        <form className="calc-formula" onSubmit={onFormulaSubmit}>
+          <label htmlFor="calc-formula-input" className="sr-only">Formula</label>
+          <input
+            id="calc-formula-input"
+            className="calc-formula-input"
+            type="text"
+            autoComplete="off"
+            spellCheck={false}
+            placeholder="e.g. 100 USD + 50 EUR in GBP"
+            value={formula}
+            onChange={(e) => {
+              setFormula(e.target.value);
+              setFormulaError('');
+            }}
+            aria-invalid={!!formulaError}
+            aria-describedby={formulaError ? 'calc-formula-error' : undefined}
+          />
+          <button type="submit" className={`${btnCls} btn-ghost`} aria-label="Evaluate formula" title="Evaluate (Enter)">=</button>
+        </form>
+        <button
+          className={`${btnCls} btn-ghost`}
+          onClick={sendDisplay}
+          disabled={!!state.error}
+          title="Put the displayed number into the converter amount"
+        >
+          → Converter
         </button>
+      </div>
+      {formulaError && <p id="calc-formula-error" className="calc-formula-error" role="alert">{formulaError}</p>}
 
-        {/* Row: 7 8 9 × */}
-        <button className={btnCls} onClick={() => pressDigit('7')} aria-label="Seven">7</button>
-        <button className={btnCls} onClick={() => pressDigit('8')} aria-label="Eight">8</button>
-        <button className={btnCls} onClick={() => pressDigit('9')} aria-label="Nine">9</button>
-        <button className={`${btnCls} btn-ghost`} onClick={() => pressOp('*')} aria-label="Multiply" title="Multiply (*)">×</button>
-
-        {/* Row: 4 5 6 − */}
-        <button className={btnCls} onClick={() => pressDigit('4')} aria-label="Four">4</button>
-        <button className={btnCls} onClick={() => pressDigit('5')} aria-label="Five">5</button>
-        <button className={btnCls} onClick={() => pressDigit('6')} aria-label="Six">6</button>
-        <button className={`${btnCls} btn-ghost`} onClick={() => pressOp('-')} aria-label="Subtract" title="Subtract (-)">−</button>
-
-        {/* Row: 1 2 3 + */}
-        <button className={btnCls} onClick={() => pressDigit('1')} aria-label="One">1</button>
-        <button className={btnCls} onClick={() => pressDigit('2')} aria-label="Two">2</button>
-        <button className={btnCls} onClick={() => pressDigit('3')} aria-label="Three">3</button>
-        <button className={`${btnCls} btn-ghost`} onClick={() => pressOp('+')} aria-label="Add" title="Add (+)">+</button>
-
-        {/* Row: 0 . = */}
-        <button className={`${btnCls} span-2`} onClick={() => pressDigit('0')} aria-label="Zero">0</button>
-        <button className={btnCls} onClick={pressDecimal} aria-label="Decimal point">.</button>
-        <button className={`${btnCls} ${btnPrimary}`} onClick={pressEquals} aria-label="Equals" title="Equals (Enter)">
-          =
-        </button>
+      <div className="calc-body">
+        {mode === 'financial' ? (
+          <FinancialPanel entry={state.error ? '' : state.display} onUseResult={enterResult} />
+        ) : (
+        <div className={gridCls}>
+          {/* Scientific rows: functions act on the displayed number, xʸ is an operator */}
+          {mode === 'scientific' && (
+            <>
+              {FUNCTION_KEYS.map(([name, label, aria]) => (
+                <button key={name} className={`${btnCls} btn-ghost calc-fn-key`} onClick={() => pressFunction(name)} aria-label={aria}>
+                  {label}
+                </button>
+              ))}
+              <button className={`${btnCls} btn-ghost calc-fn-key`} onClick={() => pressOp('^')} aria-label="Power" title="Power (^)">
+                xʸ
+              </button>
+              <button className={`${btnCls} btn-ghost calc-fn-key`} onClick={pressSign} aria-label="Change sign">
+                ±
+              </button>
+              <button className={`${btnCls} btn-ghost calc-fn-key`} onClick={pressPercent} aria-label="Percent" title="Percent (%)">
+                %
+              </button>
+            </>
+          )}
+
+
+          {/* Row: memory */}
+          <button className={`${btnCls} btn-ghost calc-mem-key`} onClick={() => pressMemory(memoryClear)} disabled={state.memory === null} aria-label="Memory clear" title="Memory clear (MC)">
+            MC
+          </button>
+          <button className={`${btnCls} btn-ghost calc-mem-key`} onClick={() => pressMemory(memoryRecall)} disabled={state.memory === null} aria-label={state.memory === null ? 'Memory recall' : `Memory recall, ${localize(state.memory)}`} title="Memory recall (MR)">
+            MR
+          </button>
+          <button className={`${btnCls} btn-ghost calc-mem-key`} onClick={() => pressMemory(memoryAdd)} aria-label="Memory add" title="Add to memory (M+)">
+            M+
+          </button>
+          <button className={`${btnCls} btn-ghost calc-mem-key`} onClick={() => pressMemory(memorySubtract)} aria-label="Memory subtract" title="Subtract from memory (M−)">
+            M−
+          </button>
+
+          {/* Row: C, DEL, (, ) */}
+          <button className={`${btnCls} btn-ghost`} onClick={pressClear} aria-label="Clear" title="Clear (C)">
+            C
+          </button>
+          <button className={`${btnCls} btn-ghost`} onClick={pressDelete} aria-label="Delete" title="Delete (Backspace)">
+            DEL
+          </button>
+          <button className={`${btnCls} btn-ghost`} onClick={() => pressParen('(')} aria-label="Open bracket" title="Open bracket (()">
+            (
+          </button>
+          <button className={`${btnCls} btn-ghost`} onClick={() => pressParen(')')} aria-label="Close bracket" title="Close bracket ())">
+            )
+          </button>
+
+          {/* Row: 7 8 9 ÷ */}
+          <button className={btnCls} onClick={() => pressDigit('7')} aria-label="Seven">7</button>
+          <button className={btnCls} onClick={() => pressDigit('8')} aria-label="Eight">8</button>
+          <button className={btnCls} onClick={() => pressDigit('9')} aria-label="Nine">9</button>
+          <button className={`${btnCls} btn-ghost`} onClick={() => pressOp('/')} aria-label="Divide" title="Divide (/)">÷</button>
+
+          {/* Row: 4 5 6 × */}
+          <button className={btnCls} onClick={() => pressDigit('4')} aria-label="Four">4</button>
+          <button className={btnCls} onClick={() => pressDigit('5')} aria-label="Five">5</button>
+          <button className={btnCls} onClick={() => pressDigit('6')} aria-label="Six">6</button>
+          <button className={`${btnCls} btn-ghost`} onClick={() => pressOp('*')} aria-label="Multiply" title="Multiply (*)">×</button>
+
+          {/* Row: 1 2 3 − */}
+          <button className={btnCls} onClick={() => pressDigit('1')} aria-label="One">1</button>
+          <button className={btnCls} onClick={() => pressDigit('2')} aria-label="Two">2</button>
+          <button className={btnCls} onClick={() => pressDigit('3')} aria-label="Three">3</button>
+          <button className={`${btnCls} btn-ghost`} onClick={() => pressOp('-')} aria-label="Subtract" title="Subtract (-)">−</button>
+
+          {/* Row: 0 . = + */}
+          <button className={btnCls} onClick={() => pressDigit('0')} aria-label="Zero">0</button>
+          <button className={btnCls} onClick={pressDecimal} aria-label="Decimal separator">{resolved.decimal}</button>
+          <button className={`${btnCls} ${btnPrimary}`} onClick={pressEquals} aria-label="Equals" title="Equals (Enter)">
+            =
+          </button>
+          <button className={`${btnCls} btn-ghost`} onClick={() => pressOp('+')} aria-label="Add" title="Add (+)">+</button>
+        </div>
+        )}
+
+        {/* History tape */}
+        <div className="calc-tape" role="region" aria-label="Calculation history">
+          <div className="calc-tape-head">
+            <span className="calc-tape-title">Tape</span>
+            <button className="btn btn-ghost calc-tape-btn" onClick={() => exportTape('txt')} disabled={!tape.length} title="Download the tape as plain text">
+              TXT
+            </button>
+            <button className="btn btn-ghost calc-tape-btn" onClick={() => exportTape('csv')} disabled={!tape.length} title="Download the tape as CSV">
+              CSV
+            </button>
+            <button className="btn btn-ghost calc-tape-btn" onClick={clearTape} disabled={!tape.length} aria-label="Clear history" title="Clear history">
+              ✕
+            </button>
+          </div>
+          {tape.length === 0 ? (
+            <p className="muted calc-tape-empty">Completed calculations appear here.</p>
+          ) : (
+            <ol className="calc-tape-list" ref={tapeListRef}>
+              {tape.map((entry) => (
+                <li key={entry.id}>
+                  <button
+                    className="calc-tape-entry"
+                    onClick={() => restoreEntry(entry)}
+                    title={`${new Date(entry.at).toLocaleString(resolved.locale)} — click to use the result`}
+                    aria-label={`Use result ${localize(entry.result)} of ${localize(entry.expression)}`}
+                  >
+                    <span className="calc-tape-expr">{localize(entry.expression)} =</span>
+                    <span className="calc-tape-result">{localize(entry.result)}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
       </div>
     </section>
   );
@@ -133,6 +402,18 @@ styleTag.innerHTML = `
   gap: 12px;
 }
 
+.calc-expr {
+  font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;
+  font-size: 0.9rem;
+  color: var(--text-muted);
+  text-align: right;
+  min-height: 1.2em;
+  margin-bottom: -8px;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+}
+
 .calc-screen {
   font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;
   font-size: 1.6rem;
@@ -148,6 +429,102 @@ styleTag.innerHTML = `
   justify-content: flex-end;
 }
 
+.calc-screen { position: relative; }
+.calc-mem {
+  position: absolute;
+  left: 12px;
+  top: 50%;
+  transform: translateY(-50%);
+  font-size: 0.75rem;
+  font-weight: 800;
+  color: var(--color-primary);
+}
+
+.calc-cur {
+  margin-left: 8px;
+  font-size: 0.85rem;
+  font-weight: 700;
+  color: var(--text-muted);
+}
+
+.calc-actions { display: flex; gap: 8px; align-items: center; }
+.calc-formula { flex: 1; display: flex; gap: 6px; min-width: 0; }
+.calc-formula-input {
+  flex: 1;
+  min-width: 0;
+  padding: 8px 10px;
+  border-radius: var(--radius-sm);
+  border: 1px solid var(--border);
+  background: color-mix(in srgb, var(--surface), transparent 4%);
+  color: var(--text);
+  font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;
+  font-size: 0.9rem;
+}
+.calc-formula-input:focus { outline: none; box-shadow: 0 0 0 4px var(--ring); }
+.calc-formula-error { margin: -4px 0 0; color: var(--color-error); font-size: 0.85rem; }
+
+.calc-body {
+  display: grid;
+  grid-template-columns: minmax(0, 1fr) minmax(180px, 260px);
+  gap: 12px;
+  align-items: start;
+}
+@media (max-width: 640px) {
+  .calc-body { grid-template-columns: 1fr; }
+}
+.calc-grid .calc-mem-key,
+.calc-grid .calc-fn-key { font-size: 0.85rem; padding-top: 6px; padding-bottom: 6px; }
+.calc-modes { display: inline-flex; gap: 6px; }
+.calc-modes .btn { padding: 6px 12px; font-size: 0.85rem; }
+
+.calc-tape {
+  display: grid;
+  gap: 6px;
+  padding: 8px;
+  border: 1px dashed var(--border);
+  border-radius: var(--radius-sm);
+  background: color-mix(in srgb, var(--surface), transparent 4%);
+}
+.calc-tape-head { display: flex; align-items: center; gap: 4px; }
+.calc-tape-title {
+  flex: 1;
+  font-size: 0.75rem;
+  font-weight: 700;
+  text-transform: uppercase;
+  letter-spacing: 0.04em;
+  color: var(--text-muted);
+}
+.calc-tape-btn { padding: 2px 8px; font-size: 0.75rem; }
+.calc-tape-empty { margin: 0; font-size: 0.8rem; }
+.calc-tape-list {
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  max-height: 260px;
+  overflow-y: auto;
+  display: grid;
+  gap: 2px;
+}
+.calc-tape-entry {
+  width: 100%;
+  display: grid;
+  gap: 1px;
+  padding: 4px 6px;
+  border: 0;
+  border-bottom: 1px dotted var(--border);
+  background: none;
+  color: var(--text);
+  text-align: right;
+  cursor: pointer;
+  font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;
+}
+.calc-tape-entry:hover, .calc-tape-entry:focus-visible {
+  outline: none;
+  background: color-mix(in srgb, var(--color-primary), transparent 88%);
+}
+.calc-tape-expr { font-size: 0.75rem; color: var(--text-muted); overflow-wrap: anywhere; }
+.calc-tape-result { font-weight: 700; }
+
 .calc-grid {
   display: grid;
   grid-template-columns: repeat(4, minmax(0,1fr));
@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * ColumnPicker
+ * Button opening a checklist of the columns that can be shown or hidden.
+ *
+ * Props:
+ * - columns: { key: string, label: string }[] - hideable columns
+ * - hidden: string[] - keys of hidden columns
+ * - onToggle: (key: string) => void
+ */
+export default function ColumnPicker({ columns, hidden, onToggle }) {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  // Close on Escape or a click outside the panel
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    const onClick = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('keydown', onKey);
+    document.addEventListener('mousedown', onClick);
+    return () => {
+      document.removeEventListener('keydown', onKey);
+      document.removeEventListener('mousedown', onClick);
+    };
+  }, [open]);
+
+  return (
+    <div className="column-picker" ref={rootRef}>
+      <button
+        className="btn btn-ghost"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        aria-controls="column-picker-panel"
+        title="Show or hide columns"
+      >
+        ▦ Columns{hidden.length ? ` (${columns.length - hidden.length}/${columns.length})` : ''}
+      </button>
+
+      {open && (
+        <fieldset id="column-picker-panel" className="cp-panel">
+          <legend className="sr-only">Visible columns</legend>
+          {columns.map((c) => (
+            <label key={c.key} className="cp-option">
+              <input type="checkbox" checked={!hidden.includes(c.key)} onChange={() => onToggle(c.key)} />
+              {c.label}
+            </label>
+          ))}
+        </fieldset>
+      )}
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const cpStyle = document.createElement('style');
+cpStyle.innerHTML = `
+.column-picker { position: relative; }
+.cp-panel {
+  position: absolute;
+  left: 0;
+  top: calc(100% + 8px);
+  z-index: 20;
+  min-width: 180px;
+  display: grid;
+  gap: 6px;
+  margin: 0;
+  padding: 10px 12px;
+  border: 1px solid var(--border);
+  border-radius: var(--radius-sm);
+  background: var(--surface);
+  box-shadow: var(--shadow);
+  font-size: 0.85rem;
+}
+.cp-option { display: flex; align-items: center; gap: 6px; font-weight: 600; }
+`;
+document.head.appendChild(cpStyle);
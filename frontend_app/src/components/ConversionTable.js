@@ -0,0 +1,172 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import useNumberSettings from '../hooks/useNumberSettings';
+import { convertAmountDecimal, currencyDecimalOptions, formatCurrency, loadTargetList, persistTargetList } from '../utils/currency';
+import { copyToClipboard } from '../utils/clipboard';
+import { describeCurrencyStatus } from '../utils/iso4217';
+import { applyMarkup, pairMarkup } from '../utils/quotes';
+import CurrencyCombobox from './CurrencyCombobox';
+
+/**
+ * PUBLIC_INTERFACE
+ * ConversionTable
+ * "Convert to many" view: converts one amount into a user-curated list of currencies at once.
+ * - Rows can be added, removed and reordered (move up/down buttons)
+ * - The list is persisted in localStorage (see persistTargetList/loadTargetList)
+ * - Each row has a copy button for the formatted result
+ *
+ * Props:
+ * - amount: number - parsed source amount (NaN renders placeholders)
+ * - from: string - source currency code
+ * - rates: Record<string, number> - rates relative to base
+ * - base: string - base code of rates
+ * - currencyOptions: { value: string, label: string }[] - options for the "add currency" picker
+ * - symbols?: Record<string, { code: string, description: string }> - descriptions for searching
+ * - spreads?: object - spread settings (utils/quotes) to convert at bank rates; null for mid-market
+ */
+export default function ConversionTable({ amount, from, rates, base, currencyOptions, symbols, spreads = null }) {
+  const [targets, setTargets] = useState(() => loadTargetList());
+  const [copied, setCopied] = useState(null);
+  const copiedTimer = useRef(null);
+  const { settings: numberSettings } = useNumberSettings();
+
+  // Persist list on change
+  useEffect(() => {
+    persistTargetList(targets);
+  }, [targets]);
+
+  useEffect(() => () => {
+    if (copiedTimer.current) clearTimeout(copiedTimer.current);
+  }, []);
+
+  const rows = useMemo(
+    () =>
+      targets.map((code) => {
+        const rounding = currencyDecimalOptions(code, numberSettings.precision);
+        const markup = spreads ? pairMarkup(spreads, from, code) : '0';
+        const mid = convertAmountDecimal(amount, from, code, rates, base, Number(markup) > 0 ? undefined : rounding);
+        const n = mid === undefined ? NaN : Number(Number(markup) > 0 ? applyMarkup(mid, markup, rounding) : mid);
+        return {
+          code,
+          value: n,
+          label: Number.isFinite(n) ? formatCurrency(n, code, numberSettings) : '—',
+          statusNote: describeCurrencyStatus(code),
+        };
+      }),
+    [targets, amount, from, rates, base, numberSettings, spreads]
+  );
+
+  const available = useMemo(
+    () => (currencyOptions || []).filter((opt) => !targets.includes(opt.value)),
+    [currencyOptions, targets]
+  );
+
+  const onAdd = useCallback((code) => {
+    if (!code) return;
+    setTargets((list) => (list.includes(code) ? list : [...list, code]));
+  }, []);
+
+  const onRemove = useCallback((code) => {
+    setTargets((list) => list.filter((c) => c !== code));
+  }, []);
+
+  const onMove = useCallback((index, delta) => {
+    setTargets((list) => {
+      const nextIndex = index + delta;
+      if (nextIndex < 0 || nextIndex >= list.length) return list;
+      const next = [...list];
+      [next[index], next[nextIndex]] = [next[nextIndex], next[index]];
+      return next;
+    });
+  }, []);
+
+  const onCopy = useCallback(async (row) => {
+    if (!Number.isFinite(row.value)) return;
+    const ok = await copyToClipboard(row.label);
+    if (!ok) return;
+    setCopied(row.code);
+    if (copiedTimer.current) clearTimeout(copiedTimer.current);
+    copiedTimer.current = setTimeout(() => setCopied(null), 1500);
+  }, []);
+
+  return (
+    <div className="conv-many">
+      {rows.length === 0 ? (
+        <div className="placeholder" role="status">
+          <p>No target currencies yet. Add one below.</p>
+        </div>
+      ) : (
+        <ol className="cm-list" aria-label="Converted amounts">
+          {rows.map((row, i) => (
+            <li key={row.code} className="cm-item">
+              <span className={`cm-code${row.statusNote ? ' is-historic' : ''}`} title={row.statusNote || undefined}>{row.code}</span>
+              <span className="cm-value" aria-live="polite">{row.label}</span>
+              <span className="cm-actions">
+                <button
+                  className="btn btn-ghost"
+                  onClick={() => onCopy(row)}
+                  disabled={!Number.isFinite(row.value)}
+                  aria-label={`Copy ${row.code} amount`}
+                  title="Copy"
+                >
+                  {copied === row.code ? '✓' : '⧉'}
+                </button>
+                <button className="btn btn-ghost" onClick={() => onMove(i, -1)} disabled={i === 0} aria-label={`Move ${row.code} up`} title="Move up">
+                  ↑
+                </button>
+                <button
+                  className="btn btn-ghost"
+                  onClick={() => onMove(i, 1)}
+                  disabled={i === rows.length - 1}
+                  aria-label={`Move ${row.code} down`}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button className="btn btn-ghost" onClick={() => onRemove(row.code)} aria-label={`Remove ${row.code}`} title="Remove">
+                  ✕
+                </button>
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="cm-add">
+        <CurrencyCombobox
+          id="cm-add"
+          label="Add currency"
+          options={available}
+          symbols={symbols}
+          value=""
+          onChange={onAdd}
+          placeholder="Add currency…"
+        />
+      </div>
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const cmStyle = document.createElement('style');
+cmStyle.innerHTML = `
+.conv-many { display: grid; gap: 10px; }
+.cm-list { list-style: none; padding: 0; margin: 0; display: grid; gap: 6px; }
+.cm-item {
+  display: grid;
+  grid-template-columns: 56px 1fr auto;
+  align-items: center;
+  gap: 8px;
+  padding: 8px 10px;
+  border: 1px solid var(--border);
+  border-radius: var(--radius-sm);
+  background: color-mix(in srgb, var(--surface), transparent 2%);
+  box-shadow: var(--shadow-sm);
+}
+.cm-code { font-weight: 800; letter-spacing: 0.02em; }
+.cm-code.is-historic { text-decoration: underline dotted var(--color-amber); }
+.cm-value { font-weight: 700; text-align: right; font-variant-numeric: tabular-nums; }
+.cm-actions { display: inline-flex; gap: 4px; }
+.cm-actions .btn { padding: 4px 8px; font-size: 0.8rem; }
+.cm-add { display: grid; gap: 8px; }
+`;
+document.head.appendChild(cmStyle);
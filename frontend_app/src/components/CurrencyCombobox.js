@@ -0,0 +1,345 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { buildSearchEntries, loadRecentCurrencies, pushRecentCurrency, searchCurrencies } from '../utils/currencySearch';
+
+// Upper bound of rendered matches; the full list is only shown for an empty query
+const MAX_MATCHES = 50;
+const PAGE_SIZE = 10;
+
+/**
+ * PUBLIC_INTERFACE
+ * CurrencyCombobox
+ * Accessible currency picker following the ARIA 1.2 combobox pattern (editable input with a
+ * listbox popup and list autocomplete). Typing fuzzy-matches code, description, country and
+ * symbol ("yen", "¥" and "japan" all find JPY); an empty query lists recently used currencies
+ * first, then all currencies. Withdrawn ISO 4217 codes are tagged "Historic".
+ *
+ * Keyboard: ArrowDown/ArrowUp open the list and move the active option, PageDown/PageUp move
+ * by 10, Enter picks the active option, Escape closes the list (and clears a free-text query
+ * when already closed), Alt+ArrowDown opens and Alt+ArrowUp closes without moving.
+ *
+ * Props:
+ * - id: string - id of the input
+ * - label: string - accessible name (rendered as a visually hidden label)
+ * - options: { value: string, label: string }[] - e.g. buildCurrencyOptions(symbols)
+ * - symbols?: Record<string, { code: string, description: string }>
+ * - value?: string - selected code (select mode)
+ * - onChange: (code: string) => void - a currency was picked
+ * - freeText?: boolean - the input holds a search query instead of a selection
+ * - query?: string, onQueryChange?: (text: string) => void - free-text mode input state
+ * - placeholder?: string
+ */
+export default function CurrencyCombobox({
+  id,
+  label,
+  options,
+  symbols,
+  value,
+  onChange,
+  freeText = false,
+  query = '',
+  onQueryChange,
+  placeholder,
+}) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recent, setRecent] = useState(() => loadRecentCurrencies());
+  const inputRef = useRef(null);
+  const listId = `${id}-listbox`;
+
+  const entries = useMemo(() => buildSearchEntries(options, symbols), [options, symbols]);
+  const search = freeText ? query : text;
+
+  // Sections of the popup; option ids are unique per section since recent codes repeat below
+  const sections = useMemo(() => {
+    if (search.trim()) {
+      return [{ key: 'matches', label: 'Matches', items: searchCurrencies(entries, search, { limit: MAX_MATCHES }) }];
+    }
+    const byCode = new Map(entries.map((e) => [e.code, e]));
+    const recentItems = recent.map((code) => byCode.get(code)).filter(Boolean);
+    return [
+      { key: 'recent', label: 'Recently used', items: recentItems },
+      { key: 'all', label: 'All currencies', items: entries },
+    ].filter((s) => s.items.length > 0);
+  }, [entries, search, recent]);
+
+  const flat = useMemo(
+    () => sections.flatMap((s) => s.items.map((e) => ({ ...e, optionId: `${id}-${s.key}-${e.code}` }))),
+    [sections, id]
+  );
+  const active = open && activeIndex >= 0 ? flat[activeIndex] : undefined;
+
+  // Keep the active option visible while navigating
+  useEffect(() => {
+    if (!active) return;
+    const el = document.getElementById(active.optionId);
+    if (el && typeof el.scrollIntoView === 'function') el.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  const openList = useCallback((index) => {
+    // other comboboxes may have added recent picks meanwhile
+    setRecent(loadRecentCurrencies());
+    setOpen(true);
+    setActiveIndex(index);
+  }, []);
+
+  const close = useCallback(() => {
+    setOpen(false);
+    setActiveIndex(-1);
+    setText('');
+  }, []);
+
+  const pick = useCallback(
+    (entry) => {
+      if (!entry) return;
+      setRecent(pushRecentCurrency(entry.code));
+      onChange(entry.code);
+      close();
+    },
+    [onChange, close]
+  );
+
+  const onInput = useCallback(
+    (e) => {
+      if (freeText) onQueryChange?.(e.target.value);
+      else setText(e.target.value);
+      // list autocomplete: the best match becomes the active option
+      openList(e.target.value.trim() ? 0 : -1);
+    },
+    [freeText, onQueryChange, openList]
+  );
+
+  const move = useCallback(
+    (delta) => {
+      if (!flat.length) return;
+      setActiveIndex((i) => {
+        if (i < 0) return delta > 0 ? 0 : flat.length - 1;
+        const next = i + delta;
+        if (Math.abs(delta) > 1) return Math.min(flat.length - 1, Math.max(0, next));
+        return (next + flat.length) % flat.length;
+      });
+    },
+    [flat.length]
+  );
+
+  const onKeyDown = useCallback(
+    (e) => {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          if (!open) {
+            const selected = flat.findIndex((o) => o.code === value);
+            openList(e.altKey ? -1 : Math.max(0, selected));
+          } else if (!e.altKey) {
+            move(1);
+          }
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          if (e.altKey) close();
+          else if (!open) openList(flat.length - 1);
+          else move(-1);
+          break;
+        case 'PageDown':
+          if (open) {
+            e.preventDefault();
+            move(PAGE_SIZE);
+          }
+          break;
+        case 'PageUp':
+          if (open) {
+            e.preventDefault();
+            move(-PAGE_SIZE);
+          }
+          break;
+        case 'Enter':
+          if (open && active) {
+            e.preventDefault();
+            pick(active);
+          }
+          break;
+        case 'Escape':
+          if (open) {
+            e.preventDefault();
+            close();
+          } else if (freeText && query) {
+            e.preventDefault();
+            onQueryChange?.('');
+          }
+          break;
+        default:
+          break;
+      }
+    },
+    [open, flat, value, openList, move, close, active, pick, freeText, query, onQueryChange]
+  );
+
+  // Closed select-mode inputs show the selected currency
+  const selectedLabel = useMemo(() => options?.find((o) => o.value === value)?.label || value || '', [options, value]);
+  const inputValue = freeText ? query : open ? text : selectedLabel;
+
+  return (
+    <div className={`cb${open ? ' is-open' : ''}`}>
+      <label htmlFor={id} className="sr-only">{label}</label>
+      <input
+        id={id}
+        ref={inputRef}
+        className="cb-input"
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-activedescendant={active ? active.optionId : undefined}
+        autoComplete="off"
+        spellCheck={false}
+        placeholder={open && !freeText && selectedLabel ? selectedLabel : placeholder}
+        value={inputValue}
+        onChange={onInput}
+        onKeyDown={onKeyDown}
+        onFocus={(e) => {
+          if (!freeText) e.target.select();
+        }}
+        onClick={() => {
+          if (!open) openList(-1);
+        }}
+        onBlur={close}
+      />
+      <button
+        type="button"
+        className="cb-toggle"
+        tabIndex={-1}
+        aria-label={`Show ${label} options`}
+        aria-controls={listId}
+        aria-expanded={open}
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={() => {
+          if (open) {
+            close();
+            return;
+          }
+          inputRef.current?.focus();
+          openList(-1);
+        }}
+      >
+        ▾
+      </button>
+      <div id={listId} className="cb-list" role="listbox" aria-label={`${label} options`} hidden={!open}>
+        {open && sections.map((section) => (
+          <div key={section.key} role="group" aria-labelledby={`${listId}-${section.key}`}>
+            <div id={`${listId}-${section.key}`} className="cb-group-label" role="presentation">{section.label}</div>
+            {section.items.map((entry) => {
+              const optionId = `${id}-${section.key}-${entry.code}`;
+              const isActive = active?.optionId === optionId;
+              return (
+                <div
+                  key={optionId}
+                  id={optionId}
+                  role="option"
+                  aria-selected={isActive}
+                  className={`cb-option${isActive ? ' is-active' : ''}${entry.code === value ? ' is-selected' : ''}`}
+                  // keep focus in the input so blur does not close the list before the click
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => pick(entry)}
+                  title={entry.statusNote || undefined}
+                >
+                  <span className="cb-code">{entry.code}</span>
+                  <span className="cb-desc">
+                    {entry.statusNote && <span className="cb-tag">Historic</span>}
+                    {entry.description}
+                  </span>
+                  {entry.symbol && entry.symbol !== entry.code && <span className="cb-sym" aria-hidden="true">{entry.symbol}</span>}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+        {open && flat.length === 0 && <div className="cb-empty muted">No matching currencies</div>}
+      </div>
+      <div className="sr-only" aria-live="polite">
+        {open && search.trim() ? `${flat.length} ${flat.length === 1 ? 'currency' : 'currencies'} found` : ''}
+      </div>
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const cbStyle = document.createElement('style');
+cbStyle.innerHTML = `
+.cb { position: relative; }
+.cb-input {
+  width: 100%;
+  padding: 10px 34px 10px 12px;
+  border-radius: var(--radius-sm);
+  border: 1px solid var(--border);
+  background: color-mix(in srgb, var(--surface), transparent 4%);
+  color: var(--text);
+  box-shadow: var(--shadow-sm);
+  transition: border-color var(--transition), box-shadow var(--transition);
+  font-size: 0.95rem;
+  text-overflow: ellipsis;
+}
+.cb-input:focus {
+  outline: none;
+  box-shadow: 0 0 0 4px var(--ring);
+  border-color: color-mix(in srgb, var(--color-primary), var(--border) 70%);
+}
+.cb-toggle {
+  position: absolute;
+  right: 6px;
+  top: 50%;
+  transform: translateY(-50%);
+  border: 0;
+  background: none;
+  color: var(--text-muted);
+  cursor: pointer;
+  font-size: 0.9rem;
+}
+.cb-list {
+  position: absolute;
+  z-index: 15;
+  left: 0;
+  right: 0;
+  top: calc(100% + 4px);
+  max-height: 280px;
+  overflow: auto;
+  padding: 4px;
+  border: 1px solid var(--border);
+  border-radius: var(--radius-sm);
+  background: var(--surface);
+  box-shadow: var(--shadow);
+}
+.cb-group-label {
+  padding: 6px 8px 2px;
+  font-size: 0.72rem;
+  font-weight: 700;
+  text-transform: uppercase;
+  letter-spacing: 0.04em;
+  color: var(--text-muted);
+}
+.cb-option {
+  display: grid;
+  grid-template-columns: 44px 1fr auto;
+  gap: 8px;
+  align-items: center;
+  padding: 6px 8px;
+  border-radius: 6px;
+  cursor: pointer;
+  font-size: 0.88rem;
+}
+.cb-option.is-active { background: color-mix(in srgb, var(--color-primary), transparent 86%); }
+.cb-option.is-selected .cb-code { color: var(--color-primary); }
+.cb-code { font-weight: 800; }
+.cb-desc { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.cb-sym { color: var(--text-muted); font-weight: 600; }
+.cb-tag {
+  margin-right: 6px;
+  padding: 0 6px;
+  border-radius: 999px;
+  background: color-mix(in srgb, var(--color-amber), transparent 80%);
+  font-size: 0.7rem;
+  font-weight: 700;
+}
+.cb-empty { padding: 8px; font-size: 0.85rem; }
+`;
+document.head.appendChild(cbStyle);
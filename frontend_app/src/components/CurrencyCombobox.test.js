@@ -0,0 +1,70 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import CurrencyCombobox from './CurrencyCombobox';
+import { buildCurrencyOptions } from '../utils/currency';
+
+const SYMBOLS = {
+  EUR: { code: 'EUR', description: 'Euro' },
+  GBP: { code: 'GBP', description: 'British Pound Sterling' },
+  JPY: { code: 'JPY', description: 'Japanese Yen' },
+  USD: { code: 'USD', description: 'United States Dollar' },
+};
+const OPTIONS = buildCurrencyOptions(SYMBOLS);
+
+function setup(props = {}) {
+  const onChange = jest.fn();
+  render(<CurrencyCombobox id="cur" label="Currency" options={OPTIONS} symbols={SYMBOLS} value="USD" onChange={onChange} {...props} />);
+  return { onChange, input: screen.getByRole('combobox', { name: 'Currency' }) };
+}
+
+describe('CurrencyCombobox', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('shows the selected currency while closed', () => {
+    const { input } = setup();
+    expect(input).toHaveValue('USD — United States Dollar');
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  test('typing filters by fuzzy match and Enter picks the best match', () => {
+    const { input, onChange } = setup();
+    fireEvent.change(input, { target: { value: 'japan' } });
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+    const options = screen.getAllByRole('option');
+    expect(options[0]).toHaveTextContent('JPY');
+    expect(input).toHaveAttribute('aria-activedescendant', options[0].id);
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(onChange).toHaveBeenCalledWith('JPY');
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  test('arrow keys move the active option and Escape closes', () => {
+    const { input, onChange } = setup();
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    // opens on the selected currency
+    expect(document.getElementById(input.getAttribute('aria-activedescendant'))).toHaveTextContent('USD');
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(document.getElementById(input.getAttribute('aria-activedescendant'))).toHaveTextContent('EUR');
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('lists recently used currencies first', () => {
+    const { input } = setup();
+    fireEvent.change(input, { target: { value: 'gbp' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    fireEvent.keyDown(input, { key: 'ArrowDown', altKey: true });
+    const recent = screen.getByRole('group', { name: 'Recently used' });
+    expect(recent).toHaveTextContent('GBP');
+  });
+
+  test('free-text mode reports the query and clears it with Escape', () => {
+    const onQueryChange = jest.fn();
+    const { input } = setup({ freeText: true, query: 'yen', onQueryChange, value: undefined });
+    expect(input).toHaveValue('yen');
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(onQueryChange).toHaveBeenCalledWith('');
+  });
+});
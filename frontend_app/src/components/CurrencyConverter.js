@@ -1,48 +1,160 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import useCardBridge from '../hooks/useCardBridge';
+import useConverterLink, { readInitialConverterLink } from '../hooks/useConverterLink';
 import useDailyRates from '../hooks/useDailyRates';
-import { buildCurrencyOptions, convertAmount, defaultBaseCurrency, formatCurrency, parseNumber, loadSelection, persistSelection } from '../utils/currency';
+import useFavorites from '../hooks/useFavorites';
+import useHistoricalRates from '../hooks/useHistoricalRates';
+import useNumberSettings from '../hooks/useNumberSettings';
+import useQuoteSettings from '../hooks/useQuoteSettings';
+import { toIsoDate } from '../utils/date';
+import { pairKey } from '../utils/favorites';
+import ConversionTable from './ConversionTable';
+import CurrencyCombobox from './CurrencyCombobox';
+import FavoriteChips from './FavoriteChips';
+import OfflineBanner from './OfflineBanner';
+import { buildCurrencyOptions, convertAmountDecimal, currencyDecimalOptions, defaultBaseCurrency, formatCurrency, parseNumber, loadSelection, persistSelection } from '../utils/currency';
+import { describeCurrencyStatus } from '../utils/iso4217';
+import { formatDecimalString, parseLocaleDecimal } from '../utils/locale';
+import { applyMarkup, pairMarkup } from '../utils/quotes';
 
 /**
  * PUBLIC_INTERFACE
  * CurrencyConverter
  * A functional converter UI that:
  * - Loads symbols and latest rates via useDailyRates
- * - Provides amount input and From/To currency selects
- * - Debounces conversion to avoid over-render
+ * - Provides amount input and searchable From/To currency comboboxes (CurrencyCombobox); the
+ *   amount is read in the user's number locale (see NumberSettings), e.g. "1.234,56" in de-DE
+ * - Debounces conversion to avoid over-render; results are rounded to the target currency's
+ *   minor unit (JPY 0 decimals, KWD 3) and withdrawn ISO 4217 codes are flagged
  * - Supports Swap action
- * - Persists last selections and amount in localStorage
+ * - Quick-pick chips for starred currencies and pinned pairs (shared with Daily Rates),
+ *   reorderable by drag-and-drop; the current pair can be pinned
+ * - Optional rate date: converts at the historical rate for that day, falling back to the
+ *   previous business day with data and showing the rate date actually used
+ * - "Convert to many" mode rendering a ConversionTable of user-curated target currencies
+ * - Persists last selections and amount in localStorage, and keeps them with the rate date in
+ *   the URL (?amount=100&from=USD&to=EUR&date=…) for shareable links and back/forward; links
+ *   take precedence over the stored selection. "Copy link" copies the current state's link
+ * - Optionally converts at bank rates: the spreads set in Daily Rates (SpreadSettings) mark the
+ *   result down, with the markup and the mid-market amount shown below it
  * - Displays last updated time and loading/error states
+ * - Keeps converting from the last known rates when offline, with an "offline" banner
+ * - Takes amounts sent from the calculator ("→ Converter", with their currency as From when
+ *   known) and sends the converted amount back ("Use in calculator")
  *
  * Props: none
  * Returns: JSX.Element section
  */
 export default function CurrencyConverter() {
   // Load daily rates and symbols; base can be the default
-  const { rates, symbols, base, date, loading, error, lastUpdated, refresh } = useDailyRates({ base: defaultBaseCurrency });
+  const {
+    rates: latestRates, symbols, base: latestBase, date, loading, error, lastUpdated, offline, isStale, isRevalidating, refresh,
+  } = useDailyRates({ base: defaultBaseCurrency });
+
+  // A shared link (?amount=…&from=…&to=…&date=…) wins over the last saved selection
+  const linked = useMemo(() => readInitialConverterLink(), []);
+  const { settings: numberSettings } = useNumberSettings();
+
+  // Optional transaction date; empty means latest rates
+  const [rateDate, setRateDate] = useState(linked?.date ?? '');
+  const historical = useHistoricalRates({ base: defaultBaseCurrency, date: rateDate });
+  const useHistorical = Boolean(rateDate);
+  const rates = useHistorical ? historical.rates : latestRates;
+  const base = useHistorical ? historical.base : latestBase;
+  const today = useMemo(() => toIsoDate(), []);
 
   // Restore last state from localStorage
   const restored = useMemo(() => loadSelection(), []);
-  const [amountInput, setAmountInput] = useState(restored?.amount ?? '');
-  const [from, setFrom] = useState(restored?.from ?? defaultBaseCurrency);
-  const [to, setTo] = useState(restored?.to ?? 'EUR');
+  const [amountInput, setAmountInput] = useState(() => (
+    linked?.amount !== undefined ? formatDecimalString(linked.amount, numberSettings) : restored?.amount ?? ''
+  ));
+  const [from, setFrom] = useState(linked?.from ?? restored?.from ?? defaultBaseCurrency);
+  const [to, setTo] = useState(linked?.to ?? restored?.to ?? 'EUR');
+  const [mode, setMode] = useState('single'); // 'single' | 'many'
+
+  // Amount parsed in the user's number locale
+  const amount = useMemo(() => parseNumber(amountInput, numberSettings), [amountInput, numberSettings]);
+  const amountInvalid = amountInput.trim() !== '' && !Number.isFinite(amount);
 
   // Derived options
   const currencyOptions = useMemo(() => buildCurrencyOptions(symbols), [symbols]);
 
+  // Starred currencies and pinned pairs as quick picks
+  const { codes: favoriteCodes, pairs: pinnedPairs, moveFavorite, isPinned, togglePin, movePin } = useFavorites();
+  const fromChips = useMemo(
+    () => favoriteCodes.map((code) => ({ key: code, label: code, title: symbols?.[code]?.description, active: code === from })),
+    [favoriteCodes, symbols, from]
+  );
+  const toChips = useMemo(
+    () => favoriteCodes.map((code) => ({ key: code, label: code, title: symbols?.[code]?.description, active: code === to })),
+    [favoriteCodes, symbols, to]
+  );
+  const pairChips = useMemo(
+    () => pinnedPairs.map((p) => ({ key: pairKey(p), label: `${p.from} → ${p.to}`, active: p.from === from && p.to === to })),
+    [pinnedPairs, from, to]
+  );
+  const onPickPair = useCallback((key) => {
+    const pair = pinnedPairs.find((p) => pairKey(p) === key);
+    if (!pair) return;
+    setFrom(pair.from);
+    setTo(pair.to);
+    setMode('single');
+  }, [pinnedPairs]);
+  const pinned = isPinned(from, to);
+
+  // Notes for withdrawn currencies (e.g. HRK) still published by some providers
+  const statusNotes = useMemo(
+    () => [...new Set(mode === 'many' ? [from] : [from, to])]
+      .map((code) => ({ code, note: describeCurrencyStatus(code) }))
+      .filter((s) => s.note),
+    [mode, from, to]
+  );
+
+  // Markup for bank-rate conversions, when spreads apply in the converter
+  const { settings: quoteSettings } = useQuoteSettings();
+  const converterSpreads = quoteSettings.spreads.enabled && quoteSettings.spreads.applyInConverter ? quoteSettings.spreads : null;
+  const markup = converterSpreads ? pairMarkup(converterSpreads, from, to) : '0';
+  const bankRate = Number(markup) > 0;
+
   // Computed result (debounced)
   const [result, setResult] = useState('');
+  const [resultValue, setResultValue] = useState('');
+  const [midResult, setMidResult] = useState('');
   const [debouncing, setDebouncing] = useState(false);
   const debounceTimer = useRef(null);
 
   const compute = useCallback(() => {
-    const amt = parseNumber(amountInput);
-    const n = convertAmount(amt, from, to, rates, base);
-    if (!Number.isFinite(n)) {
+    // rounded once, to the minor unit of the target currency (or the display precision),
+    // after the markup when converting at the bank rate
+    const rounding = currencyDecimalOptions(to, numberSettings.precision);
+    const mid = convertAmountDecimal(amount, from, to, rates, base, bankRate ? undefined : rounding);
+    if (mid === undefined) {
       setResult('');
+      setResultValue('');
+      setMidResult('');
       return;
     }
-    setResult(formatCurrency(n, to));
-  }, [amountInput, from, to, rates, base]);
+    const value = bankRate ? applyMarkup(mid, markup, rounding) : mid;
+    setResult(formatCurrency(Number(value), to, numberSettings));
+    setResultValue(value);
+    setMidResult(bankRate ? formatCurrency(Number(mid), to, numberSettings) : '');
+  }, [amount, from, to, rates, base, numberSettings, bankRate, markup]);
+
+  // Bridge to the calculator card
+  const amountRef = useRef(null);
+  const { toConverter, sendToCalculator } = useCardBridge();
+  const handledMessage = useRef(toConverter?.id);
+  useEffect(() => {
+    if (!toConverter || toConverter.id === handledMessage.current) return;
+    handledMessage.current = toConverter.id;
+    setAmountInput(formatDecimalString(toConverter.value, numberSettings));
+    if (toConverter.currency && symbols?.[toConverter.currency]) setFrom(toConverter.currency);
+    if (toConverter.to && symbols?.[toConverter.to]) {
+      setTo(toConverter.to);
+      setMode('single');
+    }
+    amountRef.current?.focus();
+  }, [toConverter, numberSettings, symbols]);
 
   // Debounce changes
   useEffect(() => {
@@ -55,16 +167,41 @@ export default function CurrencyConverter() {
     return () => {
       if (debounceTimer.current) clearTimeout(debounceTimer.current);
     };
-  }, [amountInput, from, to, compute]);
+  }, [amount, from, to, compute]);
 
   // Persist state
   useEffect(() => {
     persistSelection({ amount: amountInput, from, to });
   }, [amountInput, from, to]);
 
+  // Shareable link in the URL; back/forward restore the state of the entry
+  const onNavigate = useCallback((link) => {
+    setAmountInput(link.amount !== undefined ? formatDecimalString(link.amount, numberSettings) : '');
+    if (link.from) setFrom(link.from);
+    if (link.to) setTo(link.to);
+    setRateDate(link.date || '');
+  }, [numberSettings]);
+  const { copyLink } = useConverterLink(
+    { amount: parseLocaleDecimal(amountInput, numberSettings) ?? '', from, to, date: rateDate },
+    onNavigate
+  );
+  const [linkCopied, setLinkCopied] = useState(false);
+  const linkCopiedTimer = useRef(null);
+  useEffect(() => () => {
+    if (linkCopiedTimer.current) clearTimeout(linkCopiedTimer.current);
+  }, []);
+  const onCopyLink = useCallback(async () => {
+    const ok = await copyLink();
+    if (!ok) return;
+    setLinkCopied(true);
+    if (linkCopiedTimer.current) clearTimeout(linkCopiedTimer.current);
+    linkCopiedTimer.current = setTimeout(() => setLinkCopied(false), 1500);
+  }, [copyLink]);
+
   // When symbols/rates load initially, ensure we have valid codes
   useEffect(() => {
     const codes = new Set(Object.keys(symbols || {}));
+    if (!codes.size) return;
     const safeFrom = codes.has(from) ? from : defaultBaseCurrency;
     const safeTo = codes.has(to) ? to : 'EUR';
     if (safeFrom !== from) setFrom(safeFrom);
@@ -79,6 +216,14 @@ export default function CurrencyConverter() {
     });
   }, [to]);
 
+  // Loading/error message while historical rates are pending
+  const historicalStatus = useMemo(() => {
+    if (!useHistorical) return '';
+    if (historical.loading) return `Loading rates for ${rateDate}…`;
+    if (historical.error) return `Unable to load rates for ${rateDate}: ${historical.error.message || 'Unknown error'}`;
+    return '';
+  }, [useHistorical, historical.loading, historical.error, rateDate]);
+
   // Formatting last updated time
   const lastUpdatedLabel = useMemo(() => {
     if (!lastUpdated) return '—';
@@ -93,7 +238,6 @@ export default function CurrencyConverter() {
   // UI classes from theme
   const rowCls = 'conv-row';
   const inputCls = 'conv-input';
-  const selectCls = 'conv-select';
   const resultCls = 'conv-result';
   const muted = 'muted';
 
@@ -114,62 +258,161 @@ export default function CurrencyConverter() {
 
       {!loading && !error && (
         <>
+          <OfflineBanner offline={offline} date={date} lastUpdated={lastUpdated} />
+
+          <div className="conv-mode" role="group" aria-label="Conversion mode">
+            <button className={`btn ${mode === 'single' ? 'btn-primary' : 'btn-ghost'}`} onClick={() => setMode('single')} aria-pressed={mode === 'single'}>
+              Single
+            </button>
+            <button className={`btn ${mode === 'many' ? 'btn-primary' : 'btn-ghost'}`} onClick={() => setMode('many')} aria-pressed={mode === 'many'}>
+              Convert to many
+            </button>
+          </div>
+
           <div className={rowCls}>
             <label htmlFor="amount" className="sr-only">Amount</label>
             <input
               id="amount"
+              ref={amountRef}
               className={inputCls}
               type="text"
               inputMode="decimal"
-              placeholder="Enter amount"
+              placeholder={`Enter amount, e.g. ${formatDecimalString('1234.56', numberSettings)}`}
               value={amountInput}
               onChange={(e) => setAmountInput(e.target.value)}
+              aria-invalid={amountInvalid}
+              aria-describedby={amountInvalid ? 'amount-error' : undefined}
             />
+            {amountInvalid && (
+              <div id="amount-error" className="conv-note conv-error">
+                Not a number in {formatDecimalString('1234.56', numberSettings)} format
+              </div>
+            )}
           </div>
-          <div className={rowCls} style={{ display: 'grid', gridTemplateColumns: '1fr auto 1fr', gap: '10px', alignItems: 'center' }}>
+          <FavoriteChips items={pairChips} onSelect={onPickPair} onMove={movePin} ariaLabel="Pinned pairs" />
+
+          <div className={rowCls} style={{ display: 'grid', gridTemplateColumns: mode === 'many' ? '1fr' : '1fr auto 1fr', gap: '10px', alignItems: 'start' }}>
             <div>
-              <label htmlFor="from" className="sr-only">From currency</label>
-              <select
+              <CurrencyCombobox
                 id="from"
-                className={selectCls}
+                label="From currency"
+                options={currencyOptions}
+                symbols={symbols}
                 value={from}
-                onChange={(e) => setFrom(e.target.value)}
-                aria-label="From currency"
-              >
-                {currencyOptions.map(opt => (
-                  <option key={opt.value} value={opt.value}>{opt.label}</option>
-                ))}
-              </select>
+                onChange={setFrom}
+              />
+              <FavoriteChips items={fromChips} onSelect={setFrom} onMove={moveFavorite} ariaLabel="Favorite currencies for From" />
             </div>
 
-            <button className="btn btn-ghost" onClick={onSwap} aria-label="Swap currencies" title="Swap">
-              ⇄
-            </button>
+            {mode === 'single' && (
+              <>
+                <div className="conv-pair-actions">
+                  <button className="btn btn-ghost" onClick={onSwap} aria-label="Swap currencies" title="Swap">
+                    ⇄
+                  </button>
+                  <button
+                    className="btn btn-ghost"
+                    onClick={() => togglePin(from, to)}
+                    aria-pressed={pinned}
+                    aria-label={pinned ? `Unpin ${from} to ${to}` : `Pin ${from} to ${to}`}
+                    title={pinned ? 'Unpin pair' : 'Pin pair'}
+                  >
+                    {pinned ? '★' : '☆'}
+                  </button>
+                </div>
 
+                <div>
+                  <CurrencyCombobox
+                    id="to"
+                    label="To currency"
+                    options={currencyOptions}
+                    symbols={symbols}
+                    value={to}
+                    onChange={setTo}
+                  />
+                  <FavoriteChips items={toChips} onSelect={setTo} onMove={moveFavorite} ariaLabel="Favorite currencies for To" />
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className={rowCls} style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '10px', alignItems: 'center' }}>
             <div>
-              <label htmlFor="to" className="sr-only">To currency</label>
-              <select
-                id="to"
-                className={selectCls}
-                value={to}
-                onChange={(e) => setTo(e.target.value)}
-                aria-label="To currency"
-              >
-                {currencyOptions.map(opt => (
-                  <option key={opt.value} value={opt.value}>{opt.label}</option>
-                ))}
-              </select>
+              <label htmlFor="rate-date" className="sr-only">Rate date</label>
+              <input
+                id="rate-date"
+                className={inputCls}
+                type="date"
+                max={today}
+                value={rateDate}
+                onChange={(e) => setRateDate(e.target.value)}
+                aria-label="Rate date"
+                title="Convert at the rate of a past date (leave empty for latest)"
+              />
             </div>
+            <button className="btn btn-ghost" onClick={() => setRateDate('')} disabled={!useHistorical} title="Use latest rates">
+              Latest
+            </button>
           </div>
 
-          <div className={resultCls} aria-live="polite" aria-atomic="true">
-            {debouncing ? 'Calculating…' : (result || '—')}
-          </div>
+          {mode === 'many' && !historicalStatus ? (
+            <ConversionTable
+              amount={amount}
+              from={from}
+              rates={rates}
+              base={base}
+              currencyOptions={currencyOptions}
+              symbols={symbols}
+              spreads={converterSpreads}
+            />
+          ) : (
+            <div className={resultCls}>
+              <span aria-live="polite" aria-atomic="true">
+                {historicalStatus || (debouncing ? 'Calculating…' : (result || '—'))}
+              </span>
+              {!historicalStatus && !debouncing && resultValue && (
+                <button
+                  className="btn btn-ghost conv-use"
+                  onClick={() => sendToCalculator(resultValue, to)}
+                  title="Put the converted amount on the calculator"
+                >
+                  Use in calculator
+                </button>
+              )}
+            </div>
+          )}
+
+          {mode === 'single' && !historicalStatus && !debouncing && midResult && (
+            <div className="conv-note" role="note">
+              <span className="badge badge-amber">Bank rate</span> {markup}% markup on {from}/{to} · mid-market {midResult}
+            </div>
+          )}
+
+          {statusNotes.map((s) => (
+            <div key={s.code} className="conv-note" role="note">
+              <span className="badge badge-amber">Historic</span> {s.code}: {s.note}
+            </div>
+          ))}
+
+          {useHistorical && historical.date && !historical.loading && (
+            <div className={muted} style={{ fontSize: '0.85rem' }} role="status">
+              Rate date: <strong>{historical.date}</strong>
+              {historical.date !== historical.requestedDate ? ` (no rates published on ${historical.requestedDate}; using the previous available day)` : ''}
+            </div>
+          )}
 
           <div className={muted} style={{ fontSize: '0.85rem', marginTop: '8px', display: 'flex', gap: '12px', alignItems: 'center' }}>
             <span className="badge badge-neutral">Base: {base}</span>
             <span className="badge badge-blue">Last updated: {lastUpdatedLabel}{date ? ` • ${date}` : ''}</span>
-            <button className="btn btn-ghost" onClick={refresh} title="Refresh rates">Refresh</button>
+            {isRevalidating ? (
+              <span className="badge badge-amber" role="status">Updating…</span>
+            ) : isStale ? (
+              <span className="badge badge-amber" title="Cached rates are older than 24 hours">Outdated</span>
+            ) : null}
+            <button className="btn btn-ghost" onClick={refresh} disabled={isRevalidating} title="Refresh rates">Refresh</button>
+            <button className="btn btn-ghost" onClick={onCopyLink} title="Copy a link to this conversion">
+              <span aria-live="polite">{linkCopied ? '✓ Link copied' : '🔗 Copy link'}</span>
+            </button>
           </div>
         </>
       )}
@@ -185,7 +428,13 @@ cvStyle.innerHTML = `
   gap: 12px;
 }
 .conv-row { display: grid; gap: 8px; }
-.conv-input, .conv-select {
+.conv-mode { display: inline-flex; gap: 6px; }
+.conv-mode .btn { padding: 6px 12px; font-size: 0.85rem; }
+.conv-row .fav-chips { margin-top: 6px; }
+.conv-pair-actions { display: grid; gap: 4px; }
+.conv-note { font-size: 0.85rem; color: var(--text-muted); }
+.conv-error { color: var(--color-error); }
+.conv-input {
   width: 100%;
   padding: 10px 12px;
   border-radius: var(--radius-sm);
@@ -196,7 +445,7 @@ cvStyle.innerHTML = `
   transition: border-color var(--transition), box-shadow var(--transition);
   font-size: 0.95rem;
 }
-.conv-input:focus, .conv-select:focus {
+.conv-input:focus {
   outline: none;
   box-shadow: 0 0 0 4px var(--ring);
   border-color: color-mix(in srgb, var(--color-primary), var(--border) 70%);
@@ -215,7 +464,10 @@ cvStyle.innerHTML = `
   min-height: 48px;
   display: flex;
   align-items: center;
+  justify-content: space-between;
+  gap: 8px;
 }
+.conv-use { padding: 4px 10px; font-size: 0.8rem; font-weight: 600; }
 .sr-only {
   position: absolute;
   width: 1px; height: 1px;
@@ -1,31 +1,123 @@
-import React, { useCallback, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import useDailyRates from '../hooks/useDailyRates';
-import { defaultBaseCurrency, buildCurrencyOptions, formatNumberCompact } from '../utils/currency';
+import useDragReorder from '../hooks/useDragReorder';
+import useFavorites from '../hooks/useFavorites';
+import useNumberSettings from '../hooks/useNumberSettings';
+import usePreviousRates from '../hooks/usePreviousRates';
+import useQuoteSettings from '../hooks/useQuoteSettings';
+import useTimeSeries from '../hooks/useTimeSeries';
+import { getRateProviders } from '../services/api';
+import {
+  defaultBaseCurrency, buildCurrencyOptions, loadDisplayBase, persistDisplayBase,
+} from '../utils/currency';
+import { RANGE_DAYS } from '../utils/date';
+import { buildSearchEntries, searchCurrencies } from '../utils/currencySearch';
+import { downloadTextFile } from '../utils/download';
+import { describeCurrencyStatus } from '../utils/iso4217';
+import { pairKey } from '../utils/favorites';
+import { formatWithSettings } from '../utils/locale';
+import { changeDirection, rateChange } from '../utils/rateChange';
+import {
+  RATE_GRID_COLUMNS, RATE_GRID_SORTS, defaultSortDir, loadRateGridSettings, persistRateGridSettings, sortRateRows,
+} from '../utils/rateGrid';
+import { pairMarkup, quoteRate, quoteSides } from '../utils/quotes';
+import { crossRate, deriveRateTable, deriveSeries, formatRelativeError } from '../utils/rateMatrix';
+import { buildRateSheet, rateSheetFileName, rateSheetToCsv, rateSheetToJson } from '../utils/rateSheet';
+import ColumnPicker from './ColumnPicker';
+import CurrencyCombobox from './CurrencyCombobox';
+import OfflineBanner from './OfflineBanner';
 import RateBadge from './RateBadge';
+import RateGrid from './RateGrid';
+import RateSheet from './RateSheet';
+import Sparkline from './Sparkline';
+import SpreadSettings from './SpreadSettings';
+
+// Rows per page of sparkline history; two pages around the scroll position are loaded
+const HISTORY_PAGE = 30;
 
 /**
  * PUBLIC_INTERFACE
  * DailyRates
- * Displays a searchable/filterable list of top currency rates relative to the current base.
+ * Displays a searchable, sortable grid of every currency's rate relative to the current base.
  * Integrates with useDailyRates for data, handles loading and error states, and provides manual refresh.
  *
  * Features:
- * - Search by currency code or description
- * - Filter to show Top N currencies by market prevalence (static list) or alphabetical
+ * - Fuzzy search by currency code, description, country or symbol (CurrencyCombobox)
+ * - Withdrawn ISO 4217 codes still published by the provider are tagged "Historic"
+ * - Virtualized grid of all currencies (RateGrid) with sticky headers, sortable columns (code,
+ *   name, rate, inverse, change) plus "top currencies" and "biggest movers" orders, keyboard row
+ *   navigation (Space stars the active row) and a column picker; visible columns and the sort
+ *   order are saved (utils/rateGrid)
  * - Manual refresh button with last updated timestamp badge
+ * - Day-over-day change (absolute and %) against the previous day's rates, retained from the
+ *   last cached payload or fetched
+ * - Per-row sparkline of the rate history with 7D/30D/1Y range toggles, loaded for the rows
+ *   around the scroll position
+ * - Base currency selector: other bases are cross rates derived from the one fetched table
+ *   (utils/rateMatrix), so switching is instant; the derivation path and precision bound are shown
+ * - Starred currencies float to the top and pinned pairs are listed above the rates; both are
+ *   shared with the converter and reordered by drag-and-drop (or Alt+arrow keys)
  * - Accessible semantics with aria-live updates for loading and error
+ * - Offline banner when showing the last known rates
+ * - Direct (1 BASE = x CODE) or inverse (1 CODE = x BASE) quotes, and optional bid/mid/ask
+ *   columns from per-currency markups (SpreadSettings, shared with the converter)
+ * - Export of the rows listed (search, sort and base applied) as CSV or JSON, and a
+ *   printable one-page rate sheet stamped with the rate date, base and source (RateSheet)
  *
  * Props: none
  * Returns: JSX.Element
  */
 export default function DailyRates() {
   // Load daily rates and symbols
-  const { rates, symbols, base, date, loading, error, lastUpdated, refresh } = useDailyRates({ base: defaultBaseCurrency });
+  const {
+    rates, symbols, base, date, loading, error, lastUpdated, provider, previous, offline, isStale, isRevalidating, refresh,
+  } = useDailyRates({ base: defaultBaseCurrency });
 
   // UI state
   const [query, setQuery] = useState('');
-  const [sortBy, setSortBy] = useState('alpha'); // 'alpha' | 'top'
-  const [limit, setLimit] = useState(20);
+  const [grid, setGrid] = useState(() => loadRateGridSettings());
+  const [range, setRange] = useState('30D'); // '7D' | '30D' | '1Y'
+  const [displayBase, setDisplayBase] = useState(() => loadDisplayBase() || defaultBaseCurrency);
+  const { settings: numberSettings } = useNumberSettings();
+  const { settings: quoteSettings, setQuote } = useQuoteSettings();
+  const inverse = quoteSettings.quote === 'inverse';
+  const { spreads } = quoteSettings;
+
+  // Re-quote the fetched table against the chosen base; fall back to the fetched base
+  // while loading or when the chosen currency is not in the table
+  const table = useMemo(() => {
+    const source = { base, date, rates };
+    return deriveRateTable(source, displayBase) || deriveRateTable(source, base);
+  }, [base, date, rates, displayBase]);
+  const shownBase = table?.base || base;
+
+  // The previous day's rates, re-quoted against the same base for day-over-day changes
+  const previousRates = usePreviousRates({ base, date, retained: previous });
+  const previousTable = useMemo(
+    () => deriveRateTable({ base: previousRates.base, date: previousRates.date, rates: previousRates.rates }, shownBase),
+    [previousRates, shownBase]
+  );
+
+  // Column visibility and sort order survive reloads
+  useEffect(() => {
+    persistRateGridSettings(grid);
+  }, [grid]);
+
+  const onSort = useCallback((by) => {
+    setGrid((g) => {
+      const dir = g.sort.by === by ? (g.sort.dir === 'asc' ? 'desc' : 'asc') : defaultSortDir(by);
+      return { ...g, sort: { by, dir } };
+    });
+  }, []);
+
+  const onToggleColumn = useCallback((key) => {
+    setGrid((g) => ({ ...g, hidden: g.hidden.includes(key) ? g.hidden.filter((k) => k !== key) : [...g.hidden, key] }));
+  }, []);
+
+  const onBaseChange = useCallback((code) => {
+    setDisplayBase(code);
+    persistDisplayBase(code);
+  }, []);
 
   // Build options and quick-access symbol map
   const options = useMemo(() => buildCurrencyOptions(symbols), [symbols]);
@@ -39,51 +131,100 @@ export default function DailyRates() {
     []
   );
 
+  // Currencies that can serve as base: anything with a rate in the fetched table
+  const baseOptions = useMemo(
+    () => Object.keys(table?.rates || {}).sort().map((code) => ({ value: code, label: code })),
+    [table]
+  );
+
   // Derived rows from rates+symbols, excluding base
   const rows = useMemo(() => {
     const out = [];
-    for (const code of Object.keys(rates || {})) {
-      if (code === base) continue;
-      const value = rates[code];
+    const shownRates = table?.rates || {};
+    for (const code of Object.keys(shownRates)) {
+      if (code === shownBase) continue;
+      const value = shownRates[code];
       if (typeof value !== 'number' || !Number.isFinite(value)) continue;
       const sym = symbols?.[code] || {};
       out.push({
         code,
         description: sym.description || '',
+        statusNote: describeCurrencyStatus(code),
         rate: value,
+        path: table.paths[code],
+        relativeError: table.relativeErrors[code],
+        change: rateChange(quoteRate(value, quoteSettings.quote), quoteRate(previousTable?.rates[code], quoteSettings.quote)),
       });
     }
     return out;
-  }, [rates, symbols, base]);
+  }, [table, symbols, shownBase, previousTable, quoteSettings.quote]);
 
-  // Filter by query
+  // Filter by query with the same fuzzy matching as the search suggestions
+  const searchEntries = useMemo(() => buildSearchEntries(options, symbols), [options, symbols]);
   const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    if (!q) return rows;
-    return rows.filter((r) => {
-      return (
-        r.code.toLowerCase().includes(q) ||
-        (r.description && r.description.toLowerCase().includes(q))
-      );
-    });
-  }, [rows, query]);
-
-  // Sort logic
-  const sorted = useMemo(() => {
-    if (sortBy === 'top') {
-      // First topCodes (by the order in topCodes), then alphabetically
-      const topSet = new Set(topCodes);
-      const top = filtered.filter((r) => topSet.has(r.code));
-      const rest = filtered.filter((r) => !topSet.has(r.code));
-      top.sort((a, b) => topCodes.indexOf(a.code) - topCodes.indexOf(b.code));
-      rest.sort((a, b) => a.code.localeCompare(b.code));
-      return [...top, ...rest];
-    }
-    // alpha
-    return [...filtered].sort((a, b) => a.code.localeCompare(b.code));
-  }, [filtered, sortBy, topCodes]);
+    if (!query.trim()) return rows;
+    const matches = new Set(searchCurrencies(searchEntries, query).map((e) => e.code));
+    return rows.filter((r) => matches.has(r.code));
+  }, [rows, query, searchEntries]);
+
+  // Sort logic (column sorts, top currencies first, biggest movers)
+  const sorted = useMemo(() => sortRateRows(filtered, grid.sort, { topCodes }), [filtered, grid.sort, topCodes]);
+
+  // Starred currencies first, in the user's order
+  const { codes: favoriteCodes, pairs: pinnedPairs, toggleFavorite, moveFavorite, isPinned, togglePin, movePin } = useFavorites();
+  const favoriteIndex = useMemo(() => new Map(favoriteCodes.map((code, i) => [code, i])), [favoriteCodes]);
+  const ordered = useMemo(() => {
+    const starred = sorted.filter((r) => favoriteIndex.has(r.code));
+    starred.sort((a, b) => favoriteIndex.get(a.code) - favoriteIndex.get(b.code));
+    return [...starred, ...sorted.filter((r) => !favoriteIndex.has(r.code))];
+  }, [sorted, favoriteIndex]);
+  const favoriteDrag = useDragReorder(moveFavorite);
+  const pinDrag = useDragReorder(movePin);
+
+  // Pinned pairs priced from the fetched table
+  const pinnedRows = useMemo(
+    () => pinnedPairs.map((pair) => ({ ...pair, key: pairKey(pair), rate: crossRate({ base, rates }, pair.from, pair.to)?.rate })),
+    [pinnedPairs, base, rates]
+  );
+
+  // Columns shown: the saved choice, with bid/mid/ask only while spreads are on
+  const columns = useMemo(
+    () => RATE_GRID_COLUMNS
+      .filter((c) => !grid.hidden.includes(c.key) && (c.key !== 'spread' || spreads.enabled))
+      .map((c) => {
+        if (c.key === 'rate') return { ...c, title: `Units of each currency per 1 ${shownBase}` };
+        if (c.key === 'inverse') return { ...c, title: `${shownBase} per unit of each currency` };
+        if (c.key === 'change') return { ...c, title: `Change of the ${inverse ? 'inverse' : 'direct'} quote since the previous day` };
+        return c;
+      }),
+    [grid.hidden, spreads.enabled, shownBase, inverse]
+  );
+  const hideableColumns = useMemo(
+    () => RATE_GRID_COLUMNS.filter((c) => c.hideable && (c.key !== 'spread' || spreads.enabled)),
+    [spreads.enabled]
+  );
+  const showHistory = columns.some((c) => c.key === 'history');
 
-  const limited = useMemo(() => sorted.slice(0, Math.max(1, Number(limit) || 20)), [sorted, limit]);
+  // History for the rows around the scroll position, fetched a page at a time against the
+  // source base (plus the chosen base's own history when derived) and re-quoted locally like
+  // the latest rates; the page only changes every HISTORY_PAGE rows, so scrolling does not
+  // refetch on every row
+  const [historyPage, setHistoryPage] = useState(0);
+  const onVisibleRange = useCallback((start) => setHistoryPage(Math.floor(start / HISTORY_PAGE)), []);
+  const derived = !!table?.derived;
+  const historyCodes = useMemo(() => {
+    if (!showHistory) return [];
+    const codes = ordered
+      .slice(historyPage * HISTORY_PAGE, (historyPage + 2) * HISTORY_PAGE)
+      .map((r) => r.code)
+      .filter((c) => c !== base);
+    return derived ? [...codes, shownBase] : codes;
+  }, [showHistory, ordered, historyPage, base, derived, shownBase]);
+  const { series: sourceSeries, loading: seriesLoading, error: seriesError } = useTimeSeries({ base, range, symbols: historyCodes });
+  const series = useMemo(
+    () => (derived ? deriveSeries(sourceSeries, base, shownBase) : sourceSeries),
+    [derived, sourceSeries, base, shownBase]
+  );
 
   const lastUpdatedLabel = useMemo(() => {
     if (!lastUpdated) return '—';
@@ -94,66 +235,246 @@ export default function DailyRates() {
     }
   }, [lastUpdated]);
 
+  // Human readable name of the provider that served the rates
+  const sourceLabel = useMemo(() => {
+    if (!provider) return '';
+    return getRateProviders().find((p) => p.id === provider)?.label || provider;
+  }, [provider]);
+
   const onRefresh = useCallback(() => {
     refresh();
   }, [refresh]);
 
+  // Exports of the current view, stamped when taken
+  const makeSheet = useCallback(
+    () => buildRateSheet(ordered, {
+      base: shownBase,
+      date,
+      source: sourceLabel,
+      derivedFrom: derived ? base : null,
+      filter: { query: query.trim(), sortBy: grid.sort.by, sortDir: grid.sort.dir },
+    }),
+    [ordered, shownBase, date, sourceLabel, derived, base, query, grid.sort]
+  );
+
+  const onExport = useCallback((format) => {
+    const sheet = makeSheet();
+    if (format === 'json') downloadTextFile(rateSheetFileName(sheet, 'json'), rateSheetToJson(sheet), 'application/json');
+    else downloadTextFile(rateSheetFileName(sheet, 'csv'), rateSheetToCsv(sheet), 'text/csv');
+  }, [makeSheet]);
+
+  // Printing renders the sheet, prints only it, and removes it once the dialog closes
+  const [printSheet, setPrintSheet] = useState(null);
+  useEffect(() => {
+    if (!printSheet) return undefined;
+    const done = () => setPrintSheet(null);
+    document.body.classList.add('print-rate-sheet');
+    window.addEventListener('afterprint', done);
+    window.print();
+    return () => {
+      window.removeEventListener('afterprint', done);
+      document.body.classList.remove('print-rate-sheet');
+    };
+  }, [printSheet]);
+
+  const formatRate = useCallback(
+    (n) => (Number.isFinite(n) ? formatWithSettings(n, numberSettings, { maximumSignificantDigits: 6 }) : '—'),
+    [numberSettings]
+  );
+
+  // One cell of the rates grid
+  const renderCell = (key, item) => {
+    if (key === 'code') {
+      const starred = favoriteIndex.has(item.code);
+      return (
+        <span className="dr-code">
+          <button
+            className="dr-star"
+            onClick={() => toggleFavorite(item.code)}
+            aria-pressed={starred}
+            aria-label={starred ? `Unstar ${item.code}` : `Star ${item.code}`}
+            title={starred ? 'Unstar (drag starred rows to reorder)' : 'Star'}
+          >
+            {starred ? '★' : '☆'}
+          </button>
+          {item.code}
+          {item.statusNote && <span className="badge badge-amber dr-tag" title={item.statusNote}>Historic</span>}
+        </span>
+      );
+    }
+    if (key === 'name') return <span className="dr-desc muted" title={item.description}>{item.description || '—'}</span>;
+    if (key === 'rate') return <span title={`1 ${shownBase} = ${item.rate} ${item.code}`}>{formatRate(item.rate)}</span>;
+    if (key === 'inverse') {
+      const value = quoteRate(item.rate, 'inverse');
+      return <span title={`1 ${item.code} = ${value} ${shownBase}`}>{formatRate(value)}</span>;
+    }
+    if (key === 'spread') {
+      return (
+        <QuoteSides
+          rate={quoteRate(item.rate, quoteSettings.quote)}
+          markup={pairMarkup(spreads, shownBase, item.code)}
+          format={formatRate}
+        />
+      );
+    }
+    if (key === 'change') return <RateChange change={item.change} previousDate={previousTable?.date} settings={numberSettings} />;
+    if (key === 'history') {
+      return (
+        <span className={`dr-spark${seriesLoading ? ' is-loading' : ''}`}>
+          <Sparkline points={series[item.code]} label={`${shownBase}/${item.code} ${range}`} />
+        </span>
+      );
+    }
+    const pinned = isPinned(shownBase, item.code);
+    return (
+      <button
+        className="btn btn-ghost dr-icon"
+        onClick={() => togglePin(shownBase, item.code)}
+        aria-pressed={pinned}
+        aria-label={pinned ? `Unpin ${shownBase}/${item.code}` : `Pin ${shownBase}/${item.code}`}
+        title={pinned ? 'Unpin pair' : 'Pin pair'}
+      >
+        {pinned ? '📌' : '📍'}
+      </button>
+    );
+  };
+
+  // Starred rows are reorderable; derived rates explain their path
+  const getRowProps = (item) => {
+    const favIndex = favoriteIndex.get(item.code);
+    const starred = favIndex !== undefined;
+    return {
+      ...(starred ? favoriteDrag.getItemProps(favIndex) : {}),
+      className: `${starred ? 'is-favorite' : ''}${starred && favoriteDrag.overIndex === favIndex && favoriteDrag.dragIndex !== favIndex ? ' is-over' : ''}`,
+      title: derived ? `${item.path.join(' → ')} • ${formatRelativeError(item.relativeError)}` : undefined,
+    };
+  };
+
   return (
     <section className="daily-rates">
       {/* Controls */}
       <div className="dr-controls">
         <div className="dr-row">
           <div className="dr-group">
-            <label htmlFor="dr-search" className="sr-only">Search currencies</label>
-            <input
+            <CurrencyCombobox
               id="dr-search"
-              className="dr-input"
-              type="text"
-              placeholder="Search (e.g., USD, Euro)…"
-              value={query}
-              onChange={(e) => setQuery(e.target.value)}
-              aria-label="Search currencies"
+              label="Search currencies"
+              options={options}
+              symbols={symbols}
+              onChange={setQuery}
+              freeText
+              query={query}
+              onQueryChange={setQuery}
+              placeholder="Search (e.g., USD, yen, Japan, ¥)…"
             />
           </div>
           <div className="dr-group">
-            <label htmlFor="dr-sort" className="sr-only">Sort by</label>
+            <label htmlFor="dr-base" className="sr-only">Base currency</label>
             <select
-              id="dr-sort"
+              id="dr-base"
               className="dr-select"
-              value={sortBy}
-              onChange={(e) => setSortBy(e.target.value)}
-              aria-label="Sort by"
+              value={shownBase}
+              onChange={(e) => onBaseChange(e.target.value)}
+              aria-label="Base currency"
+              disabled={baseOptions.length === 0}
             >
-              <option value="alpha">Alphabetical</option>
-              <option value="top">Top currencies first</option>
+              {baseOptions.length === 0 && <option value={shownBase}>{shownBase}</option>}
+              {baseOptions.map((opt) => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
             </select>
           </div>
           <div className="dr-group">
-            <label htmlFor="dr-limit" className="sr-only">Show limit</label>
+            <label htmlFor="dr-sort" className="sr-only">Sort by</label>
             <select
-              id="dr-limit"
+              id="dr-sort"
               className="dr-select"
-              value={String(limit)}
-              onChange={(e) => setLimit(Number(e.target.value))}
-              aria-label="Show limit"
+              value={grid.sort.by}
+              onChange={(e) => setGrid((g) => ({ ...g, sort: { by: e.target.value, dir: defaultSortDir(e.target.value) } }))}
+              aria-label="Sort by"
             >
-              <option value="10">Top 10</option>
-              <option value="20">Top 20</option>
-              <option value="50">Top 50</option>
-              <option value="100">Top 100</option>
+              {RATE_GRID_SORTS.map((opt) => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
             </select>
           </div>
 
+          <div className="dr-range" role="group" aria-label="History range">
+            {Object.keys(RANGE_DAYS).map((key) => (
+              <button
+                key={key}
+                className={`btn ${range === key ? 'btn-primary' : 'btn-ghost'}`}
+                onClick={() => setRange(key)}
+                aria-pressed={range === key}
+                title={`Show ${key} history`}
+              >
+                {key}
+              </button>
+            ))}
+          </div>
+
           <div className="dr-float">
-            <span className="badge badge-neutral" title={`Base currency: ${base}`}>Base: {base}</span>
+            <span className="badge badge-neutral" title={`Base currency: ${shownBase}`}>Base: {shownBase}</span>
+            {derived && (
+              <span
+                className="badge badge-amber"
+                title={`Cross rates derived from the ${base} table; worst-case rounding error ${formatRelativeError(table.maxRelativeError)}`}
+              >
+                Cross via {base}
+              </span>
+            )}
             <span className="badge badge-blue" title="Last updated timestamp">Updated: {lastUpdatedLabel}{date ? ` • ${date}` : ''}</span>
+            {sourceLabel && <span className="badge badge-neutral" title="Rate provider">Source: {sourceLabel}</span>}
+            {isRevalidating ? (
+              <span className="badge badge-amber" role="status">Updating…</span>
+            ) : isStale ? (
+              <span className="badge badge-amber" title="Cached rates are older than 24 hours">Outdated</span>
+            ) : null}
             <button className="btn btn-ghost" onClick={onRefresh} title="Refresh latest rates" aria-label="Refresh latest rates">
               Refresh
             </button>
           </div>
         </div>
+
+        <div className="dr-options">
+          <div className="dr-range" role="group" aria-label="Quote direction">
+            <button
+              className={`btn ${inverse ? 'btn-ghost' : 'btn-primary'}`}
+              onClick={() => setQuote('direct')}
+              aria-pressed={!inverse}
+              title={`Direct quotes: units of each currency per 1 ${shownBase}`}
+            >
+              1 {shownBase} = x
+            </button>
+            <button
+              className={`btn ${inverse ? 'btn-primary' : 'btn-ghost'}`}
+              onClick={() => setQuote('inverse')}
+              aria-pressed={inverse}
+              title={`Inverse quotes: ${shownBase} per unit of each currency`}
+            >
+              1 x = {shownBase}
+            </button>
+          </div>
+          <SpreadSettings codes={baseOptions.map((opt) => opt.value)} />
+          <ColumnPicker columns={hideableColumns} hidden={grid.hidden} onToggle={onToggleColumn} />
+
+          <div className="dr-export" role="group" aria-label="Export rates">
+            <span className="muted">Export {ordered.length} listed {ordered.length === 1 ? 'rate' : 'rates'}:</span>
+            <button className="btn btn-ghost" onClick={() => onExport('csv')} disabled={loading || !ordered.length} title="Download the rates listed as CSV">
+              CSV
+            </button>
+            <button className="btn btn-ghost" onClick={() => onExport('json')} disabled={loading || !ordered.length} title="Download the rates listed as JSON">
+              JSON
+            </button>
+            <button className="btn btn-ghost" onClick={() => setPrintSheet(makeSheet())} disabled={loading || !ordered.length} title="Print a one-page rate sheet (or save it as PDF)">
+              🖨 Print sheet
+            </button>
+          </div>
+        </div>
       </div>
 
+      {printSheet && <RateSheet sheet={printSheet} />}
+
       {/* Loading/Error/Content */}
       {loading && (
         <div className="placeholder" role="status" aria-live="polite">
@@ -170,24 +491,60 @@ export default function DailyRates() {
 
       {!loading && !error && (
         <>
-          {limited.length === 0 ? (
+          <OfflineBanner offline={offline} date={date} lastUpdated={lastUpdated} />
+          {seriesError && !offline && (
+            <p className="muted dr-note" role="status">History unavailable: {seriesError.message || 'Unknown error'}</p>
+          )}
+          {previousRates.error && !offline && (
+            <p className="muted dr-note" role="status">
+              Daily change unavailable: {previousRates.error.message.replace(/^\[\w+\]\s*/, '') || 'Unknown error'}
+            </p>
+          )}
+          {pinnedRows.length > 0 && (
+            <ul className="dr-pins" aria-label="Pinned pairs">
+              {pinnedRows.map((pair, i) => (
+                <li
+                  key={pair.key}
+                  className={`dr-pin${pinDrag.overIndex === i && pinDrag.dragIndex !== i ? ' is-over' : ''}`}
+                  {...pinDrag.getItemProps(i)}
+                  title="Drag or Alt+arrows to reorder"
+                >
+                  <RateBadge
+                    code={pair.to}
+                    base={pair.from}
+                    label={inverse ? `${pair.to}/${pair.from}` : `${pair.from}/${pair.to}`}
+                    rate={pair.rate}
+                    inverse={inverse}
+                  />
+                  <button
+                    className="btn btn-ghost dr-icon"
+                    onClick={() => togglePin(pair.from, pair.to)}
+                    aria-label={`Unpin ${pair.from}/${pair.to}`}
+                    title="Unpin"
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {ordered.length === 0 ? (
             <div className="placeholder" role="status" aria-live="polite">
               <p>No results for your current filter.</p>
             </div>
           ) : (
-            <ul className="dr-list" role="list">
-              {limited.map((item) => (
-                <li key={item.code} className="dr-item">
-                  <div className="dr-left">
-                    <div className="dr-code">{item.code}</div>
-                    <div className="dr-desc muted">{item.description || '—'}</div>
-                  </div>
-                  <div className="dr-right">
-                    <RateBadge code={item.code} rate={item.rate} />
-                  </div>
-                </li>
-              ))}
-            </ul>
+            <RateGrid
+              id="dr-grid"
+              label={`Exchange rates against ${shownBase}`}
+              columns={columns}
+              rows={ordered}
+              sort={grid.sort}
+              onSort={onSort}
+              renderCell={renderCell}
+              getRowProps={getRowProps}
+              onRowAction={(item) => toggleFavorite(item.code)}
+              onVisibleRange={onVisibleRange}
+            />
           )}
         </>
       )}
@@ -195,12 +552,46 @@ export default function DailyRates() {
   );
 }
 
+/**
+ * Day-over-day change of one row: arrow, absolute change and percentage, colored by direction.
+ */
+function RateChange({ change, previousDate, settings }) {
+  const direction = changeDirection(change);
+  if (!direction) return <span className="dr-change muted" title="No rate for the previous day">—</span>;
+  const absolute = formatWithSettings(change.change, settings, { maximumSignificantDigits: 3, signDisplay: 'exceptZero' });
+  const percent = formatWithSettings(change.percent / 100, settings, {
+    style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2, signDisplay: 'exceptZero',
+  });
+  const arrow = direction === 'up' ? '▲' : direction === 'down' ? '▼' : '▬';
+  return (
+    <span className={`dr-change is-${direction}`} title={`Change since ${previousDate}`}>
+      <span aria-hidden="true">{arrow}</span> {absolute} <span className="dr-change-pct">({percent})</span>
+    </span>
+  );
+}
+
+/**
+ * Bid, mid and ask of one row, the markup in the tooltip.
+ */
+function QuoteSides({ rate, markup, format }) {
+  const sides = quoteSides(rate, markup);
+  return (
+    <dl className="dr-sides" title={`${markup}% markup per side`}>
+      <div><dt>Bid</dt><dd>{format(sides.bid)}</dd></div>
+      <div className="is-mid"><dt>Mid</dt><dd>{format(sides.mid)}</dd></div>
+      <div><dt>Ask</dt><dd>{format(sides.ask)}</dd></div>
+    </dl>
+  );
+}
+
 // Component-scoped styles leveraging theme tokens
 const drStyle = document.createElement('style');
 drStyle.innerHTML = `
 .daily-rates { display: grid; gap: 12px; }
 .dr-controls { display: grid; gap: 10px; }
-.dr-row { display: grid; grid-template-columns: 1fr 160px 140px auto; gap: 10px; align-items: center; }
+.dr-row { display: grid; grid-template-columns: 1fr 100px 190px auto auto; gap: 10px; align-items: center; }
+.dr-range { display: inline-flex; gap: 4px; }
+.dr-range .btn { padding: 6px 10px; font-size: 0.8rem; }
 .dr-group { display: grid; gap: 6px; }
 .dr-input, .dr-select {
   width: 100%;
@@ -215,28 +606,41 @@ drStyle.innerHTML = `
 }
 .dr-input:focus, .dr-select:focus { outline: none; box-shadow: 0 0 0 4px var(--ring); border-color: color-mix(in srgb, var(--color-primary), var(--border) 70%); }
 .dr-float { display: flex; align-items: center; gap: 10px; justify-content: flex-end; }
+.dr-options { display: flex; flex-wrap: wrap; align-items: center; gap: 10px; }
+.dr-export { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; margin-left: auto; font-size: 0.85rem; }
+.dr-export .btn { padding: 4px 10px; font-size: 0.8rem; }
 
-.dr-list {
-  list-style: none;
-  padding: 0; margin: 0;
-  display: grid; gap: 8px;
-}
-.dr-item {
-  display: grid;
-  grid-template-columns: 1fr auto;
-  align-items: center;
-  padding: 10px 12px;
-  border: 1px solid var(--border);
-  border-radius: var(--radius-sm);
-  background:
-    radial-gradient(140px 70px at 100% -20%, rgba(37,99,235,0.06), transparent 60%),
-    color-mix(in srgb, var(--surface), transparent 2%);
-  box-shadow: var(--shadow-sm);
-}
-.dr-left { display: grid; gap: 2px; }
 .dr-code { font-weight: 800; letter-spacing: 0.02em; }
 .dr-desc { font-size: 0.85rem; }
-.dr-right { display: flex; align-items: center; gap: 8px; }
+.dr-tag { margin-left: 6px; padding: 1px 6px; font-size: 0.7rem; vertical-align: middle; }
+.dr-sides { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; margin: 0; }
+.dr-sides dt { font-size: 0.7rem; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.04em; }
+.dr-sides dd { margin: 0; font-size: 0.85rem; font-weight: 600; }
+.dr-sides .is-mid dd { font-weight: 800; }
+.dr-change { font-size: 0.8rem; font-weight: 600; }
+.dr-change.is-up { color: var(--color-primary); }
+.dr-change.is-down { color: var(--color-error); }
+.dr-change.is-flat { color: var(--text-muted); }
+.dr-change-pct { font-weight: 700; }
+.dr-spark { display: inline-block; transition: opacity var(--transition); }
+.dr-spark.is-loading { opacity: 0.4; }
+.dr-note { margin: 0; font-size: 0.85rem; }
+.rg-row.is-favorite { background: color-mix(in srgb, var(--color-amber), transparent 94%); cursor: grab; }
+.rg-row.is-over, .dr-pin.is-over { box-shadow: 0 -3px 0 var(--color-primary); }
+.dr-star {
+  margin-right: 6px;
+  padding: 0;
+  border: 0;
+  background: none;
+  color: var(--color-amber);
+  font-size: 1rem;
+  line-height: 1;
+  cursor: pointer;
+}
+.dr-star:focus { outline: none; box-shadow: 0 0 0 3px var(--ring); border-radius: 4px; }
+.dr-icon { padding: 2px 6px; font-size: 0.8rem; }
+.dr-pins { list-style: none; margin: 0; padding: 0; display: flex; flex-wrap: wrap; gap: 8px; }
+.dr-pin { display: inline-flex; align-items: center; gap: 2px; cursor: grab; border-radius: 999px; }
 
 @media (max-width: 940px) {
   .dr-row { grid-template-columns: 1fr; }
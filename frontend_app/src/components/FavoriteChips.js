@@ -0,0 +1,69 @@
+import React from 'react';
+import useDragReorder from '../hooks/useDragReorder';
+
+/**
+ * PUBLIC_INTERFACE
+ * FavoriteChips
+ * Row of quick-pick chips (favorite currencies or pinned pairs) that can be reordered by
+ * drag-and-drop or Alt+Arrow keys. Renders nothing when there are no items.
+ *
+ * Props:
+ * - items: { key: string, label: string, title?: string, active?: boolean }[]
+ * - onSelect: (key: string) => void - chip clicked
+ * - onMove: (fromIndex: number, toIndex: number) => void - chip reordered
+ * - ariaLabel: string - accessible name of the chip list
+ */
+export default function FavoriteChips({ items, onSelect, onMove, ariaLabel }) {
+  const { dragIndex, overIndex, getItemProps } = useDragReorder(onMove);
+
+  if (!items || items.length === 0) return null;
+
+  return (
+    <ul className="fav-chips" aria-label={ariaLabel}>
+      {items.map((item, i) => (
+        <li
+          key={item.key}
+          className={`fav-chip-item${dragIndex === i ? ' is-dragging' : ''}${overIndex === i && dragIndex !== i ? ' is-over' : ''}`}
+          {...getItemProps(i)}
+        >
+          <button
+            type="button"
+            className={`fav-chip${item.active ? ' is-active' : ''}`}
+            onClick={() => onSelect(item.key)}
+            aria-pressed={!!item.active}
+            title={item.title ? `${item.title} (drag or Alt+arrows to reorder)` : 'Drag or Alt+arrows to reorder'}
+          >
+            {item.label}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Minimal styles using theme tokens
+const fcStyle = document.createElement('style');
+fcStyle.innerHTML = `
+.fav-chips { list-style: none; margin: 0; padding: 0; display: flex; flex-wrap: wrap; gap: 6px; }
+.fav-chip-item { border-radius: 999px; transition: opacity var(--transition), box-shadow var(--transition); }
+.fav-chip-item.is-dragging { opacity: 0.4; }
+.fav-chip-item.is-over { box-shadow: -3px 0 0 var(--color-primary); }
+.fav-chip {
+  padding: 3px 10px;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: color-mix(in srgb, var(--surface), transparent 6%);
+  color: var(--text);
+  font-size: 0.8rem;
+  font-weight: 700;
+  cursor: pointer;
+  transition: border-color var(--transition), background var(--transition);
+}
+.fav-chip:hover { border-color: color-mix(in srgb, var(--color-primary), var(--border) 50%); }
+.fav-chip:focus { outline: none; box-shadow: 0 0 0 3px var(--ring); }
+.fav-chip.is-active {
+  border-color: var(--color-primary);
+  background: color-mix(in srgb, var(--color-primary), transparent 88%);
+}
+`;
+document.head.appendChild(fcStyle);
@@ -0,0 +1,327 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import useNumberSettings from '../hooks/useNumberSettings';
+import useVatRates from '../hooks/useVatRates';
+import {
+  addVat, compoundInterest, markupMargin, percentageChange, priceFromMargin, priceFromMarkup, removeVat, simpleInterest,
+} from '../utils/calc';
+import { decimalToString, roundDecimal, subtractDecimal } from '../utils/decimal';
+import { formatDecimalString, parseLocaleDecimal } from '../utils/locale';
+
+// Calculations of the financial keypad; `fields` are the inputs besides the VAT rate/compounding
+const CALCULATIONS = [
+  { id: 'vat-add', label: 'Add VAT', fields: [['amount', 'Net amount']], vat: true },
+  { id: 'vat-remove', label: 'Remove VAT', fields: [['amount', 'Gross amount']], vat: true },
+  { id: 'markup', label: 'Price from markup', fields: [['cost', 'Cost'], ['percent', 'Markup %']] },
+  { id: 'margin', label: 'Price from margin', fields: [['cost', 'Cost'], ['percent', 'Margin %']] },
+  { id: 'profit', label: 'Markup & margin', fields: [['cost', 'Cost'], ['price', 'Selling price']] },
+  { id: 'change', label: 'Percentage change', fields: [['from', 'From'], ['to', 'To']] },
+  { id: 'simple', label: 'Simple interest', fields: [['principal', 'Principal'], ['rate', 'Rate % per year'], ['years', 'Years']] },
+  {
+    id: 'compound',
+    label: 'Compound interest',
+    fields: [['principal', 'Principal'], ['rate', 'Rate % per year'], ['years', 'Years']],
+    compounding: true,
+  },
+];
+
+const COMPOUNDING = [
+  { value: 1, label: 'Yearly' },
+  { value: 4, label: 'Quarterly' },
+  { value: 12, label: 'Monthly' },
+  { value: 365, label: 'Daily' },
+];
+
+/**
+ * Result rows of a calculation: { label, value (decimal string), percent? }.
+ * Throws the calc helpers' errors (e.g. a margin of 100 %).
+ */
+function computeRows(id, v, vatRate, periodsPerYear) {
+  switch (id) {
+    case 'vat-add':
+    case 'vat-remove': {
+      const r = id === 'vat-add' ? addVat(v.amount, vatRate) : removeVat(v.amount, vatRate);
+      return [
+        { label: 'Net', value: r.net },
+        { label: 'VAT', value: r.vat },
+        { label: 'Gross', value: r.gross },
+      ];
+    }
+    case 'markup':
+    case 'margin': {
+      const price = id === 'markup' ? priceFromMarkup(v.cost, v.percent) : priceFromMargin(v.cost, v.percent);
+      const r = markupMargin(v.cost, price);
+      return [
+        { label: 'Selling price', value: price },
+        { label: 'Profit', value: r.profit },
+        { label: id === 'markup' ? 'Margin' : 'Markup', value: id === 'markup' ? r.margin : r.markup, percent: true },
+      ];
+    }
+    case 'profit': {
+      const r = markupMargin(v.cost, v.price);
+      return [
+        { label: 'Profit', value: r.profit },
+        { label: 'Markup', value: r.markup, percent: true },
+        { label: 'Margin', value: r.margin, percent: true },
+      ];
+    }
+    case 'change':
+      return [
+        { label: 'Change', value: percentageChange(v.from, v.to), percent: true },
+        { label: 'Difference', value: decimalToString(subtractDecimal(v.to, v.from)) },
+      ];
+    case 'simple':
+    case 'compound': {
+      const r = id === 'simple'
+        ? simpleInterest(v.principal, v.rate, v.years)
+        : compoundInterest(v.principal, v.rate, v.years, periodsPerYear);
+      return [
+        { label: 'Interest', value: r.interest },
+        { label: 'Total', value: r.total },
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * FinancialPanel
+ * Financial keypad of the calculator: VAT add/remove with configurable rates, price from
+ * markup or margin, markup & margin from cost and price, percentage change, simple and compound
+ * interest. Inputs are typed in the user's number format; results are rounded half-up to the
+ * display precision (2 decimals by default) and can be sent to the calculator display.
+ *
+ * Props:
+ * - entry: string - current calculator value (decimal string), copied into the first field on request
+ * - onUseResult: (value: string) => void - use a result as the calculator's current entry
+ */
+export default function FinancialPanel({ entry, onUseResult }) {
+  const { settings: numberSettings, resolved } = useNumberSettings();
+  const { rates, addRate, removeRate, resetRates } = useVatRates();
+  const [calcId, setCalcId] = useState('vat-add');
+  const [inputs, setInputs] = useState({});
+  const [vatRate, setVatRate] = useState(() => rates[0] ?? '0');
+  const [periodsPerYear, setPeriodsPerYear] = useState(12);
+  const [editingRates, setEditingRates] = useState(false);
+  const [newRate, setNewRate] = useState('');
+  const [rateError, setRateError] = useState('');
+
+  const calc = CALCULATIONS.find((c) => c.id === calcId) || CALCULATIONS[0];
+  const activeRate = rates.includes(vatRate) ? vatRate : rates[0] ?? '0';
+  const scale = resolved.precision ?? 2;
+
+  const setField = useCallback((key, value) => setInputs((prev) => ({ ...prev, [key]: value })), []);
+
+  // Parsed inputs, the first invalid field, and the result rows once every field is filled in
+  const result = useMemo(() => {
+    const values = {};
+    for (const [key, label] of calc.fields) {
+      const raw = inputs[key] ?? '';
+      if (!raw.trim()) return { rows: [] };
+      const parsed = parseLocaleDecimal(raw, numberSettings);
+      if (parsed === undefined) return { rows: [], error: `Enter a number for ${label}` };
+      values[key] = parsed;
+    }
+    try {
+      return { rows: computeRows(calc.id, values, activeRate, periodsPerYear) };
+    } catch (err) {
+      return { rows: [], error: err?.code === 'DIV_ZERO' ? 'Cannot divide by zero' : err.message.replace(/^\[\w+\]\s*/, '') };
+    }
+  }, [calc, inputs, numberSettings, activeRate, periodsPerYear]);
+
+  // Money rounds half-up like invoices do and shows every decimal ("121.00");
+  // percentages keep up to the same number of decimals
+  const rounded = useCallback(
+    (row) => {
+      const text = decimalToString(roundDecimal(row.value, { scale, rounding: 'half-up' }));
+      if (row.percent || scale === 0) return text;
+      const [int, frac = ''] = text.split('.');
+      return `${int}.${frac.padEnd(scale, '0')}`;
+    },
+    [scale]
+  );
+
+  const onAddRate = useCallback(
+    (e) => {
+      e.preventDefault();
+      const parsed = parseLocaleDecimal(newRate, numberSettings);
+      const error = addRate(parsed ?? newRate);
+      setRateError(error);
+      if (!error) {
+        setVatRate(parsed);
+        setNewRate('');
+      }
+    },
+    [newRate, numberSettings, addRate]
+  );
+
+  const [firstKey] = calc.fields[0];
+
+  return (
+    <div className="calc-fin">
+      <label className="calc-fin-field">
+        <span>Calculation</span>
+        <select className="calc-fin-input" value={calc.id} onChange={(e) => setCalcId(e.target.value)}>
+          {CALCULATIONS.map((c) => (
+            <option key={c.id} value={c.id}>{c.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {calc.fields.map(([key, label]) => (
+        <label key={key} className="calc-fin-field">
+          <span>{label}</span>
+          <input
+            className="calc-fin-input"
+            type="text"
+            inputMode="decimal"
+            autoComplete="off"
+            value={inputs[key] ?? ''}
+            onChange={(e) => setField(key, e.target.value)}
+          />
+        </label>
+      ))}
+      <button
+        type="button"
+        className="btn btn-ghost calc-fin-small"
+        onClick={() => setField(firstKey, formatDecimalString(entry, numberSettings))}
+        title="Copy the calculator display into the first field"
+      >
+        Use display value
+      </button>
+
+      {calc.vat && (
+        <div className="calc-fin-field">
+          <label htmlFor="calc-fin-vat">VAT rate</label>
+          <div className="calc-fin-row">
+            <select id="calc-fin-vat" className="calc-fin-input" value={activeRate} onChange={(e) => setVatRate(e.target.value)}>
+              {rates.map((r) => (
+                <option key={r} value={r}>{formatDecimalString(r, numberSettings)} %</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="btn btn-ghost calc-fin-small"
+              onClick={() => setEditingRates((v) => !v)}
+              aria-expanded={editingRates}
+              aria-controls="calc-fin-rates"
+            >
+              Edit rates
+            </button>
+          </div>
+          {editingRates && (
+            <div id="calc-fin-rates" className="calc-fin-rates">
+              <ul className="calc-fin-chips" aria-label="Saved VAT rates">
+                {rates.map((r) => (
+                  <li key={r}>
+                    {formatDecimalString(r, numberSettings)} %
+                    <button type="button" className="calc-fin-chip-x" onClick={() => removeRate(r)} aria-label={`Remove ${r} % VAT rate`}>
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <form className="calc-fin-row" onSubmit={onAddRate}>
+                <input
+                  className="calc-fin-input"
+                  type="text"
+                  inputMode="decimal"
+                  placeholder="Rate %"
+                  aria-label="New VAT rate in percent"
+                  value={newRate}
+                  onChange={(e) => setNewRate(e.target.value)}
+                />
+                <button type="submit" className="btn btn-ghost calc-fin-small">Add</button>
+                <button type="button" className="btn btn-ghost calc-fin-small" onClick={resetRates}>Defaults</button>
+              </form>
+              {rateError && <p className="calc-fin-error" role="alert">{rateError}</p>}
+            </div>
+          )}
+        </div>
+      )}
+
+      {calc.compounding && (
+        <label className="calc-fin-field">
+          <span>Compounding</span>
+          <select className="calc-fin-input" value={periodsPerYear} onChange={(e) => setPeriodsPerYear(Number(e.target.value))}>
+            {COMPOUNDING.map((c) => (
+              <option key={c.value} value={c.value}>{c.label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {result.error && <p className="calc-fin-error" role="alert">{result.error}</p>}
+      {result.rows.length > 0 && (
+        <dl className="calc-fin-results" aria-live="polite">
+          {result.rows.filter((row) => row.value !== null).map((row) => {
+            const value = rounded(row);
+            const shown = `${formatDecimalString(value, numberSettings)}${row.percent ? ' %' : ''}`;
+            return (
+              <div key={row.label} className="calc-fin-result">
+                <dt>{row.label}</dt>
+                <dd>
+                  <strong>{shown}</strong>
+                  <button
+                    type="button"
+                    className="btn btn-ghost calc-fin-small"
+                    onClick={() => onUseResult(value)}
+                    aria-label={`Use ${row.label} ${shown} in the calculator`}
+                    title="Use in the calculator"
+                  >
+                    Use
+                  </button>
+                </dd>
+              </div>
+            );
+          })}
+        </dl>
+      )}
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const finStyle = document.createElement('style');
+finStyle.innerHTML = `
+.calc-fin { display: grid; gap: 8px; align-content: start; }
+.calc-fin-field { display: grid; gap: 4px; font-size: 0.85rem; font-weight: 600; }
+.calc-fin-row { display: flex; gap: 6px; align-items: center; }
+.calc-fin-row .calc-fin-input { flex: 1; min-width: 0; }
+.calc-fin-input {
+  padding: 6px 8px;
+  border-radius: var(--radius-sm);
+  border: 1px solid var(--border);
+  background: var(--surface);
+  color: var(--text);
+  font-size: 0.9rem;
+}
+.calc-fin-input:focus { outline: none; box-shadow: 0 0 0 4px var(--ring); }
+.calc-fin-small { justify-self: start; padding: 4px 10px; font-size: 0.8rem; }
+.calc-fin-rates { display: grid; gap: 6px; padding: 8px; border: 1px dashed var(--border); border-radius: var(--radius-sm); }
+.calc-fin-chips { display: flex; flex-wrap: wrap; gap: 4px; margin: 0; padding: 0; list-style: none; font-size: 0.8rem; }
+.calc-fin-chips li {
+  display: inline-flex;
+  align-items: center;
+  gap: 4px;
+  padding: 2px 4px 2px 8px;
+  border: 1px solid var(--border);
+  border-radius: 999px;
+}
+.calc-fin-chip-x { border: 0; background: none; color: var(--text-muted); cursor: pointer; font-size: 0.75rem; }
+.calc-fin-error { margin: 0; color: var(--color-error); font-size: 0.85rem; }
+.calc-fin-results {
+  display: grid;
+  gap: 4px;
+  margin: 0;
+  padding: 8px;
+  border: 1px solid var(--border);
+  border-radius: var(--radius-sm);
+  background: color-mix(in srgb, var(--surface), transparent 4%);
+}
+.calc-fin-result { display: flex; justify-content: space-between; align-items: center; gap: 8px; font-size: 0.9rem; }
+.calc-fin-result dt { color: var(--text-muted); }
+.calc-fin-result dd { display: flex; align-items: center; gap: 6px; margin: 0; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; }
+`;
+document.head.appendChild(finStyle);
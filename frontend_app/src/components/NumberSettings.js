@@ -0,0 +1,195 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import useNumberSettings from '../hooks/useNumberSettings';
+import {
+  DECIMAL_SEPARATORS, GROUP_SEPARATORS, LOCALE_CHOICES, PRECISION_CHOICES, formatDecimalString, formatWithSettings,
+} from '../utils/locale';
+
+// Readable names for separator characters
+const SEPARATOR_NAMES = {
+  '.': 'Period (.)',
+  ',': 'Comma (,)',
+  ' ': 'Space ( )',
+  '’': 'Apostrophe (’)',
+  none: 'No grouping',
+};
+
+/**
+ * Name of a separator as shown in the "locale default" option, e.g. "Comma (,)".
+ */
+function separatorName(ch) {
+  if (!ch) return SEPARATOR_NAMES.none;
+  if (/^\s$/.test(ch)) return SEPARATOR_NAMES[' '];
+  return SEPARATOR_NAMES[ch] || `“${ch}”`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * NumberSettings
+ * Header button opening the number format panel:
+ * - Locale (or the browser's), decimal and grouping separator overrides
+ * - Display precision (automatic = currency minor units / calculator default)
+ * - Live preview of an amount as formatted and as it can be typed
+ * Settings apply to the converter input and results, the calculator display and rate badges.
+ *
+ * Props: none
+ * Returns: JSX.Element
+ */
+export default function NumberSettings() {
+  const { settings, resolved, updateSettings, resetSettings } = useNumberSettings();
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+  const rootRef = useRef(null);
+
+  // Close on Escape or a click outside the panel
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    const onClick = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('keydown', onKey);
+    document.addEventListener('mousedown', onClick);
+    return () => {
+      document.removeEventListener('keydown', onKey);
+      document.removeEventListener('mousedown', onClick);
+    };
+  }, [open]);
+
+  const onField = useCallback(
+    (field, value) => {
+      setError(updateSettings({ [field]: value }));
+    },
+    [updateSettings]
+  );
+
+  const onReset = useCallback(() => {
+    resetSettings();
+    setError('');
+  }, [resetSettings]);
+
+  const preview = useMemo(
+    () => ({
+      amount: formatWithSettings(1234567.891, settings, { maximumFractionDigits: resolved.precision ?? 3 }),
+      typed: formatDecimalString('1234.5', settings),
+    }),
+    [settings, resolved.precision]
+  );
+
+  return (
+    <div className="number-settings" ref={rootRef}>
+      <button
+        className="btn btn-ghost"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        aria-controls="number-settings-panel"
+        title="Number format"
+      >
+        ⚙️ Format
+      </button>
+
+      {open && (
+        <div id="number-settings-panel" className="ns-panel" role="dialog" aria-label="Number format">
+          <label className="ns-field">
+            <span>Locale</span>
+            <select className="ns-input" value={settings.locale} onChange={(e) => onField('locale', e.target.value)}>
+              <option value="">Browser default ({resolved.locale})</option>
+              {LOCALE_CHOICES.map((l) => (
+                <option key={l.value} value={l.value}>{l.label} — {l.value}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="ns-field">
+            <span>Decimal separator</span>
+            <select className="ns-input" value={settings.decimal} onChange={(e) => onField('decimal', e.target.value)}>
+              <option value="">Locale default</option>
+              {DECIMAL_SEPARATORS.map((ch) => (
+                <option key={ch} value={ch}>{SEPARATOR_NAMES[ch]}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="ns-field">
+            <span>Grouping separator</span>
+            <select className="ns-input" value={settings.group} onChange={(e) => onField('group', e.target.value)}>
+              <option value="">Locale default</option>
+              {GROUP_SEPARATORS.map((ch) => (
+                <option key={ch} value={ch}>{SEPARATOR_NAMES[ch]}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="ns-field">
+            <span>Display precision</span>
+            <select
+              className="ns-input"
+              value={settings.precision ?? ''}
+              onChange={(e) => onField('precision', e.target.value === '' ? null : Number(e.target.value))}
+            >
+              <option value="">Automatic (currency minor units)</option>
+              {PRECISION_CHOICES.map((n) => (
+                <option key={n} value={n}>{n} {n === 1 ? 'decimal' : 'decimals'}</option>
+              ))}
+            </select>
+          </label>
+
+          {error && <p className="ns-error" role="alert">{error}</p>}
+
+          <div className="ns-preview" aria-live="polite">
+            <span className="muted">Numbers</span> <strong>{preview.amount}</strong>
+            <span className="muted">Type amounts like</span> <strong>{preview.typed}</strong>
+            <span className="muted">Separators</span>
+            <span>{separatorName(resolved.decimal)} decimal, {separatorName(resolved.group).toLowerCase()} grouping</span>
+          </div>
+
+          <button type="button" className="btn btn-ghost ns-reset" onClick={onReset}>Reset to browser defaults</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const nsStyle = document.createElement('style');
+nsStyle.innerHTML = `
+.number-settings { position: relative; }
+.ns-panel {
+  position: absolute;
+  right: 0;
+  top: calc(100% + 8px);
+  z-index: 20;
+  width: min(340px, 92vw);
+  display: grid;
+  gap: 10px;
+  padding: 12px;
+  border: 1px solid var(--border);
+  border-radius: var(--radius-sm);
+  background: var(--surface);
+  box-shadow: var(--shadow);
+  text-align: left;
+}
+.ns-field { display: grid; gap: 4px; font-size: 0.85rem; font-weight: 600; }
+.ns-input {
+  padding: 6px 8px;
+  border-radius: var(--radius-sm);
+  border: 1px solid var(--border);
+  background: var(--surface);
+  color: var(--text);
+  font-size: 0.85rem;
+}
+.ns-input:focus { outline: none; box-shadow: 0 0 0 4px var(--ring); }
+.ns-error { margin: 0; color: var(--color-error); font-size: 0.85rem; }
+.ns-preview {
+  display: grid;
+  grid-template-columns: auto 1fr;
+  gap: 4px 10px;
+  padding: 8px;
+  border: 1px dashed var(--border);
+  border-radius: var(--radius-sm);
+  font-size: 0.85rem;
+}
+.ns-reset { justify-self: start; padding: 4px 10px; font-size: 0.8rem; }
+`;
+document.head.appendChild(nsStyle);
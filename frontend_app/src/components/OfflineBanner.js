@@ -0,0 +1,53 @@
+/**
+ * PUBLIC_INTERFACE
+ * OfflineBanner
+ * Notice shown when rates come from the last known payload because the network is unavailable.
+ * Renders nothing while online and serving fresh data.
+ *
+ * Props:
+ * - offline: boolean - true when the last fetch failed and cached rates are in use
+ * - date?: string - rate date of the cached payload (YYYY-MM-DD)
+ * - lastUpdated?: number - epoch ms when the cached payload was fetched
+ */
+import React, { useMemo } from 'react';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+
+export default function OfflineBanner({ offline, date, lastUpdated }) {
+  const online = useOnlineStatus();
+
+  const fromLabel = useMemo(() => {
+    if (date) return date;
+    if (!lastUpdated) return 'an earlier session';
+    try {
+      return new Date(lastUpdated).toLocaleString();
+    } catch {
+      return String(lastUpdated);
+    }
+  }, [date, lastUpdated]);
+
+  if (online && !offline) return null;
+
+  return (
+    <div className="offline-banner" role="status" aria-live="polite">
+      <span aria-hidden="true">⚠</span> Offline – rates from {fromLabel}
+    </div>
+  );
+}
+
+// Minimal styles using theme tokens
+const obStyle = document.createElement('style');
+obStyle.innerHTML = `
+.offline-banner {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  padding: 8px 12px;
+  border-radius: var(--radius-sm);
+  border: 1px solid color-mix(in srgb, var(--color-amber), var(--border) 50%);
+  background: color-mix(in srgb, var(--color-amber), transparent 88%);
+  color: var(--text);
+  font-size: 0.85rem;
+  font-weight: 600;
+}
+`;
+document.head.appendChild(obStyle);
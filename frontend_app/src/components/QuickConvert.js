@@ -0,0 +1,201 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import useCardBridge from '../hooks/useCardBridge';
+import useDailyRates from '../hooks/useDailyRates';
+import useNumberSettings from '../hooks/useNumberSettings';
+import { convertAmount, currencyDecimalOptions, defaultBaseCurrency, formatCurrency } from '../utils/currency';
+import {
+  AMBIGUOUS_SIGNS, loadQuickConvertSettings, parseQuickConvert, persistQuickConvertSettings,
+} from '../utils/quickConvert';
+
+/**
+ * Whether a keyboard event comes from a field the user is typing in.
+ */
+function isTyping(target) {
+  const tag = target?.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || Boolean(target?.isContentEditable);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * QuickConvert
+ * Command bar converting typed queries such as "250 eur to jpy", "€40 in $" or "1.5k gbp usd"
+ * with the latest rates (see utils/quickConvert for the query syntax):
+ * - The result is shown inline as the query is typed
+ * - "/" or Ctrl/⌘+K focuses the bar from anywhere; Escape clears it
+ * - Enter opens the conversion in the converter card
+ * - Sign settings pick the currency read for $, ¥ and kr (stored in localStorage)
+ *
+ * Props: none
+ * Returns: JSX.Element
+ */
+export default function QuickConvert() {
+  const { rates, symbols, base, loading } = useDailyRates({ base: defaultBaseCurrency });
+  const { settings: numberSettings, resolved } = useNumberSettings();
+  const { sendToConverter } = useCardBridge();
+  const [query, setQuery] = useState('');
+  const [settings, setSettings] = useState(() => loadQuickConvertSettings());
+  const [signsOpen, setSignsOpen] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    persistQuickConvertSettings(settings);
+  }, [settings]);
+
+  // Global shortcut: "/" (outside text fields and the calculator keypad) or Ctrl/⌘+K focuses the bar
+  useEffect(() => {
+    const onKey = (e) => {
+      const modK = (e.ctrlKey || e.metaKey) && !e.altKey && e.key?.toLowerCase() === 'k';
+      const slash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !e.defaultPrevented && !isTyping(e.target);
+      if (!modK && !slash) return;
+      e.preventDefault();
+      inputRef.current?.focus();
+      inputRef.current?.select();
+    };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, []);
+
+  const outcome = useMemo(() => {
+    if (!query.trim()) return null;
+    try {
+      const codes = Object.keys(symbols || {});
+      const parsed = parseQuickConvert(query, {
+        signs: settings.signs,
+        numberSettings,
+        codes: codes.length ? codes : undefined,
+      });
+      if (loading || !Object.keys(rates || {}).length) return { parsed, message: 'Loading rates…' };
+      const value = convertAmount(parsed.amount, parsed.from, parsed.to, rates, base, currencyDecimalOptions(parsed.to, resolved.precision));
+      if (!Number.isFinite(value)) return { parsed, message: `No rate for ${parsed.from}/${parsed.to}` };
+      return {
+        parsed,
+        text: `${formatCurrency(Number(parsed.amount), parsed.from, numberSettings)} = ${formatCurrency(value, parsed.to, numberSettings)}`,
+      };
+    } catch (err) {
+      return { error: (err?.message || 'Invalid query').replace(/^\[[\w-]+\]\s*/, '') };
+    }
+  }, [query, settings.signs, numberSettings, resolved.precision, symbols, rates, base, loading]);
+
+  const onSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+      if (!outcome?.parsed) return;
+      sendToConverter(outcome.parsed.amount, outcome.parsed.from, outcome.parsed.to);
+    },
+    [outcome, sendToConverter]
+  );
+
+  const onKeyDown = useCallback((e) => {
+    if (e.key !== 'Escape') return;
+    if (query) setQuery('');
+    else e.currentTarget.blur();
+  }, [query]);
+
+  const setSign = useCallback((sign, code) => {
+    setSettings((s) => ({ ...s, signs: { ...s.signs, [sign]: code } }));
+  }, []);
+
+  return (
+    <div className="qc">
+      <form className="qc-form" role="search" aria-label="Quick convert" onSubmit={onSubmit}>
+        <label htmlFor="quick-convert-input" className="sr-only">Quick convert</label>
+        <input
+          id="quick-convert-input"
+          ref={inputRef}
+          className="qc-input"
+          type="search"
+          autoComplete="off"
+          spellCheck={false}
+          placeholder='Quick convert, e.g. "250 eur to jpy" or "€40 in $"'
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={onKeyDown}
+          aria-describedby="quick-convert-result"
+          aria-invalid={Boolean(outcome?.error)}
+          aria-keyshortcuts="/ Control+K Meta+K"
+        />
+        <kbd className="qc-kbd" aria-hidden="true">/</kbd>
+        <button type="submit" className="btn btn-ghost qc-open" disabled={!outcome?.parsed} title="Open in the converter (Enter)">
+          Open in converter
+        </button>
+        <button
+          type="button"
+          className="btn btn-ghost qc-signs-toggle"
+          onClick={() => setSignsOpen((v) => !v)}
+          aria-expanded={signsOpen}
+          aria-controls="quick-convert-signs"
+          title="Currencies for $, ¥ and kr"
+        >
+          $ = {settings.signs.$}
+        </button>
+      </form>
+
+      <p
+        id="quick-convert-result"
+        className={`qc-result${outcome?.error ? ' qc-error' : ''}`}
+        aria-live="polite"
+        aria-atomic="true"
+      >
+        {outcome ? outcome.error || outcome.message || <strong>{outcome.text}</strong> : ''}
+      </p>
+
+      {signsOpen && (
+        <fieldset id="quick-convert-signs" className="qc-signs">
+          <legend className="sr-only">Currencies for ambiguous signs</legend>
+          {Object.keys(AMBIGUOUS_SIGNS).map((sign) => (
+            <label key={sign} className="qc-sign">
+              <span>{sign} is</span>
+              <select className="qc-select" value={settings.signs[sign]} onChange={(e) => setSign(sign, e.target.value)}>
+                {AMBIGUOUS_SIGNS[sign].map((code) => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </fieldset>
+      )}
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const qcStyle = document.createElement('style');
+qcStyle.innerHTML = `
+.qc { display: grid; gap: 6px; }
+.qc-form { position: relative; display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+.qc-input {
+  flex: 1 1 280px;
+  padding: 10px 40px 10px 12px;
+  border-radius: var(--radius-sm);
+  border: 1px solid var(--border);
+  background: var(--surface);
+  color: var(--text);
+  font-size: 1rem;
+  box-shadow: var(--shadow-sm);
+  transition: box-shadow var(--transition);
+}
+.qc-input:focus { outline: none; box-shadow: 0 0 0 4px var(--ring); }
+.qc-input[aria-invalid="true"] { border-color: var(--color-error); }
+.qc-kbd {
+  margin-left: -36px;
+  padding: 1px 6px;
+  border: 1px solid var(--border);
+  border-radius: 4px;
+  color: var(--text-muted);
+  font-size: 0.75rem;
+  pointer-events: none;
+}
+.qc-open, .qc-signs-toggle { padding: 8px 12px; font-size: 0.85rem; }
+.qc-result { margin: 0; min-height: 1.4em; font-size: 0.95rem; }
+.qc-error { color: var(--color-error); font-size: 0.85rem; }
+.qc-signs { display: flex; flex-wrap: wrap; gap: 12px; margin: 0; padding: 8px; border: 1px dashed var(--border); border-radius: var(--radius-sm); }
+.qc-sign { display: flex; gap: 6px; align-items: center; font-size: 0.85rem; font-weight: 600; }
+.qc-select {
+  padding: 4px 6px;
+  border-radius: var(--radius-sm);
+  border: 1px solid var(--border);
+  background: var(--surface);
+  color: var(--text);
+}
+`;
+document.head.appendChild(qcStyle);
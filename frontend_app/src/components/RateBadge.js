@@ -1,26 +1,37 @@
 /**
  * PUBLIC_INTERFACE
  * RateBadge
- * Small visual tag for a currency rate. Shows 1 BASE = rate CODE informational badge.
+ * Small visual tag for a currency rate. Shows 1 BASE = rate CODE informational badge, or
+ * 1 CODE = 1/rate BASE when inverse (useful for currencies worth more than the base, e.g. KWD).
  *
  * Props:
  * - code: string - currency code (e.g., EUR)
  * - rate: number - rate value relative to base
+ * - base?: string - base code, spelled out in the tooltip
+ * - inverse?: boolean - show the price of one CODE in the base instead
+ * - label?: string - text shown instead of the code (e.g., "EUR/USD" for a pair)
  */
 import React, { useMemo } from 'react';
+import useNumberSettings from '../hooks/useNumberSettings';
 import { formatNumberCompact } from '../utils/currency';
+import { quoteRate } from '../utils/quotes';
 
-export default function RateBadge({ code, rate }) {
-  const label = useMemo(() => {
-    if (!(typeof rate === 'number' && Number.isFinite(rate))) return '—';
-    return formatNumberCompact(rate);
-  }, [rate]);
+export default function RateBadge({ code, rate, base, inverse = false, label }) {
+  const { settings } = useNumberSettings();
+  const value = quoteRate(rate, inverse ? 'inverse' : 'direct');
+  const text = useMemo(() => {
+    if (!Number.isFinite(value)) return '—';
+    return formatNumberCompact(value, settings);
+  }, [value, settings]);
+
+  let title = `Rate: ${Number.isFinite(value) ? value : rate}`;
+  if (base && Number.isFinite(value)) title = inverse ? `1 ${code} = ${value} ${base}` : `1 ${base} = ${value} ${code}`;
 
   return (
-    <span className="rate-badge" title={`Rate: ${rate}`}>
-      <span className="rb-code">{code}</span>
+    <span className="rate-badge" title={title}>
+      <span className="rb-code">{label || code}</span>
       <span className="rb-dot" aria-hidden="true">•</span>
-      <span className="rb-val">{label}</span>
+      <span className="rb-val">{text}</span>
     </span>
   );
 }
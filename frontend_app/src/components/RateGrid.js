@@ -0,0 +1,191 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import useVirtualRows from '../hooks/useVirtualRows';
+
+// Fixed heights keep the virtual window math simple
+const ROW_HEIGHT = 56;
+const HEADER_HEIGHT = 40;
+
+/**
+ * PUBLIC_INTERFACE
+ * RateGrid
+ * Virtualized data grid for the rates list:
+ * - Only the rows in view are rendered, so every currency can be listed
+ * - Sticky header; sortable columns toggle ascending/descending (aria-sort)
+ * - Keyboard row navigation on the focused grid: ↑/↓, Page Up/Down, Home/End; Space runs
+ *   onRowAction for the active row
+ *
+ * Props:
+ * - id: string - prefix for row ids (aria-activedescendant)
+ * - label: string - accessible name of the grid
+ * - columns: { key: string, label: string, title?: string, sort?: string, width: string, numeric?: boolean }[] - visible columns
+ * - rows: { code: string }[] - rows in display order
+ * - sort: { by: string, dir: 'asc'|'desc' } - current sort
+ * - onSort: (sortKey: string) => void - header clicked
+ * - renderCell: (columnKey: string, row: object, index: number) => React.ReactNode
+ * - getRowProps?: (row: object, index: number) => object - extra props for a row (class, title, drag
+ *   handlers; an onClick runs after the row becomes active)
+ * - onRowAction?: (row: object) => void - Space on the active row
+ * - onVisibleRange?: (start: number, end: number) => void - rows rendered changed (e.g. to load
+ *   data for them)
+ */
+export default function RateGrid({ id, label, columns, rows, sort, onSort, renderCell, getRowProps, onRowAction, onVisibleRange }) {
+  const [active, setActive] = useState(0);
+  // the active row stays rendered when scrolled away, so aria-activedescendant always resolves
+  const { viewportRef, onScroll, start, end, indices, pageSize, totalHeight, scrollToIndex } = useVirtualRows({
+    count: rows.length,
+    rowHeight: ROW_HEIGHT,
+    headerHeight: HEADER_HEIGHT,
+    keepIndex: active,
+  });
+
+  useEffect(() => {
+    if (onVisibleRange) onVisibleRange(start, end);
+  }, [onVisibleRange, start, end]);
+
+  // Keep the active row within the list when it shrinks (e.g. a search)
+  useEffect(() => {
+    if (active > rows.length - 1) setActive(Math.max(0, rows.length - 1));
+  }, [rows.length, active]);
+
+  const moveTo = useCallback((index) => {
+    const next = Math.max(0, Math.min(rows.length - 1, index));
+    setActive(next);
+    scrollToIndex(next);
+  }, [rows.length, scrollToIndex]);
+
+  const onKeyDown = useCallback((e) => {
+    // keys pressed on buttons inside a row, and Alt+arrows (reordering), are theirs
+    if (e.target !== e.currentTarget || e.altKey || !rows.length) return;
+    const steps = { ArrowDown: 1, ArrowUp: -1, PageDown: pageSize, PageUp: -pageSize };
+    if (e.key in steps) moveTo(active + steps[e.key]);
+    else if (e.key === 'Home') moveTo(0);
+    else if (e.key === 'End') moveTo(rows.length - 1);
+    else if (e.key === ' ' && onRowAction) onRowAction(rows[active]);
+    else return;
+    e.preventDefault();
+  }, [rows, active, pageSize, moveTo, onRowAction]);
+
+  const template = columns.map((c) => c.width).join(' ');
+  const rowId = (index) => `${id}-row-${rows[index]?.code}`;
+
+  return (
+    <div
+      ref={viewportRef}
+      className="rate-grid"
+      role="grid"
+      aria-label={label}
+      aria-rowcount={rows.length + 1}
+      aria-activedescendant={rows.length ? rowId(active) : undefined}
+      tabIndex={0}
+      onScroll={onScroll}
+      onKeyDown={onKeyDown}
+      style={{ '--rg-columns': template, '--rg-row': `${ROW_HEIGHT}px`, '--rg-header': `${HEADER_HEIGHT}px` }}
+    >
+      <div className="rg-head" role="row" aria-rowindex={1}>
+        {columns.map((c) => {
+          const sorted = c.sort && sort.by === c.sort;
+          const ariaSort = sorted ? (sort.dir === 'desc' ? 'descending' : 'ascending') : c.sort ? 'none' : undefined;
+          return (
+            <div key={c.key} role="columnheader" aria-sort={ariaSort} className={`rg-cell${c.numeric ? ' is-num' : ''}`} title={c.title}>
+              {c.sort ? (
+                <button type="button" className="rg-sort" onClick={() => onSort(c.sort)}>
+                  {c.label}
+                  <span aria-hidden="true" className="rg-arrow">{sorted ? (sort.dir === 'desc' ? '▼' : '▲') : '↕'}</span>
+                </button>
+              ) : (
+                <span className={c.key === 'actions' ? 'sr-only' : undefined}>{c.label}</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="rg-body" role="rowgroup" style={{ height: totalHeight }}>
+        {indices.map((index) => {
+          const row = rows[index];
+          const extra = getRowProps ? getRowProps(row, index) : {};
+          return (
+            <div
+              key={row.code}
+              {...extra}
+              id={rowId(index)}
+              role="row"
+              aria-rowindex={index + 2}
+              aria-selected={index === active}
+              className={`rg-row${index === active ? ' is-active' : ''}${extra.className ? ` ${extra.className}` : ''}`}
+              style={{ transform: `translateY(${index * ROW_HEIGHT}px)` }}
+              onClick={(e) => {
+                setActive(index);
+                if (extra.onClick) extra.onClick(e);
+              }}
+            >
+              {columns.map((c) => (
+                <div key={c.key} role="gridcell" className={`rg-cell rg-${c.key}${c.numeric ? ' is-num' : ''}`}>
+                  {renderCell(c.key, row, index)}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const rgStyle = document.createElement('style');
+rgStyle.innerHTML = `
+.rate-grid {
+  position: relative;
+  max-height: min(70vh, 620px);
+  overflow: auto;
+  border: 1px solid var(--border);
+  border-radius: var(--radius-sm);
+  background: color-mix(in srgb, var(--surface), transparent 2%);
+  box-shadow: var(--shadow-sm);
+}
+.rate-grid:focus { outline: none; box-shadow: 0 0 0 4px var(--ring); }
+.rg-head, .rg-row {
+  display: grid;
+  grid-template-columns: var(--rg-columns);
+  align-items: center;
+  column-gap: 10px;
+  padding: 0 12px;
+  min-width: max-content;
+}
+.rg-head {
+  position: sticky;
+  top: 0;
+  z-index: 2;
+  height: var(--rg-header);
+  border-bottom: 1px solid var(--border);
+  background: var(--surface);
+  font-size: 0.75rem;
+  font-weight: 700;
+  color: var(--text-muted);
+  text-transform: uppercase;
+  letter-spacing: 0.04em;
+}
+.rg-body { position: relative; }
+.rg-row {
+  position: absolute;
+  top: 0; left: 0; right: 0;
+  height: var(--rg-row);
+  border-bottom: 1px solid color-mix(in srgb, var(--border), transparent 40%);
+}
+.rg-row:hover { background: color-mix(in srgb, var(--color-primary), transparent 95%); }
+.rate-grid:focus .rg-row.is-active { box-shadow: inset 3px 0 0 var(--color-primary); background: color-mix(in srgb, var(--color-primary), transparent 92%); }
+.rg-cell { min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.rg-cell.is-num { text-align: right; font-variant-numeric: tabular-nums; }
+.rg-sort {
+  display: inline-flex; align-items: center; gap: 4px;
+  padding: 0; border: 0; background: none;
+  color: inherit; font: inherit; text-transform: inherit; letter-spacing: inherit;
+  cursor: pointer;
+}
+.rg-cell.is-num .rg-sort { justify-content: flex-end; }
+.rg-sort:hover { color: var(--text); }
+.rg-arrow { font-size: 0.65rem; opacity: 0.7; }
+[aria-sort="none"] .rg-arrow { opacity: 0.35; }
+`;
+document.head.appendChild(rgStyle);
@@ -0,0 +1,112 @@
+import React, { useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import useNumberSettings from '../hooks/useNumberSettings';
+import { formatWithSettings } from '../utils/locale';
+import { describeSort } from '../utils/rateGrid';
+import { rateSheetLayout } from '../utils/rateSheet';
+
+/**
+ * PUBLIC_INTERFACE
+ * RateSheet
+ * Printable one-page rate sheet, rendered into <body> and shown only in print while
+ * <body> has the "print-rate-sheet" class (the rest of the app is hidden). Stamped with the
+ * rate date, base, source and generation time. Long lists are split into up to three columns
+ * and printed smaller if needed to stay on one page (utils/rateSheet rateSheetLayout).
+ *
+ * Props:
+ * - sheet: see utils/rateSheet buildRateSheet
+ */
+export default function RateSheet({ sheet }) {
+  const { settings } = useNumberSettings();
+
+  const layout = useMemo(() => rateSheetLayout(sheet.rates.length), [sheet.rates.length]);
+  const columns = useMemo(
+    () => Array.from({ length: layout.columns }, (_, i) =>
+      sheet.rates.slice(i * layout.rowsPerColumn, (i + 1) * layout.rowsPerColumn)),
+    [sheet.rates, layout]
+  );
+
+  const format = (n) => formatWithSettings(Number(n), settings, { maximumFractionDigits: 6 });
+  const filters = [
+    sheet.filter.query && `search "${sheet.filter.query}"`,
+    describeSort({ by: sheet.filter.sortBy, dir: sheet.filter.sortDir }),
+  ].filter(Boolean);
+
+  return createPortal(
+    <div className="rate-sheet">
+      <header className="rs-header">
+        <h1 className="rs-title">Exchange rate sheet</h1>
+        <dl className="rs-stamp">
+          <dt>Rate date</dt><dd>{sheet.date || '—'}</dd>
+          <dt>Base</dt><dd>1 {sheet.base}{sheet.derivedFrom ? ` (cross rates via ${sheet.derivedFrom})` : ''}</dd>
+          <dt>Source</dt><dd>{sheet.source || '—'}</dd>
+          <dt>Generated</dt><dd>{new Date(sheet.generatedAt).toLocaleString()}</dd>
+        </dl>
+      </header>
+      <div className="rs-columns" style={{ '--rs-scale': layout.scale }}>
+        {columns.map((rows, i) => (
+          <table key={i} className="rs-table">
+            <thead>
+              <tr>
+                <th scope="col">Code</th>
+                <th scope="col">Currency</th>
+                <th scope="col" className="num">Rate</th>
+                <th scope="col" className="num">Inverse</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.code}>
+                  <td className="rs-code">{r.code}</td>
+                  <td className="rs-currency">{r.currency}</td>
+                  <td className="num">{format(r.rate)}</td>
+                  <td className="num">{format(r.inverse)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ))}
+      </div>
+      <footer className="rs-footer">
+        {sheet.rates.length} currencies · {filters.join(' · ')} · Rate = units of the currency per 1 {sheet.base}; inverse = {sheet.base} per unit
+      </footer>
+    </div>,
+    document.body
+  );
+}
+
+// Print styles: only the sheet is printed while body has the "print-rate-sheet" class
+const rsStyle = document.createElement('style');
+rsStyle.innerHTML = `
+.rate-sheet { display: none; }
+@media print {
+  @page { size: A4 portrait; margin: 12mm; }
+  body.print-rate-sheet { background: #fff; }
+  body.print-rate-sheet > *:not(.rate-sheet) { display: none !important; }
+  body.print-rate-sheet .rate-sheet {
+    display: block;
+    color: #000;
+    font: 9pt/1.3 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+  }
+  .rs-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 12mm; margin-bottom: 5mm; padding-bottom: 3mm; border-bottom: 1.5pt solid #000; }
+  .rs-title { margin: 0; font-size: 16pt; }
+  .rs-stamp { display: grid; grid-template-columns: auto auto; gap: 0.5mm 4mm; margin: 0; }
+  .rs-stamp dt { font-weight: 700; }
+  .rs-stamp dd { margin: 0; }
+  .rs-columns { display: flex; gap: 6mm; align-items: flex-start; font-size: calc(9pt * var(--rs-scale, 1)); }
+  .rs-table { flex: 1; min-width: 0; border-collapse: collapse; }
+  .rs-table th, .rs-table td {
+    padding: calc(0.8mm * var(--rs-scale, 1)) 1.5mm;
+    border-bottom: 0.5pt solid #bbb;
+    text-align: left;
+    white-space: nowrap;
+  }
+  .rs-table .rs-currency { width: 100%; max-width: 0; overflow: hidden; text-overflow: ellipsis; }
+  .rs-table thead th { border-bottom: 1pt solid #000; }
+  .rs-table tr { break-inside: avoid; }
+  .rs-table .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .rs-code { font-weight: 700; }
+  .rs-footer { margin-top: 4mm; font-size: 8pt; color: #444; }
+}
+`;
+document.head.appendChild(rsStyle);
@@ -0,0 +1,76 @@
+/**
+ * PUBLIC_INTERFACE
+ * Sparkline
+ * Inline SVG line chart for a short rate history. No chart library required.
+ * Colors the line by direction (first vs. last point) and exposes the change as a tooltip/label.
+ *
+ * Props:
+ * - points: { date: string, rate: number }[] - ordered by date
+ * - width?: number - viewBox width in px (default 120)
+ * - height?: number - viewBox height in px (default 32)
+ * - label?: string - accessible name prefix, e.g. "EUR 30D trend"
+ */
+import React, { useMemo } from 'react';
+import useNumberSettings from '../hooks/useNumberSettings';
+import { formatNumberCompact } from '../utils/currency';
+
+export default function Sparkline({ points, width = 120, height = 32, label = 'Trend' }) {
+  const { settings } = useNumberSettings();
+  const chart = useMemo(() => {
+    const values = (points || []).filter((p) => typeof p?.rate === 'number' && Number.isFinite(p.rate));
+    if (values.length < 2) return null;
+
+    const rates = values.map((p) => p.rate);
+    const min = Math.min(...rates);
+    const max = Math.max(...rates);
+    const span = max - min || 1;
+    const pad = 2;
+    const stepX = (width - pad * 2) / (values.length - 1);
+
+    const coords = values.map((p, i) => {
+      const x = pad + i * stepX;
+      const y = pad + (height - pad * 2) * (1 - (p.rate - min) / span);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    const first = values[0];
+    const last = values[values.length - 1];
+    const change = first.rate ? ((last.rate - first.rate) / first.rate) * 100 : 0;
+    const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+
+    return { coords, first, last, change, direction, min, max };
+  }, [points, width, height]);
+
+  if (!chart) {
+    return <span className="sparkline sparkline-empty muted" aria-hidden="true">—</span>;
+  }
+
+  const sign = chart.change > 0 ? '+' : '';
+  const summary = `${label}: ${formatNumberCompact(chart.first.rate, settings)} (${chart.first.date}) → ${formatNumberCompact(chart.last.rate, settings)} (${chart.last.date}), ${sign}${chart.change.toFixed(2)}%`;
+
+  return (
+    <svg
+      className={`sparkline sparkline-${chart.direction}`}
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={summary}
+      preserveAspectRatio="none"
+    >
+      <title>{summary}</title>
+      <polyline points={chart.coords.join(' ')} fill="none" strokeWidth="1.5" strokeLinejoin="round" strokeLinecap="round" />
+    </svg>
+  );
+}
+
+// Minimal styles using theme tokens
+const spStyle = document.createElement('style');
+spStyle.innerHTML = `
+.sparkline { display: block; overflow: visible; }
+.sparkline polyline { stroke: var(--text-muted); }
+.sparkline-up polyline { stroke: var(--color-primary); }
+.sparkline-down polyline { stroke: var(--color-error); }
+.sparkline-empty { display: inline-block; min-width: 120px; text-align: center; font-size: 0.8rem; }
+`;
+document.head.appendChild(spStyle);
@@ -0,0 +1,200 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import useQuoteSettings from '../hooks/useQuoteSettings';
+import { validateMarkup } from '../utils/quotes';
+
+/**
+ * Percent field that keeps what is typed and commits on blur or Enter.
+ */
+function MarkupInput({ id, value, label, onCommit }) {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+
+  const commit = () => {
+    if (draft.trim() !== value) onCommit(draft.trim());
+  };
+
+  return (
+    <span className="ss-markup">
+      <input
+        id={id}
+        className="ss-input"
+        inputMode="decimal"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commit();
+        }}
+        aria-label={label}
+      />
+      <span className="muted" aria-hidden="true">%</span>
+    </span>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * SpreadSettings
+ * Button opening the spreads panel of Daily Rates:
+ * - Show bid/mid/ask around the mid-market rate
+ * - Default markup and per-currency markups in percent (a pair uses the larger of its two)
+ * - Apply the markup to converter results (bank rate instead of mid-market)
+ * Settings are shared through useQuoteSettings.
+ *
+ * Props:
+ * - codes: string[] - currencies that can get their own markup
+ */
+export default function SpreadSettings({ codes }) {
+  const { settings, updateSpreads, setMarkup, removeMarkup } = useQuoteSettings();
+  const { spreads } = settings;
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+  const [newCode, setNewCode] = useState('');
+  const rootRef = useRef(null);
+
+  // Close on Escape or a click outside the panel
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    const onClick = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('keydown', onKey);
+    document.addEventListener('mousedown', onClick);
+    return () => {
+      document.removeEventListener('keydown', onKey);
+      document.removeEventListener('mousedown', onClick);
+    };
+  }, [open]);
+
+  const onDefault = useCallback((value) => {
+    const message = validateMarkup(value);
+    setError(message);
+    if (!message) updateSpreads({ defaultMarkup: value });
+  }, [updateSpreads]);
+
+  const onMarkup = useCallback((code, value) => setError(setMarkup(code, value)), [setMarkup]);
+
+  const onAdd = useCallback(() => {
+    if (!newCode) return;
+    setError(setMarkup(newCode, spreads.defaultMarkup));
+    setNewCode('');
+  }, [newCode, setMarkup, spreads.defaultMarkup]);
+
+  const custom = Object.keys(spreads.markups).sort();
+  const addable = (codes || []).filter((code) => !(code in spreads.markups));
+
+  return (
+    <div className="spread-settings" ref={rootRef}>
+      <button
+        className={`btn ${spreads.enabled ? 'btn-primary' : 'btn-ghost'}`}
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        aria-controls="spread-settings-panel"
+        title="Bid/ask spreads"
+      >
+        ± Spreads
+      </button>
+
+      {open && (
+        <div id="spread-settings-panel" className="ss-panel" role="dialog" aria-label="Spreads">
+          <label className="ss-check">
+            <input type="checkbox" checked={spreads.enabled} onChange={(e) => updateSpreads({ enabled: e.target.checked })} />
+            Show bid / mid / ask
+          </label>
+
+          <div className="ss-field">
+            <label htmlFor="ss-default">Default markup per side</label>
+            <MarkupInput id="ss-default" value={spreads.defaultMarkup} label="Default markup in percent" onCommit={onDefault} />
+          </div>
+
+          <fieldset className="ss-list">
+            <legend>Per-currency markups</legend>
+            {custom.length === 0 && <p className="muted ss-empty">None yet; every currency uses the default.</p>}
+            {custom.map((code) => (
+              <div key={code} className="ss-row">
+                <label htmlFor={`ss-markup-${code}`} className="ss-code">{code}</label>
+                <MarkupInput
+                  id={`ss-markup-${code}`}
+                  value={spreads.markups[code]}
+                  label={`${code} markup in percent`}
+                  onCommit={(value) => onMarkup(code, value)}
+                />
+                <button className="btn btn-ghost ss-icon" onClick={() => removeMarkup(code)} aria-label={`Remove ${code} markup`} title="Use the default">
+                  ✕
+                </button>
+              </div>
+            ))}
+            <div className="ss-row">
+              <select className="ss-input" value={newCode} onChange={(e) => setNewCode(e.target.value)} aria-label="Currency">
+                <option value="">Add currency…</option>
+                {addable.map((code) => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+              <button className="btn btn-ghost ss-icon" onClick={onAdd} disabled={!newCode}>Add</button>
+            </div>
+          </fieldset>
+
+          <label className="ss-check">
+            <input
+              type="checkbox"
+              checked={spreads.applyInConverter}
+              onChange={(e) => updateSpreads({ applyInConverter: e.target.checked })}
+            />
+            Apply markups in the converter
+          </label>
+
+          {error && <p className="ss-error" role="alert">{error}</p>}
+          <p className="muted ss-help">
+            Bid and ask are the mid-market rate less and plus the markup. A pair uses the larger markup of its two currencies.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Component-scoped styles leveraging theme tokens
+const ssStyle = document.createElement('style');
+ssStyle.innerHTML = `
+.spread-settings { position: relative; }
+.ss-panel {
+  position: absolute;
+  left: 0;
+  top: calc(100% + 8px);
+  z-index: 20;
+  width: min(320px, 92vw);
+  display: grid;
+  gap: 10px;
+  padding: 12px;
+  border: 1px solid var(--border);
+  border-radius: var(--radius-sm);
+  background: var(--surface);
+  box-shadow: var(--shadow);
+  font-size: 0.85rem;
+}
+.ss-check { display: flex; align-items: center; gap: 6px; font-weight: 600; }
+.ss-field { display: flex; align-items: center; justify-content: space-between; gap: 8px; font-weight: 600; }
+.ss-list { display: grid; gap: 6px; margin: 0; padding: 8px; border: 1px dashed var(--border); border-radius: var(--radius-sm); }
+.ss-list legend { padding: 0 4px; font-weight: 600; }
+.ss-row { display: flex; align-items: center; gap: 6px; }
+.ss-code { flex: 1; font-weight: 700; }
+.ss-markup { display: inline-flex; align-items: center; gap: 4px; }
+.ss-markup .ss-input { width: 64px; text-align: right; }
+.ss-input {
+  padding: 4px 6px;
+  border-radius: var(--radius-sm);
+  border: 1px solid var(--border);
+  background: var(--surface);
+  color: var(--text);
+  font-size: 0.85rem;
+}
+.ss-input:focus { outline: none; box-shadow: 0 0 0 4px var(--ring); }
+.ss-icon { padding: 2px 8px; font-size: 0.8rem; }
+.ss-empty, .ss-help { margin: 0; font-size: 0.8rem; }
+.ss-error { margin: 0; color: var(--color-error); }
+`;
+document.head.appendChild(ssStyle);
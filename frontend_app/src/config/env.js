@@ -173,6 +173,72 @@ export function getLogLevel() {
   return 'info';
 }
 
+/**
+ * PUBLIC_INTERFACE
+ * getRateProviderOrder
+ * Parses REACT_APP_RATE_PROVIDERS into an ordered list of rate provider ids used for failover.
+ * Known ids: 'backend' (REACT_APP_API_BASE/REACT_APP_BACKEND_URL), 'exchangerate_host',
+ * 'frankfurter', 'openexchangerates' (needs REACT_APP_OXR_APP_ID).
+ * Example env: "frankfurter,exchangerate_host"
+ * Defaults to backend, exchangerate_host, frankfurter, openexchangerates.
+ *
+ * @returns {string[]}
+ */
+export function getRateProviderOrder() {
+  const env = getEnv();
+  const raw = str(env.REACT_APP_RATE_PROVIDERS);
+  const order = raw
+    ? raw.split(',').map((t) => t.trim().toLowerCase()).filter(Boolean)
+    : [];
+  return order.length ? order : ['backend', 'exchangerate_host', 'frankfurter', 'openexchangerates'];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getRateProviderTimeoutMs
+ * Reads REACT_APP_RATE_PROVIDER_TIMEOUT_MS: how long to wait on one provider before failing over.
+ * Defaults to 8000.
+ *
+ * @returns {number}
+ */
+export function getRateProviderTimeoutMs() {
+  const env = getEnv();
+  const n = Number(str(env.REACT_APP_RATE_PROVIDER_TIMEOUT_MS));
+  return Number.isFinite(n) && n > 0 ? n : 8000;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getRateProviderKeys
+ * Credentials for providers that need them:
+ * - REACT_APP_OXR_APP_ID (Open Exchange Rates)
+ * - REACT_APP_EXCHANGERATE_HOST_KEY (exchangerate.host access key)
+ *
+ * @returns {{ oxrAppId?: string, exchangerateHostKey?: string }}
+ */
+export function getRateProviderKeys() {
+  const env = getEnv();
+  return {
+    oxrAppId: str(env.REACT_APP_OXR_APP_ID),
+    exchangerateHostKey: str(env.REACT_APP_EXCHANGERATE_HOST_KEY),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getRatesRefreshIntervalMs
+ * Reads REACT_APP_RATES_REFRESH_INTERVAL_MS: how often visible pages revalidate rates in the background.
+ * 0 disables auto-refresh. Defaults to 30 minutes.
+ *
+ * @returns {number}
+ */
+export function getRatesRefreshIntervalMs() {
+  const env = getEnv();
+  const raw = str(env.REACT_APP_RATES_REFRESH_INTERVAL_MS);
+  const n = Number(raw);
+  return raw !== undefined && Number.isFinite(n) && n >= 0 ? n : 30 * 60 * 1000;
+}
+
 /**
  * PUBLIC_INTERFACE
  * getEnvSummary
@@ -183,7 +249,8 @@ export function getLogLevel() {
  *   featureFlags: Record<string, boolean>,
  *   experiments: boolean,
  *   telemetryDisabled: boolean,
- *   logLevel: string
+ *   logLevel: string,
+ *   rateProviders: string[]
  * }}
  */
 export function getEnvSummary() {
@@ -193,5 +260,6 @@ export function getEnvSummary() {
     experiments: isExperimentsEnabled(),
     telemetryDisabled: isTelemetryDisabled(),
     logLevel: getLogLevel(),
+    rateProviders: getRateProviderOrder(),
   };
 }
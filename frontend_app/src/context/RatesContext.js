@@ -0,0 +1,75 @@
+import React, { createContext, useContext, useEffect, useMemo } from 'react';
+import { getRatesRefreshIntervalMs } from '../config/env';
+import { getDefaultRatesStore } from '../services/ratesStore';
+
+/**
+ * Shared rates context.
+ * RatesProvider hands one rates store (services/ratesStore.js) to every card so they share
+ * requests, cache and refreshes, and runs background revalidation once for the whole app.
+ */
+
+const FOCUS_REVALIDATE_MS = 5 * 60 * 1000; // min data age before focus triggers a revalidation
+
+const RatesContext = createContext(null);
+
+/**
+ * PUBLIC_INTERFACE
+ * RatesProvider
+ * Provides the shared rates store. Every base with a mounted consumer is revalidated:
+ * - every `refreshIntervalMs` (defaults to REACT_APP_RATES_REFRESH_INTERVAL_MS, 0 disables)
+ * - when the window regains focus/visibility and the data is older than 5 minutes
+ * - when the browser comes back online
+ *
+ * Props:
+ * - store?: object - store from createRatesStore (defaults to the app-wide store)
+ * - refreshIntervalMs?: number
+ * - revalidateOnFocus?: boolean (default true)
+ * - revalidateOnReconnect?: boolean (default true)
+ */
+export function RatesProvider({ store, refreshIntervalMs, revalidateOnFocus = true, revalidateOnReconnect = true, children }) {
+  const value = useMemo(() => store || getDefaultRatesStore(), [store]);
+  const intervalMs = Number.isFinite(refreshIntervalMs) ? refreshIntervalMs : getRatesRefreshIntervalMs();
+
+  // background auto-refresh (only while the page is visible)
+  useEffect(() => {
+    if (!(intervalMs > 0)) return undefined;
+    const id = setInterval(() => {
+      if (document.visibilityState === 'hidden') return;
+      value.activeBases().forEach((b) => value.revalidateIfOlder(b, intervalMs));
+    }, intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs, value]);
+
+  // focus / visibility / reconnect revalidation
+  useEffect(() => {
+    const onFocus = () => {
+      if (document.visibilityState === 'hidden') return;
+      value.activeBases().forEach((b) => value.revalidateIfOlder(b, FOCUS_REVALIDATE_MS));
+    };
+    const onOnline = () => value.activeBases().forEach((b) => value.revalidateIfOlder(b, 0));
+
+    if (revalidateOnFocus) {
+      window.addEventListener('focus', onFocus);
+      document.addEventListener('visibilitychange', onFocus);
+    }
+    if (revalidateOnReconnect) window.addEventListener('online', onOnline);
+    return () => {
+      window.removeEventListener('focus', onFocus);
+      document.removeEventListener('visibilitychange', onFocus);
+      window.removeEventListener('online', onOnline);
+    };
+  }, [revalidateOnFocus, revalidateOnReconnect, value]);
+
+  return <RatesContext.Provider value={value}>{children}</RatesContext.Provider>;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useRatesStore
+ * The store from the nearest RatesProvider, or the app-wide store outside of one.
+ */
+export function useRatesStore() {
+  return useContext(RatesContext) || getDefaultRatesStore();
+}
+
+export default RatesContext;
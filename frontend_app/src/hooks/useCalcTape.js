@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { appendTapeEntry, createTapeEntry, loadCalcTape, persistCalcTape } from '../utils/calcTape';
+
+/**
+ * PUBLIC_INTERFACE
+ * useCalcTape
+ * Calculator history tape persisted in localStorage (see utils/calcTape).
+ *
+ * @returns {{
+ *   entries: { id: string, expression: string, result: string, at: number }[],
+ *   addCalculation: (calculation: { expression: string, result: string }) => void,
+ *   removeEntry: (id: string) => void,
+ *   clearTape: () => void
+ * }}
+ */
+export function useCalcTape() {
+  const [entries, setEntries] = useState(() => loadCalcTape());
+
+  // Persist on change
+  useEffect(() => {
+    persistCalcTape(entries);
+  }, [entries]);
+
+  // PUBLIC_INTERFACE
+  const addCalculation = useCallback((calculation) => {
+    setEntries((list) => appendTapeEntry(list, createTapeEntry(calculation)));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const removeEntry = useCallback((id) => {
+    setEntries((list) => list.filter((e) => e.id !== id));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const clearTape = useCallback(() => setEntries([]), []);
+
+  return useMemo(
+    () => ({ entries, addCalculation, removeEntry, clearTape }),
+    [entries, addCalculation, removeEntry, clearTape]
+  );
+}
+
+export default useCalcTape;
@@ -0,0 +1,59 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+
+/**
+ * useCardBridge
+ * Hands values between the calculator and the converter cards: "send to converter" puts the
+ * calculator display into the converter amount, "use in calculator" puts a converted amount on
+ * the calculator, and the quick-convert bar opens its query in the converter. One module-level
+ * store (not persisted); every send is a new message object, so receivers watch the message
+ * identity in an effect, like the calculator's completed calculations.
+ */
+
+let state = { toConverter: null, toCalculator: null };
+let seq = 0;
+const listeners = new Set();
+
+function getState() {
+  return state;
+}
+
+function send(channel, value, currency, to) {
+  seq += 1;
+  state = { ...state, [channel]: { id: seq, value: String(value), currency: currency || null, to: to || null } };
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useCardBridge
+ * React hook for the calculator/converter bridge.
+ *
+ * @returns {{
+ *   toConverter: { id: number, value: string, currency: string | null, to: string | null } | null,
+ *   toCalculator: { id: number, value: string, currency: string | null, to: string | null } | null,
+ *   sendToConverter: (value: string, currency?: string, to?: string) => void,
+ *   sendToCalculator: (value: string, currency?: string) => void
+ * }} value is a plain decimal string; currency is set when the value is an amount of money;
+ *   to is the converter target currency, if the sender picked one
+ */
+export function useCardBridge() {
+  const current = useSyncExternalStore(subscribe, getState);
+
+  // PUBLIC_INTERFACE
+  const sendToConverter = useCallback((value, currency, to) => send('toConverter', value, currency, to), []);
+
+  // PUBLIC_INTERFACE
+  const sendToCalculator = useCallback((value, currency) => send('toCalculator', value, currency), []);
+
+  return useMemo(
+    () => ({ toConverter: current.toConverter, toCalculator: current.toCalculator, sendToConverter, sendToCalculator }),
+    [current, sendToConverter, sendToCalculator]
+  );
+}
+
+export default useCardBridge;
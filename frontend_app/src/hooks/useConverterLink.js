@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { copyToClipboard } from '../utils/clipboard';
+import { converterLinkUrl, readConverterLink, writeConverterLink } from '../utils/converterLink';
+
+/**
+ * useConverterLink
+ * Keeps the converter state in the page URL (see utils/converterLink) so the page can be shared
+ * or bookmarked. Changing currencies or the rate date adds a history entry, so back/forward step
+ * through them; amount edits replace the current entry instead of adding one per keystroke. On
+ * back/forward the state of the entry is handed to onNavigate; missing currencies keep their
+ * current value, a missing amount or date clears it.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * readInitialConverterLink
+ * Converter state from the URL the page was opened with.
+ *
+ * @returns {{ amount?: string, from?: string, to?: string, date?: string } | undefined}
+ */
+export function readInitialConverterLink() {
+  return typeof window === 'undefined' ? undefined : readConverterLink(window.location.search);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useConverterLink
+ * React hook syncing converter state with the URL.
+ *
+ * @param {{ amount: string, from: string, to: string, date: string }} state amount as a plain
+ *   decimal string ('' when empty or invalid), date '' for the latest rates
+ * @param {(link: { amount?: string, from?: string, to?: string, date?: string }) => void} onNavigate
+ *   called with the state of the history entry on back/forward
+ * @returns {{ copyLink: () => Promise<boolean> }}
+ */
+export function useConverterLink(state, onNavigate) {
+  const { amount, from, to, date } = state;
+  const previous = useRef(null);
+
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    const next = writeConverterLink(search, { amount, from, to, date });
+    const prev = previous.current;
+    previous.current = { from, to, date };
+    if (next === search) return;
+    // the first sync and amount edits rewrite the current entry; other changes add one
+    const push = prev !== null && (prev.from !== from || prev.to !== to || prev.date !== date);
+    window.history[push ? 'pushState' : 'replaceState'](window.history.state, '', `${pathname}${next}${hash}`);
+  }, [amount, from, to, date]);
+
+  const navigateRef = useRef(onNavigate);
+  navigateRef.current = onNavigate;
+  useEffect(() => {
+    const onPopState = () => {
+      const link = readConverterLink(window.location.search) || {};
+      // the state restored from the entry must not add an entry of its own
+      const prev = previous.current || {};
+      previous.current = { from: link.from || prev.from, to: link.to || prev.to, date: link.date || '' };
+      navigateRef.current(link);
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const copyLink = useCallback(
+    () => copyToClipboard(converterLinkUrl(window.location.href, { amount, from, to, date })),
+    [amount, from, to, date]
+  );
+
+  return { copyLink };
+}
+
+export default useConverterLink;
@@ -1,95 +1,31 @@
-import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { getDailyRates, getSymbols } from '../services/api';
+import { useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { useRatesStore } from '../context/RatesContext';
 
 /**
  * useDailyRates
- * Fetches currency symbols and latest daily rates with 24h localStorage caching.
- * Exposes payload shape, loading/error state, lastUpdated timestamp and manual refresh.
+ * Reads currency symbols and latest daily rates for a base from the shared rates store
+ * (see services/ratesStore.js and context/RatesContext.js). All consumers of the same base
+ * share one request, one 24h localStorage cache entry and one refresh: refreshing from any
+ * card updates every card.
  *
- * Storage schema:
- *  - Key: 'cc_hub_daily_payload_v1::<base>'
- *  - Value: JSON.stringify({
- *      base: string,
- *      date?: string,
- *      rates: Record<string, number>,
- *      symbols: Record<string, { code: string, description: string }>,
- *      lastUpdated: number (epoch ms)
- *    })
- */
-
-// Cache constants
-const CACHE_PREFIX = 'cc_hub_daily_payload_v1::';
-const TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
-
-/**
- * Safely parse JSON string.
- */
-function safeParse(json) {
-  if (typeof json !== 'string') return undefined;
-  try {
-    return JSON.parse(json);
-  } catch {
-    return undefined;
-  }
-}
-
-/**
- * Build localStorage cache key by base currency
- */
-function cacheKey(base) {
-  return `${CACHE_PREFIX}${(base || 'USD').toUpperCase()}`;
-}
-
-/**
- * Determine if cached item is still valid by TTL
- */
-function isFresh(ts) {
-  if (!ts || typeof ts !== 'number') return false;
-  return Date.now() - ts < TTL_MS;
-}
-
-/**
- * Save payload to localStorage (best-effort).
- */
-function saveCache(base, payload) {
-  try {
-    const key = cacheKey(base);
-    const data = {
-      base: payload.base,
-      date: payload.date,
-      rates: payload.rates || {},
-      symbols: payload.symbols || {},
-      lastUpdated: Date.now(),
-    };
-    window.localStorage.setItem(key, JSON.stringify(data));
-  } catch {
-    // ignore storage issues
-  }
-}
-
-/**
- * Load payload from localStorage.
+ * Stale-while-revalidate: any cached payload (even past its TTL) renders immediately;
+ * expired payloads are then revalidated in the background. The full `loading` state is
+ * only used when there is nothing to show yet. When a fetch fails (e.g. offline), the last
+ * payload stays in use regardless of age and `offline` is set instead of `error`. The same
+ * applies when the service worker answers from its cache: `lastUpdated` is then the time that
+ * copy was cached.
+ * Periodic, focus and reconnect revalidation is run by RatesProvider.
+ *
+ * `previous` holds the rates of the last earlier day seen, retained from the payload that a
+ * newer day replaced (see services/ratesStore.js); it is missing until a newer day arrives.
  */
-function loadCache(base) {
-  try {
-    const key = cacheKey(base);
-    const raw = window.localStorage.getItem(key);
-    const data = safeParse(raw);
-    if (data && isFresh(data.lastUpdated)) {
-      return data;
-    }
-  } catch {
-    // ignore storage issues
-  }
-  return undefined;
-}
 
 /**
  * PUBLIC_INTERFACE
  * useDailyRates
  * React hook to load currency symbols and daily rates with caching and refresh.
  *
- * @param {{ base?: string, disableCache?: boolean }} [options]
+ * @param {{ base?: string }} [options]
  * @returns {{
  *   rates: Record<string, number>,
  *   symbols: Record<string, { code: string, description: string }>,
@@ -98,130 +34,34 @@ function loadCache(base) {
  *   loading: boolean,
  *   error: Error | null,
  *   lastUpdated?: number,
+ *   provider?: string,
+ *   previous?: { date: string, rates: Record<string, number> },
+ *   offline: boolean,
+ *   isStale: boolean,
+ *   isRevalidating: boolean,
  *   refresh: () => Promise<void>
  * }}
  */
 export function useDailyRates(options = {}) {
-  const defaultBase = typeof options.base === 'string' && options.base.trim()
+  const base = typeof options.base === 'string' && options.base.trim()
     ? options.base.trim().toUpperCase()
     : 'USD';
-  const [base, setBase] = useState(defaultBase);
-
-  // state
-  const [rates, setRates] = useState({});
-  const [symbols, setSymbols] = useState({});
-  const [date, setDate] = useState(undefined);
-  const [lastUpdated, setLastUpdated] = useState(undefined);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const store = useRatesStore();
 
-  // track in-flight to avoid races
-  const loadingRef = useRef(false);
-  const mountedRef = useRef(true);
+  const subscribe = useCallback((listener) => store.subscribe(base, listener), [store, base]);
+  const getSnapshot = useCallback(() => store.getEntry(base), [store, base]);
+  const entry = useSyncExternalStore(subscribe, getSnapshot);
 
-  // sync base from options if changed
+  // initial load (shared with any other consumer of this base)
   useEffect(() => {
-    const nextBase = (options.base || 'USD').toUpperCase();
-    if (nextBase !== base) setBase(nextBase);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [options.base]);
-
-  const applyPayload = useCallback((payload) => {
-    if (!mountedRef.current) return;
-    setRates(payload.rates || {});
-    setSymbols(payload.symbols || {});
-    setDate(payload.date);
-    setLastUpdated(payload.lastUpdated || Date.now());
-  }, []);
-
-  const fetchFresh = useCallback(async (b) => {
-    // Fetch symbols and daily rates concurrently
-    const [symbolsData, ratesData] = await Promise.all([
-      getSymbols(),
-      getDailyRates({ base: b }),
-    ]);
-
-    const merged = {
-      base: ratesData?.base || b,
-      date: ratesData?.date,
-      rates: ratesData?.rates || {},
-      symbols: symbolsData || {},
-      lastUpdated: Date.now(),
-    };
-
-    // Save to cache (best-effort)
-    saveCache(b, merged);
-
-    return merged;
-  }, []);
-
-  const load = useCallback(
-    async (opts = { force: false }) => {
-      if (loadingRef.current) return;
-      loadingRef.current = true;
-      setLoading(true);
-      setError(null);
-
-      const b = base;
-
-      try {
-        if (!opts.force && !options.disableCache) {
-          // try cache first
-          const cached = loadCache(b);
-          if (cached) {
-            applyPayload(cached);
-            setLoading(false);
-            loadingRef.current = false;
-            return;
-          }
-        }
-
-        // fetch fresh
-        const fresh = await fetchFresh(b);
-        applyPayload(fresh);
-      } catch (err) {
-        if (mountedRef.current) {
-          setError(err instanceof Error ? err : new Error(String(err)));
-        }
-      } finally {
-        if (mountedRef.current) setLoading(false);
-        loadingRef.current = false;
-      }
-    },
-    [applyPayload, base, fetchFresh, options.disableCache]
-  );
-
-  // initial load
-  useEffect(() => {
-    mountedRef.current = true;
-    load({ force: false });
-    return () => {
-      mountedRef.current = false;
-    };
-  }, [base, load]);
+    store.load(base);
+  }, [store, base]);
 
   // PUBLIC_INTERFACE
-  const refresh = useCallback(async () => {
-    // force bypass cache
-    await load({ force: true });
-  }, [load]);
+  const refresh = useCallback(() => store.refresh(base), [store, base]);
 
   // Derived memoized object to keep stable identity where possible
-  const result = useMemo(
-    () => ({
-      rates,
-      symbols,
-      base,
-      date,
-      loading,
-      error,
-      lastUpdated,
-      refresh,
-    }),
-    [rates, symbols, base, date, loading, error, lastUpdated, refresh]
-  );
-
-  return result;
+  return useMemo(() => ({ ...entry, refresh }), [entry, refresh]);
 }
 
 export default useDailyRates;
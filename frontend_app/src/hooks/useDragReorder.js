@@ -0,0 +1,62 @@
+import { useCallback, useState } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * useDragReorder
+ * Drag-and-drop reordering for a list, with a keyboard alternative: Alt+Arrow keys move the
+ * focused item one place up/left or down/right.
+ *
+ * Spread `getItemProps(index)` on each list item; `onMove(fromIndex, toIndex)` applies the move.
+ *
+ * @param {(fromIndex: number, toIndex: number) => void} onMove
+ * @returns {{ dragIndex: number | null, overIndex: number | null, getItemProps: (index: number) => object }}
+ */
+export function useDragReorder(onMove) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  const getItemProps = useCallback(
+    (index) => ({
+      draggable: true,
+      'aria-roledescription': 'reorderable item',
+      onDragStart: (e) => {
+        setDragIndex(index);
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefox needs data to start a drag
+        e.dataTransfer.setData('text/plain', String(index));
+      },
+      onDragOver: (e) => {
+        if (dragIndex === null) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (overIndex !== index) setOverIndex(index);
+      },
+      onDrop: (e) => {
+        if (dragIndex === null) return;
+        e.preventDefault();
+        onMove(dragIndex, index);
+        setDragIndex(null);
+        setOverIndex(null);
+      },
+      onDragEnd: () => {
+        setDragIndex(null);
+        setOverIndex(null);
+      },
+      onKeyDown: (e) => {
+        if (!e.altKey) return;
+        if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+          e.preventDefault();
+          onMove(index, index - 1);
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+          e.preventDefault();
+          onMove(index, index + 1);
+        }
+      },
+    }),
+    [dragIndex, overIndex, onMove]
+  );
+
+  return { dragIndex, overIndex, getItemProps };
+}
+
+export default useDragReorder;
@@ -0,0 +1,100 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import {
+  FAVORITES_STORAGE_KEY, loadFavorites, moveItem, pairKey, persistFavorites, toggleCode, togglePair,
+} from '../utils/favorites';
+
+/**
+ * useFavorites
+ * Starred currencies and pinned pairs shared by every card: one module-level store, so
+ * starring a currency in Daily Rates shows up at once in the converter's quick picks.
+ * Changes are persisted to localStorage (utils/favorites) and picked up from other tabs.
+ */
+
+let state = null;
+const listeners = new Set();
+
+function getState() {
+  if (!state) state = loadFavorites();
+  return state;
+}
+
+function setState(updater) {
+  const next = updater(getState());
+  if (next === state) return;
+  state = next;
+  persistFavorites(state);
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  const onStorage = (e) => {
+    if (e.key !== FAVORITES_STORAGE_KEY) return;
+    state = loadFavorites();
+    listener();
+  };
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useFavorites
+ * React hook for starred currencies and pinned pairs.
+ *
+ * @returns {{
+ *   codes: string[],
+ *   pairs: { from: string, to: string }[],
+ *   isFavorite: (code: string) => boolean,
+ *   toggleFavorite: (code: string) => void,
+ *   moveFavorite: (fromIndex: number, toIndex: number) => void,
+ *   isPinned: (from: string, to: string) => boolean,
+ *   togglePin: (from: string, to: string) => void,
+ *   movePin: (fromIndex: number, toIndex: number) => void
+ * }}
+ */
+export function useFavorites() {
+  const { codes, pairs } = useSyncExternalStore(subscribe, getState);
+
+  const codeSet = useMemo(() => new Set(codes), [codes]);
+  const pairSet = useMemo(() => new Set(pairs.map(pairKey)), [pairs]);
+
+  const isFavorite = useCallback((code) => codeSet.has(code), [codeSet]);
+  const isPinned = useCallback((from, to) => pairSet.has(pairKey({ from, to })), [pairSet]);
+
+  // PUBLIC_INTERFACE
+  const toggleFavorite = useCallback((code) => {
+    setState((s) => ({ ...s, codes: toggleCode(s.codes, code) }));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const moveFavorite = useCallback((fromIndex, toIndex) => {
+    setState((s) => {
+      const moved = moveItem(s.codes, fromIndex, toIndex);
+      return moved === s.codes ? s : { ...s, codes: moved };
+    });
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const togglePin = useCallback((from, to) => {
+    setState((s) => ({ ...s, pairs: togglePair(s.pairs, { from, to }) }));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const movePin = useCallback((fromIndex, toIndex) => {
+    setState((s) => {
+      const moved = moveItem(s.pairs, fromIndex, toIndex);
+      return moved === s.pairs ? s : { ...s, pairs: moved };
+    });
+  }, []);
+
+  return useMemo(
+    () => ({ codes, pairs, isFavorite, toggleFavorite, moveFavorite, isPinned, togglePin, movePin }),
+    [codes, pairs, isFavorite, toggleFavorite, moveFavorite, isPinned, togglePin, movePin]
+  );
+}
+
+export default useFavorites;
@@ -0,0 +1,203 @@
+import { useEffect, useMemo, useState } from 'react';
+import { getHistoricalRates } from '../services/api';
+import { isIsoDate, isWeekend, previousBusinessDay, toIsoDate } from '../utils/date';
+
+/**
+ * useHistoricalRates
+ * Loads the rates that applied on a given calendar day, for converting at a transaction date.
+ * Weekends and holidays have no fixing, so the lookup falls back to the previous business day
+ * that has data and reports the date actually used.
+ *
+ * Historical rates never change, so payloads are cached in localStorage without expiry, except
+ * for days less than one business day old: their fixing may not be published yet, and the
+ * fallback day used meanwhile would stick.
+ *
+ * Storage schema:
+ *  - Key: 'cc_hub_hist_payload_v1::<base>::<requested date>'
+ *  - Value: JSON.stringify({ base: string, date: string, rates: Record<string, number>, provider?: string })
+ */
+
+// Cache constants
+const CACHE_PREFIX = 'cc_hub_hist_payload_v1::';
+const MAX_FALLBACK_DAYS = 7; // longest run of closed days we try to skip over
+
+/**
+ * Build localStorage cache key by base currency and requested date
+ */
+function cacheKey(base, date) {
+  return `${CACHE_PREFIX}${base}::${date}`;
+}
+
+/**
+ * True when `date` is at least one business day old, so its rates are final and can be cached.
+ */
+function isSettled(date) {
+  return date < previousBusinessDay(toIsoDate());
+}
+
+/**
+ * Load payload from localStorage.
+ */
+function loadCache(base, date) {
+  if (!isSettled(date)) return undefined;
+  try {
+    const raw = window.localStorage.getItem(cacheKey(base, date));
+    const data = raw ? JSON.parse(raw) : undefined;
+    if (data && data.rates && Object.keys(data.rates).length) return data;
+  } catch {
+    // ignore storage issues
+  }
+  return undefined;
+}
+
+/**
+ * Save payload to localStorage (best-effort). Recent days are skipped (see above).
+ */
+function saveCache(base, date, payload) {
+  if (!isSettled(date)) return;
+  try {
+    window.localStorage.setItem(cacheKey(base, date), JSON.stringify(payload));
+  } catch {
+    // ignore storage issues
+  }
+}
+
+/**
+ * True when no provider could be reached (offline, timeouts), as opposed to providers answering
+ * with an error for the day (e.g. a 404 for a holiday).
+ */
+function isNetworkError(err) {
+  const errors = err?.code === 'EALLPROVIDERS' ? err.errors || [] : [err];
+  return errors.every((e) => e?.code === 'ETIMEDOUT' || e?.cause instanceof TypeError);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * fetchRatesForDay
+ * Fetch rates for `date`, stepping back business day by business day until a day with data is found.
+ * Providers that already answer with the previous fixing (e.g. ECB-style APIs) are respected via
+ * the returned `date`. A day the providers answer with an error for is skipped like an empty one;
+ * network errors end the lookup.
+ *
+ * @param {{ base: string, date: string }} opts
+ * @returns {Promise<{ base: string, date: string, requestedDate: string, rates: Record<string, number>, provider?: string }>}
+ */
+export async function fetchRatesForDay({ base, date }) {
+  let day = isWeekend(date) ? previousBusinessDay(date) : date;
+  let lastError;
+  for (let attempt = 0; attempt < MAX_FALLBACK_DAYS; attempt += 1) {
+    let data;
+    try {
+      data = await getHistoricalRates({ date: day, base });
+    } catch (err) {
+      if (isNetworkError(err)) throw err;
+      lastError = err;
+    }
+    if (data?.rates && Object.keys(data.rates).length) {
+      return {
+        base: data.base || base,
+        date: data.date || day,
+        requestedDate: date,
+        rates: data.rates,
+        provider: data.provider,
+      };
+    }
+    day = previousBusinessDay(day);
+  }
+  const e = new Error(`[rates] No rates published within ${MAX_FALLBACK_DAYS} business days before ${date}`);
+  e.code = 'NO_DATA';
+  if (lastError) e.cause = lastError;
+  throw e;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadRatesForDay
+ * Rates for a past day from the localStorage cache, fetching (and caching) them when missing.
+ *
+ * @param {{ base: string, date: string }} opts
+ * @returns {Promise<{ base: string, date: string, requestedDate: string, rates: Record<string, number>, provider?: string }>}
+ */
+export async function loadRatesForDay({ base, date }) {
+  const cached = loadCache(base, date);
+  if (cached) return { ...cached, requestedDate: date };
+  const data = await fetchRatesForDay({ base, date });
+  saveCache(base, date, { base: data.base, date: data.date, rates: data.rates, provider: data.provider });
+  return data;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useHistoricalRates
+ * React hook to load rates for a past date. Pass an empty date to stay idle (use latest rates instead).
+ *
+ * @param {{ base?: string, date?: string }} [options] date as YYYY-MM-DD
+ * @returns {{
+ *   rates: Record<string, number>,
+ *   base: string,
+ *   date?: string,
+ *   requestedDate?: string,
+ *   loading: boolean,
+ *   error: Error | null
+ * }}
+ */
+export function useHistoricalRates(options = {}) {
+  const base = (options.base || 'USD').toUpperCase();
+  const requested = isIsoDate(options.date) && options.date <= toIsoDate() ? options.date : undefined;
+
+  const [payload, setPayload] = useState(undefined);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!requested) {
+      setPayload(undefined);
+      setError(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    const cached = loadCache(base, requested);
+    if (cached) {
+      setPayload({ ...cached, requestedDate: requested });
+      setError(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    // ignore responses for a date the user already changed
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    fetchRatesForDay({ base, date: requested })
+      .then((data) => {
+        saveCache(base, requested, { base: data.base, date: data.date, rates: data.rates, provider: data.provider });
+        if (!cancelled) setPayload(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err instanceof Error ? err : new Error(String(err)));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [base, requested]);
+
+  return useMemo(
+    () => ({
+      rates: payload?.rates || {},
+      base: payload?.base || base,
+      date: payload?.date,
+      requestedDate: requested,
+      loading,
+      error,
+    }),
+    [payload, base, requested, loading, error]
+  );
+}
+
+export default useHistoricalRates;
@@ -0,0 +1,93 @@
+import { getHistoricalRates } from '../services/api';
+import { fetchRatesForDay, loadRatesForDay } from './useHistoricalRates';
+
+jest.mock('../services/api', () => ({
+  getHistoricalRates: jest.fn(),
+}));
+
+/** An error shaped like the api's failover error, with one failure per provider. */
+function providersFailed(...errors) {
+  const e = new Error('[api] All rate providers failed');
+  e.code = 'EALLPROVIDERS';
+  e.errors = errors;
+  return e;
+}
+
+function httpError(status) {
+  const e = new Error(`[api] Request failed: ${status}`);
+  e.cause = Object.assign(new Error(`${status}`), { status });
+  return e;
+}
+
+function networkError() {
+  const e = new Error('[api] Failed to fetch');
+  e.cause = new TypeError('Failed to fetch');
+  return e;
+}
+
+const answer = (date) => ({ base: 'USD', date, rates: { EUR: 0.92 }, provider: 'frankfurter' });
+
+describe('fetchRatesForDay', () => {
+  beforeEach(() => {
+    getHistoricalRates.mockReset();
+  });
+
+  test('looks up the Friday for a weekend date', async () => {
+    getHistoricalRates.mockImplementation(async ({ date }) => answer(date));
+
+    await expect(fetchRatesForDay({ base: 'USD', date: '2024-03-30' })).resolves.toMatchObject({
+      date: '2024-03-29',
+      requestedDate: '2024-03-30',
+    });
+    expect(getHistoricalRates).toHaveBeenCalledWith({ date: '2024-03-29', base: 'USD' });
+  });
+
+  test('steps back over a holiday answered with an empty body or an error', async () => {
+    getHistoricalRates
+      .mockResolvedValueOnce({ base: 'USD', date: '2024-03-29', rates: {} })
+      .mockRejectedValueOnce(providersFailed(httpError(404), httpError(422)))
+      .mockImplementation(async ({ date }) => answer(date));
+
+    await expect(fetchRatesForDay({ base: 'USD', date: '2024-03-29' })).resolves.toMatchObject({ date: '2024-03-27' });
+    expect(getHistoricalRates.mock.calls.map(([opts]) => opts.date)).toEqual(['2024-03-29', '2024-03-28', '2024-03-27']);
+  });
+
+  test('stops on network errors', async () => {
+    getHistoricalRates.mockRejectedValue(providersFailed(networkError(), networkError()));
+
+    await expect(fetchRatesForDay({ base: 'USD', date: '2024-03-28' })).rejects.toMatchObject({ code: 'EALLPROVIDERS' });
+    expect(getHistoricalRates).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after a week of days without rates', async () => {
+    getHistoricalRates.mockRejectedValue(providersFailed(httpError(404)));
+
+    await expect(fetchRatesForDay({ base: 'USD', date: '2024-03-28' })).rejects.toMatchObject({ code: 'NO_DATA' });
+    expect(getHistoricalRates).toHaveBeenCalledTimes(7);
+  });
+});
+
+describe('loadRatesForDay', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    getHistoricalRates.mockReset().mockImplementation(async ({ date }) => answer(date));
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-04-03T12:00:00Z')); // Wednesday
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('caches settled days', async () => {
+    await loadRatesForDay({ base: 'USD', date: '2024-03-28' });
+    await loadRatesForDay({ base: 'USD', date: '2024-03-28' });
+    expect(getHistoricalRates).toHaveBeenCalledTimes(1);
+  });
+
+  test('refetches days less than one business day old', async () => {
+    await loadRatesForDay({ base: 'USD', date: '2024-04-02' });
+    await loadRatesForDay({ base: 'USD', date: '2024-04-02' });
+    expect(getHistoricalRates).toHaveBeenCalledTimes(2);
+  });
+});
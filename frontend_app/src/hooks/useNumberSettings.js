@@ -0,0 +1,80 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import {
+  DEFAULT_NUMBER_SETTINGS,
+  NUMBER_SETTINGS_STORAGE_KEY,
+  loadNumberSettings,
+  persistNumberSettings,
+  resolveNumberSettings,
+  validateNumberSettings,
+} from '../utils/locale';
+
+/**
+ * useNumberSettings
+ * Locale, separators and display precision shared by every card: one module-level store, so
+ * changing the locale in the settings panel re-renders the converter, calculator and rate lists
+ * at once. Changes are persisted to localStorage (utils/locale) and picked up from other tabs.
+ */
+
+let state = null;
+const listeners = new Set();
+
+function getState() {
+  if (!state) state = loadNumberSettings();
+  return state;
+}
+
+function setState(next) {
+  if (next === state) return;
+  state = next;
+  persistNumberSettings(state);
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  const onStorage = (e) => {
+    if (e.key !== NUMBER_SETTINGS_STORAGE_KEY) return;
+    state = loadNumberSettings();
+    listener();
+  };
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useNumberSettings
+ * React hook for the number settings.
+ *
+ * @returns {{
+ *   settings: typeof DEFAULT_NUMBER_SETTINGS,
+ *   resolved: ReturnType<typeof resolveNumberSettings>,
+ *   updateSettings: (patch: Partial<typeof DEFAULT_NUMBER_SETTINGS>) => string,
+ *   resetSettings: () => void
+ * }} updateSettings returns an error message and keeps the settings when the patch is invalid
+ */
+export function useNumberSettings() {
+  const settings = useSyncExternalStore(subscribe, getState);
+  const resolved = useMemo(() => resolveNumberSettings(settings), [settings]);
+
+  // PUBLIC_INTERFACE
+  const updateSettings = useCallback((patch) => {
+    const next = { ...getState(), ...patch };
+    const error = validateNumberSettings(next);
+    if (!error) setState(next);
+    return error;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const resetSettings = useCallback(() => setState(DEFAULT_NUMBER_SETTINGS), []);
+
+  return useMemo(
+    () => ({ settings, resolved, updateSettings, resetSettings }),
+    [settings, resolved, updateSettings, resetSettings]
+  );
+}
+
+export default useNumberSettings;
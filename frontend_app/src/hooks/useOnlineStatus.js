@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * useOnlineStatus
+ * Tracks navigator.onLine through the window 'online'/'offline' events.
+ *
+ * @returns {boolean} true while the browser reports a network connection
+ */
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine !== false));
+
+  useEffect(() => {
+    const onOnline = () => setOnline(true);
+    const onOffline = () => setOnline(false);
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
+    };
+  }, []);
+
+  return online;
+}
+
+export default useOnlineStatus;
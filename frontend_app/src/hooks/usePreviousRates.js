@@ -0,0 +1,67 @@
+import { useEffect, useMemo, useState } from 'react';
+import { isIsoDate, previousBusinessDay } from '../utils/date';
+import { isPreviousDayOf } from '../utils/rateChange';
+import { loadRatesForDay } from './useHistoricalRates';
+
+/**
+ * PUBLIC_INTERFACE
+ * usePreviousRates
+ * Rates of the day before the latest fixing, for day-over-day changes. Uses the rates retained
+ * from the last cached payload (useDailyRates `previous`) when they are from the business day
+ * before; otherwise loads that day like a historical date (cached without expiry, stepping back
+ * over holidays).
+ *
+ * @param {{ base: string, date?: string, retained?: { date: string, rates: Record<string, number> } }} options
+ *   base and date of the latest rates; retained: useDailyRates `previous`
+ * @returns {{
+ *   base: string,
+ *   date?: string,
+ *   rates: Record<string, number>,
+ *   loading: boolean,
+ *   error: Error | null
+ * }} rates are empty until loaded or when there is no latest date
+ */
+export function usePreviousRates({ base, date, retained }) {
+  const useRetained = isPreviousDayOf(retained?.date, date);
+  const day = !useRetained && isIsoDate(date) ? previousBusinessDay(date) : undefined;
+
+  const [payload, setPayload] = useState(undefined);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!day) {
+      setPayload(undefined);
+      setLoading(false);
+      setError(null);
+      return undefined;
+    }
+
+    // ignore responses for a latest date that already changed
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    loadRatesForDay({ base, date: day })
+      .then((data) => {
+        if (!cancelled) setPayload(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err instanceof Error ? err : new Error(String(err)));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [base, day]);
+
+  return useMemo(() => {
+    if (useRetained) return { base, date: retained.date, rates: retained.rates, loading: false, error: null };
+    const current = payload && payload.requestedDate === day ? payload : undefined;
+    return { base: current?.base || base, date: current?.date, rates: current?.rates || {}, loading, error };
+  }, [useRetained, retained, base, payload, day, loading, error]);
+}
+
+export default usePreviousRates;
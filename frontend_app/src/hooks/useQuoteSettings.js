@@ -0,0 +1,97 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import {
+  QUOTES_STORAGE_KEY,
+  loadQuoteSettings,
+  normalizeQuoteSettings,
+  persistQuoteSettings,
+  validateMarkup,
+} from '../utils/quotes';
+
+/**
+ * useQuoteSettings
+ * Quote direction and spreads shared by Daily Rates and the converter: one module-level store,
+ * so markups set in the rates card apply to the converter right away. Changes are persisted
+ * to localStorage (utils/quotes) and picked up from other tabs.
+ */
+
+let state = null;
+const listeners = new Set();
+
+function getState() {
+  if (!state) state = loadQuoteSettings();
+  return state;
+}
+
+function setState(next) {
+  if (next === state) return;
+  state = next;
+  persistQuoteSettings(state);
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  const onStorage = (e) => {
+    if (e.key !== QUOTES_STORAGE_KEY) return;
+    state = loadQuoteSettings();
+    listener();
+  };
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useQuoteSettings
+ * React hook for the quote settings.
+ *
+ * @returns {{
+ *   settings: typeof DEFAULT_QUOTE_SETTINGS,
+ *   setQuote: (quote: 'direct'|'inverse') => void,
+ *   updateSpreads: (patch: Partial<typeof DEFAULT_QUOTE_SETTINGS['spreads']>) => void,
+ *   setMarkup: (code: string, markup: string) => string,
+ *   removeMarkup: (code: string) => void
+ * }} setMarkup returns an error message and keeps the markups when the value is invalid
+ */
+export function useQuoteSettings() {
+  const settings = useSyncExternalStore(subscribe, getState);
+
+  // PUBLIC_INTERFACE
+  const setQuote = useCallback((quote) => {
+    setState(normalizeQuoteSettings({ ...getState(), quote }));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const updateSpreads = useCallback((patch) => {
+    const current = getState();
+    setState(normalizeQuoteSettings({ ...current, spreads: { ...current.spreads, ...patch } }));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const setMarkup = useCallback((code, markup) => {
+    const error = validateMarkup(markup);
+    if (error) return error;
+    const current = getState();
+    const markups = { ...current.spreads.markups, [code]: markup };
+    setState(normalizeQuoteSettings({ ...current, spreads: { ...current.spreads, markups } }));
+    return '';
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const removeMarkup = useCallback((code) => {
+    const current = getState();
+    const markups = { ...current.spreads.markups };
+    delete markups[code];
+    setState(normalizeQuoteSettings({ ...current, spreads: { ...current.spreads, markups } }));
+  }, []);
+
+  return useMemo(
+    () => ({ settings, setQuote, updateSpreads, setMarkup, removeMarkup }),
+    [settings, setQuote, updateSpreads, setMarkup, removeMarkup]
+  );
+}
+
+export default useQuoteSettings;
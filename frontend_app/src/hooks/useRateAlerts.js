@@ -0,0 +1,159 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import useDailyRates from './useDailyRates';
+import usePreviousRates from './usePreviousRates';
+import { defaultBaseCurrency } from '../utils/currency';
+import { createAlertRule, evaluateAlertRules, loadAlertEvents, loadAlertRules, persistAlertEvents, persistAlertRules } from '../utils/alerts';
+
+/**
+ * useRateAlerts
+ * Manages locally stored rate alert rules (see utils/alerts) and evaluates them every time
+ * the shared rates store delivers a new payload, and again once the previous day's rates
+ * (usePreviousRates, as in Daily Rates) are available for daily move rules. Triggered alerts
+ * are kept for the in-app alert center and, once the user granted permission, also shown as
+ * browser notifications.
+ *
+ * Mount it once (the alert center does); every mount evaluates and would notify separately.
+ */
+
+/**
+ * Current Notification permission, or 'unsupported'.
+ */
+function readPermission() {
+  return typeof window !== 'undefined' && 'Notification' in window ? window.Notification.permission : 'unsupported';
+}
+
+/**
+ * Show a browser notification for a triggered alert (best-effort).
+ */
+function notify(event) {
+  if (readPermission() !== 'granted') return;
+  try {
+    // tag collapses repeated alerts of the same rule into one notification
+    const notification = new window.Notification('Currency rate alert', { body: event.message, tag: event.ruleId });
+    // clicking it brings the app back to the front
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch {
+    // some browsers only allow notifications from a service worker
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useRateAlerts
+ * React hook for alert rules and triggered alerts.
+ *
+ * @returns {{
+ *   rules: object[],
+ *   events: object[],
+ *   unreadCount: number,
+ *   addRule: (input: { type: string, from: string, to: string, value: number | string }) => object,
+ *   removeRule: (id: string) => void,
+ *   toggleRule: (id: string) => void,
+ *   markAllRead: () => void,
+ *   clearEvents: () => void,
+ *   permission: 'default'|'granted'|'denied'|'unsupported',
+ *   requestPermission: () => Promise<void>
+ * }}
+ */
+export function useRateAlerts() {
+  const { rates, base, date, lastUpdated, previous } = useDailyRates({ base: defaultBaseCurrency });
+  const previousRates = usePreviousRates({ base, date, retained: previous });
+  const previousTable = useMemo(
+    () => (previousRates.date && Object.keys(previousRates.rates).length
+      ? { base: previousRates.base, date: previousRates.date, rates: previousRates.rates }
+      : undefined),
+    [previousRates]
+  );
+
+  const [rules, setRules] = useState(() => loadAlertRules());
+  const [events, setEvents] = useState(() => loadAlertEvents());
+  const [permission, setPermission] = useState(() => readPermission());
+  // rules as of the last render, read by the evaluation effect without re-running it
+  const rulesRef = useRef(rules);
+  rulesRef.current = rules;
+  const evaluatedRef = useRef(undefined); // payload (and previous day) evaluated last
+
+  // Persist on change
+  useEffect(() => {
+    persistAlertRules(rules);
+  }, [rules]);
+  useEffect(() => {
+    persistAlertEvents(events);
+  }, [events]);
+
+  // Evaluate on every new payload; rules keep their trigger state, so evaluating the same
+  // payload again once the previous day has loaded does not fire twice
+  useEffect(() => {
+    if (!lastUpdated || !rates || !Object.keys(rates).length) return;
+    const key = `${lastUpdated}|${previousTable?.date || ''}`;
+    if (evaluatedRef.current === key) return;
+    evaluatedRef.current = key;
+    const result = evaluateAlertRules(rulesRef.current, { base, date, rates }, previousTable);
+    if (result.rules.some((r, i) => r !== rulesRef.current[i])) setRules(result.rules);
+    if (result.triggered.length) {
+      setEvents((list) => [...result.triggered.reverse(), ...list]);
+      result.triggered.forEach(notify);
+    }
+  }, [rates, base, date, lastUpdated, previousTable]);
+
+  // PUBLIC_INTERFACE
+  const addRule = useCallback((input) => {
+    // throws on invalid input so the form can show the message
+    const rule = createAlertRule(input);
+    setRules((list) => [...list, rule]);
+    return rule;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const removeRule = useCallback((id) => {
+    setRules((list) => list.filter((r) => r.id !== id));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const toggleRule = useCallback((id) => {
+    // re-enabling re-arms the rule so a condition that still holds fires again
+    setRules((list) => list.map((r) => (r.id === id ? { ...r, enabled: !r.enabled, active: false } : r)));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const markAllRead = useCallback(() => {
+    setEvents((list) => (list.some((e) => !e.read) ? list.map((e) => (e.read ? e : { ...e, read: true })) : list));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const clearEvents = useCallback(() => setEvents([]), []);
+
+  // PUBLIC_INTERFACE
+  const requestPermission = useCallback(async () => {
+    if (readPermission() === 'unsupported') return;
+    try {
+      const result = await window.Notification.requestPermission();
+      setPermission(result);
+    } catch {
+      setPermission(readPermission());
+    }
+  }, []);
+
+  const unreadCount = useMemo(() => events.filter((e) => !e.read).length, [events]);
+
+  return useMemo(
+    () => ({
+      rules,
+      events,
+      unreadCount,
+      addRule,
+      removeRule,
+      toggleRule,
+      markAllRead,
+      clearEvents,
+      permission,
+      requestPermission,
+    }),
+    [rules, events, unreadCount, addRule, removeRule, toggleRule, markAllRead, clearEvents, permission, requestPermission]
+  );
+}
+
+export default useRateAlerts;
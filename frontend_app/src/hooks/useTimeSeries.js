@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { getTimeSeries } from '../services/api';
+import { rangeToDates } from '../utils/date';
+
+/**
+ * useTimeSeries
+ * Fetches daily rate history for a set of currencies over a 7D/30D/1Y range.
+ * Exposes per-currency point arrays, loading/error state and manual refresh.
+ *
+ * History payloads are large (a year of ~170 currencies), so only the requested
+ * symbols are fetched and results are kept in an in-memory cache for the session
+ * instead of localStorage.
+ *
+ * Cache schema:
+ *  - Key: '<base>::<range>::<CODE,CODE,...>'
+ *  - Value: { start, end, series: Record<code, { date: string, rate: number }[]>, ts: number }
+ */
+
+// Cache constants
+const TTL_MS = 60 * 60 * 1000; // 1 hour
+const seriesCache = new Map();
+
+/**
+ * Build cache key from base, range and sorted symbols.
+ */
+function cacheKey(base, range, symbolsKey) {
+  return `${base}::${range}::${symbolsKey}`;
+}
+
+/**
+ * Pivot { [date]: { [code]: rate } } into { [code]: [{ date, rate }] } sorted by date.
+ */
+function toSeriesByCode(ratesByDate) {
+  const out = {};
+  const dates = Object.keys(ratesByDate || {}).sort();
+  for (const date of dates) {
+    const day = ratesByDate[date] || {};
+    for (const code of Object.keys(day)) {
+      const rate = day[code];
+      if (typeof rate !== 'number' || !Number.isFinite(rate)) continue;
+      if (!out[code]) out[code] = [];
+      out[code].push({ date, rate });
+    }
+  }
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useTimeSeries
+ * React hook to load rate history for the given currencies.
+ *
+ * @param {{ base?: string, range?: '7D'|'30D'|'1Y', symbols?: string[] }} [options]
+ * @returns {{
+ *   series: Record<string, { date: string, rate: number }[]>,
+ *   start?: string,
+ *   end?: string,
+ *   loading: boolean,
+ *   error: Error | null,
+ *   refresh: () => void
+ * }}
+ */
+export function useTimeSeries(options = {}) {
+  const base = (options.base || 'USD').toUpperCase();
+  const range = options.range || '30D';
+  // Stable dependency for the symbol list regardless of array identity/order
+  const symbolsKey = useMemo(
+    () => [...new Set((options.symbols || []).map((c) => String(c).toUpperCase()))].sort().join(','),
+    [options.symbols]
+  );
+
+  const [series, setSeries] = useState({});
+  const [bounds, setBounds] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [nonce, setNonce] = useState(0);
+
+  useEffect(() => {
+    if (!symbolsKey) {
+      setSeries({});
+      setLoading(false);
+      return undefined;
+    }
+
+    const key = cacheKey(base, range, symbolsKey);
+    const cached = seriesCache.get(key);
+    if (cached && nonce === 0 && Date.now() - cached.ts < TTL_MS) {
+      setSeries(cached.series);
+      setBounds({ start: cached.start, end: cached.end });
+      setError(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    // ignore responses for a range/base the user already switched away from
+    let cancelled = false;
+    const { start, end } = rangeToDates(range);
+    setLoading(true);
+    setError(null);
+
+    getTimeSeries({ start, end, base, symbols: symbolsKey.split(',') })
+      .then((data) => {
+        const next = {
+          start: data.start,
+          end: data.end,
+          series: toSeriesByCode(data.rates),
+          ts: Date.now(),
+        };
+        seriesCache.set(key, next);
+        if (cancelled) return;
+        setSeries(next.series);
+        setBounds({ start: next.start, end: next.end });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err instanceof Error ? err : new Error(String(err)));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [base, range, symbolsKey, nonce]);
+
+  // PUBLIC_INTERFACE
+  const refresh = useCallback(() => {
+    // force bypass cache
+    setNonce((n) => n + 1);
+  }, []);
+
+  return useMemo(
+    () => ({
+      series,
+      start: bounds.start,
+      end: bounds.end,
+      loading,
+      error,
+      refresh,
+    }),
+    [series, bounds, loading, error, refresh]
+  );
+}
+
+export default useTimeSeries;
@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_VAT_RATES, MAX_VAT_RATES, loadVatRates, normalizeVatRates, persistVatRates, validateVatRate } from '../utils/vatRates';
+
+/**
+ * PUBLIC_INTERFACE
+ * useVatRates
+ * Configurable VAT rates for the calculator's financial mode, persisted in localStorage
+ * (see utils/vatRates).
+ *
+ * @returns {{
+ *   rates: string[],
+ *   addRate: (rate: string) => string,
+ *   removeRate: (rate: string) => void,
+ *   resetRates: () => void
+ * }} addRate returns an error message and keeps the list when the rate is invalid
+ */
+export function useVatRates() {
+  const [rates, setRates] = useState(() => loadVatRates());
+
+  // Persist on change
+  useEffect(() => {
+    persistVatRates(rates);
+  }, [rates]);
+
+  // PUBLIC_INTERFACE
+  const addRate = useCallback(
+    (rate) => {
+      const error = validateVatRate(rate);
+      if (error) return error;
+      if (rates.length >= MAX_VAT_RATES) return `Up to ${MAX_VAT_RATES} rates can be saved`;
+      setRates(normalizeVatRates([...rates, rate]));
+      return '';
+    },
+    [rates]
+  );
+
+  // PUBLIC_INTERFACE
+  const removeRate = useCallback((rate) => {
+    setRates((list) => list.filter((r) => r !== rate));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const resetRates = useCallback(() => setRates([...DEFAULT_VAT_RATES]), []);
+
+  return useMemo(() => ({ rates, addRate, removeRate, resetRates }), [rates, addRate, removeRate, resetRates]);
+}
+
+export default useVatRates;
@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { visibleRowRange } from '../utils/rateGrid';
+
+// Viewport height used until the scroll container has been measured (and in tests, where
+// elements have no layout)
+const FALLBACK_VIEWPORT = 480;
+
+/**
+ * PUBLIC_INTERFACE
+ * useVirtualRows
+ * Windowing for a scrollable list of fixed-height rows: only the rows in view (plus overscan)
+ * are rendered, positioned inside a spacer as tall as the whole list.
+ *
+ * Attach `viewportRef` and `onScroll` to the scroll container.
+ *
+ * @param {{ count: number, rowHeight: number, headerHeight?: number, overscan?: number, keepIndex?: number }} options
+ *   headerHeight: height of sticky content above the rows inside the scroll container;
+ *   keepIndex: a row to render even when scrolled out of view (e.g. the active row that
+ *   aria-activedescendant points to)
+ * @returns {{
+ *   viewportRef: React.MutableRefObject<HTMLElement | null>,
+ *   onScroll: (e: React.UIEvent) => void,
+ *   start: number,
+ *   end: number,
+ *   indices: number[],
+ *   pageSize: number,
+ *   totalHeight: number,
+ *   scrollToIndex: (index: number) => void
+ * }} start/end: rows in view plus overscan (end exclusive); indices: rows to render, in order
+ *   (start/end plus keepIndex); pageSize: rows that fit in view
+ */
+export function useVirtualRows({ count, rowHeight, headerHeight = 0, overscan = 6, keepIndex }) {
+  const viewportRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(FALLBACK_VIEWPORT);
+
+  // Track the container height, e.g. when the window is resized
+  useEffect(() => {
+    const el = viewportRef.current;
+    if (!el) return undefined;
+    const measure = () => setViewportHeight(el.clientHeight || FALLBACK_VIEWPORT);
+    measure();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(measure);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const onScroll = useCallback((e) => setScrollTop(e.currentTarget.scrollTop), []);
+
+  const rowsHeight = Math.max(0, viewportHeight - headerHeight);
+  const { start, end } = visibleRowRange({ count, rowHeight, viewportHeight: rowsHeight, scrollTop, overscan });
+
+  const indices = useMemo(() => {
+    const list = Array.from({ length: end - start }, (_, i) => start + i);
+    const keep = Number.isInteger(keepIndex) && keepIndex >= 0 && keepIndex < count ? keepIndex : undefined;
+    if (keep === undefined || (keep >= start && keep < end)) return list;
+    return keep < start ? [keep, ...list] : [...list, keep];
+  }, [start, end, keepIndex, count]);
+
+  // PUBLIC_INTERFACE
+  const scrollToIndex = useCallback((index) => {
+    const el = viewportRef.current;
+    if (!el) return;
+    const top = index * rowHeight;
+    const bottom = top + rowHeight;
+    const visible = Math.max(rowHeight, (el.clientHeight || FALLBACK_VIEWPORT) - headerHeight);
+    if (top < el.scrollTop) el.scrollTop = top;
+    else if (bottom > el.scrollTop + visible) el.scrollTop = bottom - visible;
+    setScrollTop(el.scrollTop);
+  }, [rowHeight, headerHeight]);
+
+  return useMemo(
+    () => ({
+      viewportRef,
+      onScroll,
+      start,
+      end,
+      indices,
+      pageSize: Math.max(1, Math.floor(rowsHeight / rowHeight)),
+      totalHeight: count * rowHeight,
+      scrollToIndex,
+    }),
+    [onScroll, start, end, indices, rowsHeight, rowHeight, count, scrollToIndex]
+  );
+}
+
+export default useVirtualRows;
@@ -0,0 +1,55 @@
+//
+// Service worker registration for offline-first use (see public/service-worker.js).
+// Only registers in production builds so development always hits the network.
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * register
+ * Register public/service-worker.js once the page has loaded.
+ *
+ * @param {{ onUpdate?: (registration: ServiceWorkerRegistration) => void }} [config]
+ */
+export function register(config = {}) {
+  if (process.env.NODE_ENV !== 'production') return;
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL || '', window.location.href);
+  // A service worker cannot serve a PUBLIC_URL on another origin (e.g. a CDN)
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL || ''}/service-worker.js`;
+    navigator.serviceWorker
+      .register(swUrl)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+              config.onUpdate?.(registration);
+            }
+          };
+        };
+      })
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.warn('[sw] Service worker registration failed:', err);
+      });
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * unregister
+ * Remove the active service worker registration, if any.
+ */
+export function unregister() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch(() => {
+      // ignore
+    });
+}
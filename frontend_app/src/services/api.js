@@ -1,37 +1,39 @@
-import { getBaseUrl } from '../config/env';
+import { getBaseUrl, getRateProviderKeys, getRateProviderOrder, getRateProviderTimeoutMs } from '../config/env';
+import { isIsoDate } from '../utils/date';
+import { createProviderChain } from './providers';
 
 /**
  * Lightweight API client for currency data.
- * - Resolves base URL from env using getBaseUrl()
- * - Falls back to exchangerate.host if environment base points to same origin or is missing
+ * - Resolves an ordered chain of rate providers (services/providers.js) from env
+ * - Uses the env backend (REACT_APP_API_BASE/REACT_APP_BACKEND_URL) as the 'backend' provider
+ *   unless it points to the frontend's own origin or is missing
+ * - Fails over to the next provider when one errors or times out
  * - Provides a small fetch wrapper with timeout and graceful error handling
  */
 
-const EXTERNAL_FALLBACK_BASE = 'https://api.exchangerate.host';
-
 /**
- * Determine if we should use the external public API fallback.
+ * Determine the custom backend base URL, if any.
  * If REACT_APP_API_BASE / REACT_APP_BACKEND_URL are unset, getBaseUrl()
  * will return window.location.origin (or localhost in tests).
- * In that scenario, we want to call the public API directly.
+ * In that scenario there is no backend and public providers are called directly.
  */
-function resolveApiBase() {
+function resolveBackendBase() {
   const envBase = safeString(getBaseUrl());
-  // If envBase is empty or points to same origin (likely frontend host), use external fallback
+  // If envBase is empty or points to same origin (likely frontend host), skip the backend provider
   try {
-    if (!envBase) return EXTERNAL_FALLBACK_BASE;
+    if (!envBase) return undefined;
     const currentOrigin =
       typeof window !== 'undefined' && window?.location?.origin
         ? window.location.origin
         : undefined;
 
     if (currentOrigin && stripTrailingSlash(envBase) === stripTrailingSlash(currentOrigin)) {
-      return EXTERNAL_FALLBACK_BASE;
+      return undefined;
     }
   } catch {
     // ignore parsing issues and continue
   }
-  return envBase || EXTERNAL_FALLBACK_BASE;
+  return envBase;
 }
 
 /**
@@ -57,6 +59,10 @@ function joinUrl(base, path) {
   return `${b}${p}`;
 }
 
+// Header the service worker stamps on rate responses it answers from its cache
+// (public/service-worker.js): epoch ms the response was stored
+const SW_CACHED_AT_HEADER = 'sw-cached-at';
+
 /**
  * Core fetch wrapper with:
  * - timeout
@@ -66,7 +72,8 @@ function joinUrl(base, path) {
  *
  * @param {string} url
  * @param {RequestInit & { timeoutMs?: number, query?: Record<string,string|number|boolean|undefined> }} [options]
- * @returns {Promise<any>}
+ * @returns {Promise<{ body: any, cachedAt?: number }>} cachedAt: set when the service worker
+ *   answered from its cache
  */
 async function httpGet(url, options = {}) {
   const { timeoutMs = 12000, query, headers, ...rest } = options;
@@ -127,11 +134,11 @@ async function httpGet(url, options = {}) {
       throw error;
     }
 
-    if (isJson) {
-      return await res.json();
-    }
+    const stamp = Number(res.headers.get(SW_CACHED_AT_HEADER));
+    const cachedAt = Number.isFinite(stamp) && stamp > 0 ? stamp : undefined;
     // Fallback to text if not JSON
-    return await res.text();
+    const body = isJson ? await res.json() : await res.text();
+    return { body, cachedAt };
   } catch (err) {
     if (err?.name === 'AbortError') {
       const e = new Error('[api] Request timed out');
@@ -147,115 +154,172 @@ async function httpGet(url, options = {}) {
   }
 }
 
-const API_BASE = resolveApiBase();
+let providerChain;
 
 /**
- * PUBLIC_INTERFACE
- * getDailyRates
- * Fetch latest daily exchange rates.
- * Uses exchangerate.host format when falling back:
- *   GET https://api.exchangerate.host/latest?base=USD
- *
- * If pointing to a custom backend that mirrors this route, it should
- * expose a similar /latest endpoint.
+ * Lazily build the provider chain from env (order, credentials, backend URL).
+ */
+function getProviderChain() {
+  if (!providerChain) {
+    providerChain = createProviderChain(getRateProviderOrder(), {
+      backendUrl: resolveBackendBase(),
+      ...getRateProviderKeys(),
+    });
+  }
+  return providerChain;
+}
+
+/**
+ * Run one request kind against each provider in order until one succeeds.
+ * A provider fails over on HTTP errors, timeouts, network errors and error payloads.
+ * When every provider fails, throws an error with code 'EALLPROVIDERS' and the
+ * individual failures in `errors`.
  *
- * @param {{ base?: string }} [opts]
- * @returns {Promise<{ base: string, date?: string, rates: Record<string, number> }>}
+ * @param {'latest'|'symbols'|'historical'|'timeseries'} kind
+ * @param {any[]} args arguments for the provider's request builder
+ * @param {object} ctx defaults handed to the normalizer (base, date, start, end)
+ * @param {RequestInit} [init] extra fetch options, e.g. the cache mode
+ * @returns {Promise<{ data: any, provider: { id: string, label: string }, cachedAt?: number }>}
  */
-export async function getDailyRates(opts = {}) {
-  const base = safeString(opts.base) || 'USD';
-  const url = joinUrl(API_BASE, detectLatestPath(API_BASE));
-  const data = await httpGet(url, { query: { base } });
+async function requestWithFailover(kind, args, ctx, init = {}) {
+  const providers = getProviderChain();
+  const timeoutMs = getRateProviderTimeoutMs();
+  const errors = [];
 
-  // Normalize common shapes to a consistent response
-  // exchangerate.host returns: { base, date, rates: { ... } }
-  if (data && typeof data === 'object') {
-    // Direct passthrough if already in expected shape
-    if (data.rates && data.base) {
-      return {
-        base: data.base,
-        date: data.date,
-        rates: data.rates,
-      };
-    }
-    // If backend wrapped payload differently, attempt to unwrap
-    if (data.data && data.data.rates) {
-      return {
-        base: data.data.base || base,
-        date: data.data.date,
-        rates: data.data.rates,
-      };
+  for (const provider of providers) {
+    try {
+      const { path, query } = provider[kind](...args);
+      const { body, cachedAt } = await httpGet(joinUrl(provider.baseUrl, path), { ...init, query, timeoutMs });
+      const data = provider.normalize(kind, body, ctx);
+      return { data, provider: { id: provider.id, label: provider.label }, cachedAt };
+    } catch (err) {
+      errors.push(err);
     }
   }
 
-  // Fallback shape
-  return {
-    base,
-    rates: {},
-  };
+  const detail = errors.map((e) => e?.message).filter(Boolean).join('; ');
+  const error = new Error(
+    providers.length
+      ? `[api] All rate providers failed${detail ? ` - ${detail}` : ''}`
+      : '[api] No rate providers configured'
+  );
+  error.code = 'EALLPROVIDERS';
+  error.errors = errors;
+  throw error;
+}
+
+/**
+ * Error for arguments rejected before any request is made.
+ * @param {string} message
+ * @returns {Error} with code 'EINVAL'
+ */
+function invalidRequest(message) {
+  const error = new Error(`[api] ${message}`);
+  error.code = 'EINVAL';
+  return error;
 }
 
 /**
  * PUBLIC_INTERFACE
- * getSymbols
- * Fetch currency symbols map.
- * Uses exchangerate.host symbols endpoint when falling back:
- *   GET https://api.exchangerate.host/symbols
- * Response example:
- * {
- *   "symbols": {
- *     "AED": { "description": "United Arab Emirates Dirham", "code": "AED" },
- *     ...
- *   }
- * }
+ * getRateProviders
+ * The active provider chain in failover order, for diagnostics and "source" labels.
  *
- * @returns {Promise<Record<string, { code: string, description: string }>>}
+ * @returns {{ id: string, label: string, baseUrl: string }[]}
  */
-export async function getSymbols() {
-  const url = joinUrl(API_BASE, detectSymbolsPath(API_BASE));
-  const data = await httpGet(url);
-
-  if (data && typeof data === 'object') {
-    // exchangerate.host format
-    if (data.symbols && typeof data.symbols === 'object') {
-      return data.symbols;
-    }
-    // attempt unwrap if backend uses { data: { symbols: ... } }
-    if (data.data && data.data.symbols) {
-      return data.data.symbols;
-    }
-  }
+export function getRateProviders() {
+  return getProviderChain().map(({ id, label, baseUrl }) => ({ id, label, baseUrl }));
+}
 
-  return {};
+/**
+ * PUBLIC_INTERFACE
+ * getDailyRates
+ * Fetch latest daily exchange rates from the first healthy provider, e.g.
+ *   GET https://api.exchangerate.host/latest?base=USD
+ *   GET https://api.frankfurter.app/latest?from=USD
+ *
+ * If pointing to a custom backend that mirrors exchangerate.host, it should
+ * expose a similar /latest endpoint.
+ *
+ * When the service worker answers from its cache, `cachedAt` is the time that copy was
+ * stored; the rates may be much older than the request. `revalidate` asks for current rates
+ * (`cache: 'no-cache'`): the service worker then only answers from its cache when the network
+ * fails.
+ *
+ * @param {{ base?: string, revalidate?: boolean }} [opts]
+ * @returns {Promise<{ base: string, date?: string, rates: Record<string, number>, provider: string, cachedAt?: number }>}
+ */
+export async function getDailyRates(opts = {}) {
+  const base = safeString(opts.base) || 'USD';
+  const init = opts.revalidate ? { cache: 'no-cache' } : {};
+  const { data, provider, cachedAt } = await requestWithFailover('latest', [base], { base }, init);
+  return { ...data, provider: provider.id, ...(cachedAt ? { cachedAt } : {}) };
 }
 
 /**
- * Detect path for "latest rates" depending on base.
- * - If using external fallback, path is '/latest'
- * - Otherwise assume '/latest' exists on backend as well
+ * PUBLIC_INTERFACE
+ * getHistoricalRates
+ * Fetch end-of-day exchange rates for a past date, e.g.
+ *   GET https://api.exchangerate.host/2024-01-31?base=USD
+ *
+ * The returned `date` is the date the provider actually used, which may be earlier
+ * than the requested one on weekends and holidays.
+ *
+ * @param {{ date: string, base?: string }} opts date as YYYY-MM-DD; other dates are rejected
+ *   with code 'EINVAL'
+ * @returns {Promise<{ base: string, date?: string, rates: Record<string, number>, provider: string }>}
  */
-function detectLatestPath(base) {
-  if (isExternal(base)) return '/latest';
-  return '/latest';
+export async function getHistoricalRates(opts = {}) {
+  const date = safeString(opts.date);
+  if (!isIsoDate(date)) throw invalidRequest(`Invalid historical date: ${opts.date}`);
+  const base = safeString(opts.base) || 'USD';
+  const { data, provider } = await requestWithFailover('historical', [date, base], { base, date });
+  return { ...data, provider: provider.id };
 }
 
 /**
- * Detect path for "symbols" depending on base.
- * - If using external fallback, path is '/symbols'
- * - Otherwise assume '/symbols' exists on backend as well
+ * PUBLIC_INTERFACE
+ * getTimeSeries
+ * Fetch daily rates between two dates (inclusive), e.g.
+ *   GET https://api.exchangerate.host/timeseries?start_date=2024-01-01&end_date=2024-01-31&base=USD&symbols=EUR,GBP
+ * Normalized response:
+ * {
+ *   "base": "USD", "start": "2024-01-01", "end": "2024-01-31",
+ *   "rates": { "2024-01-01": { "EUR": 0.905, "GBP": 0.786 }, ... }
+ * }
+ *
+ * Invalid, missing or reversed dates are rejected with code 'EINVAL' before any request.
+ *
+ * @param {{ start: string, end: string, base?: string, symbols?: string[] }} opts dates as YYYY-MM-DD
+ * @returns {Promise<{ base: string, start: string, end: string, rates: Record<string, Record<string, number>>, provider: string }>}
  */
-function detectSymbolsPath(base) {
-  if (isExternal(base)) return '/symbols';
-  return '/symbols';
+export async function getTimeSeries(opts = {}) {
+  const start = safeString(opts.start);
+  const end = safeString(opts.end);
+  if (!start || !end) throw invalidRequest('Time series requires start and end dates');
+  const invalid = [start, end].find((date) => !isIsoDate(date));
+  if (invalid) throw invalidRequest(`Invalid time series date: ${invalid}`);
+  if (start > end) throw invalidRequest(`Time series starts after it ends: ${start} > ${end}`);
+  const base = safeString(opts.base) || 'USD';
+  const symbols = Array.isArray(opts.symbols) && opts.symbols.length ? opts.symbols : undefined;
+  const { data, provider } = await requestWithFailover('timeseries', [{ start, end, base, symbols }], { base, start, end });
+  return { ...data, provider: provider.id };
 }
 
 /**
- * Determine if the base points to the external public API.
+ * PUBLIC_INTERFACE
+ * getSymbols
+ * Fetch currency symbols map from the first healthy provider, e.g.
+ *   GET https://api.exchangerate.host/symbols
+ *   GET https://api.frankfurter.app/currencies
+ * Normalized response:
+ * {
+ *   "AED": { "description": "United Arab Emirates Dirham", "code": "AED" },
+ *   ...
+ * }
+ *
+ * @returns {Promise<Record<string, { code: string, description: string }>>}
  */
-function isExternal(base) {
-  try {
-    return stripTrailingSlash(base).startsWith(EXTERNAL_FALLBACK_BASE);
-  } catch {
-    return true;
-  }
+export async function getSymbols() {
+  const { data } = await requestWithFailover('symbols', [], {});
+  return data;
 }
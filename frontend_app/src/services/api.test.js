@@ -0,0 +1,145 @@
+import { getDailyRates, getHistoricalRates, getRateProviders, getSymbols, getTimeSeries } from './api';
+
+/** Minimal fetch Response stand-in for httpGet. */
+function jsonResponse(body, status = 200, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : headers[name.toLowerCase()] ?? null) },
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
+
+describe('rate provider failover', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('uses the public providers in default order when no backend is configured', () => {
+    expect(getRateProviders().map((p) => p.id)).toEqual(['exchangerate_host', 'frankfurter']);
+  });
+
+  test('fails over to the next provider on an error payload', async () => {
+    global.fetch = jest.fn(async (url) => {
+      if (url.startsWith('https://api.exchangerate.host')) {
+        return jsonResponse({ success: false, error: { info: 'missing access key' } });
+      }
+      return jsonResponse({ amount: 1, base: 'USD', date: '2024-05-02', rates: { EUR: 0.93 } });
+    });
+
+    const data = await getDailyRates({ base: 'USD' });
+    expect(data).toEqual({ base: 'USD', date: '2024-05-02', rates: { EUR: 0.93 }, provider: 'frankfurter' });
+    expect(global.fetch.mock.calls[1][0]).toBe('https://api.frankfurter.app/latest?from=USD');
+  });
+
+  test('normalizes name maps into the symbols shape', async () => {
+    global.fetch = jest.fn(async (url) => {
+      if (url.startsWith('https://api.exchangerate.host')) return jsonResponse({ message: 'down' }, 503);
+      return jsonResponse({ EUR: 'Euro', JPY: 'Japanese Yen' });
+    });
+
+    await expect(getSymbols()).resolves.toEqual({
+      EUR: { code: 'EUR', description: 'Euro' },
+      JPY: { code: 'JPY', description: 'Japanese Yen' },
+    });
+  });
+
+  test('reports every failure when all providers fail', async () => {
+    global.fetch = jest.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+
+    await expect(getDailyRates()).rejects.toMatchObject({ code: 'EALLPROVIDERS' });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('service worker cache', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('reports when the rates were answered from the service worker cache', async () => {
+    const cachedAt = Date.parse('2024-05-01T08:00:00Z');
+    global.fetch = jest.fn(async () =>
+      jsonResponse({ base: 'USD', date: '2024-04-30', rates: { EUR: 0.93 } }, 200, { 'sw-cached-at': String(cachedAt) })
+    );
+
+    await expect(getDailyRates({ base: 'USD' })).resolves.toMatchObject({ date: '2024-04-30', cachedAt });
+  });
+
+  test('leaves network answers undated', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ base: 'USD', date: '2024-05-02', rates: { EUR: 0.93 } }));
+
+    const data = await getDailyRates({ base: 'USD' });
+    expect(data).not.toHaveProperty('cachedAt');
+  });
+
+  test('revalidations ask the service worker for a network answer', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ base: 'USD', date: '2024-05-02', rates: { EUR: 0.93 } }));
+
+    await getDailyRates({ base: 'USD', revalidate: true });
+    expect(global.fetch.mock.calls[0][1]).toMatchObject({ cache: 'no-cache' });
+
+    await getDailyRates({ base: 'USD' });
+    expect(global.fetch.mock.calls[1][1]).not.toHaveProperty('cache');
+  });
+});
+
+describe('historical rates', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('requests a date and returns the date the provider used', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({ base: 'USD', date: '2024-03-29', rates: { EUR: 0.926 } }));
+
+    await expect(getHistoricalRates({ date: '2024-03-30', base: 'USD' })).resolves.toEqual({
+      base: 'USD', date: '2024-03-29', rates: { EUR: 0.926 }, provider: 'exchangerate_host',
+    });
+    expect(global.fetch.mock.calls[0][0]).toBe('https://api.exchangerate.host/2024-03-30?base=USD');
+  });
+
+  test('rejects malformed dates without a request', async () => {
+    global.fetch = jest.fn();
+
+    await expect(getHistoricalRates({ date: '30/03/2024' })).rejects.toThrow('Invalid historical date');
+    await expect(getHistoricalRates({ date: '2024-02-30' })).rejects.toMatchObject({ code: 'EINVAL' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('normalizes a time series, falling back to the requested range', async () => {
+    global.fetch = jest.fn(async (url) => {
+      if (url.startsWith('https://api.exchangerate.host')) return jsonResponse({ message: 'down' }, 503);
+      return jsonResponse({ base: 'USD', rates: { '2024-05-01': { EUR: 0.935 }, '2024-05-02': { EUR: 0.933 } } });
+    });
+
+    await expect(getTimeSeries({ start: '2024-05-01', end: '2024-05-02', base: 'USD', symbols: ['EUR'] })).resolves.toEqual({
+      base: 'USD',
+      start: '2024-05-01',
+      end: '2024-05-02',
+      rates: { '2024-05-01': { EUR: 0.935 }, '2024-05-02': { EUR: 0.933 } },
+      provider: 'frankfurter',
+    });
+    expect(global.fetch.mock.calls[1][0]).toBe('https://api.frankfurter.app/2024-05-01..2024-05-02?from=USD&to=EUR');
+  });
+
+  test('rejects missing, malformed and reversed time series ranges without a request', async () => {
+    global.fetch = jest.fn();
+    const invalid = expect.objectContaining({ code: 'EINVAL' });
+
+    await expect(getTimeSeries({ start: '2024-05-01' })).rejects.toThrow('requires start and end');
+    await expect(getTimeSeries({ start: '2024-05-01', end: '2024-5-2' })).rejects.toThrow(invalid);
+    await expect(getTimeSeries({ start: '2024-02-30', end: '2024-03-02' })).rejects.toThrow('Invalid time series date: 2024-02-30');
+    await expect(getTimeSeries({ start: '2024-05-02', end: '2024-05-01' })).rejects.toThrow(invalid);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
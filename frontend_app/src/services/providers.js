@@ -0,0 +1,223 @@
+/**
+ * Rate provider adapters.
+ *
+ * A provider describes how to reach one upstream API and how to normalize its payloads;
+ * the api client (services/api.js) performs the HTTP calls and fails over between providers.
+ *
+ * Provider interface:
+ * {
+ *   id: string,                 // registry key, e.g. 'frankfurter'
+ *   label: string,              // human readable source name shown in the UI/exports
+ *   baseUrl: string,
+ *   latest(base)                         => { path, query? }
+ *   symbols()                            => { path, query? }
+ *   historical(date, base)               => { path, query? }
+ *   timeseries({ start, end, base, symbols }) => { path, query? }
+ *   normalize(kind, data, ctx)           => normalized payload (throws on provider error payloads)
+ * }
+ *
+ * Normalized shapes (kind => shape):
+ *  - 'latest' | 'historical': { base, date?, rates: Record<code, number> }
+ *  - 'symbols': Record<code, { code, description }>
+ *  - 'timeseries': { base, start, end, rates: Record<date, Record<code, number>> }
+ */
+
+/**
+ * Build a provider error with a machine-readable code, mirroring httpGet errors.
+ */
+function providerError(providerId, message) {
+  const e = new Error(`[api] ${providerId}: ${message}`);
+  e.code = 'EPROVIDER';
+  return e;
+}
+
+/**
+ * Unwrap backends that nest the payload as { data: ... }.
+ */
+function unwrap(data, key) {
+  if (data && typeof data === 'object' && !data[key] && data.data && data.data[key]) return data.data;
+  return data;
+}
+
+/**
+ * Convert a { CODE: 'Name' } map into the symbols shape used across the app.
+ */
+function namesToSymbols(names) {
+  const out = {};
+  for (const [code, description] of Object.entries(names || {})) {
+    if (typeof description !== 'string') continue;
+    const c = code.toUpperCase();
+    out[c] = { code: c, description };
+  }
+  return out;
+}
+
+/**
+ * Shared normalizer for exchangerate.host-style payloads
+ * ({ base, date, rates }, { symbols }, { base, start_date, end_date, rates }).
+ */
+function normalizeExchangerateHost(id, kind, data, ctx) {
+  if (data && typeof data === 'object' && data.success === false) {
+    const info = data.error?.info || data.error?.type || data.error || 'request unsuccessful';
+    throw providerError(id, typeof info === 'string' ? info : JSON.stringify(info));
+  }
+  if (kind === 'symbols') {
+    const payload = unwrap(data, 'symbols');
+    if (payload?.symbols && typeof payload.symbols === 'object') return payload.symbols;
+    throw providerError(id, 'symbols missing from response');
+  }
+  const payload = unwrap(data, 'rates');
+  if (!payload?.rates || typeof payload.rates !== 'object') {
+    throw providerError(id, 'rates missing from response');
+  }
+  if (kind === 'timeseries') {
+    return {
+      base: payload.base || ctx.base,
+      start: payload.start_date || ctx.start,
+      end: payload.end_date || ctx.end,
+      rates: payload.rates,
+    };
+  }
+  return {
+    base: payload.base || ctx.base,
+    date: payload.date,
+    rates: payload.rates,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createExchangerateHostProvider
+ * exchangerate.host-style API. Also used for a custom backend that mirrors its routes
+ * (GET /latest, /symbols, /{date}, /timeseries).
+ *
+ * @param {{ id?: string, label?: string, baseUrl?: string, accessKey?: string }} [config]
+ */
+export function createExchangerateHostProvider(config = {}) {
+  const id = config.id || 'exchangerate_host';
+  const auth = config.accessKey ? { access_key: config.accessKey } : {};
+  return {
+    id,
+    label: config.label || 'exchangerate.host',
+    baseUrl: config.baseUrl || 'https://api.exchangerate.host',
+    latest: (base) => ({ path: '/latest', query: { base, ...auth } }),
+    symbols: () => ({ path: '/symbols', query: { ...auth } }),
+    historical: (date, base) => ({ path: `/${date}`, query: { base, ...auth } }),
+    timeseries: ({ start, end, base, symbols }) => ({
+      path: '/timeseries',
+      query: { start_date: start, end_date: end, base, symbols: symbols?.length ? symbols.join(',') : undefined, ...auth },
+    }),
+    normalize: (kind, data, ctx) => normalizeExchangerateHost(id, kind, data, ctx),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createFrankfurterProvider
+ * Frankfurter/ECB-style API (https://www.frankfurter.app): ECB reference rates, business days only.
+ * Historical lookups answer with the previous fixing date on closed days.
+ *
+ * @param {{ baseUrl?: string }} [config]
+ */
+export function createFrankfurterProvider(config = {}) {
+  const id = 'frankfurter';
+  return {
+    id,
+    label: 'Frankfurter (ECB)',
+    baseUrl: config.baseUrl || 'https://api.frankfurter.app',
+    latest: (base) => ({ path: '/latest', query: { from: base } }),
+    symbols: () => ({ path: '/currencies' }),
+    historical: (date, base) => ({ path: `/${date}`, query: { from: base } }),
+    timeseries: ({ start, end, base, symbols }) => ({
+      path: `/${start}..${end}`,
+      query: { from: base, to: symbols?.length ? symbols.join(',') : undefined },
+    }),
+    normalize(kind, data, ctx) {
+      if (!data || typeof data !== 'object') throw providerError(id, 'unexpected response');
+      if (data.message && !data.rates && kind !== 'symbols') throw providerError(id, data.message);
+      if (kind === 'symbols') return namesToSymbols(data);
+      if (!data.rates || typeof data.rates !== 'object') throw providerError(id, 'rates missing from response');
+      if (kind === 'timeseries') {
+        return { base: data.base || ctx.base, start: data.start_date || ctx.start, end: data.end_date || ctx.end, rates: data.rates };
+      }
+      return { base: data.base || ctx.base, date: data.date, rates: data.rates };
+    },
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createOpenExchangeRatesProvider
+ * Open Exchange Rates-style API (https://openexchangerates.org). Requires an app id;
+ * non-USD bases and time series need a paid plan, so errors there fail over to the next provider.
+ *
+ * @param {{ appId: string, baseUrl?: string }} config
+ */
+export function createOpenExchangeRatesProvider(config = {}) {
+  const id = 'openexchangerates';
+  const auth = { app_id: config.appId };
+  return {
+    id,
+    label: 'Open Exchange Rates',
+    baseUrl: config.baseUrl || 'https://openexchangerates.org/api',
+    latest: (base) => ({ path: '/latest.json', query: { base, ...auth } }),
+    symbols: () => ({ path: '/currencies.json' }),
+    historical: (date, base) => ({ path: `/historical/${date}.json`, query: { base, ...auth } }),
+    timeseries: ({ start, end, base, symbols }) => ({
+      path: '/time-series.json',
+      query: { start, end, base, symbols: symbols?.length ? symbols.join(',') : undefined, ...auth },
+    }),
+    normalize(kind, data, ctx) {
+      if (!data || typeof data !== 'object') throw providerError(id, 'unexpected response');
+      if (data.error) throw providerError(id, data.description || data.message || 'request unsuccessful');
+      if (kind === 'symbols') return namesToSymbols(data);
+      if (!data.rates || typeof data.rates !== 'object') throw providerError(id, 'rates missing from response');
+      if (kind === 'timeseries') {
+        return { base: data.base || ctx.base, start: data.start_date || ctx.start, end: data.end_date || ctx.end, rates: data.rates };
+      }
+      // OXR reports a unix timestamp rather than a date
+      const date = typeof data.timestamp === 'number' ? new Date(data.timestamp * 1000).toISOString().slice(0, 10) : ctx.date;
+      return { base: data.base || ctx.base, date, rates: data.rates };
+    },
+  };
+}
+
+// Registry of provider factories by id. Factories receive the provider config resolved from env.
+const registry = {
+  backend: (config) =>
+    config.backendUrl ? createExchangerateHostProvider({ id: 'backend', label: 'Backend', baseUrl: config.backendUrl }) : undefined,
+  exchangerate_host: (config) => createExchangerateHostProvider({ accessKey: config.exchangerateHostKey }),
+  frankfurter: () => createFrankfurterProvider(),
+  openexchangerates: (config) => (config.oxrAppId ? createOpenExchangeRatesProvider({ appId: config.oxrAppId }) : undefined),
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * registerProvider
+ * Add or replace a provider factory, e.g. for a bank feed adapter.
+ *
+ * @param {string} id
+ * @param {(config: object) => object | undefined} factory returns undefined when not configured
+ */
+export function registerProvider(id, factory) {
+  registry[id] = factory;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createProviderChain
+ * Instantiate providers in the configured order, skipping unknown or unconfigured ids.
+ *
+ * @param {string[]} order provider ids, e.g. ['backend', 'exchangerate_host', 'frankfurter']
+ * @param {{ backendUrl?: string, oxrAppId?: string, exchangerateHostKey?: string }} config
+ * @returns {object[]}
+ */
+export function createProviderChain(order, config = {}) {
+  const chain = [];
+  for (const id of order || []) {
+    const factory = registry[id];
+    const provider = factory ? factory(config) : undefined;
+    if (provider && !chain.some((p) => p.id === provider.id)) chain.push(provider);
+  }
+  return chain;
+}
@@ -0,0 +1,308 @@
+import { getDailyRates, getSymbols } from './api';
+
+/**
+ * Shared latest-rates store.
+ *
+ * One store holds an entry per base currency so every card reads the same payload:
+ * concurrent loads for a base share one request, symbols are fetched once per round of
+ * loads (they do not depend on the base), and a refresh from any consumer notifies all
+ * subscribers of that base. React components reach it through RatesProvider/useDailyRates.
+ *
+ * Storage schema (unchanged from the per-hook cache it replaces):
+ *  - Key: 'cc_hub_daily_payload_v1::<base>'
+ *  - Value: JSON.stringify({
+ *      base: string,
+ *      date?: string,
+ *      rates: Record<string, number>,
+ *      symbols: Record<string, { code: string, description: string }>,
+ *      provider?: string (id of the rate provider that answered),
+ *      previous?: { date: string, rates: Record<string, number> } (last payload of an earlier day),
+ *      lastUpdated: number (epoch ms)
+ *    })
+ *
+ * When a fetch returns rates for a newer day, the payload it replaces is retained as
+ * `previous`, so day-over-day changes are available without another request.
+ *
+ * Fetches ask for current rates (`revalidate`), so the service worker only answers from its
+ * cache when the network fails. Such a response is dated by `cachedAt` rather than the time
+ * of the request, and flags the entry `offline`. An answer older than the rates already held
+ * (an earlier rate date or cache time) does not replace them, and they stay stale.
+ */
+
+// Cache constants
+const CACHE_PREFIX = 'cc_hub_daily_payload_v1::';
+const TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Safely parse JSON string.
+ */
+function safeParse(json) {
+  if (typeof json !== 'string') return undefined;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Normalize a base code, defaulting to USD.
+ */
+function normalizeBase(base) {
+  return typeof base === 'string' && base.trim() ? base.trim().toUpperCase() : 'USD';
+}
+
+/**
+ * Build localStorage cache key by base currency
+ */
+function cacheKey(base) {
+  return `${CACHE_PREFIX}${normalizeBase(base)}`;
+}
+
+/**
+ * Determine if cached item is still valid by TTL
+ */
+function isFresh(ts) {
+  if (!ts || typeof ts !== 'number') return false;
+  return Date.now() - ts < TTL_MS;
+}
+
+/**
+ * Save payload to localStorage (best-effort).
+ */
+function saveCache(base, payload) {
+  try {
+    const data = {
+      base: payload.base,
+      date: payload.date,
+      rates: payload.rates || {},
+      symbols: payload.symbols || {},
+      provider: payload.provider,
+      previous: payload.previous,
+      lastUpdated: payload.lastUpdated || Date.now(),
+    };
+    window.localStorage.setItem(cacheKey(base), JSON.stringify(data));
+  } catch {
+    // ignore storage issues
+  }
+}
+
+/**
+ * Load any cached payload from localStorage, fresh or not (callers check isFresh).
+ */
+function loadCache(base) {
+  try {
+    const data = safeParse(window.localStorage.getItem(cacheKey(base)));
+    if (data && data.rates) return data;
+  } catch {
+    // ignore storage issues
+  }
+  return undefined;
+}
+
+/**
+ * Initial entry for a base that has not been loaded yet.
+ */
+function emptyEntry(base) {
+  return {
+    base,
+    rates: {},
+    symbols: {},
+    date: undefined,
+    lastUpdated: undefined,
+    provider: undefined,
+    previous: undefined,
+    loading: true,
+    error: null,
+    offline: false,
+    isStale: false,
+    isRevalidating: false,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createRatesStore
+ * Create a store of latest rates keyed by base currency.
+ *
+ * Entries are immutable snapshots (replaced on every change) so they can back
+ * React's useSyncExternalStore directly.
+ *
+ * @param {{ persist?: boolean }} [options] persist=false skips the localStorage cache
+ * @returns {{
+ *   getEntry: (base: string) => object,
+ *   subscribe: (base: string, listener: () => void) => () => void,
+ *   load: (base: string, opts?: { force?: boolean }) => Promise<void>,
+ *   refresh: (base: string) => Promise<void>,
+ *   revalidateIfOlder: (base: string, minAgeMs: number) => Promise<void>,
+ *   activeBases: () => string[]
+ * }}
+ */
+export function createRatesStore(options = {}) {
+  const persist = options.persist !== false;
+  const entries = new Map();
+  const listeners = new Map(); // base -> Set<listener>
+  const inflight = new Map(); // base -> Promise<void>
+  let symbolsRequest = null;
+
+  function getEntry(base) {
+    const b = normalizeBase(base);
+    if (!entries.has(b)) entries.set(b, emptyEntry(b));
+    return entries.get(b);
+  }
+
+  function update(base, patch) {
+    const next = { ...getEntry(base), ...patch };
+    entries.set(base, next);
+    (listeners.get(base) || []).forEach((listener) => listener());
+  }
+
+  function payloadPatch(payload) {
+    return {
+      rates: payload.rates || {},
+      symbols: payload.symbols || {},
+      date: payload.date,
+      lastUpdated: payload.lastUpdated || Date.now(),
+      provider: payload.provider,
+      previous: payload.previous,
+    };
+  }
+
+  // Bases loaded together share a single /symbols request
+  function fetchSymbols() {
+    if (!symbolsRequest) {
+      symbolsRequest = getSymbols().finally(() => {
+        symbolsRequest = null;
+      });
+    }
+    return symbolsRequest;
+  }
+
+  // Rates of an earlier day to keep next to a payload for `date`
+  function retainPrevious(current, date) {
+    if (current.lastUpdated && current.date && date && current.date < date) {
+      return { date: current.date, rates: current.rates };
+    }
+    return current.previous && date && current.previous.date < date ? current.previous : undefined;
+  }
+
+  async function fetchFresh(b) {
+    const [symbolsData, ratesData] = await Promise.all([fetchSymbols(), getDailyRates({ base: b, revalidate: true })]);
+    return {
+      base: ratesData?.base || b,
+      date: ratesData?.date,
+      rates: ratesData?.rates || {},
+      symbols: symbolsData || {},
+      provider: ratesData?.provider,
+      previous: retainPrevious(getEntry(b), ratesData?.date),
+      lastUpdated: ratesData?.cachedAt || Date.now(),
+      fromCache: !!ratesData?.cachedAt,
+    };
+  }
+
+  // A payload older than the one already shown (e.g. an old service worker or CDN copy)
+  function isOlder(next, current) {
+    if (!current.lastUpdated) return false;
+    if (next.date && current.date && next.date < current.date) return true;
+    return next.lastUpdated < current.lastUpdated;
+  }
+
+  async function run(b, force) {
+    let entry = getEntry(b);
+
+    // render any cached payload immediately, fresh or not
+    if (!entry.lastUpdated && persist) {
+      const cached = loadCache(b);
+      if (cached) {
+        update(b, payloadPatch(cached));
+        entry = getEntry(b);
+      }
+    }
+
+    const fresh = isFresh(entry.lastUpdated);
+    if (fresh && !force) {
+      update(b, { loading: false, isStale: false });
+      return;
+    }
+
+    const hasData = !!entry.lastUpdated;
+    if (hasData) {
+      // revalidate in the background while the current rates stay on screen
+      update(b, { loading: false, isStale: !fresh, isRevalidating: true });
+    } else {
+      update(b, { loading: true, error: null });
+    }
+
+    try {
+      const next = await fetchFresh(b);
+      const status = { loading: false, isRevalidating: false, offline: next.fromCache, error: null };
+      if (isOlder(next, getEntry(b))) {
+        update(b, { ...status, isStale: !isFresh(getEntry(b).lastUpdated) });
+        return;
+      }
+      if (persist) saveCache(b, next);
+      update(b, { ...payloadPatch(next), ...status, isStale: !isFresh(next.lastUpdated) });
+    } catch (err) {
+      if (getEntry(b).lastUpdated) {
+        // keep working from the last known rates, however old
+        update(b, { loading: false, isRevalidating: false, offline: true });
+      } else {
+        update(b, { loading: false, isRevalidating: false, error: err instanceof Error ? err : new Error(String(err)) });
+      }
+    }
+  }
+
+  function load(base, opts = {}) {
+    const b = normalizeBase(base);
+    // de-duplicate: every caller for this base shares the request already in flight
+    if (inflight.has(b)) return inflight.get(b);
+    const promise = run(b, !!opts.force).finally(() => {
+      inflight.delete(b);
+    });
+    inflight.set(b, promise);
+    return promise;
+  }
+
+  function refresh(base) {
+    return load(base, { force: true });
+  }
+
+  // Revalidate when data is older than minAgeMs (0 = always)
+  function revalidateIfOlder(base, minAgeMs) {
+    const ts = getEntry(base).lastUpdated;
+    if (ts && Date.now() - ts < minAgeMs) return Promise.resolve();
+    return refresh(base);
+  }
+
+  function subscribe(base, listener) {
+    const b = normalizeBase(base);
+    if (!listeners.has(b)) listeners.set(b, new Set());
+    listeners.get(b).add(listener);
+    return () => {
+      const set = listeners.get(b);
+      if (!set) return;
+      set.delete(listener);
+      if (set.size === 0) listeners.delete(b);
+    };
+  }
+
+  // Bases with at least one subscriber, e.g. for shared background refresh
+  function activeBases() {
+    return [...listeners.keys()];
+  }
+
+  return { getEntry, subscribe, load, refresh, revalidateIfOlder, activeBases };
+}
+
+// Store used by consumers rendered outside a RatesProvider
+let defaultStore = null;
+
+/**
+ * PUBLIC_INTERFACE
+ * getDefaultRatesStore
+ * Lazily created app-wide store; RatesProvider uses it unless given another store.
+ */
+export function getDefaultRatesStore() {
+  if (!defaultStore) defaultStore = createRatesStore();
+  return defaultStore;
+}
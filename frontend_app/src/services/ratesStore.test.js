@@ -0,0 +1,131 @@
+import { getDailyRates, getSymbols } from './api';
+import { createRatesStore } from './ratesStore';
+
+jest.mock('./api', () => ({
+  getDailyRates: jest.fn(),
+  getSymbols: jest.fn(),
+}));
+
+const SYMBOLS = { EUR: { code: 'EUR', description: 'Euro' } };
+
+describe('rates store', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    getSymbols.mockReset().mockResolvedValue(SYMBOLS);
+    getDailyRates.mockReset().mockImplementation(async ({ base }) => ({
+      base,
+      date: '2024-05-02',
+      rates: { EUR: 0.93 },
+      provider: 'frankfurter',
+    }));
+  });
+
+  test('concurrent loads for a base share one request', async () => {
+    const store = createRatesStore();
+    await Promise.all([store.load('usd'), store.load('USD'), store.load('USD')]);
+
+    expect(getDailyRates).toHaveBeenCalledTimes(1);
+    expect(getSymbols).toHaveBeenCalledTimes(1);
+    expect(store.getEntry('USD')).toMatchObject({ loading: false, rates: { EUR: 0.93 }, provider: 'frankfurter' });
+  });
+
+  test('bases loaded together share the symbols request', async () => {
+    const store = createRatesStore();
+    await Promise.all([store.load('USD'), store.load('EUR')]);
+
+    expect(getDailyRates).toHaveBeenCalledTimes(2);
+    expect(getSymbols).toHaveBeenCalledTimes(1);
+  });
+
+  test('serves a fresh cached payload without fetching', async () => {
+    await createRatesStore().load('USD');
+    const store = createRatesStore();
+    await store.load('USD');
+
+    expect(getDailyRates).toHaveBeenCalledTimes(1);
+    expect(store.getEntry('USD').rates).toEqual({ EUR: 0.93 });
+  });
+
+  test('a refresh notifies every subscriber of the base', async () => {
+    const store = createRatesStore({ persist: false });
+    await store.load('USD');
+    const first = jest.fn();
+    const second = jest.fn();
+    store.subscribe('USD', first);
+    store.subscribe('USD', second);
+
+    getDailyRates.mockResolvedValueOnce({ base: 'USD', date: '2024-05-03', rates: { EUR: 0.94 } });
+    await store.refresh('USD');
+
+    expect(first).toHaveBeenCalled();
+    expect(second).toHaveBeenCalled();
+    expect(store.getEntry('USD')).toMatchObject({ date: '2024-05-03', rates: { EUR: 0.94 }, isRevalidating: false });
+  });
+
+  test('keeps the last rates and flags offline when a revalidation fails', async () => {
+    const store = createRatesStore({ persist: false });
+    await store.load('USD');
+    getDailyRates.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await store.refresh('USD');
+
+    expect(store.getEntry('USD')).toMatchObject({ offline: true, error: null, rates: { EUR: 0.93 } });
+  });
+
+  test('retains the rates of the previous day when a newer day arrives', async () => {
+    await createRatesStore().load('USD');
+    getDailyRates.mockResolvedValueOnce({ base: 'USD', date: '2024-05-03', rates: { EUR: 0.94 } });
+    const store = createRatesStore();
+    await store.refresh('USD');
+    expect(store.getEntry('USD').previous).toEqual({ date: '2024-05-02', rates: { EUR: 0.93 } });
+
+    // a revalidation for the same day keeps it
+    getDailyRates.mockResolvedValueOnce({ base: 'USD', date: '2024-05-03', rates: { EUR: 0.95 } });
+    await store.refresh('USD');
+    expect(store.getEntry('USD')).toMatchObject({ rates: { EUR: 0.95 }, previous: { date: '2024-05-02' } });
+
+    // and it is cached with the payload
+    const reloaded = createRatesStore();
+    await reloaded.load('USD');
+    expect(reloaded.getEntry('USD').previous).toEqual({ date: '2024-05-02', rates: { EUR: 0.93 } });
+  });
+
+  test('dates a service worker copy by when it was cached and flags it offline', async () => {
+    const cachedAt = Date.now() - 3 * 24 * 60 * 60 * 1000;
+    getDailyRates.mockResolvedValueOnce({ base: 'USD', date: '2024-04-29', rates: { EUR: 0.92 }, cachedAt });
+    const store = createRatesStore({ persist: false });
+    await store.load('USD');
+
+    expect(store.getEntry('USD')).toMatchObject({ rates: { EUR: 0.92 }, lastUpdated: cachedAt, offline: true, isStale: true });
+
+    // back online: the network answer replaces it
+    await store.refresh('USD');
+    expect(store.getEntry('USD')).toMatchObject({ rates: { EUR: 0.93 }, offline: false, isStale: false });
+  });
+
+  test('keeps newer rates over an older service worker copy', async () => {
+    const store = createRatesStore({ persist: false });
+    await store.load('USD');
+    getDailyRates.mockResolvedValueOnce({ base: 'USD', date: '2024-04-29', rates: { EUR: 0.92 }, cachedAt: Date.now() - 60 * 60 * 1000 });
+    await store.refresh('USD');
+
+    expect(store.getEntry('USD')).toMatchObject({ date: '2024-05-02', rates: { EUR: 0.93 }, offline: true });
+  });
+
+  test('fetches bypass the service worker cache', async () => {
+    await createRatesStore({ persist: false }).load('USD');
+    expect(getDailyRates).toHaveBeenCalledWith({ base: 'USD', revalidate: true });
+  });
+
+  test('a revalidation returning older rates keeps the current ones stale', async () => {
+    const dayAgo = Date.now() - 25 * 60 * 60 * 1000;
+    window.localStorage.setItem(
+      'cc_hub_daily_payload_v1::USD',
+      JSON.stringify({ base: 'USD', date: '2024-05-02', rates: { EUR: 0.93 }, symbols: SYMBOLS, lastUpdated: dayAgo })
+    );
+    getDailyRates.mockResolvedValueOnce({ base: 'USD', date: '2024-05-01', rates: { EUR: 0.91 } });
+    const store = createRatesStore();
+    await store.load('USD');
+
+    expect(store.getEntry('USD')).toMatchObject({ date: '2024-05-02', rates: { EUR: 0.93 }, lastUpdated: dayAgo, isStale: true, offline: false });
+  });
+});
@@ -0,0 +1,208 @@
+//
+// Rate alerts: rule model, evaluation against rates tables, and localStorage persistence.
+//
+// Rules are quoted as pairs (1 FROM in TO) and evaluated with crossRate, so any pair can be
+// watched from the single fetched table:
+//  - 'above' / 'below': rate crosses a threshold. Edge-triggered: fires when the condition
+//    becomes true and re-arms once it is false again, so a cached payload never re-fires.
+//  - 'change': the rate moved by at least `value` percent since the previous rate date.
+//    Fires at most once per rate date.
+//
+// Daily moves compare against the previous business day's rates, the same reference as the
+// Daily Rates change column (see hooks/usePreviousRates).
+//
+
+import { crossRate } from './rateMatrix';
+
+// PUBLIC_INTERFACE
+// ALERT_RULE_TYPES
+// Supported rule types with their UI labels.
+export const ALERT_RULE_TYPES = Object.freeze({
+  above: 'rises above',
+  below: 'falls below',
+  change: 'moves more than (%)',
+});
+
+const RULES_KEY = 'cc_hub_alert_rules_v1';
+const EVENTS_KEY = 'cc_hub_alert_events_v1';
+const MAX_EVENTS = 50;
+
+/**
+ * Build an alerts error with a machine-readable code.
+ */
+function alertError(message, code) {
+  const e = new Error(`[alerts] ${message}`);
+  e.code = code;
+  return e;
+}
+
+/**
+ * Short random id for rules and events.
+ */
+function makeId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createAlertRule
+ * Validate user input and build a rule.
+ *
+ * @param {{ type: 'above'|'below'|'change', from: string, to: string, value: number | string }} input
+ * @returns {{ id: string, type: string, from: string, to: string, value: number, enabled: boolean, active: boolean, createdAt: number }}
+ * @throws {Error} code INVALID for unknown types, missing/equal codes or a non-positive value
+ */
+export function createAlertRule(input = {}) {
+  const type = input.type;
+  if (!Object.prototype.hasOwnProperty.call(ALERT_RULE_TYPES, type)) throw alertError(`Unknown rule type "${type}"`, 'INVALID');
+  const from = String(input.from || '').trim().toUpperCase();
+  const to = String(input.to || '').trim().toUpperCase();
+  if (!from || !to) throw alertError('Both currencies are required', 'INVALID');
+  if (from === to) throw alertError('Pick two different currencies', 'INVALID');
+  const value = typeof input.value === 'number' ? input.value : Number(String(input.value ?? '').replace(',', '.'));
+  if (!Number.isFinite(value) || value <= 0) throw alertError('Enter a positive number', 'INVALID');
+
+  return { id: makeId('rule'), type, from, to, value, enabled: true, active: false, createdAt: Date.now() };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * describeAlertRule
+ * Human readable rule, e.g. 'EUR/USD rises above 1.12'.
+ *
+ * @param {{ type: string, from: string, to: string, value: number }} rule
+ * @returns {string}
+ */
+export function describeAlertRule(rule) {
+  const pair = `${rule.from}/${rule.to}`;
+  if (rule.type === 'change') return `${pair} moves more than ${rule.value}% in a day`;
+  return `${pair} ${ALERT_RULE_TYPES[rule.type] || rule.type} ${rule.value}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * evaluateAlertRules
+ * Evaluate rules against the latest table.
+ *
+ * @param {object[]} rules
+ * @param {{ base: string, date?: string, rates: Record<string, number> }} table latest rates
+ * @param {{ base: string, date?: string, rates: Record<string, number> }} [previous] table of an earlier rate date
+ * @returns {{
+ *   rules: object[],
+ *   triggered: { id: string, ruleId: string, message: string, rate: number, change?: number, date?: string, at: number, read: boolean }[]
+ * }} rules with updated trigger state (same objects when unchanged) and new events
+ */
+export function evaluateAlertRules(rules, table, previous) {
+  const triggered = [];
+  const at = Date.now();
+
+  const next = (rules || []).map((rule) => {
+    if (!rule.enabled) return rule;
+    const cross = crossRate(table, rule.from, rule.to);
+    if (!cross) return rule;
+    const rate = cross.rate;
+
+    if (rule.type === 'change') {
+      const before = previous && previous.date !== table.date ? crossRate(previous, rule.from, rule.to) : undefined;
+      if (!before || rule.lastTriggeredDate === table.date) return rule;
+      const change = ((rate - before.rate) / before.rate) * 100;
+      if (Math.abs(change) < rule.value) return rule;
+      triggered.push({
+        id: makeId('alert'),
+        ruleId: rule.id,
+        message: `${rule.from}/${rule.to} moved ${change > 0 ? '+' : ''}${change.toFixed(2)}% to ${rate} (since ${previous.date})`,
+        rate,
+        change,
+        date: table.date,
+        at,
+        read: false,
+      });
+      return { ...rule, lastTriggeredDate: table.date, lastTriggeredAt: at };
+    }
+
+    const hit = rule.type === 'above' ? rate > rule.value : rate < rule.value;
+    if (hit === !!rule.active) return rule;
+    if (!hit) return { ...rule, active: false };
+    triggered.push({
+      id: makeId('alert'),
+      ruleId: rule.id,
+      message: `${describeAlertRule(rule)}: now ${rate}`,
+      rate,
+      date: table.date,
+      at,
+      read: false,
+    });
+    return { ...rule, active: true, lastTriggeredAt: at };
+  });
+
+  return { rules: next, triggered };
+}
+
+/**
+ * Read a JSON value from localStorage (best-effort).
+ */
+function readJson(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Write a JSON value to localStorage (best-effort).
+ */
+function writeJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadAlertRules
+ * Load alert rules from localStorage ('cc_hub_alert_rules_v1').
+ *
+ * @returns {object[]}
+ */
+export function loadAlertRules() {
+  const data = readJson(RULES_KEY);
+  return Array.isArray(data?.rules) ? data.rules.filter((r) => r && r.id && ALERT_RULE_TYPES[r.type]) : [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * persistAlertRules
+ * Save alert rules to localStorage.
+ *
+ * @param {object[]} rules
+ */
+export function persistAlertRules(rules) {
+  writeJson(RULES_KEY, { rules: rules || [], ts: Date.now() });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadAlertEvents
+ * Load triggered alerts for the alert center ('cc_hub_alert_events_v1'), newest first.
+ *
+ * @returns {object[]}
+ */
+export function loadAlertEvents() {
+  const data = readJson(EVENTS_KEY);
+  return Array.isArray(data?.events) ? data.events.filter((e) => e && e.id) : [];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * persistAlertEvents
+ * Save triggered alerts, keeping the newest 50.
+ *
+ * @param {object[]} events
+ */
+export function persistAlertEvents(events) {
+  writeJson(EVENTS_KEY, { events: (events || []).slice(0, MAX_EVENTS), ts: Date.now() });
+}
@@ -0,0 +1,59 @@
+import { createAlertRule, describeAlertRule, evaluateAlertRules } from './alerts';
+
+const day1 = { base: 'USD', date: '2024-05-01', rates: { EUR: 0.9, GBP: 0.8 } };
+const day2 = { base: 'USD', date: '2024-05-02', rates: { EUR: 0.88, GBP: 0.79 } };
+
+describe('rate alerts', () => {
+  test('createAlertRule validates input', () => {
+    expect(createAlertRule({ type: 'above', from: 'eur', to: 'usd', value: '1,12' })).toMatchObject({
+      type: 'above', from: 'EUR', to: 'USD', value: 1.12, enabled: true, active: false,
+    });
+    expect(() => createAlertRule({ type: 'nope', from: 'EUR', to: 'USD', value: 1 })).toThrow(/Unknown rule type/);
+    expect(() => createAlertRule({ type: 'above', from: 'EUR', to: 'EUR', value: 1 })).toThrow(/different/);
+    expect(() => createAlertRule({ type: 'below', from: 'EUR', to: 'USD', value: '-1' })).toThrow(/positive/);
+  });
+
+  test('describeAlertRule', () => {
+    expect(describeAlertRule({ type: 'above', from: 'EUR', to: 'USD', value: 1.12 })).toBe('EUR/USD rises above 1.12');
+    expect(describeAlertRule({ type: 'change', from: 'GBP', to: 'USD', value: 1 })).toBe('GBP/USD moves more than 1% in a day');
+  });
+
+  test('threshold rules fire on crossing and re-arm once the condition clears', () => {
+    let rules = [createAlertRule({ type: 'above', from: 'EUR', to: 'USD', value: 1.12 })];
+
+    // EUR/USD = 1 / 0.88 ≈ 1.136
+    let result = evaluateAlertRules(rules, day2);
+    expect(result.triggered).toHaveLength(1);
+    expect(result.triggered[0].message).toMatch(/^EUR\/USD rises above 1.12: now 1.136/);
+    rules = result.rules;
+
+    // still above: no repeat
+    result = evaluateAlertRules(rules, day2);
+    expect(result.triggered).toHaveLength(0);
+    expect(result.rules[0]).toBe(rules[0]);
+
+    // back below (1 / 0.9 ≈ 1.111) re-arms, crossing again fires again
+    rules = evaluateAlertRules(rules, day1).rules;
+    expect(rules[0].active).toBe(false);
+    expect(evaluateAlertRules(rules, day2).triggered).toHaveLength(1);
+  });
+
+  test('disabled rules are skipped', () => {
+    const rule = { ...createAlertRule({ type: 'below', from: 'USD', to: 'EUR', value: 1 }), enabled: false };
+    expect(evaluateAlertRules([rule], day2).triggered).toHaveLength(0);
+  });
+
+  test('daily move rules compare with the previous rate date once per date', () => {
+    const rules = [
+      createAlertRule({ type: 'change', from: 'EUR', to: 'USD', value: 2 }),
+      createAlertRule({ type: 'change', from: 'GBP', to: 'USD', value: 1 }),
+    ];
+    expect(evaluateAlertRules(rules, day2).triggered).toHaveLength(0);
+
+    const result = evaluateAlertRules(rules, day2, day1);
+    // EUR/USD +2.27%, GBP/USD +1.27%
+    expect(result.triggered.map((t) => t.ruleId)).toEqual([rules[0].id, rules[1].id]);
+    expect(result.triggered[0].change).toBeCloseTo(2.2727, 3);
+    expect(evaluateAlertRules(result.rules, day2, day1).triggered).toHaveLength(0);
+  });
+});
@@ -0,0 +1,260 @@
+//
+// Batch conversion of CSV/TSV amount lists, e.g. an expense export:
+//
+//   date;description;amount;currency
+//   2024-03-28;Hotel;"1.234,50";EUR
+//
+// Columns are found by header name (amount, currency, date and common variants) or, without a
+// header row, by content. Amounts use one decimal separator per file: it is detected from the
+// amounts themselves ("1.234,50" and "12,5" mean a decimal comma) instead of being guessed per
+// value, with the number settings as the fallback for files where every amount is ambiguous
+// ("1,234" alone). Lines without a date convert at the latest rates, dated lines at the rates of
+// their day. Designed to be pure and easily testable.
+//
+
+import { convertAmountDecimal, currencyDecimalOptions } from './currency';
+import { addDecimal, decimalToString } from './decimal';
+import { isIsoDate } from './date';
+import { parseCsvLines, detectCsvSeparator, toCsv } from './csv';
+import { parseLocaleDecimal } from './locale';
+
+// Header names per column, lower case
+const COLUMN_NAMES = {
+  amount: ['amount', 'value', 'sum', 'total', 'net', 'gross', 'price', 'cost', 'betrag', 'montant', 'importe'],
+  currency: ['currency', 'ccy', 'cur', 'curr', 'currency code', 'code', 'from', 'devise', 'währung', 'moneda'],
+  date: ['date', 'rate date', 'day', 'transaction date', 'booking date', 'datum', 'fecha'],
+};
+
+// PUBLIC_INTERFACE
+// BATCH_OUTPUT_COLUMNS: columns added to every input line in the converted file
+export const BATCH_OUTPUT_COLUMNS = ['converted_amount', 'target_currency', 'rate', 'rate_date', 'provider', 'error'];
+
+/**
+ * PUBLIC_INTERFACE
+ * detectBatchColumns
+ * Locate the amount, currency and date columns.
+ *
+ * @param {string[][]} rows parsed CSV rows
+ * @returns {{ header: boolean, amount: number, currency: number, date: number }} indexes, -1 when missing
+ */
+export function detectBatchColumns(rows) {
+  const first = (rows[0] || []).map((f) => f.trim().toLowerCase());
+  const byName = (names) => first.findIndex((f) => names.includes(f));
+  const named = { amount: byName(COLUMN_NAMES.amount), currency: byName(COLUMN_NAMES.currency), date: byName(COLUMN_NAMES.date) };
+  if (named.amount !== -1) return { header: true, ...named };
+
+  // no header: the first line with data decides, e.g. "12.50,EUR,2024-03-01"
+  const sample = (rows[0] || []).map((f) => f.trim());
+  return {
+    header: false,
+    amount: sample.findIndex((f) => /\d/.test(f) && !/[a-z]/i.test(f) && !isIsoDate(f.slice(0, 10)) && parseLocaleDecimal(f) !== undefined),
+    currency: sample.findIndex((f) => /^[A-Za-z]{3}$/.test(f)),
+    date: sample.findIndex((f) => isIsoDate(f.slice(0, 10))),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * detectDecimalSeparator
+ * Decimal separator used by a list of amounts: '.' or ',', or null when no amount tells
+ * (e.g. only "1,234" and "500") or the amounts disagree.
+ *
+ * @param {string[]} values
+ * @returns {'.' | ',' | null}
+ */
+export function detectDecimalSeparator(values) {
+  const votes = new Set();
+  (values || []).forEach((value) => {
+    const seps = String(value).replace(/[^.,]/g, '');
+    if (!seps) return;
+    if (seps.includes('.') && seps.includes(',')) {
+      votes.add(seps[seps.length - 1]);
+      return;
+    }
+    const sep = seps[0];
+    const other = sep === '.' ? ',' : '.';
+    if (seps.length > 1) {
+      // "1.234.567" groups, so the decimal separator is the other one
+      votes.add(other);
+      return;
+    }
+    const digitsAfter = /[.,](\d*)/.exec(String(value))[1].length;
+    if (digitsAfter !== 3) votes.add(sep);
+  });
+  return votes.size === 1 ? [...votes][0] : null;
+}
+
+/**
+ * Read a date cell: YYYY-MM-DD, optionally followed by a time.
+ */
+function readDate(value) {
+  const s = value.trim();
+  if (!s) return { date: '' };
+  const day = s.slice(0, 10).replace(/\//g, '-');
+  if (isIsoDate(day) && (s.length === 10 || /^[T\s]/.test(s.slice(10)))) return { date: day };
+  return { error: `Unrecognized date "${s}" (use YYYY-MM-DD)` };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * readBatch
+ * Parse a CSV/TSV amount list.
+ *
+ * @param {string} text file contents
+ * @param {{ separator?: string, decimal?: '.' | ',' | null, numberSettings?: object }} [options]
+ *   separator: field separator (detected when missing); decimal: decimal separator of the amounts
+ *   (detected when missing); numberSettings: fallback when the amounts do not tell (utils/locale)
+ * @returns {{
+ *   separator: string,
+ *   decimal: '.' | ',' | null,
+ *   header: string[] | null,
+ *   columns: { amount: number, currency: number, date: number },
+ *   lines: { line: number, fields: string[], amount?: string, currency?: string, date?: string, error?: string }[]
+ * }} line is the 1-based line of the file the row starts on; decimal is null when the number
+ *   settings were used
+ */
+export function readBatch(text, options = {}) {
+  const separator = options.separator || detectCsvSeparator(text);
+  const parsed = parseCsvLines(text, { separator });
+  const rows = parsed.map((row) => row.fields);
+  const { header, ...columns } = detectBatchColumns(rows);
+  const data = header ? parsed.slice(1) : parsed;
+
+  const cell = (fields, index) => (index === -1 ? '' : (fields[index] || '').trim());
+  const decimal = options.decimal !== undefined && options.decimal !== null
+    ? options.decimal
+    : detectDecimalSeparator(data.map(({ fields }) => cell(fields, columns.amount)));
+  const amountSettings = decimal
+    ? { ...(options.numberSettings || {}), decimal, group: decimal === ',' ? '.' : ',' }
+    : options.numberSettings;
+
+  const readLine = ({ line, fields }) => {
+    if (columns.amount === -1) return { line, fields, error: 'No amount column' };
+    const rawAmount = cell(fields, columns.amount);
+    const amount = parseLocaleDecimal(rawAmount, amountSettings);
+    if (amount === undefined) return { line, fields, error: rawAmount ? `Invalid amount "${rawAmount}"` : 'Missing amount' };
+    const currency = cell(fields, columns.currency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return { line, fields, amount, error: currency ? `Invalid currency "${currency}"` : 'Missing currency' };
+    }
+    const { date, error } = readDate(cell(fields, columns.date));
+    return error ? { line, fields, amount, currency, error } : { line, fields, amount, currency, date };
+  };
+
+  // rows without any value (e.g. ";;;") are skipped; line numbers come from the file
+  const lines = data.filter(({ fields }) => fields.some((f) => f.trim())).map(readLine);
+
+  return { separator, decimal, header: header ? rows[0] : null, columns, lines };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * convertBatch
+ * Convert read lines to a target currency and total them per source currency.
+ * Amounts are rounded to the target's minor unit (or the display precision); totals add the
+ * rounded amounts so they match the lines.
+ *
+ * @param {ReturnType<typeof readBatch>['lines']} lines
+ * @param {{
+ *   target: string,
+ *   latest?: { rates: Record<string, number>, base: string, date?: string, provider?: string },
+ *   byDate?: Record<string, { rates: Record<string, number>, base: string, date?: string, provider?: string, error?: string }>,
+ *   precision?: number | null
+ * }} options latest: rates for undated lines; byDate: rates per requested date (missing while loading)
+ * @returns {{
+ *   rows: { line: number, fields: string[], amount?: string, currency?: string, date?: string,
+ *     converted?: string, rate?: string, rateDate?: string, provider?: string, error?: string, pending?: boolean }[],
+ *   totals: { currency: string, count: number, amount: string, converted: string }[],
+ *   total: string,
+ *   pending: number,
+ *   failed: number
+ * }} rate is the price of one source unit in the target currency
+ */
+export function convertBatch(lines, options) {
+  const { target } = options;
+  const rounding = currencyDecimalOptions(target, options.precision ?? null);
+  const totals = new Map();
+  let total = '0';
+  let pending = 0;
+  let failed = 0;
+
+  const rows = (lines || []).map((line) => {
+    if (line.error) {
+      failed += 1;
+      return line;
+    }
+    const table = line.date ? options.byDate?.[line.date] : options.latest;
+    if (!table) {
+      pending += 1;
+      return { ...line, pending: true };
+    }
+    if (table.error) {
+      failed += 1;
+      return { ...line, error: table.error };
+    }
+    const converted = convertAmountDecimal(line.amount, line.currency, target, table.rates, table.base, rounding);
+    if (converted === undefined) {
+      failed += 1;
+      return { ...line, error: `No rate for ${line.currency}` };
+    }
+    const sum = totals.get(line.currency) || { currency: line.currency, count: 0, amount: '0', converted: '0' };
+    totals.set(line.currency, {
+      ...sum,
+      count: sum.count + 1,
+      amount: decimalToString(addDecimal(sum.amount, line.amount)),
+      converted: decimalToString(addDecimal(sum.converted, converted)),
+    });
+    total = decimalToString(addDecimal(total, converted));
+    return {
+      ...line,
+      converted,
+      rate: convertAmountDecimal('1', line.currency, target, table.rates, table.base),
+      rateDate: table.date || '',
+      provider: table.provider || '',
+    };
+  });
+
+  return {
+    rows,
+    totals: [...totals.values()].sort((a, b) => a.currency.localeCompare(b.currency)),
+    total,
+    pending,
+    failed,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * batchToCsv
+ * Converted file: every input line with BATCH_OUTPUT_COLUMNS appended, then a blank line and a
+ * per-currency totals table ending with the grand total in the target currency.
+ *
+ * @param {ReturnType<typeof readBatch>} batch
+ * @param {ReturnType<typeof convertBatch>} result
+ * @param {{ target: string, separator?: string }} options separator: ',' by default, '\t' for TSV
+ * @returns {string}
+ */
+export function batchToCsv(batch, result, options) {
+  const { target } = options;
+  const width = Math.max(batch.header?.length || 0, ...result.rows.map((r) => r.fields.length));
+  const pad = (fields) => Array.from({ length: width }, (_, i) => fields[i] ?? '');
+  const header = batch.header ? pad(batch.header) : pad([]).map((_, i) => `column_${i + 1}`);
+
+  const rows = [
+    [...header, ...BATCH_OUTPUT_COLUMNS],
+    ...result.rows.map((r) => [
+      ...pad(r.fields),
+      r.converted ?? '',
+      r.converted !== undefined ? target : '',
+      r.rate ?? '',
+      r.rateDate ?? '',
+      r.provider ?? '',
+      r.error || (r.pending ? 'Rates not loaded' : ''),
+    ]),
+    [],
+    ['currency', 'lines', 'amount', 'converted_amount', 'target_currency'],
+    ...result.totals.map((t) => [t.currency, t.count, t.amount, t.converted, target]),
+    ['Total', result.totals.reduce((n, t) => n + t.count, 0), '', result.total, target],
+  ];
+  return toCsv(rows, { separator: options.separator || ',' });
+}
@@ -0,0 +1,103 @@
+import {
+  BATCH_OUTPUT_COLUMNS, batchToCsv, convertBatch, detectBatchColumns, detectDecimalSeparator, readBatch,
+} from './batchConvert';
+import { parseCsv } from './csv';
+
+const LATEST = { rates: { EUR: 0.8, GBP: 0.75, JPY: 150 }, base: 'USD', date: '2024-04-02', provider: 'frankfurter' };
+const MARCH = { rates: { EUR: 0.5, GBP: 0.4, JPY: 100 }, base: 'USD', date: '2024-03-28', provider: 'exchangerate_host' };
+
+describe('batch conversion', () => {
+  test('finds columns by header name or by content', () => {
+    expect(detectBatchColumns([['Date', 'Description', 'Amount', 'Currency']])).toEqual({ header: true, amount: 2, currency: 3, date: 0 });
+    expect(detectBatchColumns([['Room 12', '12.50', 'eur', '2024-03-01']])).toEqual({ header: false, amount: 1, currency: 2, date: 3 });
+  });
+
+  test('detects the decimal separator from the amounts of the file', () => {
+    expect(detectDecimalSeparator(['1.234,50', '12'])).toBe(',');
+    expect(detectDecimalSeparator(['12,5', '1.234'])).toBe(',');
+    expect(detectDecimalSeparator(['1,234,567', '3'])).toBe('.');
+    expect(detectDecimalSeparator(['1,234', '500'])).toBeNull();
+    expect(detectDecimalSeparator(['1.5', '1,5'])).toBeNull();
+  });
+
+  test('reads semicolon files with a decimal comma and reports bad lines', () => {
+    const text = 'date;description;amount;currency\n2024-03-28;Hotel;"1.234,50";eur\n;Taxi;12,5;GBP\n;;;\n;Snacks;abc;EUR\n2024-13-01;Fee;3;USD';
+    const batch = readBatch(text);
+    expect(batch.separator).toBe(';');
+    expect(batch.decimal).toBe(',');
+    expect(batch.header).toEqual(['date', 'description', 'amount', 'currency']);
+    expect(batch.lines.map((l) => [l.line, l.amount, l.currency, l.date, l.error])).toEqual([
+      [2, '1234.5', 'EUR', '2024-03-28', undefined],
+      [3, '12.5', 'GBP', '', undefined],
+      [5, undefined, undefined, undefined, 'Invalid amount "abc"'],
+      [6, '3', 'USD', undefined, 'Unrecognized date "2024-13-01" (use YYYY-MM-DD)'],
+    ]);
+  });
+
+  test('reports the line of the file, across blank lines and multi-line fields', () => {
+    const text = 'description,amount,currency\n\n"Dinner,\nteam",100,EUR\r\n\r\nTaxi,x,GBP\n';
+    expect(readBatch(text).lines.map((l) => [l.line, l.error])).toEqual([
+      [3, undefined],
+      [6, 'Invalid amount "x"'],
+    ]);
+  });
+
+  test('falls back to the number settings for ambiguous amounts', () => {
+    const text = 'amount,currency\n"1,234",EUR';
+    expect(readBatch(text, { numberSettings: { locale: 'en-US' } }).lines[0].amount).toBe('1234');
+    expect(readBatch(text, { decimal: ',' }).lines[0].amount).toBe('1.234');
+  });
+
+  test('converts at the rates of each date and totals per currency', () => {
+    const { lines } = readBatch('amount,currency,date\n100,EUR,2024-03-28\n10,EUR,\n7,GBP,\n1,XXX,\n5,USD,2024-03-29');
+    const result = convertBatch(lines, { target: 'JPY', latest: LATEST, byDate: { '2024-03-28': MARCH } });
+
+    expect(result.rows.map((r) => [r.converted, r.rate, r.rateDate, r.provider, r.error, r.pending])).toEqual([
+      ['20000', '200', '2024-03-28', 'exchangerate_host', undefined, undefined],
+      ['1875', '187.5', '2024-04-02', 'frankfurter', undefined, undefined],
+      ['1400', '200', '2024-04-02', 'frankfurter', undefined, undefined],
+      [undefined, undefined, undefined, undefined, 'No rate for XXX', undefined],
+      [undefined, undefined, undefined, undefined, undefined, true],
+    ]);
+    expect(result.totals).toEqual([
+      { currency: 'EUR', count: 2, amount: '110', converted: '21875' },
+      { currency: 'GBP', count: 1, amount: '7', converted: '1400' },
+    ]);
+    expect(result).toMatchObject({ total: '23275', pending: 1, failed: 1 });
+  });
+
+  test('rounds converted amounts to the target minor unit', () => {
+    const { lines } = readBatch('amount,currency\n1,JPY\n1,JPY');
+    const result = convertBatch(lines, { target: 'EUR', latest: LATEST });
+    expect(result.rows.map((r) => r.converted)).toEqual(['0.01', '0.01']);
+    expect(result.total).toBe('0.02');
+  });
+
+  test('writes the converted file with totals', () => {
+    const batch = readBatch('description,amount,currency\n"Dinner, team",100,EUR\nTaxi,x,GBP');
+    const result = convertBatch(batch.lines, { target: 'USD', latest: LATEST });
+    const rows = parseCsv(batchToCsv(batch, result, { target: 'USD' }));
+
+    expect(rows[0]).toEqual(['description', 'amount', 'currency', ...BATCH_OUTPUT_COLUMNS]);
+    expect(rows[1]).toEqual(['Dinner, team', '100', 'EUR', '125', 'USD', '1.25', '2024-04-02', 'frankfurter', '']);
+    expect(rows[2]).toEqual(['Taxi', 'x', 'GBP', '', '', '', '', '', 'Invalid amount "x"']);
+    // the blank line before the totals is skipped when reading
+    expect(rows.slice(3)).toEqual([
+      ['currency', 'lines', 'amount', 'converted_amount', 'target_currency'],
+      ['EUR', '1', '100', '125', 'USD'],
+      ['Total', '1', '', '125', 'USD'],
+    ]);
+  });
+
+  test('writes negative amounts back as they were read', () => {
+    const batch = readBatch('description;amount;currency\nRefund;-1.234,50;EUR\nCredit -5e3;-12,5;EUR');
+    const result = convertBatch(batch.lines, { target: 'USD', latest: LATEST });
+    const csv = batchToCsv(batch, result, { target: 'USD' });
+
+    expect(parseCsv(csv).slice(1, 3).map((r) => r.slice(0, 3))).toEqual([
+      ['Refund', '-1.234,50', 'EUR'],
+      ['Credit -5e3', '-12,5', 'EUR'],
+    ]);
+    expect(readBatch(csv).lines.slice(0, 2).map((l) => l.amount)).toEqual(['-1234.5', '-12.5']);
+  });
+});
@@ -1,9 +1,65 @@
 //
 // Calculator core logic helpers - safe math without eval
-// Supports sequential operations, clear, delete, and keyboard-friendly updates.
+// Builds an expression token by token (numbers, operators, parentheses) and evaluates it
+// with operator precedence via utils/expression on equals, using exact decimal arithmetic.
+// Supports clear, delete, memory registers (M+, M−, MR, MC) and keyboard-friendly updates.
+// Scientific keys (%, ±, √, x², xʸ, 1/x, log, ln) act on the current entry, except xʸ which is the
+// '^' operator. Financial helpers (percentage change, markup/margin, interest, VAT) take decimal
+// strings and return exact decimal strings for the financial keypad mode.
 // Designed to be pure and easily testable.
 //
 
+import { evaluateExpression, power } from './expression';
+import {
+  addDecimal,
+  compareDecimal,
+  decimalToNumber,
+  decimalToString,
+  divideDecimal,
+  isZeroDecimal,
+  multiplyDecimal,
+  negateDecimal,
+  roundDecimal,
+  sqrtDecimal,
+  subtractDecimal,
+  toDecimal,
+} from './decimal';
+
+const OPERATORS = ['+', '-', '*', '/', '^'];
+const DISPLAY_GLYPHS = { '*': '×', '/': '÷', '-': '−' };
+
+// Screen messages for evaluation errors, by error code
+const ERROR_MESSAGES = {
+  DIV_ZERO: 'Cannot divide by zero',
+  DOMAIN: 'Invalid input',
+  RANGE: 'Result out of range',
+};
+
+/**
+ * Build a calculator error with a machine-readable code, like utils/expression.
+ * @param {string} message
+ * @param {'DOMAIN'|'DIV_ZERO'|'RANGE'|'SYNTAX'} code
+ * @returns {Error}
+ */
+function calcError(message, code) {
+  const e = new Error(`[calc] ${message}`);
+  e.code = code;
+  return e;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * CALC_DECIMAL_OPTIONS
+ * Default precision for the calculator:
+ * - scale/rounding: digits kept by division and how they are rounded
+ * - displayScale: digits shown on the screen after rounding with the same mode
+ */
+export const CALC_DECIMAL_OPTIONS = Object.freeze({
+  scale: 20,
+  rounding: 'half-even',
+  displayScale: 10,
+});
+
 /**
  * Normalize a numeric string:
  * - Remove leading zeros unless before decimal
@@ -50,69 +106,138 @@ function normalizeNumberString(s) {
 }
 
 /**
- * Execute a binary operation with safe guards.
- * @param {'+'|'-'|'*'|'/'} op
- * @param {number} a
- * @param {number} b
- * @returns {number}
- */
-function operate(op, a, b) {
-  switch (op) {
-    case '+':
-      return a + b;
-    case '-':
-      return a - b;
-    case '*':
-      return a * b;
-    case '/':
-      if (b === 0) {
-        // Represent divide-by-zero as Infinity and let caller map to message
-        return Infinity;
-      }
-      return a / b;
-    default:
-      return b;
+ * Format a decimal result for display, rounding to options.displayScale digits.
+ * Values outside a readable range fall back to scientific notation; values beyond floating
+ * point range throw 'RANGE' rather than showing "Infinity".
+ * @param {string} value exact decimal string
+ * @param {typeof CALC_DECIMAL_OPTIONS} options
+ * @returns {string}
+ */
+function formatNumber(value, options) {
+  const dec = toDecimal(value);
+  if (isZeroDecimal(dec)) return '0';
+  // Avoid scientific for reasonable ranges
+  const abs = Math.abs(decimalToNumber(dec));
+  if (!Number.isFinite(abs)) throw calcError('Result out of range', 'RANGE');
+  if (abs >= 1e15 || abs < 1e-6) {
+    // fallback to toPrecision, trimming zeros in the mantissa only
+    return decimalToNumber(dec).toPrecision(10).replace(/\.?0+(?=e|$)/, '');
   }
+  return decimalToString(roundDecimal(dec, { scale: options.displayScale, rounding: options.rounding }));
 }
 
 /**
- * Format a number for display, limiting precision to avoid long floats.
- * @param {number} n
- * @returns {string}
+ * INTERNAL
+ * Helpers for inspecting the committed expression tokens.
  */
-function formatNumber(n) {
-  if (!isFinite(n)) return '∞';
-  // Avoid scientific for reasonable ranges
-  const abs = Math.abs(n);
-  if (abs === 0) return '0';
-  if (abs >= 1e12 || abs < 1e-6) {
-    // fallback to toPrecision
-    return n.toPrecision(10).replace(/\.?0+$/,'');
+function lastToken(tokens) {
+  return tokens.length ? tokens[tokens.length - 1] : undefined;
+}
+
+function isOperatorToken(t) {
+  return OPERATORS.includes(t);
+}
+
+function isNumberToken(t) {
+  return typeof t === 'string' && /^-?[0-9]/.test(t);
+}
+
+function openParenCount(tokens) {
+  let depth = 0;
+  for (const t of tokens) {
+    if (t === '(') depth += 1;
+    else if (t === ')') depth -= 1;
   }
-  // limit decimals to 10 to avoid long tails
-  const str = String(+n.toFixed(10));
-  return str.replace(/\.?0+$/,'');
+  return depth;
+}
+
+/**
+ * INTERNAL
+ * Render tokens with display glyphs, e.g. ['2', '*', '(', '3'] => "2 × (3".
+ */
+function formatTokens(tokens) {
+  return tokens
+    .map((t) => {
+      if (DISPLAY_GLYPHS[t]) return DISPLAY_GLYPHS[t];
+      if (isNumberToken(t) && t.startsWith('-')) return `−${t.slice(1)}`;
+      return t;
+    })
+    .join(' ')
+    .replace(/\( /g, '(')
+    .replace(/ \)/g, ')');
+}
+
+/**
+ * INTERNAL
+ * Expression string for the evaluator. A negative entry is one operand, so it is parenthesized:
+ * (−2)² is 4, not −(2²).
+ */
+function toExpressionInput(tokens) {
+  return tokens.map((t) => (isNumberToken(t) && t.startsWith('-') ? `(${t})` : t)).join(' ');
+}
+
+/**
+ * INTERNAL
+ * Error state: the screen shows a message for the error code until cleared.
+ */
+function failedState(state, err, tokens) {
+  return {
+    ...state,
+    display: ERROR_MESSAGES[err?.code] || 'Invalid expression',
+    error: err?.code || 'SYNTAX',
+    tokens: [],
+    lastExpression: formatTokens(tokens),
+    entering: false,
+  };
+}
+
+/**
+ * INTERNAL
+ * Show a computed value as the current entry (like a recalled value: usable as an operand,
+ * replaced by the next digit).
+ */
+function enterValue(state, display) {
+  let tokens = state.tokens;
+  if (!state.entering && lastToken(tokens) === ')') tokens = [...tokens, '*'];
+  return {
+    ...state,
+    tokens,
+    display,
+    lastExpression: '',
+    entering: true,
+    replaceEntry: true,
+  };
 }
 
 /**
  * PUBLIC_INTERFACE
  * createCalcState
  * Create initial calculator state object.
+ * - memory: exact decimal string of the memory register, null when empty
+ * - replaceEntry: the entry shows a recalled value; the next digit starts a new number
+ * - calculation: the last completed calculation; a new object on every evaluation, so it can
+ *   be watched to record a history tape. Currency expressions also name the result's currency
  * @returns {{
  *   display: string,
- *   accumulator: number | null,
- *   operator: null | '+'|'-'|'*'|'/',
+ *   tokens: string[],
+ *   lastExpression: string,
  *   entering: boolean,
- *   error: string | null
+ *   error: string | null,
+ *   memory: string | null,
+ *   replaceEntry: boolean,
+ *   calculation: { expression: string, result: string, currency?: string } | null
  * }}
  */
 export function createCalcState() {
   return {
     display: '0',
-    accumulator: null,
-    operator: null,
+    tokens: [],
+    lastExpression: '',
     entering: false,
     error: null,
+    memory: null,
+    replaceEntry: false,
+    calculation: null,
   };
 }
 
@@ -127,10 +252,14 @@ export function inputDigit(state, digit) {
   if (state.error) return state; // ignore input on error until cleared
   if (!/^[0-9]$/.test(digit)) return state;
 
+  let tokens = state.tokens;
   let next = state.display;
   if (!state.entering) {
-    // start new input
+    // start new input; a number right after ')' multiplies the group
+    if (lastToken(tokens) === ')') tokens = [...tokens, '*'];
     next = digit === '0' ? '0' : digit;
+  } else if (state.replaceEntry) {
+    next = digit;
   } else {
     // append
     if (next === '0') next = digit; else next += digit;
@@ -138,8 +267,11 @@ export function inputDigit(state, digit) {
 
   return {
     ...state,
+    tokens,
     display: normalizeNumberString(next),
+    lastExpression: '',
     entering: true,
+    replaceEntry: false,
   };
 }
 
@@ -151,105 +283,179 @@ export function inputDigit(state, digit) {
  */
 export function inputDecimal(state) {
   if (state.error) return state;
+  let tokens = state.tokens;
   let next = state.display;
   if (!state.entering) {
+    if (lastToken(tokens) === ')') tokens = [...tokens, '*'];
+    next = '0.';
+  } else if (state.replaceEntry) {
     next = '0.';
   } else if (!next.includes('.')) {
     next = next + '.';
   }
   return {
     ...state,
+    tokens,
     display: normalizeNumberString(next),
+    lastExpression: '',
     entering: true,
+    replaceEntry: false,
   };
 }
 
 /**
  * PUBLIC_INTERFACE
  * clearAll
- * Reset calculator to initial state.
+ * Reset calculator to initial state. The memory register survives (MC clears it).
+ * @param {ReturnType<typeof createCalcState>} [state]
  */
-export function clearAll() {
-  return createCalcState();
+export function clearAll(state) {
+  return { ...createCalcState(), memory: state?.memory ?? null };
 }
 
 /**
  * PUBLIC_INTERFACE
  * deleteLast
- * Delete last character of current entry.
+ * Delete last character of current entry, or the last operator/parenthesis
+ * when no number is being entered.
  * @param {ReturnType<typeof createCalcState>} state
  */
 export function deleteLast(state) {
   if (state.error) return state;
   if (!state.entering) {
-    return { ...state, display: '0' };
+    if (state.tokens.length === 0) {
+      return { ...state, display: '0', lastExpression: '' };
+    }
+    const tokens = state.tokens.slice(0, -1);
+    // Re-open the preceding number for editing, e.g. "2 +" => "2"
+    if (isNumberToken(lastToken(tokens))) {
+      return {
+        ...state,
+        tokens: tokens.slice(0, -1),
+        display: lastToken(tokens),
+        entering: true,
+      };
+    }
+    return { ...state, tokens, display: '0' };
   }
   const s = state.display;
-  const next = s.length <= 1 ? '0' : s.slice(0, -1);
+  const next = s.length <= 1 || state.replaceEntry ? '0' : s.slice(0, -1);
   return {
     ...state,
     display: normalizeNumberString(next),
+    replaceEntry: false,
   };
 }
 
 /**
- * INTERNAL
- * Commit current display number into accumulator with op if exists.
+ * PUBLIC_INTERFACE
+ * setOperator
+ * Handle operator press (+, -, ×, ÷, xʸ).
+ * Appends the current entry and the operator to the expression; precedence is
+ * resolved on equals. Pressing another operator replaces the previous one, except
+ * '-' after ×, ÷, ^ or '(' which starts a negative operand.
+ * @param {ReturnType<typeof createCalcState>} state
+ * @param {'+'|'-'|'*'|'/'|'^'} op
  */
-function commitPending(state) {
-  const b = Number(state.display);
-  if (state.accumulator === null || state.operator === null) {
-    return { ...state, accumulator: b };
-  }
-  const result = operate(state.operator, state.accumulator, b);
-  if (!isFinite(result)) {
-    return {
-      ...state,
-      display: 'Cannot divide by zero',
-      error: 'DIV_ZERO',
-      accumulator: null,
-      operator: null,
-      entering: false,
-    };
+export function setOperator(state, op) {
+  if (state.error) return state;
+  if (!isOperatorToken(op)) return state;
+
+  const tokens = [...state.tokens];
+  const last = lastToken(tokens);
+
+  if (state.entering || last === undefined) {
+    // current entry (or previous result) becomes the left operand
+    tokens.push(state.display);
+  } else if (isOperatorToken(last)) {
+    // '-' after ×, ÷ or ^ negates the next operand; anything else replaces the operator
+    if (!(op === '-' && (last === '*' || last === '/' || last === '^'))) {
+      while (isOperatorToken(lastToken(tokens))) tokens.pop();
+      if (lastToken(tokens) === '(' && op !== '-') return { ...state, tokens };
+    }
+  } else if (last === '(') {
+    if (op !== '-') return state;
   }
+  tokens.push(op);
+
   return {
     ...state,
-    accumulator: result,
-    display: formatNumber(result),
+    tokens,
+    lastExpression: '',
     entering: false,
   };
 }
 
 /**
  * PUBLIC_INTERFACE
- * setOperator
- * Handle operator press (+, -, ×, ÷).
- * Applies sequential operations by committing pending operation first.
+ * inputParen
+ * Handle '(' or ')' presses.
+ * - '(' after a number or ')' implies multiplication, e.g. "2(3)".
+ * - ')' is ignored unless there is an unmatched '(' and an operand to close.
  * @param {ReturnType<typeof createCalcState>} state
- * @param {'+'|'-'|'*'|'/'} op
+ * @param {'('|')'} paren
  */
-export function setOperator(state, op) {
+export function inputParen(state, paren) {
   if (state.error) return state;
-  // Commit any pending with current display
-  const committed = commitPending(state);
-  if (committed.error) return committed;
+  const tokens = [...state.tokens];
 
-  return {
-    ...committed,
-    operator: op,
-    entering: false,
-  };
+  if (paren === '(') {
+    if (state.entering) tokens.push(state.display);
+    tokens.push('(');
+    return {
+      ...state,
+      tokens,
+      display: '0',
+      lastExpression: '',
+      entering: false,
+    };
+  }
+
+  if (paren === ')') {
+    if (openParenCount(tokens) <= 0) return state;
+    if (state.entering) {
+      tokens.push(state.display);
+    } else if (lastToken(tokens) !== ')') {
+      return state;
+    }
+    tokens.push(')');
+    return {
+      ...state,
+      tokens,
+      entering: false,
+    };
+  }
+
+  return state;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatExpression
+ * Human-readable expression line for the current state, e.g. "2 + 3 × (4".
+ * After equals, shows the evaluated formula followed by "=".
+ * @param {ReturnType<typeof createCalcState>} state
+ * @returns {string}
+ */
+export function formatExpression(state) {
+  if (state.tokens.length === 0 && !state.entering) return state.lastExpression || '';
+  const tokens = state.entering ? [...state.tokens, state.display] : state.tokens;
+  return formatTokens(tokens);
 }
 
 /**
  * PUBLIC_INTERFACE
  * equals
- * Evaluate current expression.
+ * Evaluate current expression with operator precedence and exact decimal arithmetic.
+ * A trailing operator reuses the current display as its right operand and
+ * unclosed parentheses are closed automatically.
  * @param {ReturnType<typeof createCalcState>} state
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] precision overrides
  */
-export function equals(state) {
+export function equals(state, options) {
+  const precision = { ...CALC_DECIMAL_OPTIONS, ...(options || {}) };
   if (state.error) return state;
-  if (state.operator === null || state.accumulator === null) {
+  if (state.tokens.length === 0) {
     // just normalize current display
     return {
       ...state,
@@ -257,34 +463,467 @@ export function equals(state) {
       entering: false,
     };
   }
-  // commit with current display
-  const committed = commitPending(state);
-  if (committed.error) return committed;
 
-  // Clear operator and keep result as accumulator for potential next ops
+  const tokens = [...state.tokens];
+  const last = lastToken(tokens);
+  if (state.entering || isOperatorToken(last) || last === '(') {
+    tokens.push(state.display);
+  }
+  for (let depth = openParenCount(tokens); depth > 0; depth -= 1) tokens.push(')');
+
+  let display;
+  try {
+    display = formatNumber(evaluateExpression(toExpressionInput(tokens), precision), precision);
+  } catch (err) {
+    return failedState(state, err, tokens);
+  }
+
   return {
-    ...committed,
-    operator: null,
+    ...state,
+    display,
+    tokens: [],
+    lastExpression: `${formatTokens(tokens)} =`,
     entering: false,
+    calculation: { expression: formatTokens(tokens), result: display },
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * showCalculation
+ * Show a calculation evaluated outside the keypad (e.g. a typed currency expression) as if equals
+ * had been pressed: the result is displayed and recorded as the completed calculation.
+ * @param {ReturnType<typeof createCalcState>} state
+ * @param {{ expression: string, value: string, currency?: string | null }} result e.g.
+ *   { expression: '100 USD + 50 EUR in GBP', value: '121.88', currency: 'GBP' }
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] precision overrides
+ */
+export function showCalculation(state, { expression, value, currency }, options) {
+  const precision = { ...CALC_DECIMAL_OPTIONS, ...(options || {}) };
+  let display;
+  try {
+    display = formatNumber(value, precision);
+  } catch {
+    return state;
+  }
+  return {
+    ...clearAll(state),
+    display,
+    lastExpression: `${expression} =`,
+    calculation: currency ? { expression, result: display, currency } : { expression, result: display },
   };
 }
 
+/**
+ * PUBLIC_INTERFACE
+ * recallValue
+ * Put a value (memory register, history tape entry) into the current entry. It can be used as
+ * an operand right away; typing a digit replaces it instead of appending.
+ * @param {ReturnType<typeof createCalcState>} state
+ * @param {string} value decimal string
+ */
+export function recallValue(state, value) {
+  if (state.error || value === null || value === undefined) return state;
+  let display;
+  try {
+    // plain digits, also for results shown in scientific notation
+    display = decimalToString(toDecimal(String(value)));
+  } catch {
+    return state;
+  }
+  let tokens = state.tokens;
+  if (!state.entering && lastToken(tokens) === ')') tokens = [...tokens, '*'];
+  return {
+    ...state,
+    tokens,
+    display,
+    lastExpression: '',
+    entering: true,
+    replaceEntry: true,
+  };
+}
+
+/**
+ * Add (sign 1) or subtract (sign -1) the displayed number to the memory register.
+ */
+function updateMemory(state, sign) {
+  if (state.error) return state;
+  let value;
+  try {
+    value = toDecimal(state.display);
+  } catch {
+    return state;
+  }
+  const current = state.memory ?? '0';
+  const memory = decimalToString(sign > 0 ? addDecimal(current, value) : subtractDecimal(current, value));
+  // the shown number stays usable as an operand; typing starts a new one
+  return { ...state, memory, replaceEntry: state.entering };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * memoryAdd
+ * M+: add the displayed number to the memory register.
+ * @param {ReturnType<typeof createCalcState>} state
+ */
+export function memoryAdd(state) {
+  return updateMemory(state, 1);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * memorySubtract
+ * M−: subtract the displayed number from the memory register.
+ * @param {ReturnType<typeof createCalcState>} state
+ */
+export function memorySubtract(state) {
+  return updateMemory(state, -1);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * memoryRecall
+ * MR: put the memory register into the current entry.
+ * @param {ReturnType<typeof createCalcState>} state
+ */
+export function memoryRecall(state) {
+  return recallValue(state, state.memory);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * memoryClear
+ * MC: empty the memory register.
+ * @param {ReturnType<typeof createCalcState>} state
+ */
+export function memoryClear(state) {
+  return state.memory === null ? state : { ...state, memory: null };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * SCIENTIFIC_FUNCTIONS
+ * Names of the one-operand scientific keys: x², √, 1/x, log (base 10) and ln.
+ */
+export const SCIENTIFIC_FUNCTIONS = Object.freeze(['square', 'sqrt', 'reciprocal', 'log', 'ln']);
+
+/**
+ * PUBLIC_INTERFACE
+ * scientificValue
+ * Apply a scientific function to a number. x² is exact; √ and 1/x round to options.scale digits;
+ * logarithms go through floating point.
+ * Throws an error with code 'DOMAIN' for √ of a negative number or the log of a number <= 0,
+ * and 'DIV_ZERO' for 1/0.
+ *
+ * @param {'square'|'sqrt'|'reciprocal'|'log'|'ln'} name
+ * @param {string} value decimal string
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options]
+ * @returns {string} decimal string
+ */
+export function scientificValue(name, value, options) {
+  const { scale, rounding } = { ...CALC_DECIMAL_OPTIONS, ...(options || {}) };
+  const x = toDecimal(value);
+  switch (name) {
+    case 'square':
+      return decimalToString(multiplyDecimal(x, x));
+    case 'sqrt':
+      return decimalToString(sqrtDecimal(x, { scale, rounding }));
+    case 'reciprocal':
+      if (isZeroDecimal(x)) throw calcError('Cannot divide by zero', 'DIV_ZERO');
+      return decimalToString(divideDecimal(1, x, { scale, rounding }));
+    case 'log':
+    case 'ln': {
+      if (compareDecimal(x, 0) <= 0) throw calcError('Logarithm of a number <= 0', 'DOMAIN');
+      const n = decimalToNumber(x);
+      const result = name === 'log' ? Math.log10(n) : Math.log(n);
+      if (!Number.isFinite(result)) throw calcError('Result out of range', 'RANGE');
+      return decimalToString(roundDecimal(toDecimal(result), { scale, rounding }));
+    }
+    default:
+      throw calcError(`Unknown function "${name}"`, 'SYNTAX');
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * applyFunction
+ * Scientific key: replace the displayed number by f(number), e.g. √ turns 9 into 3.
+ * The result can be used as an operand right away; typing a digit starts a new number.
+ * @param {ReturnType<typeof createCalcState>} state
+ * @param {'square'|'sqrt'|'reciprocal'|'log'|'ln'} name
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] precision overrides
+ */
+export function applyFunction(state, name, options) {
+  if (state.error || !SCIENTIFIC_FUNCTIONS.includes(name)) return state;
+  const precision = { ...CALC_DECIMAL_OPTIONS, ...(options || {}) };
+  let display;
+  try {
+    display = formatNumber(scientificValue(name, state.display, precision), precision);
+  } catch (err) {
+    return failedState(state, err, [...state.tokens, state.display]);
+  }
+  return enterValue(state, display);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * toggleSign
+ * ± key: negate the number being typed (typing continues), or the displayed result.
+ * @param {ReturnType<typeof createCalcState>} state
+ */
+export function toggleSign(state) {
+  if (state.error) return state;
+  let value;
+  try {
+    value = toDecimal(state.display);
+  } catch {
+    return state;
+  }
+  if (isZeroDecimal(value) && !state.display.includes('.')) return state;
+  const d = state.display;
+  const display = d.startsWith('-') ? d.slice(1) : `-${d}`;
+  return state.entering ? { ...state, display } : enterValue(state, display);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * percentOf
+ * percent % of base, exactly; without a base, percent / 100.
+ * @param {string} percent decimal string
+ * @param {string} [base] decimal string
+ * @returns {string} decimal string
+ */
+export function percentOf(percent, base) {
+  const share = multiplyDecimal(percent, '0.01');
+  return decimalToString(base === undefined ? share : multiplyDecimal(base, share));
+}
+
+/**
+ * INTERNAL
+ * Value of the expression since the innermost unclosed '(' (the left side of a trailing + or −),
+ * or undefined when it cannot be evaluated.
+ */
+function leftSideValue(tokens, precision) {
+  let start = 0;
+  let depth = 0;
+  for (let i = tokens.length - 1; i >= 0; i -= 1) {
+    if (tokens[i] === ')') depth += 1;
+    else if (tokens[i] === '(') {
+      if (depth === 0) {
+        start = i + 1;
+        break;
+      }
+      depth -= 1;
+    }
+  }
+  try {
+    return evaluateExpression(toExpressionInput(tokens.slice(start)), precision);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * inputPercent
+ * % key, as on desk calculators: after + or − the entry is a percentage of the left side
+ * ("200 + 10 %" => 200 + 20); otherwise it is divided by 100 ("50 × 10 %" => 50 × 0.1).
+ * @param {ReturnType<typeof createCalcState>} state
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] precision overrides
+ */
+export function inputPercent(state, options) {
+  if (state.error) return state;
+  const precision = { ...CALC_DECIMAL_OPTIONS, ...(options || {}) };
+  const op = lastToken(state.tokens);
+  const base = op === '+' || op === '-' ? leftSideValue(state.tokens.slice(0, -1), precision) : undefined;
+  let display;
+  try {
+    display = formatNumber(percentOf(state.display, base), precision);
+  } catch (err) {
+    return failedState(state, err, [...state.tokens, state.display]);
+  }
+  return enterValue(state, display);
+}
+
+/**
+ * INTERNAL
+ * 1 + rate / 100 for a percentage rate.
+ */
+function growthFactor(ratePercent) {
+  return addDecimal(1, multiplyDecimal(ratePercent, '0.01'));
+}
+
+/**
+ * INTERNAL
+ * Decimal options for the financial helpers (division scale and rounding).
+ */
+function financialOptions(options) {
+  const { scale, rounding } = { ...CALC_DECIMAL_OPTIONS, ...(options || {}) };
+  return { scale, rounding };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * percentageChange
+ * Change from `from` to `to` in percent of |from|, e.g. 80 → 100 is 25.
+ * Throws an error with code 'DIV_ZERO' when `from` is zero.
+ *
+ * @param {string} from decimal string
+ * @param {string} to decimal string
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] division scale and rounding
+ * @returns {string} decimal string
+ */
+export function percentageChange(from, to, options) {
+  const a = toDecimal(from);
+  if (isZeroDecimal(a)) throw calcError('Percentage change from zero', 'DIV_ZERO');
+  const change = multiplyDecimal(subtractDecimal(to, a), 100);
+  const base = compareDecimal(a, 0) < 0 ? negateDecimal(a) : a;
+  return decimalToString(divideDecimal(change, base, financialOptions(options)));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * priceFromMarkup
+ * Selling price for a cost and a markup on cost in percent: 80 with 25 % markup is 100. Exact.
+ *
+ * @param {string} cost decimal string
+ * @param {string} markupPercent decimal string
+ * @returns {string} decimal string
+ */
+export function priceFromMarkup(cost, markupPercent) {
+  return decimalToString(multiplyDecimal(cost, growthFactor(markupPercent)));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * priceFromMargin
+ * Selling price for a cost and a gross margin on price in percent: 80 with 20 % margin is 100.
+ * Throws an error with code 'DOMAIN' for margins of 100 % or more.
+ *
+ * @param {string} cost decimal string
+ * @param {string} marginPercent decimal string
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] division scale and rounding
+ * @returns {string} decimal string
+ */
+export function priceFromMargin(cost, marginPercent, options) {
+  if (compareDecimal(marginPercent, 100) >= 0) throw calcError('Margin must be below 100 %', 'DOMAIN');
+  const costShare = subtractDecimal(1, multiplyDecimal(marginPercent, '0.01'));
+  return decimalToString(divideDecimal(cost, costShare, financialOptions(options)));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * markupMargin
+ * Profit, markup (on cost) and margin (on price) in percent for a cost and a selling price.
+ * markup is null for a zero cost and margin for a zero price.
+ *
+ * @param {string} cost decimal string
+ * @param {string} price decimal string
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] division scale and rounding
+ * @returns {{ profit: string, markup: string | null, margin: string | null }} decimal strings
+ */
+export function markupMargin(cost, price, options) {
+  const profit = subtractDecimal(price, cost);
+  const share = (base) =>
+    isZeroDecimal(base) ? null : decimalToString(divideDecimal(multiplyDecimal(profit, 100), base, financialOptions(options)));
+  return {
+    profit: decimalToString(profit),
+    markup: share(cost),
+    margin: share(price),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * simpleInterest
+ * Interest on the principal only: principal × rate % × years. Exact.
+ *
+ * @param {string} principal decimal string
+ * @param {string} ratePercent yearly rate, decimal string
+ * @param {string} years decimal string
+ * @returns {{ interest: string, total: string }} decimal strings
+ */
+export function simpleInterest(principal, ratePercent, years) {
+  const interest = multiplyDecimal(multiplyDecimal(principal, multiplyDecimal(ratePercent, '0.01')), years);
+  return { interest: decimalToString(interest), total: decimalToString(addDecimal(principal, interest)) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * compoundInterest
+ * Interest compounded `periodsPerYear` times a year: principal × (1 + rate % / n)^(n × years).
+ * Whole numbers of periods are computed exactly before rounding to options.scale digits, unless
+ * the exact factor would be too large (see power in utils/expression).
+ *
+ * @param {string} principal decimal string
+ * @param {string} ratePercent yearly rate, decimal string
+ * @param {string} years decimal string
+ * @param {number} [periodsPerYear] 1 (yearly), 4 (quarterly), 12 (monthly), 365 (daily)
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] division scale and rounding
+ * @returns {{ interest: string, total: string }} decimal strings
+ */
+export function compoundInterest(principal, ratePercent, years, periodsPerYear = 1, options) {
+  const n = Number.isInteger(periodsPerYear) && periodsPerYear > 0 ? periodsPerYear : 1;
+  const precision = financialOptions(options);
+  // intermediate steps keep the full calculator precision, only the total is rounded to options
+  const working = { ...precision, scale: Math.max(precision.scale, CALC_DECIMAL_OPTIONS.scale) };
+  const periodRate = divideDecimal(multiplyDecimal(ratePercent, '0.01'), n, working);
+  const factor = power(addDecimal(1, periodRate), multiplyDecimal(years, n), working);
+  const total = roundDecimal(multiplyDecimal(principal, factor), precision);
+  return { interest: decimalToString(subtractDecimal(total, principal)), total: decimalToString(total) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * addVat
+ * Gross amount for a net amount and a VAT rate in percent: 100 at 19 % is 119. Exact.
+ *
+ * @param {string} net decimal string
+ * @param {string} ratePercent decimal string
+ * @returns {{ net: string, vat: string, gross: string }} decimal strings
+ */
+export function addVat(net, ratePercent) {
+  if (compareDecimal(ratePercent, 0) < 0) throw calcError('VAT rate must not be negative', 'DOMAIN');
+  const vat = multiplyDecimal(net, multiplyDecimal(ratePercent, '0.01'));
+  return { net: decimalToString(toDecimal(net)), vat: decimalToString(vat), gross: decimalToString(addDecimal(net, vat)) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * removeVat
+ * Net amount contained in a gross amount at a VAT rate in percent: 119 at 19 % is 100.
+ *
+ * @param {string} gross decimal string
+ * @param {string} ratePercent decimal string
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] division scale and rounding
+ * @returns {{ net: string, vat: string, gross: string }} decimal strings
+ */
+export function removeVat(gross, ratePercent, options) {
+  if (compareDecimal(ratePercent, 0) < 0) throw calcError('VAT rate must not be negative', 'DOMAIN');
+  const net = divideDecimal(gross, growthFactor(ratePercent), financialOptions(options));
+  return { net: decimalToString(net), vat: decimalToString(subtractDecimal(gross, net)), gross: decimalToString(toDecimal(gross)) };
+}
+
 /**
  * PUBLIC_INTERFACE
  * inputKey
  * High-level keyboard handler mapping keys to actions.
  * @param {ReturnType<typeof createCalcState>} state
  * @param {string} key
+ * @param {Partial<typeof CALC_DECIMAL_OPTIONS>} [options] precision overrides for equals and %
  */
-export function inputKey(state, key) {
+export function inputKey(state, key, options) {
   if (key >= '0' && key <= '9') return inputDigit(state, key);
   if (key === '.' || key === ',') return inputDecimal(state);
-  if (key === 'Escape' || key.toLowerCase() === 'c') return clearAll();
+  if (key === 'Escape' || key.toLowerCase() === 'c') return clearAll(state);
   if (key === 'Backspace' || key.toLowerCase() === 'd') return deleteLast(state);
   if (key === '+' ) return setOperator(state, '+');
   if (key === '-' ) return setOperator(state, '-');
   if (key === '*' ) return setOperator(state, '*');
   if (key === '/' ) return setOperator(state, '/');
-  if (key === 'Enter' || key === '=') return equals(state);
+  if (key === '^' ) return setOperator(state, '^');
+  if (key === '%') return inputPercent(state, options);
+  if (key === '(' || key === ')') return inputParen(state, key);
+  if (key === 'Enter' || key === '=') return equals(state, options);
   return state;
 }
@@ -0,0 +1,281 @@
+import { evaluateExpression, tokenize } from './expression';
+import {
+  addVat, applyFunction, compoundInterest, createCalcState, equals, formatExpression, inputKey, markupMargin, memoryAdd,
+  memoryClear, memoryRecall, memorySubtract, percentageChange, percentOf, priceFromMargin, priceFromMarkup, recallValue,
+  removeVat, scientificValue, showCalculation, simpleInterest, toggleSign,
+} from './calc';
+
+/** Feed a sequence of keys through the keyboard handler. */
+function typeKeys(keys, state = createCalcState()) {
+  return [...keys].reduce((s, k) => inputKey(s, k), state);
+}
+
+describe('expression engine', () => {
+  test('applies operator precedence', () => {
+    expect(evaluateExpression('2 + 3 * 4')).toBe('14');
+    expect(evaluateExpression('10 - 4 / 2')).toBe('8');
+    expect(evaluateExpression('2 * 3 + 4 * 5')).toBe('26');
+  });
+
+  test('handles parentheses, unary minus and implicit multiplication', () => {
+    expect(evaluateExpression('(2 + 3) * 4')).toBe('20');
+    expect(evaluateExpression('-(2 + 3) * -2')).toBe('10');
+    expect(evaluateExpression('2(3 + 4)')).toBe('14');
+    expect(evaluateExpression('10 - -5')).toBe('15');
+  });
+
+  test('accepts display glyphs for operators', () => {
+    expect(evaluateExpression('2 + 3 × 4 − 6 ÷ 3')).toBe('12');
+  });
+
+  test('uses exact decimal arithmetic', () => {
+    expect(evaluateExpression('0.1 + 0.2')).toBe('0.3');
+    expect(evaluateExpression('1.1 * 1.1')).toBe('1.21');
+    expect(evaluateExpression('2 / 3', { scale: 4, rounding: 'half-up' })).toBe('0.6667');
+  });
+
+  test('reports errors with codes instead of guessing', () => {
+    expect(() => evaluateExpression('1 / 0')).toThrow(expect.objectContaining({ code: 'DIV_ZERO' }));
+    expect(() => evaluateExpression('(1 + 2')).toThrow(expect.objectContaining({ code: 'PAREN' }));
+    expect(() => evaluateExpression('1 + 2)')).toThrow(expect.objectContaining({ code: 'PAREN' }));
+    expect(() => evaluateExpression('1 + * 2')).toThrow(expect.objectContaining({ code: 'SYNTAX' }));
+    expect(() => tokenize('2 & 3')).toThrow(expect.objectContaining({ code: 'SYNTAX' }));
+  });
+
+  test('raises powers right-associatively, above unary minus', () => {
+    expect(evaluateExpression('2 ^ 10')).toBe('1024');
+    expect(evaluateExpression('2 ^ 3 ^ 2')).toBe('512');
+    expect(evaluateExpression('-2 ^ 2')).toBe('-4');
+    expect(evaluateExpression('(-2) ^ 3')).toBe('-8');
+    expect(evaluateExpression('2 ^ -2')).toBe('0.25');
+    expect(evaluateExpression('1.1 ^ 2 * 3')).toBe('3.63');
+    expect(evaluateExpression('4 ^ 0.5')).toBe('2');
+    expect(() => evaluateExpression('(-8) ^ 0.5')).toThrow(expect.objectContaining({ code: 'DOMAIN' }));
+    expect(() => evaluateExpression('0 ^ -1')).toThrow(expect.objectContaining({ code: 'DIV_ZERO' }));
+    expect(() => evaluateExpression('10 ^ 400.5')).toThrow(expect.objectContaining({ code: 'RANGE' }));
+  });
+
+  test('falls back to floating point for powers too large to compute exactly', () => {
+    expect(evaluateExpression('2 ^ 1000')).toHaveLength(302);
+    expect(() => evaluateExpression('(10 ^ 1000) ^ 1000')).toThrow(expect.objectContaining({ code: 'RANGE' }));
+    expect(() => evaluateExpression('((10 ^ 1000) ^ 1000) ^ 1000')).toThrow(expect.objectContaining({ code: 'RANGE' }));
+    expect(evaluateExpression('(2 ^ 1000) ^ -1000')).toBe('0');
+  });
+
+  test('whole exponents beyond floating point range throw like fractional ones', () => {
+    expect(() => evaluateExpression('10 ^ 400')).toThrow(expect.objectContaining({ code: 'RANGE' }));
+    expect(() => evaluateExpression('99999999 ^ 999')).toThrow(expect.objectContaining({ code: 'RANGE' }));
+  });
+});
+
+describe('calculator state machine', () => {
+  test('evaluates with precedence on equals', () => {
+    const s = typeKeys('2+3*4=');
+    expect(s.display).toBe('14');
+    expect(formatExpression(s)).toBe('2 + 3 × 4 =');
+  });
+
+  test('shows the formula while typing and supports parentheses', () => {
+    const typing = typeKeys('(2+3)*4');
+    expect(formatExpression(typing)).toBe('(2 + 3) × 4');
+    expect(equals(typing).display).toBe('20');
+  });
+
+  test('closes open parentheses on equals', () => {
+    expect(typeKeys('2*(3+4=').display).toBe('14');
+  });
+
+  test('replaces a repeated operator but allows a negative operand', () => {
+    expect(typeKeys('5+*2=').display).toBe('10');
+    expect(typeKeys('5*-2=').display).toBe('-10');
+  });
+
+  test('shows exact decimal results', () => {
+    expect(typeKeys('0.1+0.2=').display).toBe('0.3');
+    expect(typeKeys('1/3=').display).toBe('0.3333333333');
+    expect(typeKeys('123456789.99*100=').display).toBe('12345678999');
+  });
+
+  test('continues from the previous result', () => {
+    expect(typeKeys('50+50=').display).toBe('100');
+    expect(typeKeys('50+50=/4=').display).toBe('25');
+  });
+
+  test('delete removes the last operator and re-opens the number', () => {
+    const s = inputKey(typeKeys('12+'), 'Backspace');
+    expect(formatExpression(s)).toBe('12');
+    expect(typeKeys('3=', s).display).toBe('123');
+  });
+
+  test('maps divide by zero to an error until cleared', () => {
+    const s = typeKeys('1/0=');
+    expect(s.error).toBe('DIV_ZERO');
+    expect(s.display).toBe('Cannot divide by zero');
+    expect(inputKey(s, 'Escape')).toEqual(createCalcState());
+  });
+
+  test('shows results beyond floating point range as an error, not Infinity', () => {
+    for (const keys of ['10^400=', '99999999^999=', '1000000000^30*1000000000^30=']) {
+      const s = typeKeys(keys);
+      expect(s.error).toBe('RANGE');
+      expect(s.display).toBe('Result out of range');
+    }
+  });
+});
+
+describe('memory registers', () => {
+  test('M+ and M− accumulate the displayed number exactly', () => {
+    let s = typeKeys('0.1');
+    s = memoryAdd(s);
+    s = memoryAdd(typeKeys('0.2', s));
+    expect(s.memory).toBe('0.3');
+    s = memorySubtract(typeKeys('2*3=', s));
+    expect(s.memory).toBe('-5.7');
+  });
+
+  test('typing after M+ starts a new number', () => {
+    const s = memoryAdd(typeKeys('12'));
+    expect(typeKeys('5', s).display).toBe('5');
+  });
+
+  test('MR recalls the memory as the next operand', () => {
+    const m = memoryAdd(typeKeys('40'));
+    const s = memoryRecall(typeKeys('100-', m));
+    expect(s.display).toBe('40');
+    expect(typeKeys('=', s).display).toBe('60');
+    // a digit replaces the recalled value instead of appending
+    expect(typeKeys('2=', s).display).toBe('98');
+  });
+
+  test('clear keeps the memory; MC empties it', () => {
+    const s = inputKey(memoryAdd(typeKeys('7')), 'Escape');
+    expect(s.display).toBe('0');
+    expect(s.memory).toBe('7');
+    expect(memoryClear(s).memory).toBeNull();
+    expect(memoryRecall(memoryClear(s))).toEqual(memoryClear(s));
+  });
+
+  test('memory keys are ignored while an error is shown', () => {
+    const s = typeKeys('1/0=');
+    expect(memoryAdd(s)).toBe(s);
+  });
+});
+
+describe('completed calculations', () => {
+  test('equals records the calculation once', () => {
+    const s = typeKeys('2+3*4=');
+    expect(s.calculation).toEqual({ expression: '2 + 3 × 4', result: '14' });
+    // other keys keep the same record, the next equals creates a new one
+    expect(typeKeys('+', s).calculation).toBe(s.calculation);
+    expect(typeKeys('+1=', s).calculation).toEqual({ expression: '14 + 1', result: '15' });
+  });
+
+  test('showCalculation records an expression evaluated elsewhere', () => {
+    const s = showCalculation(typeKeys('5+'), { expression: '100 USD + 50 EUR in GBP', value: '121.88', currency: 'GBP' });
+    expect(s.display).toBe('121.88');
+    expect(s.tokens).toEqual([]);
+    expect(formatExpression(s)).toBe('100 USD + 50 EUR in GBP =');
+    expect(s.calculation).toEqual({ expression: '100 USD + 50 EUR in GBP', result: '121.88', currency: 'GBP' });
+    expect(typeKeys('*2=', s).display).toBe('243.76');
+  });
+
+  test('recallValue turns a tape result into an operand', () => {
+    const s = recallValue(typeKeys('10+'), '1.2e+3');
+    expect(s.display).toBe('1200');
+    expect(typeKeys('=', s).display).toBe('1210');
+  });
+});
+
+describe('scientific keys', () => {
+  test('computes unary functions', () => {
+    expect(scientificValue('square', '1.5')).toBe('2.25');
+    expect(scientificValue('sqrt', '2', { scale: 6 })).toBe('1.414214');
+    expect(scientificValue('reciprocal', '8')).toBe('0.125');
+    expect(scientificValue('log', '1000')).toBe('3');
+    expect(Number(scientificValue('ln', '10'))).toBeCloseTo(2.302585093, 9);
+    expect(() => scientificValue('sqrt', '-1')).toThrow(expect.objectContaining({ code: 'DOMAIN' }));
+    expect(() => scientificValue('log', '0')).toThrow(expect.objectContaining({ code: 'DOMAIN' }));
+    expect(() => scientificValue('reciprocal', '0')).toThrow(expect.objectContaining({ code: 'DIV_ZERO' }));
+  });
+
+  test('applies a function to the entry, which then acts as an operand', () => {
+    let s = applyFunction(typeKeys('2+9'), 'sqrt');
+    expect(s.display).toBe('3');
+    expect(typeKeys('=', s).display).toBe('5');
+    // a digit replaces the function result
+    s = typeKeys('4=', applyFunction(typeKeys('2+9'), 'sqrt'));
+    expect(s.display).toBe('6');
+    s = applyFunction(typeKeys('3'), 'sqrt');
+    expect(s.display).toBe('1.7320508076');
+  });
+
+  test('shows domain errors until cleared', () => {
+    const s = applyFunction(typeKeys('5-0'), 'log');
+    expect(s.error).toBe('DOMAIN');
+    expect(s.display).toBe('Invalid input');
+    expect(applyFunction(s, 'square')).toBe(s);
+    expect(typeKeys('c', s).error).toBeNull();
+  });
+
+  test('± negates the entry while typing and the result afterwards', () => {
+    let s = typeKeys('12', toggleSign(typeKeys('')));
+    expect(s.display).toBe('12');
+    s = typeKeys('3', toggleSign(typeKeys('12')));
+    expect(s.display).toBe('-123');
+    s = toggleSign(typeKeys('2*3='));
+    expect(s.display).toBe('-6');
+    expect(typeKeys('+1=', s).display).toBe('-5');
+  });
+
+  test('xʸ binds to a negative entry as a whole', () => {
+    const s = typeKeys('^2=', toggleSign(typeKeys('3')));
+    expect(s.display).toBe('9');
+    expect(formatExpression(s)).toBe('−3 ^ 2 =');
+    expect(typeKeys('2^-1=').display).toBe('0.5');
+    expect(typeKeys('2*3^2=').display).toBe('18');
+  });
+
+  test('% takes a share of the left side after + and −, else divides by 100', () => {
+    expect(percentOf('10', '200')).toBe('20');
+    expect(percentOf('12.5')).toBe('0.125');
+    expect(typeKeys('200+10%=').display).toBe('220');
+    expect(typeKeys('2*100-10%=').display).toBe('180');
+    expect(typeKeys('5+(100+10%)=').display).toBe('115');
+    expect(typeKeys('50*10%=').display).toBe('5');
+    expect(typeKeys('10%').display).toBe('0.1');
+  });
+});
+
+describe('financial helpers', () => {
+  test('percentage change', () => {
+    expect(percentageChange('80', '100')).toBe('25');
+    expect(percentageChange('100', '80')).toBe('-20');
+    expect(percentageChange('-50', '-25')).toBe('50');
+    expect(percentageChange('3', '4', { scale: 4 })).toBe('33.3333');
+    expect(() => percentageChange('0', '5')).toThrow(expect.objectContaining({ code: 'DIV_ZERO' }));
+  });
+
+  test('markup and margin', () => {
+    expect(priceFromMarkup('80', '25')).toBe('100');
+    expect(priceFromMargin('80', '20')).toBe('100');
+    expect(priceFromMargin('10', '30', { scale: 2 })).toBe('14.29');
+    expect(() => priceFromMargin('80', '100')).toThrow(expect.objectContaining({ code: 'DOMAIN' }));
+    expect(markupMargin('80', '100')).toEqual({ profit: '20', markup: '25', margin: '20' });
+    expect(markupMargin('0', '10')).toEqual({ profit: '10', markup: null, margin: '100' });
+  });
+
+  test('simple and compound interest', () => {
+    expect(simpleInterest('1000', '5', '3')).toEqual({ interest: '150', total: '1150' });
+    expect(compoundInterest('1000', '5', '3')).toEqual({ interest: '157.625', total: '1157.625' });
+    const monthly = compoundInterest('1000', '6', '1', 12, { scale: 2 });
+    expect(monthly).toEqual({ interest: '61.68', total: '1061.68' });
+  });
+
+  test('adds and removes VAT', () => {
+    expect(addVat('100', '19')).toEqual({ net: '100', vat: '19', gross: '119' });
+    expect(addVat('19.99', '7')).toEqual({ net: '19.99', vat: '1.3993', gross: '21.3893' });
+    expect(removeVat('119', '19')).toEqual({ net: '100', vat: '19', gross: '119' });
+    expect(removeVat('10', '20', { scale: 2 })).toEqual({ net: '8.33', vat: '1.67', gross: '10' });
+    expect(() => addVat('100', '-5')).toThrow(expect.objectContaining({ code: 'DOMAIN' }));
+  });
+});
@@ -0,0 +1,116 @@
+//
+// Calculator history tape: completed calculations, oldest first, like a printing calculator.
+//
+// Storage schema:
+//  - Key: 'cc_hub_calc_tape_v1'
+//  - Value: JSON.stringify({ entries: { id, expression, result, at }[], ts: number })
+// expression uses the display glyphs ("2 + 3 × 4"); result is the exact result as displayed.
+//
+
+import { toCsv } from './csv';
+
+// PUBLIC_INTERFACE
+// CALC_TAPE_STORAGE_KEY / MAX_TAPE_ENTRIES
+export const CALC_TAPE_STORAGE_KEY = 'cc_hub_calc_tape_v1';
+export const MAX_TAPE_ENTRIES = 200;
+
+/**
+ * PUBLIC_INTERFACE
+ * createTapeEntry
+ * Tape entry for a completed calculation (see calc.js state.calculation).
+ *
+ * @param {{ expression: string, result: string }} calculation
+ * @param {number} [at] epoch ms
+ * @returns {{ id: string, expression: string, result: string, at: number }}
+ */
+export function createTapeEntry(calculation, at = Date.now()) {
+  return {
+    id: `${at.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    expression: String(calculation.expression),
+    result: String(calculation.result),
+    at,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * appendTapeEntry
+ * Append an entry, dropping the oldest ones beyond MAX_TAPE_ENTRIES.
+ *
+ * @param {object[]} entries
+ * @param {object} entry
+ * @returns {object[]}
+ */
+export function appendTapeEntry(entries, entry) {
+  const next = [...(entries || []), entry];
+  return next.length > MAX_TAPE_ENTRIES ? next.slice(next.length - MAX_TAPE_ENTRIES) : next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * tapeToText
+ * Plain-text tape, one "time  expression = result" line per entry.
+ *
+ * @param {object[]} entries
+ * @param {{ formatNumber?: (s: string) => string, formatTime?: (at: number) => string }} [options]
+ *   formatNumber localizes the numbers in expression and result
+ * @returns {string}
+ */
+export function tapeToText(entries, options = {}) {
+  const formatNumber = options.formatNumber || ((s) => s);
+  const formatTime = options.formatTime || ((at) => new Date(at).toISOString());
+  const localize = (text) => text.replace(/\d+(\.\d+)?/g, formatNumber);
+  return (entries || [])
+    .map((e) => `${formatTime(e.at)}  ${localize(e.expression)} = ${localize(e.result)}`)
+    .join('\n');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * tapeToCsv
+ * CSV tape with an ISO timestamp, the expression and the unformatted result.
+ *
+ * @param {object[]} entries
+ * @returns {string}
+ */
+export function tapeToCsv(entries) {
+  return toCsv([
+    ['timestamp', 'expression', 'result'],
+    ...(entries || []).map((e) => [new Date(e.at).toISOString(), e.expression, e.result]),
+  ]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadCalcTape
+ * Persisted tape entries, oldest first.
+ *
+ * @returns {{ id: string, expression: string, result: string, at: number }[]}
+ */
+export function loadCalcTape() {
+  try {
+    const raw = window.localStorage.getItem(CALC_TAPE_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : undefined;
+    if (!Array.isArray(data?.entries)) return [];
+    return data.entries
+      .filter((e) => e && typeof e.expression === 'string' && typeof e.result === 'string' && Number.isFinite(e.at))
+      .slice(-MAX_TAPE_ENTRIES);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * persistCalcTape
+ * Save tape entries to localStorage.
+ *
+ * @param {object[]} entries
+ */
+export function persistCalcTape(entries) {
+  try {
+    window.localStorage.setItem(CALC_TAPE_STORAGE_KEY, JSON.stringify({ entries, ts: Date.now() }));
+  } catch {
+    // ignore
+  }
+}
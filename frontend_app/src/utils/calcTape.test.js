@@ -0,0 +1,48 @@
+import { MAX_TAPE_ENTRIES, appendTapeEntry, createTapeEntry, loadCalcTape, persistCalcTape, tapeToCsv, tapeToText } from './calcTape';
+import { toCsv } from './csv';
+
+const AT = Date.UTC(2024, 2, 1, 9, 30);
+const entries = [
+  createTapeEntry({ expression: '1250.5 + 99.5', result: '1350' }, AT),
+  createTapeEntry({ expression: '1350 × 0.19', result: '256.5' }, AT + 60000),
+];
+
+describe('calculator tape', () => {
+  test('keeps the newest entries', () => {
+    let list = [];
+    for (let i = 0; i < MAX_TAPE_ENTRIES + 5; i += 1) list = appendTapeEntry(list, createTapeEntry({ expression: `${i}`, result: `${i}` }, AT));
+    expect(list).toHaveLength(MAX_TAPE_ENTRIES);
+    expect(list[0].result).toBe('5');
+  });
+
+  test('exports text with localized numbers', () => {
+    const text = tapeToText(entries, {
+      formatNumber: (n) => n.replace('.', ','),
+      formatTime: (at) => new Date(at).toISOString().slice(11, 16),
+    });
+    expect(text).toBe('09:30  1250,5 + 99,5 = 1350\n09:31  1350 × 0,19 = 256,5');
+  });
+
+  test('exports CSV with a header and raw results', () => {
+    expect(tapeToCsv(entries)).toBe(
+      'timestamp,expression,result\r\n2024-03-01T09:30:00.000Z,1250.5 + 99.5,1350\r\n2024-03-01T09:31:00.000Z,1350 × 0.19,256.5'
+    );
+  });
+
+  test('persists across reloads', () => {
+    window.localStorage.clear();
+    persistCalcTape(entries);
+    expect(loadCalcTape()).toEqual(entries);
+  });
+});
+
+describe('toCsv', () => {
+  test('quotes separators, quotes and line breaks', () => {
+    expect(toCsv([['a,b', 'say "hi"', 'two\nlines', 'plain']])).toBe('"a,b","say ""hi""","two\nlines",plain');
+    expect(toCsv([['a\tb', 'c,d']], { separator: '\t' })).toBe('"a\tb"\tc,d');
+  });
+
+  test('neutralizes spreadsheet formulas but keeps negative numbers', () => {
+    expect(toCsv([['=SUM(A1:A2)', '-5', '-1 + 2', '@x']])).toBe("'=SUM(A1:A2),-5,'-1 + 2,'@x");
+  });
+});
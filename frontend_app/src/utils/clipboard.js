@@ -0,0 +1,38 @@
+//
+// Clipboard helper with a fallback for browsers/contexts without the async Clipboard API
+// (e.g. non-secure origins).
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * copyToClipboard
+ * Copy plain text to the clipboard.
+ *
+ * @param {string} text
+ * @returns {Promise<boolean>} true when the copy succeeded
+ */
+export async function copyToClipboard(text) {
+  const value = String(text ?? '');
+  try {
+    if (typeof navigator !== 'undefined' && navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(value);
+      return true;
+    }
+  } catch {
+    // fall through to the legacy path
+  }
+  try {
+    const el = document.createElement('textarea');
+    el.value = value;
+    el.setAttribute('readonly', '');
+    el.style.position = 'fixed';
+    el.style.opacity = '0';
+    document.body.appendChild(el);
+    el.select();
+    const ok = document.execCommand('copy');
+    document.body.removeChild(el);
+    return ok;
+  } catch {
+    return false;
+  }
+}
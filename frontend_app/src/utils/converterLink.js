@@ -0,0 +1,77 @@
+//
+// Converter deep links: the converter state in the page's query string, e.g.
+// "?amount=100&from=USD&to=EUR&date=2024-03-15".
+//
+// Amounts are plain decimal strings with a "." (not the user's number format), so links work
+// for everyone; codes are upper case ISO 4217 codes; date is the optional rate date. Unrelated
+// query parameters are kept. Designed to be pure and easily testable.
+//
+
+import { isIsoDate } from './date';
+
+// PUBLIC_INTERFACE
+// CONVERTER_LINK_PARAMS
+export const CONVERTER_LINK_PARAMS = ['amount', 'from', 'to', 'date'];
+
+const AMOUNT_PATTERN = /^-?(?:\d+(?:\.\d*)?|\.\d+)$/;
+const CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * PUBLIC_INTERFACE
+ * readConverterLink
+ * Converter state from a query string. Invalid values are left out.
+ *
+ * @param {string} search e.g. window.location.search
+ * @returns {{ amount?: string, from?: string, to?: string, date?: string } | undefined}
+ *   undefined when the query has none of the converter parameters
+ */
+export function readConverterLink(search) {
+  const params = new URLSearchParams(search || '');
+  if (!CONVERTER_LINK_PARAMS.some((name) => params.has(name))) return undefined;
+  const link = {};
+  const amount = (params.get('amount') || '').trim();
+  if (AMOUNT_PATTERN.test(amount)) link.amount = amount;
+  ['from', 'to'].forEach((name) => {
+    const code = (params.get(name) || '').trim().toUpperCase();
+    if (CODE_PATTERN.test(code)) link[name] = code;
+  });
+  const date = (params.get('date') || '').trim();
+  if (isIsoDate(date)) link.date = date;
+  return link;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * writeConverterLink
+ * Query string for a converter state, keeping unrelated parameters of the current one.
+ * Empty amount or date are left out.
+ *
+ * @param {string} search current query string
+ * @param {{ amount?: string, from: string, to: string, date?: string }} state amount as a plain decimal string
+ * @returns {string} "" or "?…"
+ */
+export function writeConverterLink(search, state) {
+  const params = new URLSearchParams(search || '');
+  CONVERTER_LINK_PARAMS.forEach((name) => params.delete(name));
+  if (state.amount) params.set('amount', state.amount);
+  params.set('from', state.from);
+  params.set('to', state.to);
+  if (state.date) params.set('date', state.date);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * converterLinkUrl
+ * Absolute link opening the converter with a state.
+ *
+ * @param {string} href current page URL
+ * @param {{ amount?: string, from: string, to: string, date?: string }} state
+ * @returns {string}
+ */
+export function converterLinkUrl(href, state) {
+  const url = new URL(href);
+  url.search = writeConverterLink(url.search, state);
+  return url.toString();
+}
@@ -0,0 +1,29 @@
+import { converterLinkUrl, readConverterLink, writeConverterLink } from './converterLink';
+
+describe('converter links', () => {
+  test('reads amount, currencies and rate date', () => {
+    expect(readConverterLink('?amount=100&from=usd&to=EUR')).toEqual({ amount: '100', from: 'USD', to: 'EUR' });
+    expect(readConverterLink('?amount=1234.5&from=GBP&to=JPY&date=2024-03-15')).toEqual({
+      amount: '1234.5', from: 'GBP', to: 'JPY', date: '2024-03-15',
+    });
+  });
+
+  test('ignores queries without converter parameters and drops invalid values', () => {
+    expect(readConverterLink('')).toBeUndefined();
+    expect(readConverterLink('?utm_source=chat')).toBeUndefined();
+    expect(readConverterLink('?amount=1,5&from=EURO&to=e1r&date=2024-02-30')).toEqual({});
+  });
+
+  test('writes the state and keeps unrelated parameters', () => {
+    expect(writeConverterLink('', { amount: '100', from: 'USD', to: 'EUR', date: '' })).toBe('?amount=100&from=USD&to=EUR');
+    expect(writeConverterLink('?ref=mail&amount=5', { amount: '', from: 'GBP', to: 'CHF', date: '2024-03-15' }))
+      .toBe('?ref=mail&from=GBP&to=CHF&date=2024-03-15');
+  });
+
+  test('round-trips through an absolute link', () => {
+    const state = { amount: '-12.5', from: 'EUR', to: 'SEK', date: '2023-12-29' };
+    const url = converterLinkUrl('https://example.com/app/?amount=1#rates', state);
+    expect(url).toBe('https://example.com/app/?amount=-12.5&from=EUR&to=SEK&date=2023-12-29#rates');
+    expect(readConverterLink(new URL(url).search)).toEqual(state);
+  });
+});
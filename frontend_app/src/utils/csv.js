@@ -0,0 +1,148 @@
+//
+// CSV helpers (RFC 4180). Writing: fields containing the separator, quotes or line breaks are
+// quoted, quotes are doubled and rows end with CRLF so spreadsheet apps open the file as-is.
+// Reading: quoted fields, doubled quotes and the usual separators (',', ';', tab, '|') are handled.
+//
+
+// Leading characters spreadsheet apps treat as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+// A negative number in any locale's format ('-5', '-1.234,50', "-1'234.5", '-5e3'): digits and
+// separators only, so it cannot run as a formula
+const PLAIN_NUMBER = /^-[\d.,'\u00a0\u202f ]*\d(e[-+]?\d+)?$/i;
+
+/**
+ * PUBLIC_INTERFACE
+ * escapeCsvField
+ * Quote a single field when needed. Text that would run as a spreadsheet formula
+ * (e.g. "=SUM(A1)") is prefixed with an apostrophe; negative numbers such as "-5" or
+ * "-1.234,50" are kept.
+ *
+ * @param {unknown} value null/undefined become an empty field
+ * @param {string} [separator] field separator, ',' by default
+ * @returns {string}
+ */
+export function escapeCsvField(value, separator = ',') {
+  let s = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(s) && !PLAIN_NUMBER.test(s)) s = `'${s}`;
+  if (s.includes(separator) || /["\r\n]/.test(s) || s !== s.trim()) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * toCsv
+ * Serialize rows of fields to CSV text.
+ *
+ * @param {unknown[][]} rows first row is usually the header
+ * @param {{ separator?: string }} [options] use '\t' for TSV
+ * @returns {string}
+ */
+export function toCsv(rows, options = {}) {
+  const separator = options.separator || ',';
+  return (rows || []).map((row) => row.map((v) => escapeCsvField(v, separator)).join(separator)).join('\r\n');
+}
+
+// PUBLIC_INTERFACE
+// CSV_SEPARATORS: separators recognized when reading, most common first
+export const CSV_SEPARATORS = [',', ';', '\t', '|'];
+
+/**
+ * PUBLIC_INTERFACE
+ * detectCsvSeparator
+ * Guess the field separator from the first non-empty line: the recognized separator occurring
+ * most often outside quotes (',' when there is none). Spreadsheet apps in locales with a decimal
+ * comma write ';', "Copy" from a spreadsheet gives tabs.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectCsvSeparator(text) {
+  const line = String(text ?? '').replace(/^\uFEFF/, '').split(/\r\n|\n|\r/).find((l) => l.trim()) || '';
+  const counts = Object.fromEntries(CSV_SEPARATORS.map((s) => [s, 0]));
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch in counts) counts[ch] += 1;
+  }
+  return CSV_SEPARATORS.reduce((best, s) => (counts[s] > counts[best] ? s : best), ',');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseCsvLines
+ * Read CSV/TSV text into rows of fields (RFC 4180), each with the 1-based line of the text it
+ * starts on: quoted fields may contain separators, line breaks and doubled quotes; CRLF, LF and
+ * CR line ends are accepted, a byte order mark is dropped and blank lines are skipped (but
+ * counted). An unterminated quote runs to the end of the text.
+ *
+ * @param {string} text
+ * @param {{ separator?: string }} [options] separator defaults to detectCsvSeparator(text)
+ * @returns {{ line: number, fields: string[] }[]}
+ */
+export function parseCsvLines(text, options = {}) {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const separator = options.separator || detectCsvSeparator(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  // a row is kept unless it is a single empty, unquoted field (a blank line)
+  let touched = false;
+  let line = 1; // line of the current character
+  let rowLine = 1; // line the current row started on
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '' || touched) rows.push({ line: rowLine, fields: row });
+    row = [];
+    touched = false;
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch !== '"') {
+        field += ch;
+        // line breaks inside a quoted field still move to the next line of the text
+        if (ch === '\n' || (ch === '\r' && input[i + 1] !== '\n')) line += 1;
+      } else if (input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else quoted = false;
+    } else if (ch === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+      touched = true;
+    } else if (ch === separator) {
+      endField();
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length || touched) endRow();
+  return rows;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseCsv
+ * Read CSV/TSV text into rows of fields, see parseCsvLines.
+ *
+ * @param {string} text
+ * @param {{ separator?: string }} [options] separator defaults to detectCsvSeparator(text)
+ * @returns {string[][]}
+ */
+export function parseCsv(text, options = {}) {
+  return parseCsvLines(text, options).map((row) => row.fields);
+}
@@ -0,0 +1,46 @@
+import { detectCsvSeparator, escapeCsvField, parseCsv, parseCsvLines, toCsv } from './csv';
+
+describe('CSV reading', () => {
+  test('detects the separator from the first line', () => {
+    expect(detectCsvSeparator('amount,currency\n1;2')).toBe(',');
+    expect(detectCsvSeparator('\n"a;b",c;d;e')).toBe(';');
+    expect(detectCsvSeparator('amount\tcurrency')).toBe('\t');
+    expect(detectCsvSeparator('amount')).toBe(',');
+  });
+
+  test('reads quoted fields with separators, quotes and line breaks', () => {
+    const text = '\uFEFFdescription;amount\r\n"Dinner; team";"1.234,50"\n"He said ""hi""";5\r"two\nlines";7\n\n';
+    expect(parseCsv(text)).toEqual([
+      ['description', 'amount'],
+      ['Dinner; team', '1.234,50'],
+      ['He said "hi"', '5'],
+      ['two\nlines', '7'],
+    ]);
+  });
+
+  test('keeps empty fields and honours an explicit separator', () => {
+    expect(parseCsv('a,,c\n,,\n""', { separator: ',' })).toEqual([['a', '', 'c'], ['', '', ''], ['']]);
+    expect(parseCsv('1,5\t2,5', { separator: '\t' })).toEqual([['1,5', '2,5']]);
+  });
+
+  test('numbers rows by the line they start on', () => {
+    const text = 'a,b\r\n\r\n"x\r\ny",1\n\n"p\rq\nr",2\rlast,3';
+    expect(parseCsvLines(text).map((row) => row.line)).toEqual([1, 3, 6, 9]);
+  });
+
+  test('guards formulas but keeps negative numbers in any locale format', () => {
+    expect(escapeCsvField('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(escapeCsvField('-1+2')).toBe("'-1+2");
+    expect(escapeCsvField('@cmd')).toBe("'@cmd");
+    expect(escapeCsvField('-5')).toBe('-5');
+    expect(escapeCsvField('-5e3')).toBe('-5e3');
+    expect(escapeCsvField('-1.234,50')).toBe('"-1.234,50"');
+    expect(escapeCsvField("-1'234.50")).toBe("-1'234.50");
+  });
+
+  test('round-trips what toCsv writes', () => {
+    const rows = [['text', 'n'], ['a, "b"', '-5'], ['line\nbreak', '']];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+    expect(parseCsv(toCsv(rows, { separator: '\t' }), { separator: '\t' })).toEqual(rows);
+  });
+});
@@ -1,6 +1,11 @@
 //
 // Currency utilities: parsing, formatting, common operations for converter UI.
 //
+
+import { decimalToString, divideDecimal, multiplyDecimal, toDecimal } from './decimal';
+import { getMinorUnits } from './iso4217';
+import { formatWithSettings, parseLocaleNumber } from './locale';
+
 // PUBLIC_INTERFACE
 // defaultBaseCurrency
 // Default base currency used across the app. Not hardcoded to env to keep UI deterministic.
@@ -9,72 +14,60 @@
 export const defaultBaseCurrency = 'USD';
 
 /**
- * Normalize a numeric input string to a JS number.
- * Handles commas, spaces, and common number formats.
+ * Parse a user-typed amount in the user's number locale (see utils/locale parseLocaleNumber):
  *
- * - Accepts "1,234.56" => 1234.56
- * - Accepts "  12 345,67 " if configured for comma decimal? This utility is locale-agnostic; we strip all commas then parse.
+ * - "1,234.56" => 1234.56 in en-US, "1.234,56" => 1234.56 in de-DE
+ * - "1,234" => 1234 in en-US but 1.234 in de-DE; a lone separator that cannot be grouping
+ *   ("1.5" in de-DE) is the decimal point
  * - Returns NaN if not parseable.
  *
  * PUBLIC_INTERFACE
  * @param {string | number | null | undefined} value
+ * @param {string | object} [localeOrSettings] BCP 47 locale or number settings; defaults to the browser locale
  * @returns {number}
  */
-export function parseNumber(value) {
-  if (typeof value === 'number') {
-    return Number.isFinite(value) ? value : NaN;
-  }
-  if (typeof value !== 'string') return NaN;
-  let s = value.trim();
-  if (!s) return NaN;
-  // Remove spaces
-  s = s.replace(/\s+/g, '');
-  // If there are both '.' and ',' present, assume ',' is thousands sep -> remove commas
-  // Else if only ',' present and not '.', we can try to treat ',' as decimal by replacing with '.'
-  if (s.includes('.') && s.includes(',')) {
-    s = s.replace(/,/g, '');
-  } else if (!s.includes('.') && s.includes(',')) {
-    s = s.replace(/,/g, '.');
-  } else {
-    // remove any thousands separators (commas)
-    s = s.replace(/,/g, '');
-  }
-  // Remove any non-numeric except leading - and one dot
-  s = s.replace(/(?!^-)[^0-9.]/g, '');
-  // Ensure single dot
-  const parts = s.split('.');
-  if (parts.length > 2) {
-    s = parts.shift() + '.' + parts.join('');
-  }
-  const n = Number(s);
-  return Number.isFinite(n) ? n : NaN;
+export function parseNumber(value, localeOrSettings) {
+  return parseLocaleNumber(value, toNumberSettings(localeOrSettings));
+}
+
+/**
+ * Accept either a locale tag or a number settings object (utils/locale).
+ */
+function toNumberSettings(localeOrSettings) {
+  if (localeOrSettings && typeof localeOrSettings === 'object') return localeOrSettings;
+  return { locale: typeof localeOrSettings === 'string' ? localeOrSettings : '' };
 }
 
 /**
  * PUBLIC_INTERFACE
  * formatCurrency
- * Format number in a currency-like way with Intl.NumberFormat.
+ * Format number in a currency-like way with Intl.NumberFormat, showing exactly the currency's
+ * ISO 4217 minor-unit digits (¥1,235, $1,234.57, KWD 1,234.568) unless the number settings set
+ * a display precision. Codes without ISO metadata (e.g. crypto) keep up to 6 decimals.
  * If Intl fails or currency missing, falls back to a simple fixed format.
  *
  * @param {number} amount
  * @param {string} currencyCode ISO 4217 e.g., 'USD'
- * @param {string} [locale] Optional BCP 47 locale, defaults to browser or 'en-US'
+ * @param {string | object} [localeOrSettings] BCP 47 locale or number settings (utils/locale);
+ *   defaults to the browser locale
  * @returns {string}
  */
-export function formatCurrency(amount, currencyCode, locale) {
-  const safeLocale = typeof locale === 'string' && locale ? locale : (typeof navigator !== 'undefined' ? navigator.language : 'en-US');
+export function formatCurrency(amount, currencyCode, localeOrSettings) {
+  const settings = toNumberSettings(localeOrSettings);
+  const digits = Number.isInteger(settings.precision) ? settings.precision : getMinorUnits(currencyCode || defaultBaseCurrency);
   try {
-    const fmt = new Intl.NumberFormat(safeLocale, {
+    return formatWithSettings(amount, settings, {
       style: 'currency',
       currency: currencyCode || defaultBaseCurrency,
-      maximumFractionDigits: 6,
+      ...(digits === undefined
+        ? { maximumFractionDigits: 6 }
+        : { minimumFractionDigits: digits, maximumFractionDigits: digits }),
     });
-    return fmt.format(amount);
   } catch {
-    // Fallback: plain number with 2-6 decimals depending on value
+    // Fallback: plain number with the minor-unit digits, or 2-6 decimals depending on value
     if (!Number.isFinite(amount)) return String(amount);
     const abs = Math.abs(amount);
-    const decimals = abs === 0 ? 2 : abs < 1 ? 6 : abs < 1000 ? 4 : 2;
+    const decimals = digits ?? (abs === 0 ? 2 : abs < 1 ? 6 : abs < 1000 ? 4 : 2);
     return `${currencyCode || ''} ${amount.toFixed(decimals)}`.trim();
   }
 }
@@ -85,16 +78,15 @@ export function formatCurrency(amount, currencyCode, locale) {
  * Format number using compact notation to display rates or amounts nicely.
  *
  * @param {number} n
- * @param {string} [locale]
+ * @param {string | object} [localeOrSettings] BCP 47 locale or number settings (utils/locale)
  * @returns {string}
  */
-export function formatNumberCompact(n, locale) {
-  const safeLocale = typeof locale === 'string' && locale ? locale : (typeof navigator !== 'undefined' ? navigator.language : 'en-US');
+export function formatNumberCompact(n, localeOrSettings) {
   try {
-    return new Intl.NumberFormat(safeLocale, {
+    return formatWithSettings(n, toNumberSettings(localeOrSettings), {
       notation: 'compact',
       maximumFractionDigits: 4,
-    }).format(n);
+    });
   } catch {
     if (!Number.isFinite(n)) return String(n);
     return String(+n.toFixed(4));
@@ -135,46 +127,100 @@ export function buildCurrencyOptions(symbols) {
 
 /**
  * PUBLIC_INTERFACE
- * convertAmount
- * Convert amount from 'from' currency to 'to' currency using provided rates table keyed to base currency.
+ * CONVERSION_DECIMAL_OPTIONS
+ * Precision used by convertAmount: results are computed exactly and rounded once,
+ * to `scale` digits with `rounding` (see utils/decimal for the supported modes).
+ */
+export const CONVERSION_DECIMAL_OPTIONS = Object.freeze({
+  scale: 10,
+  rounding: 'half-even',
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * currencyDecimalOptions
+ * Conversion options rounding to the target currency's minor unit (JPY 0 decimals, KWD 3), or to
+ * the user's display precision, for amounts shown as money. Codes without ISO metadata keep
+ * CONVERSION_DECIMAL_OPTIONS.
+ *
+ * @param {string} code target currency
+ * @param {number | null} [precision] display precision from the number settings
+ * @returns {{ scale: number, rounding: string }}
+ */
+export function currencyDecimalOptions(code, precision) {
+  const digits = Number.isInteger(precision) ? precision : getMinorUnits(code);
+  if (digits === undefined) return CONVERSION_DECIMAL_OPTIONS;
+  return { ...CONVERSION_DECIMAL_OPTIONS, scale: digits };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * convertAmountDecimal
+ * Convert amount from 'from' currency to 'to' currency using provided rates table keyed to base currency,
+ * returning an exact decimal string.
  * If rates are with respect to base, and we need from->to:
- *   amount_in_base = amount / rate(from)
- *   converted = amount_in_base * rate(to)
- * Special case: if from === base, amount_in_base = amount; if to === base, converted = amount_in_base.
+ *   converted = amount * rate(to) / rate(from)
+ * with rate(base) = 1. The product is exact and the single division is rounded to options.scale
+ * with options.rounding, so no intermediate float drift accumulates.
  *
- * @param {number} amount
+ * @param {number | string} amount
  * @param {string} from
  * @param {string} to
  * @param {Record<string, number>} rates rates relative to base (base->X)
  * @param {string} base base code of rates
- * @returns {number}
+ * @param {{ scale?: number, rounding?: string }} [options]
+ * @returns {string | undefined} decimal string, or undefined when amount or a rate is missing
  */
-export function convertAmount(amount, from, to, rates, base = defaultBaseCurrency) {
-  if (!Number.isFinite(amount)) return NaN;
+export function convertAmountDecimal(amount, from, to, rates, base = defaultBaseCurrency, options = CONVERSION_DECIMAL_OPTIONS) {
+  if (typeof amount === 'number' ? !Number.isFinite(amount) : typeof amount !== 'string') return undefined;
   const f = (from || '').toUpperCase();
   const t = (to || '').toUpperCase();
   const b = (base || '').toUpperCase();
 
-  if (f === t) return amount;
+  let amt;
+  try {
+    amt = toDecimal(amount);
+  } catch {
+    return undefined;
+  }
+
+  if (f === t) return decimalToString(amt);
 
   // Helper to get rate for code relative to base.
   function r(code) {
-    if (code === b) return 1;
+    if (code === b) return '1';
     const val = rates?.[code];
-    return typeof val === 'number' && Number.isFinite(val) ? val : NaN;
-    }
+    return typeof val === 'number' && Number.isFinite(val) && val > 0 ? val : undefined;
+  }
 
   const rf = r(f);
   const rt = r(t);
 
   // If either rate is missing, cannot compute.
-  if (!Number.isFinite(rf) || !Number.isFinite(rt)) return NaN;
+  if (rf === undefined || rt === undefined) return undefined;
+
+  // amount_in_base = amount / rf (since base->from = rf, then from->base = 1/rf); converted = amount_in_base * rt
+  const result = divideDecimal(multiplyDecimal(amt, rt), rf, options);
+  return decimalToString(result);
+}
 
-  // Convert via base
-  // amount_in_base = amount / rf (since base->from = rf, then from->base = 1/rf)
-  const inBase = f === b ? amount : amount / rf;
-  const result = t === b ? inBase : inBase * rt;
-  return result;
+/**
+ * PUBLIC_INTERFACE
+ * convertAmount
+ * Number-returning wrapper over convertAmountDecimal for display code (Intl formatting, charts).
+ * The value is the nearest double to the exactly computed and rounded decimal result.
+ *
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {Record<string, number>} rates rates relative to base (base->X)
+ * @param {string} base base code of rates
+ * @param {{ scale?: number, rounding?: string }} [options]
+ * @returns {number}
+ */
+export function convertAmount(amount, from, to, rates, base = defaultBaseCurrency, options = CONVERSION_DECIMAL_OPTIONS) {
+  const result = convertAmountDecimal(amount, from, to, rates, base, options);
+  return result === undefined ? NaN : Number(result);
 }
 
 /**
@@ -221,3 +267,82 @@ export function loadSelection() {
     return undefined;
   }
 }
+
+// Default currencies for the "convert to many" list
+const DEFAULT_TARGETS = ['EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD'];
+
+/**
+ * PUBLIC_INTERFACE
+ * persistTargetList
+ * Save the user-curated "convert to many" currency list (in display order) to localStorage.
+ *
+ * @param {string[]} codes
+ */
+export function persistTargetList(codes) {
+  try {
+    const payload = {
+      codes: (Array.isArray(codes) ? codes : []).map((c) => String(c).toUpperCase()),
+      ts: Date.now(),
+    };
+    window.localStorage.setItem('cc_hub_conv_targets_v1', JSON.stringify(payload));
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadTargetList
+ * Load the "convert to many" currency list from localStorage, or a default list.
+ *
+ * @returns {string[]}
+ */
+export function loadTargetList() {
+  try {
+    const raw = window.localStorage.getItem('cc_hub_conv_targets_v1');
+    if (!raw) return [...DEFAULT_TARGETS];
+    const data = JSON.parse(raw);
+    if (!data || !Array.isArray(data.codes)) return [...DEFAULT_TARGETS];
+    const seen = new Set();
+    return data.codes
+      .filter((c) => typeof c === 'string' && c)
+      .map((c) => c.toUpperCase())
+      .filter((c) => (seen.has(c) ? false : seen.add(c)));
+  } catch {
+    return [...DEFAULT_TARGETS];
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * persistDisplayBase
+ * Save the base currency chosen for the Daily Rates list to localStorage.
+ *
+ * @param {string} code
+ */
+export function persistDisplayBase(code) {
+  try {
+    const payload = { base: String(code || defaultBaseCurrency).toUpperCase(), ts: Date.now() };
+    window.localStorage.setItem('cc_hub_rates_base_v1', JSON.stringify(payload));
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadDisplayBase
+ * Load the Daily Rates base currency from localStorage, if present.
+ *
+ * @returns {string | undefined}
+ */
+export function loadDisplayBase() {
+  try {
+    const raw = window.localStorage.getItem('cc_hub_rates_base_v1');
+    if (!raw) return undefined;
+    const data = JSON.parse(raw);
+    return data && typeof data.base === 'string' && data.base ? data.base.toUpperCase() : undefined;
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,54 @@
+import {
+  convertAmount, convertAmountDecimal, currencyDecimalOptions, formatCurrency, loadTargetList, persistTargetList,
+} from './currency';
+
+const rates = { EUR: 0.9, JPY: 151.23456, KWD: 0.30712, BTC: 0.0000153 };
+
+describe('minor-unit rounding', () => {
+  test('conversions round to the target currency minor unit', () => {
+    expect(convertAmountDecimal('8.163', 'USD', 'JPY', rates, 'USD', currencyDecimalOptions('JPY'))).toBe('1235');
+    expect(convertAmountDecimal('1000', 'USD', 'KWD', rates, 'USD', currencyDecimalOptions('KWD'))).toBe('307.12');
+    expect(convertAmountDecimal('1', 'EUR', 'KWD', rates, 'USD', currencyDecimalOptions('KWD'))).toBe('0.341');
+    expect(convertAmount(10, 'JPY', 'EUR', rates, 'USD', currencyDecimalOptions('EUR'))).toBe(0.06);
+  });
+
+  test('codes without ISO metadata keep the default precision', () => {
+    expect(currencyDecimalOptions('BTC')).toEqual({ scale: 10, rounding: 'half-even' });
+    expect(currencyDecimalOptions('JPY')).toEqual({ scale: 0, rounding: 'half-even' });
+  });
+});
+
+describe('formatCurrency', () => {
+  test('shows exactly the minor-unit digits', () => {
+    expect(formatCurrency(1234.567891, 'JPY', 'en-US')).toBe('¥1,235');
+    expect(formatCurrency(1234.5, 'USD', 'en-US')).toBe('$1,234.50');
+    expect(formatCurrency(1234.5678, 'KWD', 'en-US')).toMatch(/^KWD\s1,234\.568$/);
+  });
+
+  test('keeps up to 6 decimals for codes without ISO metadata', () => {
+    expect(formatCurrency(0.00012345, 'BTC', 'en-US')).toMatch(/^BTC\s0\.000123$/);
+  });
+});
+
+describe('convert-to-many targets', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('round-trips the list in order, upper-cased and without duplicates', () => {
+    persistTargetList(['jpy', 'EUR', 'chf']);
+    expect(loadTargetList()).toEqual(['JPY', 'EUR', 'CHF']);
+
+    window.localStorage.setItem('cc_hub_conv_targets_v1', JSON.stringify({ codes: ['gbp', 'GBP', '', 7, 'eur'] }));
+    expect(loadTargetList()).toEqual(['GBP', 'EUR']);
+  });
+
+  test('falls back to the default list when nothing valid is saved', () => {
+    expect(loadTargetList()).toEqual(['EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD']);
+    window.localStorage.setItem('cc_hub_conv_targets_v1', '{broken');
+    expect(loadTargetList()).toEqual(['EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD']);
+  });
+
+  test('keeps an emptied list empty', () => {
+    persistTargetList([]);
+    expect(loadTargetList()).toEqual([]);
+  });
+});
@@ -0,0 +1,283 @@
+//
+// Currency-aware calculator expressions, e.g. "100 USD + 50 EUR in GBP" or "€12.50 + £8".
+//
+// Amounts carry an ISO code or a symbol before or after the number. Each amount is converted
+// to the target currency (after "in"/"to", else the first currency mentioned) with the given
+// rates, then the arithmetic is evaluated by utils/expression, so precedence, parentheses and
+// powers work as on the calculator. Bare numbers are plain factors or amounts in the target
+// currency ("100 USD * 3", "20 EUR + 5"); two amounts cannot be multiplied or divided by each
+// other. The result is rounded once, to the target's minor unit.
+// Designed to be pure and easily testable.
+//
+
+import { convertAmountDecimal, currencyDecimalOptions } from './currency';
+import { decimalToString, roundDecimal } from './decimal';
+import { evaluateExpression, parse, tokenize } from './expression';
+import { parseLocaleDecimal } from './locale';
+
+/**
+ * PUBLIC_INTERFACE
+ * CURRENCY_SYMBOLS
+ * Symbols read as currencies. '$' is the US dollar unless options.symbols says otherwise;
+ * prefixed dollars (A$, C$, HK$, …) are listed as well.
+ */
+export const CURRENCY_SYMBOLS = Object.freeze({
+  '$': 'USD',
+  'US$': 'USD',
+  'A$': 'AUD',
+  'AU$': 'AUD',
+  'C$': 'CAD',
+  'CA$': 'CAD',
+  'NZ$': 'NZD',
+  'HK$': 'HKD',
+  'S$': 'SGD',
+  'R$': 'BRL',
+  'MX$': 'MXN',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '₽': 'RUB',
+  '₺': 'TRY',
+  '₪': 'ILS',
+  '₫': 'VND',
+  '฿': 'THB',
+  '₱': 'PHP',
+  '₴': 'UAH',
+  '₦': 'NGN',
+});
+
+// Words introducing the target currency at the end of the expression
+const TARGET_KEYWORDS = ['in', 'to', 'as'];
+
+// Display glyphs for the normalized expression, as on the calculator
+const OPERATOR_GLYPHS = { '*': '×', '/': '÷', '-': '−', '×': '×', '÷': '÷', '−': '−', '–': '−', '+': '+', '^': '^' };
+
+/**
+ * Build a currency expression error with a machine-readable code, like utils/expression.
+ * @param {string} message
+ * @param {'SYNTAX'|'EMPTY'|'CURRENCY'|'RATES'|'UNITS'} code
+ * @returns {Error}
+ */
+function currencyExprError(message, code) {
+  const e = new Error(`[calc] ${message}`);
+  e.code = code;
+  return e;
+}
+
+/**
+ * Internal: split the input into numbers, currencies, keywords and operator characters.
+ */
+function scan(input, symbols) {
+  const tokens = [];
+  const symbolKeys = Object.keys(symbols).sort((a, b) => b.length - a.length);
+  let i = 0;
+  while (i < input.length) {
+    const rest = input.slice(i);
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    const num = /^(?:[0-9][0-9.,'’]*|[.,][0-9]+)/.exec(rest);
+    if (num) {
+      tokens.push({ type: 'num', raw: num[0] });
+      i += num[0].length;
+      continue;
+    }
+
+    const symbol = symbolKeys.find((s) => rest.toUpperCase().startsWith(s.toUpperCase()));
+    if (symbol) {
+      tokens.push({ type: 'cur', code: symbols[symbol] });
+      i += symbol.length;
+      continue;
+    }
+
+    const word = /^[a-z]+/i.exec(rest);
+    if (word) {
+      const w = word[0];
+      if (TARGET_KEYWORDS.includes(w.toLowerCase())) tokens.push({ type: 'kw' });
+      else if (w.length === 3) tokens.push({ type: 'cur', code: w.toUpperCase() });
+      else throw currencyExprError(`Unknown word "${w}"`, 'SYNTAX');
+      i += w.length;
+      continue;
+    }
+
+    if (OPERATOR_GLYPHS[ch] || ch === '(' || ch === ')') {
+      tokens.push({ type: 'op', value: ch });
+      i += 1;
+      continue;
+    }
+    throw currencyExprError(`Unexpected character "${ch}"`, 'SYNTAX');
+  }
+  return tokens;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseCurrencyExpression
+ * Parse an expression with currency amounts.
+ *
+ * @param {string} input e.g. "100 USD + 50 EUR in GBP"
+ * @param {{ numberSettings?: object, symbols?: Record<string, string> }} [options]
+ *   numberSettings: how numbers are typed (utils/locale); symbols: overrides of CURRENCY_SYMBOLS
+ * @returns {{
+ *   terms: ({ type: 'amount', value: string, currency: string | null } | { type: 'op', value: string })[],
+ *   target: string | null,
+ *   currencies: string[]
+ * }} target is the currency after "in"/"to"/"as", or null
+ */
+export function parseCurrencyExpression(input, options = {}) {
+  if (typeof input !== 'string' || !input.trim()) throw currencyExprError('Empty expression', 'EMPTY');
+  const tokens = scan(input, { ...CURRENCY_SYMBOLS, ...(options.symbols || {}) });
+
+  // "… in GBP" at the end names the target currency
+  let target = null;
+  const kw = tokens.findIndex((t) => t.type === 'kw');
+  if (kw !== -1) {
+    const after = tokens.slice(kw + 1);
+    if (after.length !== 1 || after[0].type !== 'cur') throw currencyExprError('Expected a currency after "in"', 'SYNTAX');
+    target = after[0].code;
+    tokens.length = kw;
+  }
+
+  const readNumber = (raw) => {
+    const value = parseLocaleDecimal(raw, options.numberSettings);
+    if (value === undefined) throw currencyExprError(`Invalid number "${raw}"`, 'SYNTAX');
+    return value;
+  };
+
+  // attach each currency to the number right before or after it: "USD 100", "€40", "100 USD"
+  const terms = [];
+  for (let i = 0; i < tokens.length; i += 1) {
+    const t = tokens[i];
+    if (t.type === 'op') {
+      terms.push({ type: 'op', value: t.value });
+    } else if (t.type === 'cur' && tokens[i + 1]?.type === 'num') {
+      terms.push({ type: 'amount', value: readNumber(tokens[i + 1].raw), currency: t.code });
+      i += 1;
+    } else if (t.type === 'num') {
+      const currency = tokens[i + 1]?.type === 'cur' ? tokens[i + 1].code : null;
+      terms.push({ type: 'amount', value: readNumber(t.raw), currency });
+      if (currency) i += 1;
+    } else if (t.type === 'kw') {
+      throw currencyExprError('"in" must come last, e.g. "… in GBP"', 'SYNTAX');
+    } else {
+      throw currencyExprError(`Currency ${t.code} without an amount`, 'SYNTAX');
+    }
+  }
+
+  const currencies = [...new Set(terms.filter((t) => t.currency).map((t) => t.currency))];
+  return { terms, target, currencies };
+}
+
+/**
+ * Internal: reject products and quotients of two currency amounts ("100 USD * 2 EUR"), which
+ * have no meaning as money. Walks the expression engine's AST, with each number standing for
+ * the amount term at the same position.
+ */
+function checkCurrencyUnits(terms) {
+  const amounts = terms.filter((t) => t.type === 'amount');
+  let n = 0;
+  const tokens = tokenize(terms.map((t) => t.value).join(' '))
+    .map((t) => (t.type === 'num' ? { ...t, value: String(n++) } : t));
+
+  const carriesCurrency = (node) => {
+    if (node.type === 'num') return !!amounts[Number(node.value)].currency;
+    if (node.type === 'unary') return carriesCurrency(node.arg);
+    const left = carriesCurrency(node.left);
+    const right = carriesCurrency(node.right);
+    if ((node.op === '*' || node.op === '/') && left && right) {
+      const verb = node.op === '*' ? 'multiply' : 'divide';
+      throw currencyExprError(`Cannot ${verb} two currency amounts; use a plain number for one of them`, 'UNITS');
+    }
+    return node.op === '^' || node.op === '/' ? left : left || right;
+  };
+  carriesCurrency(parse(tokens));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatCurrencyExpression
+ * Canonical text of parsed terms, e.g. "€40+$5 in gbp" => "40 EUR + 5 USD in GBP".
+ *
+ * @param {ReturnType<typeof parseCurrencyExpression>} parsed
+ * @param {string | null} [target] target shown after "in" (defaults to parsed.target)
+ * @returns {string}
+ */
+export function formatCurrencyExpression(parsed, target = parsed.target) {
+  const text = parsed.terms
+    .map((t) => (t.type === 'op' ? OPERATOR_GLYPHS[t.value] || t.value : `${t.value}${t.currency ? ` ${t.currency}` : ''}`))
+    .join(' ')
+    .replace(/\( /g, '(')
+    .replace(/ \)/g, ')');
+  return target ? `${text} in ${target}` : text;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * evaluateCurrencyExpression
+ * Convert every amount to the target currency and evaluate the expression.
+ * Without any currency the expression is evaluated as plain arithmetic (currency null).
+ * Throws errors with codes 'SYNTAX'/'EMPTY' (input), 'CURRENCY' (unknown code), 'UNITS' (two
+ * amounts multiplied or divided), 'RATES' (no rates loaded) and the expression engine's codes
+ * (e.g. 'DIV_ZERO').
+ *
+ * @param {string} input e.g. "100 USD + 50 EUR in GBP"
+ * @param {{
+ *   rates?: Record<string, number>, base?: string,
+ *   numberSettings?: object, symbols?: Record<string, string>,
+ *   precision?: number | null,
+ *   decimalOptions?: { scale?: number, rounding?: string }
+ * }} [options] precision: display precision replacing the target's minor unit;
+ *   decimalOptions: division scale and rounding of the plain arithmetic
+ * @returns {{
+ *   value: string, currency: string | null, expression: string,
+ *   conversions: { amount: string, from: string, value: string }[]
+ * }} value is the exact result rounded to the target's minor unit
+ */
+export function evaluateCurrencyExpression(input, options = {}) {
+  const parsed = parseCurrencyExpression(input, options);
+  const target = parsed.target || parsed.currencies[0] || null;
+  const decimalOptions = options.decimalOptions || { scale: 20, rounding: 'half-even' };
+
+  if (!target) {
+    const arithmetic = parsed.terms.map((t) => t.value).join(' ');
+    return {
+      value: evaluateExpression(arithmetic, decimalOptions),
+      currency: null,
+      expression: formatCurrencyExpression(parsed),
+      conversions: [],
+    };
+  }
+
+  checkCurrencyUnits(parsed.terms);
+  const { rates, base } = options;
+  if (!rates || !base || !Object.keys(rates).length) throw currencyExprError('Exchange rates are not loaded yet', 'RATES');
+  const known = (code) => code === base || Number.isFinite(rates[code]);
+  const unknown = [target, ...parsed.currencies].find((code) => !known(code));
+  if (unknown) throw currencyExprError(`Unknown currency "${unknown}"`, 'CURRENCY');
+
+  const conversions = [];
+  const arithmetic = parsed.terms
+    .map((t) => {
+      if (t.type === 'op') return t.value;
+      if (!t.currency || t.currency === target) return t.value;
+      const value = convertAmountDecimal(t.value, t.currency, target, rates, base, decimalOptions);
+      if (value === undefined) throw currencyExprError(`No rate for ${t.currency}`, 'RATES');
+      conversions.push({ amount: t.value, from: t.currency, value });
+      return `(${value})`;
+    })
+    .join(' ');
+
+  const exact = evaluateExpression(arithmetic, decimalOptions);
+  const { scale, rounding } = currencyDecimalOptions(target, options.precision ?? null);
+  return {
+    value: decimalToString(roundDecimal(exact, { scale, rounding })),
+    currency: target,
+    expression: formatCurrencyExpression(parsed, parsed.target ? target : null),
+    conversions,
+  };
+}
@@ -0,0 +1,67 @@
+import { evaluateCurrencyExpression, formatCurrencyExpression, parseCurrencyExpression } from './currencyExpression';
+
+// USD based: 1 USD = 0.8 EUR = 0.75 GBP = 150 JPY
+const RATES = { EUR: 0.8, GBP: 0.75, JPY: 150 };
+const opts = { rates: RATES, base: 'USD' };
+
+describe('currency expressions', () => {
+  test('parses codes and symbols before or after the amount', () => {
+    const parsed = parseCurrencyExpression('€40 + 5$ - usd 1 in gbp');
+    expect(parsed.target).toBe('GBP');
+    expect(parsed.currencies).toEqual(['EUR', 'USD']);
+    expect(formatCurrencyExpression(parsed)).toBe('40 EUR + 5 USD − 1 USD in GBP');
+    expect(parseCurrencyExpression('C$ 10 + HK$2').currencies).toEqual(['CAD', 'HKD']);
+  });
+
+  test('adds amounts in different currencies', () => {
+    const r = evaluateCurrencyExpression('100 USD + 50 EUR in GBP', opts);
+    // 75 GBP + 50 EUR × 0.75 / 0.8 = 75 + 46.875
+    expect(r).toEqual({
+      value: '121.88',
+      currency: 'GBP',
+      expression: '100 USD + 50 EUR in GBP',
+      conversions: [
+        { amount: '100', from: 'USD', value: '75' },
+        { amount: '50', from: 'EUR', value: '46.875' },
+      ],
+    });
+  });
+
+  test('defaults the target to the first currency and rounds to its minor unit', () => {
+    expect(evaluateCurrencyExpression('1000 JPY + 1 USD', opts)).toMatchObject({ value: '1150', currency: 'JPY' });
+    expect(evaluateCurrencyExpression('(10 EUR + 2 EUR) * 3', opts)).toMatchObject({ value: '36', currency: 'EUR' });
+    expect(evaluateCurrencyExpression('10 EUR / 3', { ...opts, precision: 4 }).value).toBe('3.3333');
+  });
+
+  test('reads numbers in the user format and honors a custom $', () => {
+    const de = { ...opts, numberSettings: { locale: 'de-DE' } };
+    expect(evaluateCurrencyExpression('1.234,50 EUR + 0,50 EUR', de).value).toBe('1235');
+    expect(evaluateCurrencyExpression('$10 in USD', { ...opts, rates: { ...RATES, CAD: 1.25 }, symbols: { $: 'CAD' } }).value).toBe('8');
+  });
+
+  test('evaluates plain arithmetic without currencies', () => {
+    expect(evaluateCurrencyExpression('2 + 3 × 4', opts)).toMatchObject({ value: '14', currency: null, expression: '2 + 3 × 4' });
+  });
+
+  test('reports errors with codes', () => {
+    expect(() => evaluateCurrencyExpression('', opts)).toThrow(expect.objectContaining({ code: 'EMPTY' }));
+    expect(() => evaluateCurrencyExpression('100 XYZ in EUR', opts)).toThrow(expect.objectContaining({ code: 'CURRENCY' }));
+    expect(() => evaluateCurrencyExpression('100 USD in', opts)).toThrow(expect.objectContaining({ code: 'SYNTAX' }));
+    expect(() => evaluateCurrencyExpression('EUR + 5', opts)).toThrow(expect.objectContaining({ code: 'SYNTAX' }));
+    expect(() => evaluateCurrencyExpression('100 dollars', opts)).toThrow(expect.objectContaining({ code: 'SYNTAX' }));
+    expect(() => evaluateCurrencyExpression('100 USD in EUR', {})).toThrow(expect.objectContaining({ code: 'RATES' }));
+    expect(() => evaluateCurrencyExpression('100 USD in EUR', { rates: {}, base: 'USD' })).toThrow(expect.objectContaining({ code: 'RATES' }));
+    expect(() => evaluateCurrencyExpression('1 EUR / 0', opts)).toThrow(expect.objectContaining({ code: 'DIV_ZERO' }));
+  });
+
+  test('rejects products and quotients of two currency amounts', () => {
+    const units = expect.objectContaining({ code: 'UNITS' });
+    expect(() => evaluateCurrencyExpression('100 USD * 2 EUR in GBP', opts)).toThrow(units);
+    expect(() => evaluateCurrencyExpression('€10 × $2', opts)).toThrow(units);
+    expect(() => evaluateCurrencyExpression('100 USD / 50 EUR', opts)).toThrow(units);
+    expect(() => evaluateCurrencyExpression('(10 USD + 5) * (2 + 1 EUR)', opts)).toThrow(units);
+    expect(() => evaluateCurrencyExpression('10 USD (2 EUR)', opts)).toThrow(units);
+    expect(evaluateCurrencyExpression('(10 USD + 5 USD) * 2 / 3 in USD', opts).value).toBe('10');
+    expect(evaluateCurrencyExpression('2 * -10 EUR - 3 ^ 2', opts)).toMatchObject({ value: '-29', currency: 'EUR' });
+  });
+});
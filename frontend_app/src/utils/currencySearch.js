@@ -0,0 +1,181 @@
+//
+// Fuzzy currency search over code, description, country names and symbol.
+//
+// Matches are ranked: exact code > exact symbol > code prefix > country/description word prefix >
+// substring > in-order character (subsequence) matches, with widely traded currencies first on ties
+// (so '$' lists USD before the other dollars and '¥' lists JPY before CNY) and withdrawn
+// ISO 4217 codes last.
+//
+
+import { describeCurrencyStatus, getCurrencyMeta } from './iso4217';
+
+// Tie-breaker for equally good matches
+const POPULAR = ['USD', 'EUR', 'JPY', 'GBP', 'CNY', 'AUD', 'CAD', 'CHF', 'HKD', 'SGD', 'SEK', 'KRW', 'NOK', 'NZD', 'INR', 'MXN'];
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeSearchText
+ * Lowercase and strip diacritics so 'Türkiye' matches 'turkiye'.
+ *
+ * @param {string} s
+ * @returns {string}
+ */
+export function normalizeSearchText(s) {
+  return String(s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Does any word of `text` (already normalized) start with `q`?
+ */
+function wordPrefix(text, q) {
+  return text.startsWith(q) || text.includes(` ${q}`) || text.includes(`-${q}`) || text.includes(`(${q}`);
+}
+
+/**
+ * Subsequence match score: all query characters appear in order; tighter matches score higher.
+ */
+function subsequenceScore(text, q) {
+  let pos = -1;
+  let gaps = 0;
+  for (const ch of q) {
+    const next = text.indexOf(ch, pos + 1);
+    if (next === -1) return 0;
+    if (pos !== -1) gaps += next - pos - 1;
+    pos = next;
+  }
+  return Math.max(1, 100 - gaps);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * buildSearchEntries
+ * Combine currency options with ISO 4217 metadata into searchable entries.
+ *
+ * @param {{ value: string, label: string }[]} options e.g. from buildCurrencyOptions
+ * @param {Record<string, { code: string, description: string }>} [symbols]
+ * @returns {{
+ *   code: string, label: string, description: string, symbol: string, countries: string[],
+ *   statusNote: string, haystack: object
+ * }[]} statusNote is set for withdrawn codes (see describeCurrencyStatus)
+ */
+export function buildSearchEntries(options, symbols) {
+  return (options || []).map((opt) => {
+    const code = opt.value;
+    const meta = getCurrencyMeta(code);
+    const description = symbols?.[code]?.description || opt.label.replace(/^[A-Z]{3}\s*—\s*/, '');
+    const symbol = meta?.symbol || '';
+    const countries = meta?.countries || [];
+    return {
+      code,
+      label: opt.label,
+      description,
+      symbol,
+      countries,
+      statusNote: describeCurrencyStatus(code),
+      haystack: {
+        code: code.toLowerCase(),
+        description: normalizeSearchText(description),
+        symbol: normalizeSearchText(symbol),
+        countries: countries.map(normalizeSearchText),
+      },
+    };
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * scoreCurrency
+ * Relevance of a search entry for a query; 0 means no match.
+ *
+ * @param {{ code: string, haystack: object }} entry from buildSearchEntries
+ * @param {string} query
+ * @returns {number}
+ */
+export function scoreCurrency(entry, query) {
+  const q = normalizeSearchText(query);
+  if (!q) return 0;
+  const h = entry.haystack;
+
+  let score = 0;
+  if (h.code === q) score = 1000;
+  else if (h.symbol && h.symbol === q) score = 800;
+  else if (h.code.startsWith(q)) score = 600;
+  else if (h.countries.some((c) => c === q)) score = 550;
+  else if (wordPrefix(h.description, q)) score = 500;
+  else if (h.countries.some((c) => wordPrefix(c, q))) score = 450;
+  else if (h.symbol && q.length > 1 && h.symbol.startsWith(q)) score = 400;
+  else if (h.description.includes(q)) score = 300;
+  else if (h.countries.some((c) => c.includes(q))) score = 250;
+  else if (q.length > 1) score = subsequenceScore(`${h.code} ${h.description}`, q);
+
+  if (!score) return 0;
+  if (entry.statusNote) return score - 0.5;
+  const rank = POPULAR.indexOf(entry.code);
+  return score + (rank === -1 ? 0 : (POPULAR.length - rank) / POPULAR.length);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * searchCurrencies
+ * Rank entries for a query, best first. An empty query returns the entries unchanged.
+ *
+ * @param {object[]} entries from buildSearchEntries
+ * @param {string} query
+ * @param {{ limit?: number }} [options]
+ * @returns {object[]}
+ */
+export function searchCurrencies(entries, query, options = {}) {
+  if (!normalizeSearchText(query)) return entries;
+  const ranked = [];
+  for (const entry of entries || []) {
+    const score = scoreCurrency(entry, query);
+    if (score > 0) ranked.push({ entry, score });
+  }
+  ranked.sort((a, b) => b.score - a.score || a.entry.code.localeCompare(b.entry.code));
+  const limit = options.limit > 0 ? options.limit : ranked.length;
+  return ranked.slice(0, limit).map((r) => r.entry);
+}
+
+// Recently used currencies, shared by every combobox
+const RECENT_KEY = 'cc_hub_recent_currencies_v1';
+const MAX_RECENT = 5;
+
+/**
+ * PUBLIC_INTERFACE
+ * loadRecentCurrencies
+ * Recently picked currency codes, most recent first.
+ *
+ * @returns {string[]}
+ */
+export function loadRecentCurrencies() {
+  try {
+    const raw = window.localStorage.getItem(RECENT_KEY);
+    const data = raw ? JSON.parse(raw) : undefined;
+    return Array.isArray(data?.codes) ? data.codes.filter((c) => typeof c === 'string').slice(0, MAX_RECENT) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * pushRecentCurrency
+ * Move `code` to the front of the recently used list and persist it.
+ *
+ * @param {string} code
+ * @returns {string[]} the updated list
+ */
+export function pushRecentCurrency(code) {
+  const c = String(code || '').toUpperCase();
+  const codes = [c, ...loadRecentCurrencies().filter((x) => x !== c)].slice(0, MAX_RECENT);
+  try {
+    window.localStorage.setItem(RECENT_KEY, JSON.stringify({ codes, ts: Date.now() }));
+  } catch {
+    // ignore
+  }
+  return codes;
+}
@@ -0,0 +1,47 @@
+import { buildSearchEntries, loadRecentCurrencies, pushRecentCurrency, searchCurrencies } from './currencySearch';
+import { buildCurrencyOptions } from './currency';
+
+const SYMBOLS = {
+  CNY: { code: 'CNY', description: 'Chinese Yuan Renminbi' },
+  EUR: { code: 'EUR', description: 'Euro' },
+  JPY: { code: 'JPY', description: 'Japanese Yen' },
+  TRY: { code: 'TRY', description: 'Turkish Lira' },
+  USD: { code: 'USD', description: 'United States Dollar' },
+  AUD: { code: 'AUD', description: 'Australian Dollar' },
+};
+const entries = buildSearchEntries(buildCurrencyOptions(SYMBOLS), SYMBOLS);
+const codes = (query) => searchCurrencies(entries, query).map((e) => e.code);
+
+describe('currency search', () => {
+  test('finds JPY by description, symbol and country', () => {
+    expect(codes('yen')[0]).toBe('JPY');
+    expect(codes('¥')).toEqual(['JPY', 'CNY']);
+    expect(codes('japan')[0]).toBe('JPY');
+  });
+
+  test('ranks exact codes first and popular currencies first on ties', () => {
+    expect(codes('eur')[0]).toBe('EUR');
+    expect(codes('$')).toEqual(['USD', 'AUD']);
+  });
+
+  test('ignores case and diacritics', () => {
+    expect(codes('TURKIYE')).toEqual(['TRY']);
+  });
+
+  test('matches characters in order as a last resort', () => {
+    expect(codes('jpnyn')).toEqual(['JPY']);
+    expect(codes('zzz')).toEqual([]);
+  });
+
+  test('an empty query returns everything unchanged', () => {
+    expect(searchCurrencies(entries, '  ')).toBe(entries);
+  });
+
+  test('recently used list is most recent first without duplicates', () => {
+    window.localStorage.clear();
+    pushRecentCurrency('eur');
+    pushRecentCurrency('JPY');
+    pushRecentCurrency('EUR');
+    expect(loadRecentCurrencies()).toEqual(['EUR', 'JPY']);
+  });
+});
@@ -0,0 +1,98 @@
+//
+// Date helpers for rate lookups. Rate providers key their data by calendar day
+// (YYYY-MM-DD, UTC), so all helpers work on ISO date strings rather than Date objects.
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * RANGE_DAYS
+ * Supported history ranges for time-series views and their length in days.
+ */
+export const RANGE_DAYS = Object.freeze({
+  '7D': 7,
+  '30D': 30,
+  '1Y': 365,
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * toIsoDate
+ * Format a Date (or epoch ms) as YYYY-MM-DD in UTC.
+ *
+ * @param {Date | number} [value] defaults to now
+ * @returns {string}
+ */
+export function toIsoDate(value = new Date()) {
+  const d = value instanceof Date ? value : new Date(value);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * addDays
+ * Shift an ISO date by a number of days (negative to go back).
+ *
+ * @param {string} isoDate YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toIsoDate(d);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rangeToDates
+ * Resolve a range key such as '30D' into inclusive start/end ISO dates ending today.
+ *
+ * @param {keyof typeof RANGE_DAYS} range
+ * @param {string} [end] YYYY-MM-DD, defaults to today (UTC)
+ * @returns {{ start: string, end: string }}
+ */
+export function rangeToDates(range, end = toIsoDate()) {
+  const days = RANGE_DAYS[range] || RANGE_DAYS['30D'];
+  return { start: addDays(end, -days), end };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isIsoDate
+ * True for a well-formed YYYY-MM-DD string naming a real calendar day.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && toIsoDate(d) === value;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isWeekend
+ * True when the ISO date falls on a Saturday or Sunday. Rate providers publish no fixing on weekends.
+ *
+ * @param {string} isoDate YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isWeekend(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * previousBusinessDay
+ * The closest weekday strictly before the given date (Friday for a Monday).
+ *
+ * @param {string} isoDate YYYY-MM-DD
+ * @returns {string}
+ */
+export function previousBusinessDay(isoDate) {
+  let d = addDays(isoDate, -1);
+  while (isWeekend(d)) d = addDays(d, -1);
+  return d;
+}
@@ -0,0 +1,34 @@
+import { addDays, isIsoDate, isWeekend, previousBusinessDay, rangeToDates } from './date';
+
+describe('business days', () => {
+  test('detects weekends', () => {
+    expect(isWeekend('2024-03-30')).toBe(true); // Saturday
+    expect(isWeekend('2024-03-31')).toBe(true); // Sunday
+    expect(isWeekend('2024-04-01')).toBe(false);
+  });
+
+  test('steps back over weekends to the previous weekday', () => {
+    expect(previousBusinessDay('2024-04-01')).toBe('2024-03-29'); // Monday -> Friday
+    expect(previousBusinessDay('2024-03-31')).toBe('2024-03-29');
+    expect(previousBusinessDay('2024-03-28')).toBe('2024-03-27');
+    expect(previousBusinessDay('2024-03-01')).toBe('2024-02-29');
+  });
+});
+
+describe('date ranges', () => {
+  test('resolves range keys ending on the given day', () => {
+    expect(rangeToDates('7D', '2024-03-05')).toEqual({ start: '2024-02-27', end: '2024-03-05' });
+    expect(rangeToDates('1Y', '2024-03-05')).toEqual({ start: '2023-03-06', end: '2024-03-05' });
+  });
+
+  test('falls back to 30 days for unknown ranges', () => {
+    expect(rangeToDates('5Y', '2024-03-31')).toEqual({ start: '2024-03-01', end: '2024-03-31' });
+  });
+
+  test('shifts and validates ISO dates', () => {
+    expect(addDays('2023-12-31', 1)).toBe('2024-01-01');
+    expect(isIsoDate('2024-02-29')).toBe(true);
+    expect(isIsoDate('2023-02-29')).toBe(false);
+    expect(isIsoDate('2024-2-1')).toBe(false);
+  });
+});
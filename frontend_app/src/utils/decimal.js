@@ -0,0 +1,347 @@
+//
+// Arbitrary-precision decimal arithmetic backed by BigInt.
+// A decimal is a plain object { int: bigint, scale: number } meaning int / 10^scale,
+// so "0.1" is { int: 1n, scale: 1 } and sums like 0.1 + 0.2 are exact.
+// Only division, square roots, negative powers and explicit rounding can lose digits; they take
+// a target scale and a rounding mode. Designed to be pure and easily testable.
+//
+
+/* global BigInt */
+
+/**
+ * PUBLIC_INTERFACE
+ * ROUNDING_MODES
+ * Supported rounding modes:
+ * - 'half-even' (banker's rounding), 'half-up', 'half-down'
+ * - 'up' (away from zero), 'down' (towards zero), 'ceiling', 'floor'
+ */
+export const ROUNDING_MODES = ['half-even', 'half-up', 'half-down', 'up', 'down', 'ceiling', 'floor'];
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_DECIMAL_OPTIONS
+ * Default scale (digits after the decimal point) and rounding mode for lossy operations.
+ */
+export const DEFAULT_DECIMAL_OPTIONS = Object.freeze({
+  scale: 20,
+  rounding: 'half-even',
+});
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TWO = BigInt(2);
+
+/**
+ * Build a decimal error with a machine-readable code, mirroring the api client style.
+ */
+function decimalError(message, code) {
+  const e = new Error(`[decimal] ${message}`);
+  e.code = code;
+  return e;
+}
+
+/**
+ * Internal: 10^n as BigInt (built from a string; `**` may be transpiled to Math.pow).
+ */
+function pow10(n) {
+  return BigInt(`1${'0'.repeat(n)}`);
+}
+
+/**
+ * Internal: absolute value of a BigInt.
+ */
+function absInt(n) {
+  return n < ZERO ? -n : n;
+}
+
+/**
+ * Internal: merge caller options with defaults and validate them.
+ */
+function resolveOptions(options) {
+  const scale = Number.isInteger(options?.scale) && options.scale >= 0 ? options.scale : DEFAULT_DECIMAL_OPTIONS.scale;
+  const rounding = ROUNDING_MODES.includes(options?.rounding) ? options.rounding : DEFAULT_DECIMAL_OPTIONS.rounding;
+  return { scale, rounding };
+}
+
+/**
+ * Internal: integer division n / d rounded with the given mode, using the exact remainder.
+ * @param {bigint} n
+ * @param {bigint} d non-zero
+ * @param {string} rounding
+ * @returns {bigint}
+ */
+function divRound(n, d, rounding) {
+  const q = n / d; // truncates towards zero
+  const r = n % d;
+  if (r === ZERO) return q;
+
+  const sign = (n < ZERO) !== (d < ZERO) ? -ONE : ONE;
+  const twiceRem = absInt(r) * TWO;
+  const absD = absInt(d);
+  const half = twiceRem === absD ? 0 : twiceRem > absD ? 1 : -1;
+
+  switch (rounding) {
+    case 'down':
+      return q;
+    case 'up':
+      return q + sign;
+    case 'ceiling':
+      return sign > ZERO ? q + ONE : q;
+    case 'floor':
+      return sign < ZERO ? q - ONE : q;
+    case 'half-up':
+      return half >= 0 ? q + sign : q;
+    case 'half-down':
+      return half > 0 ? q + sign : q;
+    case 'half-even':
+    default:
+      if (half > 0 || (half === 0 && absInt(q) % TWO === ONE)) return q + sign;
+      return q;
+  }
+}
+
+/**
+ * Internal: bring two decimals to a common scale.
+ */
+function align(a, b) {
+  if (a.scale === b.scale) return [a.int, b.int, a.scale];
+  if (a.scale > b.scale) return [a.int, b.int * pow10(a.scale - b.scale), a.scale];
+  return [a.int * pow10(b.scale - a.scale), b.int, b.scale];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isDecimal
+ * True when value is a decimal object produced by this module.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isDecimal(value) {
+  return !!value && typeof value === 'object' && typeof value.int === 'bigint' && Number.isInteger(value.scale);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * toDecimal
+ * Create a decimal from a string ("-12.50", "1e-7"), a finite number or another decimal.
+ * Numbers are read through their shortest string form, so 0.1 becomes exactly 0.1.
+ * Throws an error with code 'INVALID' for anything else.
+ *
+ * @param {string | number | { int: bigint, scale: number }} value
+ * @returns {{ int: bigint, scale: number }}
+ */
+export function toDecimal(value) {
+  if (isDecimal(value)) return value;
+  let s;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw decimalError(`Not a finite number: ${value}`, 'INVALID');
+    s = String(value);
+  } else if (typeof value === 'string') {
+    s = value.trim();
+  } else {
+    throw decimalError(`Cannot convert ${typeof value} to decimal`, 'INVALID');
+  }
+
+  const m = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(s);
+  if (!m || (!m[2] && !m[3])) throw decimalError(`Invalid decimal "${s}"`, 'INVALID');
+
+  const [, sign, intDigits = '', fracDigits = '', expDigits] = m;
+  let scale = fracDigits.length - (expDigits ? Number(expDigits) : 0);
+  let int = BigInt(`${intDigits}${fracDigits}` || '0');
+  if (scale < 0) {
+    int *= pow10(-scale);
+    scale = 0;
+  }
+  return { int: sign === '-' ? -int : int, scale };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * addDecimal
+ * Exact a + b.
+ */
+export function addDecimal(a, b) {
+  const [x, y, scale] = align(toDecimal(a), toDecimal(b));
+  return { int: x + y, scale };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * subtractDecimal
+ * Exact a - b.
+ */
+export function subtractDecimal(a, b) {
+  const [x, y, scale] = align(toDecimal(a), toDecimal(b));
+  return { int: x - y, scale };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * multiplyDecimal
+ * Exact a × b.
+ */
+export function multiplyDecimal(a, b) {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  return { int: x.int * y.int, scale: x.scale + y.scale };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * divideDecimal
+ * a ÷ b rounded to options.scale digits with options.rounding.
+ * Throws an error with code 'DIV_ZERO' when b is zero.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @param {{ scale?: number, rounding?: string }} [options]
+ */
+export function divideDecimal(a, b, options) {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  if (y.int === ZERO) throw decimalError('Cannot divide by zero', 'DIV_ZERO');
+  const { scale, rounding } = resolveOptions(options);
+  // (X / 10^p) / (Y / 10^q) = (X * 10^(q + s)) / (Y * 10^p) / 10^s
+  const n = x.int * pow10(y.scale + scale);
+  const d = y.int * pow10(x.scale);
+  return { int: divRound(n, d, rounding), scale };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * roundDecimal
+ * Round to options.scale digits after the decimal point with options.rounding.
+ * Values that already fit are returned unchanged.
+ */
+export function roundDecimal(value, options) {
+  const x = toDecimal(value);
+  const { scale, rounding } = resolveOptions(options);
+  if (x.scale <= scale) return x;
+  return { int: divRound(x.int, pow10(x.scale - scale), rounding), scale };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * negateDecimal
+ * Exact -a.
+ */
+export function negateDecimal(value) {
+  const x = toDecimal(value);
+  return { int: -x.int, scale: x.scale };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * powerDecimal
+ * a^n for an integer exponent n. Exact for n >= 0; a negative exponent divides 1 by a^|n|,
+ * rounded to options.scale digits with options.rounding.
+ * Throws 'INVALID' for a non-integer exponent and 'DIV_ZERO' for 0 to a negative power.
+ *
+ * @param {any} value
+ * @param {number} exponent integer
+ * @param {{ scale?: number, rounding?: string }} [options]
+ */
+export function powerDecimal(value, exponent, options) {
+  const x = toDecimal(value);
+  if (!Number.isSafeInteger(exponent)) throw decimalError(`Exponent must be an integer: ${exponent}`, 'INVALID');
+  // square-and-multiply on the BigInt mantissa
+  let int = ONE;
+  let base = x.int;
+  for (let n = Math.abs(exponent); n > 0; n = Math.floor(n / 2)) {
+    if (n % 2 === 1) int *= base;
+    base *= base;
+  }
+  const result = { int, scale: x.scale * Math.abs(exponent) };
+  return exponent < 0 ? divideDecimal(1, result, options) : result;
+}
+
+/**
+ * Internal: floor(sqrt(n)) for a non-negative BigInt (Newton's method from above).
+ */
+function isqrt(n) {
+  if (n < TWO) return n;
+  let x = ONE << BigInt(Math.ceil(n.toString(2).length / 2));
+  for (;;) {
+    const y = (x + n / x) / TWO;
+    if (y >= x) return x;
+    x = y;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * sqrtDecimal
+ * Square root rounded to options.scale digits with options.rounding.
+ * Throws an error with code 'DOMAIN' for negative values.
+ *
+ * @param {any} value
+ * @param {{ scale?: number, rounding?: string }} [options]
+ */
+export function sqrtDecimal(value, options) {
+  const x = toDecimal(value);
+  if (x.int < ZERO) throw decimalError('Square root of a negative number', 'DOMAIN');
+  const { scale, rounding } = resolveOptions(options);
+  // one guard digit (and at least half the input digits) so the final rounding sees the tail
+  const work = Math.max(scale + 1, Math.ceil(x.scale / 2));
+  const n = x.int * pow10(2 * work - x.scale);
+  const root = isqrt(n);
+  // an inexact root gets a sticky digit: the true value lies just above `root`
+  const int = root * root === n ? root * BigInt(10) : root * BigInt(10) + ONE;
+  return roundDecimal({ int, scale: work + 1 }, { scale, rounding });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * compareDecimal
+ * Compare two decimals: -1 if a < b, 0 if equal, 1 if a > b.
+ * @returns {-1|0|1}
+ */
+export function compareDecimal(a, b) {
+  const [x, y] = align(toDecimal(a), toDecimal(b));
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isZeroDecimal
+ * True when the value equals zero at any scale.
+ */
+export function isZeroDecimal(value) {
+  return toDecimal(value).int === ZERO;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * decimalToString
+ * Plain (non-exponential) string form.
+ * By default trailing fractional zeros are trimmed ("1.50" => "1.5");
+ * pass { trim: false } to keep exactly `scale` digits, e.g. for money columns.
+ *
+ * @param {any} value
+ * @param {{ trim?: boolean }} [options]
+ * @returns {string}
+ */
+export function decimalToString(value, options = {}) {
+  const { int, scale } = toDecimal(value);
+  const negative = int < ZERO;
+  let digits = absInt(int).toString();
+  let out = digits;
+  if (scale > 0) {
+    digits = digits.padStart(scale + 1, '0');
+    const intPart = digits.slice(0, -scale);
+    let fracPart = digits.slice(-scale);
+    if (options.trim !== false) fracPart = fracPart.replace(/0+$/, '');
+    out = fracPart ? `${intPart}.${fracPart}` : intPart;
+  }
+  return negative && /[1-9]/.test(out) ? `-${out}` : out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * decimalToNumber
+ * Nearest IEEE double, for display helpers (Intl, charts) that need a number.
+ */
+export function decimalToNumber(value) {
+  return Number(decimalToString(value));
+}
@@ -0,0 +1,85 @@
+import {
+  addDecimal,
+  compareDecimal,
+  decimalToString,
+  divideDecimal,
+  multiplyDecimal,
+  powerDecimal,
+  roundDecimal,
+  sqrtDecimal,
+  subtractDecimal,
+  toDecimal,
+} from './decimal';
+import { convertAmount, convertAmountDecimal } from './currency';
+
+describe('decimal arithmetic', () => {
+  test('parses strings, numbers and exponents exactly', () => {
+    expect(decimalToString(toDecimal('-0012.500'))).toBe('-12.5');
+    expect(decimalToString(toDecimal(0.1))).toBe('0.1');
+    expect(decimalToString(toDecimal('1.5e3'))).toBe('1500');
+    expect(decimalToString(toDecimal('2e-8'))).toBe('0.00000002');
+    expect(() => toDecimal('1.2.3')).toThrow(expect.objectContaining({ code: 'INVALID' }));
+  });
+
+  test('adds, subtracts and multiplies without float drift', () => {
+    expect(decimalToString(addDecimal('0.1', '0.2'))).toBe('0.3');
+    expect(decimalToString(subtractDecimal('1', '0.9'))).toBe('0.1');
+    expect(decimalToString(multiplyDecimal('19.99', '3'))).toBe('59.97');
+    expect(decimalToString(addDecimal('9007199254740993', '0.01'))).toBe('9007199254740993.01');
+  });
+
+  test('divides to a scale with the requested rounding mode', () => {
+    expect(decimalToString(divideDecimal('1', '3', { scale: 5 }))).toBe('0.33333');
+    expect(decimalToString(divideDecimal('2', '3', { scale: 2, rounding: 'down' }))).toBe('0.66');
+    expect(() => divideDecimal('1', '0')).toThrow(expect.objectContaining({ code: 'DIV_ZERO' }));
+  });
+
+  test('rounds half-even and half-up differently on ties', () => {
+    expect(decimalToString(roundDecimal('2.345', { scale: 2, rounding: 'half-even' }))).toBe('2.34');
+    expect(decimalToString(roundDecimal('2.345', { scale: 2, rounding: 'half-up' }))).toBe('2.35');
+    expect(decimalToString(roundDecimal('-2.345', { scale: 2, rounding: 'half-up' }))).toBe('-2.35');
+    expect(decimalToString(roundDecimal('-2.341', { scale: 2, rounding: 'floor' }))).toBe('-2.35');
+    expect(decimalToString(roundDecimal('1.5', { scale: 2 }), { trim: false })).toBe('1.5');
+    expect(decimalToString(roundDecimal('1.005', { scale: 2, rounding: 'half-up' }), { trim: false })).toBe('1.01');
+  });
+
+  test('raises to integer powers exactly', () => {
+    expect(decimalToString(powerDecimal('1.1', 3))).toBe('1.331');
+    expect(decimalToString(powerDecimal('-2', 5))).toBe('-32');
+    expect(decimalToString(powerDecimal('7', 0))).toBe('1');
+    expect(decimalToString(powerDecimal('2', -2))).toBe('0.25');
+    expect(decimalToString(powerDecimal('3', -1, { scale: 4 }))).toBe('0.3333');
+    expect(() => powerDecimal('2', 0.5)).toThrow(expect.objectContaining({ code: 'INVALID' }));
+  });
+
+  test('takes square roots to a scale', () => {
+    expect(decimalToString(sqrtDecimal('144'))).toBe('12');
+    expect(decimalToString(sqrtDecimal('0.0144'))).toBe('0.12');
+    expect(decimalToString(sqrtDecimal('2', { scale: 10 }))).toBe('1.4142135624');
+    expect(decimalToString(sqrtDecimal('2', { scale: 10, rounding: 'down' }))).toBe('1.4142135623');
+    // 0.25 exactly at scale 1 is a tie; a hair above it is not
+    expect(decimalToString(sqrtDecimal('0.0625', { scale: 1, rounding: 'half-down' }))).toBe('0.2');
+    expect(decimalToString(sqrtDecimal('0.06250001', { scale: 1, rounding: 'half-down' }))).toBe('0.3');
+    expect(() => sqrtDecimal('-4')).toThrow(expect.objectContaining({ code: 'DOMAIN' }));
+  });
+
+  test('compares across scales', () => {
+    expect(compareDecimal('1.10', '1.1')).toBe(0);
+    expect(compareDecimal('-1', '0.5')).toBe(-1);
+  });
+});
+
+describe('decimal conversions', () => {
+  const rates = { EUR: 0.9, GBP: 0.8, JPY: 150.123 };
+
+  test('converts through the base without drift', () => {
+    expect(convertAmountDecimal('0.3', 'USD', 'EUR', rates, 'USD')).toBe('0.27');
+    expect(convertAmountDecimal('1000000.10', 'EUR', 'GBP', rates, 'USD')).toBe('888888.9777777778');
+    expect(convertAmount(100, 'EUR', 'USD', rates, 'USD')).toBe(111.1111111111);
+  });
+
+  test('returns NaN/undefined when a rate is missing', () => {
+    expect(convertAmountDecimal('1', 'USD', 'XYZ', rates, 'USD')).toBeUndefined();
+    expect(convertAmount(1, 'USD', 'XYZ', rates, 'USD')).toBeNaN();
+  });
+});
@@ -0,0 +1,32 @@
+//
+// Save generated text (CSV, plain text, JSON) as a file through a temporary object URL.
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * downloadTextFile
+ * Offer `text` for download as `filename`.
+ *
+ * @param {string} filename e.g. 'calculator-tape.csv'
+ * @param {string} text file contents
+ * @param {string} [mimeType] e.g. 'text/csv'; 'text/plain' by default
+ * @returns {boolean} false when the browser cannot create downloads
+ */
+export function downloadTextFile(filename, text, mimeType = 'text/plain') {
+  try {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    // revoke after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,289 @@
+//
+// Expression engine for the calculator - tokenizer, parser and evaluator without eval.
+// Supports operator precedence, powers ('^'), parentheses, unary minus/plus and implicit
+// multiplication before an opening parenthesis, e.g. "2(3 + 4)".
+// Arithmetic is exact decimal (utils/decimal); division and negative powers round to the configured
+// scale, and fractional powers go through floating point.
+// Designed to be pure and easily testable.
+//
+
+import {
+  addDecimal,
+  compareDecimal,
+  decimalToNumber,
+  decimalToString,
+  divideDecimal,
+  isZeroDecimal,
+  multiplyDecimal,
+  negateDecimal,
+  powerDecimal,
+  subtractDecimal,
+  toDecimal,
+} from './decimal';
+
+// Integer exponents up to this size are computed exactly; larger ones through floating point
+const MAX_EXACT_EXPONENT = 1000;
+// Exact powers whose mantissa would exceed this many digits go through floating point too,
+// which keeps huge results like (10^1000)^1000 from freezing the page
+const MAX_EXACT_DIGITS = 10000;
+
+/**
+ * Operator glyphs accepted in addition to the ASCII operators.
+ * Lets formulas copied from the calculator display (or spreadsheets) be re-entered as-is.
+ */
+const OPERATOR_ALIASES = {
+  '×': '*',
+  '÷': '/',
+  '−': '-',
+  '–': '-',
+};
+
+/**
+ * Build a calculator error with a machine-readable code, mirroring the api client style.
+ * @param {string} message
+ * @param {'SYNTAX'|'PAREN'|'DIV_ZERO'|'EMPTY'|'DOMAIN'|'RANGE'} code
+ * @returns {Error}
+ */
+function exprError(message, code) {
+  const e = new Error(`[calc] ${message}`);
+  e.code = code;
+  return e;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * tokenize
+ * Split an expression string into tokens.
+ *
+ * Token shapes:
+ *  - { type: 'num', value: '12.5' } (exponents such as '1.5e+15' are kept as-is)
+ *  - { type: 'op', value: '+'|'-'|'*'|'/'|'^' }
+ *  - { type: 'lparen' } / { type: 'rparen' }
+ *
+ * @param {string} input
+ * @returns {{ type: 'num'|'op'|'lparen'|'rparen', value?: string }[]}
+ */
+export function tokenize(input) {
+  if (typeof input !== 'string') throw exprError('Expression must be a string', 'SYNTAX');
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (/[0-9.]/.test(ch)) {
+      let j = i;
+      while (j < input.length && /[0-9.]/.test(input[j])) j += 1;
+      // optional exponent, as produced by the display for very large/small results
+      const exp = /^[eE][+-]?[0-9]+/.exec(input.slice(j));
+      if (exp) j += exp[0].length;
+      const raw = input.slice(i, j);
+      if (/^\.(e|$)/i.test(raw) || raw.split('.').length > 2) {
+        throw exprError(`Invalid number "${raw}"`, 'SYNTAX');
+      }
+      tokens.push({ type: 'num', value: raw.startsWith('.') ? `0${raw}` : raw });
+      i = j;
+      continue;
+    }
+
+    const op = OPERATOR_ALIASES[ch] || ch;
+    if (op === '+' || op === '-' || op === '*' || op === '/' || op === '^') {
+      tokens.push({ type: 'op', value: op });
+    } else if (ch === '(') {
+      tokens.push({ type: 'lparen' });
+    } else if (ch === ')') {
+      tokens.push({ type: 'rparen' });
+    } else {
+      throw exprError(`Unexpected character "${ch}"`, 'SYNTAX');
+    }
+    i += 1;
+  }
+  return tokens;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parse
+ * Parse tokens into an AST using recursive descent.
+ *
+ * Grammar (lowest to highest precedence):
+ *   expr    := term (('+' | '-') term)*
+ *   term    := unary (('*' | '/') unary | implicit '(' ...)*
+ *   unary   := ('+' | '-') unary | power
+ *   power   := primary ('^' unary)?     right-associative, binds tighter than unary minus
+ *   primary := number | '(' expr ')'
+ *
+ * AST node shapes:
+ *  - { type: 'num', value: string }
+ *  - { type: 'unary', op: '-', arg }
+ *  - { type: 'binary', op: '+'|'-'|'*'|'/'|'^', left, right }
+ *
+ * @param {ReturnType<typeof tokenize>} tokens
+ * @returns {object}
+ */
+export function parse(tokens) {
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    throw exprError('Empty expression', 'EMPTY');
+  }
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function parseExpr() {
+    let left = parseTerm();
+    while (peek()?.type === 'op' && (peek().value === '+' || peek().value === '-')) {
+      const op = next().value;
+      left = { type: 'binary', op, left, right: parseTerm() };
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseUnary();
+    for (;;) {
+      const tok = peek();
+      if (tok?.type === 'op' && (tok.value === '*' || tok.value === '/')) {
+        next();
+        left = { type: 'binary', op: tok.value, left, right: parseUnary() };
+      } else if (tok?.type === 'lparen') {
+        // implicit multiplication: 2(3) or (1+1)(2)
+        left = { type: 'binary', op: '*', left, right: parseUnary() };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  function parseUnary() {
+    const tok = peek();
+    if (tok?.type === 'op' && (tok.value === '-' || tok.value === '+')) {
+      next();
+      const arg = parseUnary();
+      return tok.value === '-' ? { type: 'unary', op: '-', arg } : arg;
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek()?.type === 'op' && peek().value === '^') {
+      next();
+      // "2 ^ -1" and "2 ^ 3 ^ 2" = 2 ^ (3 ^ 2)
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const tok = next();
+    if (!tok) throw exprError('Unexpected end of expression', 'SYNTAX');
+    if (tok.type === 'num') return { type: 'num', value: tok.value };
+    if (tok.type === 'lparen') {
+      const inner = parseExpr();
+      if (peek()?.type !== 'rparen') throw exprError('Missing closing parenthesis', 'PAREN');
+      next();
+      return inner;
+    }
+    if (tok.type === 'rparen') throw exprError('Unexpected closing parenthesis', 'PAREN');
+    throw exprError(`Unexpected operator "${tok.value}"`, 'SYNTAX');
+  }
+
+  const ast = parseExpr();
+  if (pos < tokens.length) {
+    const tok = peek();
+    if (tok.type === 'rparen') throw exprError('Unexpected closing parenthesis', 'PAREN');
+    throw exprError('Unexpected token after expression', 'SYNTAX');
+  }
+  return ast;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * power
+ * a ^ b: exact for integer exponents (negative ones divide, see powerDecimal) as long as the
+ * result stays within MAX_EXACT_DIGITS digits, otherwise through Math.pow. A negative base with
+ * a fractional exponent has no real result ('DOMAIN'); results beyond floating point range
+ * throw 'RANGE', exact ones included, so whole and fractional exponents fail alike.
+ *
+ * @param {any} a base
+ * @param {any} b exponent
+ * @param {{ scale?: number, rounding?: string }} [options]
+ * @returns {{ int: bigint, scale: number }} decimal
+ */
+export function power(a, b, options) {
+  const exponent = decimalToNumber(b);
+  if (isZeroDecimal(a) && exponent < 0) throw exprError('Cannot divide by zero', 'DIV_ZERO');
+  if (Number.isInteger(exponent) && Math.abs(exponent) <= MAX_EXACT_EXPONENT && compareDecimal(b, exponent) === 0) {
+    // digits of a^n are at most n times the digits of a
+    const digits = toDecimal(a).int.toString().replace('-', '').length * Math.abs(exponent);
+    if (digits <= MAX_EXACT_DIGITS) {
+      const exact = powerDecimal(a, exponent, options);
+      if (!Number.isFinite(decimalToNumber(exact))) throw exprError('Result out of range', 'RANGE');
+      return exact;
+    }
+  }
+  const result = Math.pow(decimalToNumber(a), exponent);
+  if (Number.isNaN(result)) throw exprError('No real result', 'DOMAIN');
+  if (!Number.isFinite(result)) throw exprError('Result out of range', 'RANGE');
+  return toDecimal(result);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * evaluate
+ * Evaluate an AST produced by parse() using exact decimal arithmetic.
+ * Division rounds to options.scale digits with options.rounding (see utils/decimal).
+ * Division by zero throws an error with code 'DIV_ZERO'; powers without a real result throw
+ * 'DOMAIN' and results beyond floating point range 'RANGE'.
+ *
+ * @param {object} node
+ * @param {{ scale?: number, rounding?: string }} [options]
+ * @returns {{ int: bigint, scale: number }} decimal
+ */
+export function evaluate(node, options) {
+  switch (node.type) {
+    case 'num':
+      return toDecimal(node.value);
+    case 'unary':
+      return negateDecimal(evaluate(node.arg, options));
+    case 'binary': {
+      const a = evaluate(node.left, options);
+      const b = evaluate(node.right, options);
+      switch (node.op) {
+        case '+':
+          return addDecimal(a, b);
+        case '-':
+          return subtractDecimal(a, b);
+        case '*':
+          return multiplyDecimal(a, b);
+        case '/':
+          if (isZeroDecimal(b)) throw exprError('Cannot divide by zero', 'DIV_ZERO');
+          return divideDecimal(a, b, options);
+        case '^':
+          return power(a, b, options);
+        default:
+          throw exprError(`Unknown operator "${node.op}"`, 'SYNTAX');
+      }
+    }
+    default:
+      throw exprError(`Unknown node "${node.type}"`, 'SYNTAX');
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * evaluateExpression
+ * Tokenize, parse and evaluate an expression string in one call.
+ *
+ * @param {string} input e.g. "2 + 3 × (4 - 1)"
+ * @param {{ scale?: number, rounding?: string }} [options] division scale and rounding mode
+ * @returns {string} exact decimal result, e.g. "0.3" for "0.1 + 0.2"
+ */
+export function evaluateExpression(input, options) {
+  return decimalToString(evaluate(parse(tokenize(input)), options));
+}
@@ -0,0 +1,114 @@
+//
+// Favorites: starred currencies and pinned currency pairs, kept in user-defined order.
+//
+// Storage schema:
+//  - Key: 'cc_hub_favorites_v1'
+//  - Value: JSON.stringify({ codes: string[], pairs: { from: string, to: string }[], ts: number })
+//
+
+// PUBLIC_INTERFACE
+// FAVORITES_STORAGE_KEY
+// Exposed so changes made in other tabs can be picked up from 'storage' events.
+export const FAVORITES_STORAGE_KEY = 'cc_hub_favorites_v1';
+
+/**
+ * PUBLIC_INTERFACE
+ * pairKey
+ * Stable key for a currency pair, e.g. 'EUR/USD'.
+ *
+ * @param {{ from: string, to: string }} pair
+ * @returns {string}
+ */
+export function pairKey(pair) {
+  return `${pair.from}/${pair.to}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * moveItem
+ * Return a copy of `list` with the item at `fromIndex` moved to `toIndex`.
+ * Out-of-range indexes return the list unchanged.
+ *
+ * @template T
+ * @param {T[]} list
+ * @param {number} fromIndex
+ * @param {number} toIndex
+ * @returns {T[]}
+ */
+export function moveItem(list, fromIndex, toIndex) {
+  if (fromIndex === toIndex) return list;
+  if (fromIndex < 0 || fromIndex >= list.length || toIndex < 0 || toIndex >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, item);
+  return next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * toggleCode
+ * Star or unstar a currency; new favorites are appended.
+ *
+ * @param {string[]} codes
+ * @param {string} code
+ * @returns {string[]}
+ */
+export function toggleCode(codes, code) {
+  const c = String(code || '').toUpperCase();
+  if (!c) return codes;
+  return codes.includes(c) ? codes.filter((x) => x !== c) : [...codes, c];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * togglePair
+ * Pin or unpin a pair; pairs are directional (EUR/USD and USD/EUR are different pins).
+ *
+ * @param {{ from: string, to: string }[]} pairs
+ * @param {{ from: string, to: string }} pair
+ * @returns {{ from: string, to: string }[]}
+ */
+export function togglePair(pairs, pair) {
+  const p = { from: String(pair.from || '').toUpperCase(), to: String(pair.to || '').toUpperCase() };
+  if (!p.from || !p.to || p.from === p.to) return pairs;
+  const key = pairKey(p);
+  return pairs.some((x) => pairKey(x) === key) ? pairs.filter((x) => pairKey(x) !== key) : [...pairs, p];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadFavorites
+ * Load starred currencies and pinned pairs from localStorage.
+ *
+ * @returns {{ codes: string[], pairs: { from: string, to: string }[] }}
+ */
+export function loadFavorites() {
+  try {
+    const raw = window.localStorage.getItem(FAVORITES_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : undefined;
+    const codes = Array.isArray(data?.codes) ? data.codes.filter((c) => typeof c === 'string' && c) : [];
+    const pairs = Array.isArray(data?.pairs)
+      ? data.pairs.filter((p) => p && typeof p.from === 'string' && typeof p.to === 'string')
+      : [];
+    return { codes, pairs };
+  } catch {
+    return { codes: [], pairs: [] };
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * persistFavorites
+ * Save starred currencies and pinned pairs (in display order) to localStorage.
+ *
+ * @param {{ codes: string[], pairs: { from: string, to: string }[] }} favorites
+ */
+export function persistFavorites(favorites) {
+  try {
+    const payload = { codes: favorites.codes || [], pairs: favorites.pairs || [], ts: Date.now() };
+    window.localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(payload));
+  } catch {
+    // ignore
+  }
+}
+
@@ -0,0 +1,32 @@
+import { loadFavorites, moveItem, pairKey, persistFavorites, toggleCode, togglePair } from './favorites';
+
+describe('favorites', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('toggleCode appends new favorites and removes existing ones', () => {
+    expect(toggleCode(['EUR'], 'gbp')).toEqual(['EUR', 'GBP']);
+    expect(toggleCode(['EUR', 'GBP'], 'EUR')).toEqual(['GBP']);
+  });
+
+  test('togglePair is directional and ignores same-currency pairs', () => {
+    const pairs = togglePair([], { from: 'eur', to: 'usd' });
+    expect(pairs).toEqual([{ from: 'EUR', to: 'USD' }]);
+    expect(togglePair(pairs, { from: 'USD', to: 'EUR' }).map(pairKey)).toEqual(['EUR/USD', 'USD/EUR']);
+    expect(togglePair(pairs, { from: 'EUR', to: 'USD' })).toEqual([]);
+    expect(togglePair(pairs, { from: 'EUR', to: 'EUR' })).toBe(pairs);
+  });
+
+  test('moveItem reorders and ignores out-of-range moves', () => {
+    const list = ['A', 'B', 'C', 'D'];
+    expect(moveItem(list, 0, 2)).toEqual(['B', 'C', 'A', 'D']);
+    expect(moveItem(list, 3, 0)).toEqual(['D', 'A', 'B', 'C']);
+    expect(moveItem(list, 0, -1)).toBe(list);
+    expect(moveItem(list, 1, 1)).toBe(list);
+  });
+
+  test('persists and restores codes and pairs in order', () => {
+    expect(loadFavorites()).toEqual({ codes: [], pairs: [] });
+    persistFavorites({ codes: ['JPY', 'EUR'], pairs: [{ from: 'GBP', to: 'USD' }] });
+    expect(loadFavorites()).toEqual({ codes: ['JPY', 'EUR'], pairs: [{ from: 'GBP', to: 'USD' }] });
+  });
+});
@@ -0,0 +1,314 @@
+//
+// ISO 4217 currency metadata: minor units, native symbol, countries and active/historic status.
+//
+// CURRENCY_DATA maps active code => [symbol, countries] where countries is a '|' separated list of
+// the countries/territories using the currency. Symbols are the ones used locally for the currency
+// (e.g. '¥' for JPY, 'zł' for PLN); currencies without a distinct symbol use their code.
+// HISTORIC_DATA lists withdrawn codes some providers still publish, with their replacement.
+// MINOR_UNITS lists the currencies whose minor unit is not 2 digits (ISO 4217 "E" column).
+//
+
+const CURRENCY_DATA = {
+  AED: ['د.إ', 'United Arab Emirates'],
+  AFN: ['؋', 'Afghanistan'],
+  ALL: ['L', 'Albania'],
+  AMD: ['֏', 'Armenia'],
+  ANG: ['ƒ', 'Curaçao|Sint Maarten'],
+  AOA: ['Kz', 'Angola'],
+  ARS: ['$', 'Argentina'],
+  AUD: ['$', 'Australia|Christmas Island|Cocos Islands|Heard Island|Kiribati|Nauru|Norfolk Island|Tuvalu'],
+  AWG: ['ƒ', 'Aruba'],
+  AZN: ['₼', 'Azerbaijan'],
+  BAM: ['KM', 'Bosnia and Herzegovina'],
+  BBD: ['$', 'Barbados'],
+  BDT: ['৳', 'Bangladesh'],
+  BGN: ['лв', 'Bulgaria'],
+  BHD: ['.د.ب', 'Bahrain'],
+  BIF: ['FBu', 'Burundi'],
+  BMD: ['$', 'Bermuda'],
+  BND: ['$', 'Brunei'],
+  BOB: ['Bs', 'Bolivia'],
+  BRL: ['R$', 'Brazil'],
+  BSD: ['$', 'Bahamas'],
+  BTN: ['Nu.', 'Bhutan'],
+  BWP: ['P', 'Botswana'],
+  BYN: ['Br', 'Belarus'],
+  BZD: ['$', 'Belize'],
+  CAD: ['$', 'Canada'],
+  CDF: ['FC', 'Democratic Republic of the Congo'],
+  CHF: ['Fr.', 'Switzerland|Liechtenstein'],
+  CLP: ['$', 'Chile'],
+  CNY: ['¥', 'China'],
+  COP: ['$', 'Colombia'],
+  CRC: ['₡', 'Costa Rica'],
+  CUP: ['$', 'Cuba'],
+  CVE: ['$', 'Cabo Verde'],
+  CZK: ['Kč', 'Czechia|Czech Republic'],
+  DJF: ['Fdj', 'Djibouti'],
+  DKK: ['kr', 'Denmark|Faroe Islands|Greenland'],
+  DOP: ['$', 'Dominican Republic'],
+  DZD: ['د.ج', 'Algeria'],
+  EGP: ['£', 'Egypt'],
+  ERN: ['Nfk', 'Eritrea'],
+  ETB: ['Br', 'Ethiopia'],
+  EUR: ['€', 'European Union|Eurozone|Andorra|Austria|Belgium|Croatia|Cyprus|Estonia|Finland|France|Germany|Greece|Ireland|Italy|Kosovo|Latvia|Lithuania|Luxembourg|Malta|Monaco|Montenegro|Netherlands|Portugal|San Marino|Slovakia|Slovenia|Spain|Vatican City'],
+  FJD: ['$', 'Fiji'],
+  FKP: ['£', 'Falkland Islands'],
+  GBP: ['£', 'United Kingdom|Great Britain|England|Scotland|Wales|Northern Ireland|Isle of Man|Jersey|Guernsey'],
+  GEL: ['₾', 'Georgia'],
+  GHS: ['₵', 'Ghana'],
+  GIP: ['£', 'Gibraltar'],
+  GMD: ['D', 'Gambia'],
+  GNF: ['FG', 'Guinea'],
+  GTQ: ['Q', 'Guatemala'],
+  GYD: ['$', 'Guyana'],
+  HKD: ['$', 'Hong Kong'],
+  HNL: ['L', 'Honduras'],
+  HTG: ['G', 'Haiti'],
+  HUF: ['Ft', 'Hungary'],
+  IDR: ['Rp', 'Indonesia'],
+  ILS: ['₪', 'Israel|Palestine'],
+  INR: ['₹', 'India|Bhutan'],
+  IQD: ['ع.د', 'Iraq'],
+  IRR: ['﷼', 'Iran'],
+  ISK: ['kr', 'Iceland'],
+  JMD: ['$', 'Jamaica'],
+  JOD: ['د.ا', 'Jordan'],
+  JPY: ['¥', 'Japan'],
+  KES: ['KSh', 'Kenya'],
+  KGS: ['сом', 'Kyrgyzstan'],
+  KHR: ['៛', 'Cambodia'],
+  KMF: ['CF', 'Comoros'],
+  KPW: ['₩', 'North Korea'],
+  KRW: ['₩', 'South Korea|Korea'],
+  KWD: ['د.ك', 'Kuwait'],
+  KYD: ['$', 'Cayman Islands'],
+  KZT: ['₸', 'Kazakhstan'],
+  LAK: ['₭', 'Laos'],
+  LBP: ['ل.ل', 'Lebanon'],
+  LKR: ['Rs', 'Sri Lanka'],
+  LRD: ['$', 'Liberia'],
+  LSL: ['L', 'Lesotho'],
+  LYD: ['ل.د', 'Libya'],
+  MAD: ['د.م.', 'Morocco|Western Sahara'],
+  MDL: ['L', 'Moldova'],
+  MGA: ['Ar', 'Madagascar'],
+  MKD: ['ден', 'North Macedonia'],
+  MMK: ['K', 'Myanmar|Burma'],
+  MNT: ['₮', 'Mongolia'],
+  MOP: ['MOP$', 'Macau|Macao'],
+  MRU: ['UM', 'Mauritania'],
+  MUR: ['₨', 'Mauritius'],
+  MVR: ['Rf', 'Maldives'],
+  MWK: ['MK', 'Malawi'],
+  MXN: ['$', 'Mexico'],
+  MYR: ['RM', 'Malaysia'],
+  MZN: ['MT', 'Mozambique'],
+  NAD: ['$', 'Namibia'],
+  NGN: ['₦', 'Nigeria'],
+  NIO: ['C$', 'Nicaragua'],
+  NOK: ['kr', 'Norway|Svalbard|Bouvet Island'],
+  NPR: ['रू', 'Nepal'],
+  NZD: ['$', 'New Zealand|Cook Islands|Niue|Pitcairn Islands|Tokelau'],
+  OMR: ['ر.ع.', 'Oman'],
+  PAB: ['B/.', 'Panama'],
+  PEN: ['S/', 'Peru'],
+  PGK: ['K', 'Papua New Guinea'],
+  PHP: ['₱', 'Philippines'],
+  PKR: ['₨', 'Pakistan'],
+  PLN: ['zł', 'Poland'],
+  PYG: ['₲', 'Paraguay'],
+  QAR: ['ر.ق', 'Qatar'],
+  RON: ['lei', 'Romania'],
+  RSD: ['дин.', 'Serbia'],
+  RUB: ['₽', 'Russia'],
+  RWF: ['FRw', 'Rwanda'],
+  SAR: ['ر.س', 'Saudi Arabia'],
+  SBD: ['$', 'Solomon Islands'],
+  SCR: ['₨', 'Seychelles'],
+  SDG: ['ج.س.', 'Sudan'],
+  SEK: ['kr', 'Sweden'],
+  SGD: ['$', 'Singapore'],
+  SHP: ['£', 'Saint Helena'],
+  SLE: ['Le', 'Sierra Leone'],
+  SOS: ['Sh', 'Somalia'],
+  SRD: ['$', 'Suriname'],
+  SSP: ['£', 'South Sudan'],
+  STN: ['Db', 'São Tomé and Príncipe'],
+  SYP: ['£', 'Syria'],
+  SZL: ['L', 'Eswatini|Swaziland'],
+  THB: ['฿', 'Thailand'],
+  TJS: ['SM', 'Tajikistan'],
+  TMT: ['m', 'Turkmenistan'],
+  TND: ['د.ت', 'Tunisia'],
+  TOP: ['T$', 'Tonga'],
+  TRY: ['₺', 'Turkey|Türkiye'],
+  TTD: ['$', 'Trinidad and Tobago'],
+  TWD: ['$', 'Taiwan'],
+  TZS: ['TSh', 'Tanzania'],
+  UAH: ['₴', 'Ukraine'],
+  UGX: ['USh', 'Uganda'],
+  USD: ['$', 'United States|USA|America|Ecuador|El Salvador|Panama|Puerto Rico|Guam|Marshall Islands|Micronesia|Palau|Timor-Leste|Zimbabwe'],
+  UYU: ['$', 'Uruguay'],
+  UZS: ['soʻm', 'Uzbekistan'],
+  VES: ['Bs.S', 'Venezuela'],
+  VND: ['₫', 'Vietnam'],
+  VUV: ['VT', 'Vanuatu'],
+  WST: ['T', 'Samoa'],
+  XAF: ['FCFA', 'Cameroon|Central African Republic|Chad|Republic of the Congo|Equatorial Guinea|Gabon'],
+  XCD: ['$', 'Anguilla|Antigua and Barbuda|Dominica|Grenada|Montserrat|Saint Kitts and Nevis|Saint Lucia|Saint Vincent and the Grenadines'],
+  XOF: ['CFA', 'Benin|Burkina Faso|Côte d\'Ivoire|Ivory Coast|Guinea-Bissau|Mali|Niger|Senegal|Togo'],
+  XPF: ['₣', 'French Polynesia|New Caledonia|Wallis and Futuna'],
+  YER: ['﷼', 'Yemen'],
+  ZAR: ['R', 'South Africa|Lesotho|Namibia|Eswatini'],
+  ZMW: ['ZK', 'Zambia'],
+  ZWG: ['ZiG', 'Zimbabwe'],
+};
+
+// code => [symbol, countries, replacedBy, year withdrawn]
+const HISTORIC_DATA = {
+  ATS: ['S', 'Austria', 'EUR', 2002],
+  BEF: ['fr.', 'Belgium', 'EUR', 2002],
+  BYR: ['Br', 'Belarus', 'BYN', 2016],
+  CUC: ['CUC$', 'Cuba', 'CUP', 2021],
+  CYP: ['£', 'Cyprus', 'EUR', 2008],
+  DEM: ['DM', 'Germany', 'EUR', 2002],
+  EEK: ['kr', 'Estonia', 'EUR', 2011],
+  ESP: ['₧', 'Spain', 'EUR', 2002],
+  FIM: ['mk', 'Finland', 'EUR', 2002],
+  FRF: ['F', 'France', 'EUR', 2002],
+  GHC: ['₵', 'Ghana', 'GHS', 2007],
+  GRD: ['₯', 'Greece', 'EUR', 2002],
+  HRK: ['kn', 'Croatia', 'EUR', 2023],
+  IEP: ['£', 'Ireland', 'EUR', 2002],
+  ITL: ['₤', 'Italy', 'EUR', 2002],
+  LTL: ['Lt', 'Lithuania', 'EUR', 2015],
+  LVL: ['Ls', 'Latvia', 'EUR', 2014],
+  MRO: ['UM', 'Mauritania', 'MRU', 2018],
+  MTL: ['₤', 'Malta', 'EUR', 2008],
+  NLG: ['ƒ', 'Netherlands', 'EUR', 2002],
+  PTE: ['$', 'Portugal', 'EUR', 2002],
+  SIT: ['SIT', 'Slovenia', 'EUR', 2007],
+  SKK: ['Sk', 'Slovakia', 'EUR', 2009],
+  SLL: ['Le', 'Sierra Leone', 'SLE', 2024],
+  STD: ['Db', 'São Tomé and Príncipe', 'STN', 2018],
+  TRL: ['₤', 'Turkey|Türkiye', 'TRY', 2005],
+  VEF: ['Bs.F', 'Venezuela', 'VES', 2018],
+  ZMK: ['ZK', 'Zambia', 'ZMW', 2013],
+  ZWL: ['$', 'Zimbabwe', 'ZWG', 2024],
+};
+
+const MINOR_UNITS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLP: 0,
+  DJF: 0,
+  ESP: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  ITL: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  TRL: 0,
+  UGX: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * getCurrencyMeta
+ * Metadata for an ISO 4217 code; undefined for codes outside ISO 4217 (e.g. crypto).
+ *
+ * @param {string} code
+ * @returns {{
+ *   code: string,
+ *   symbol: string,
+ *   countries: string[],
+ *   minorUnits: number,
+ *   status: 'active'|'historic',
+ *   replacedBy?: string,
+ *   withdrawn?: number
+ * } | undefined}
+ */
+export function getCurrencyMeta(code) {
+  const c = String(code || '').toUpperCase();
+  const minorUnits = MINOR_UNITS[c] ?? 2;
+  const row = CURRENCY_DATA[c];
+  if (row) return { code: c, symbol: row[0], countries: row[1].split('|'), minorUnits, status: 'active' };
+  const old = HISTORIC_DATA[c];
+  if (!old) return undefined;
+  return {
+    code: c,
+    symbol: old[0],
+    countries: old[1].split('|'),
+    minorUnits,
+    status: 'historic',
+    replacedBy: old[2],
+    withdrawn: old[3],
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getMinorUnits
+ * Number of decimal digits of the currency's minor unit (JPY 0, USD 2, KWD 3).
+ *
+ * @param {string} code
+ * @returns {number | undefined} undefined for codes without ISO 4217 metadata
+ */
+export function getMinorUnits(code) {
+  return getCurrencyMeta(code)?.minorUnits;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isHistoricCurrency
+ * Whether the code was withdrawn from ISO 4217 (e.g. HRK after Croatia adopted the euro).
+ *
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isHistoricCurrency(code) {
+  return getCurrencyMeta(code)?.status === 'historic';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * describeCurrencyStatus
+ * Short note for withdrawn codes, e.g. 'Withdrawn in 2023, replaced by EUR'; '' for active codes.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function describeCurrencyStatus(code) {
+  const meta = getCurrencyMeta(code);
+  if (meta?.status !== 'historic') return '';
+  return `Withdrawn in ${meta.withdrawn}, replaced by ${meta.replacedBy}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * listCurrencyCodes
+ * All codes with metadata, alphabetically.
+ *
+ * @param {{ includeHistoric?: boolean }} [options]
+ * @returns {string[]}
+ */
+export function listCurrencyCodes(options = {}) {
+  const codes = Object.keys(CURRENCY_DATA);
+  return options.includeHistoric ? [...codes, ...Object.keys(HISTORIC_DATA)].sort() : codes;
+}
@@ -0,0 +1,37 @@
+import { describeCurrencyStatus, getCurrencyMeta, getMinorUnits, isHistoricCurrency, listCurrencyCodes } from './iso4217';
+
+describe('ISO 4217 metadata', () => {
+  test('minor units follow ISO 4217', () => {
+    expect(getMinorUnits('JPY')).toBe(0);
+    expect(getMinorUnits('usd')).toBe(2);
+    expect(getMinorUnits('KWD')).toBe(3);
+    expect(getMinorUnits('BTC')).toBeUndefined();
+  });
+
+  test('metadata carries symbol, countries and status', () => {
+    expect(getCurrencyMeta('jpy')).toEqual({ code: 'JPY', symbol: '¥', countries: ['Japan'], minorUnits: 0, status: 'active' });
+    expect(getCurrencyMeta('HRK')).toMatchObject({ symbol: 'kn', countries: ['Croatia'], status: 'historic', replacedBy: 'EUR', withdrawn: 2023 });
+    expect(getCurrencyMeta('XYZ')).toBeUndefined();
+  });
+
+  test('flags withdrawn codes', () => {
+    expect(isHistoricCurrency('HRK')).toBe(true);
+    expect(isHistoricCurrency('EUR')).toBe(false);
+    expect(describeCurrencyStatus('HRK')).toBe('Withdrawn in 2023, replaced by EUR');
+    expect(describeCurrencyStatus('EUR')).toBe('');
+  });
+
+  test('lists active codes unless historic ones are requested', () => {
+    const active = listCurrencyCodes();
+    expect(active).toContain('ZWG');
+    expect(active).not.toContain('HRK');
+    const all = listCurrencyCodes({ includeHistoric: true });
+    expect(all).toContain('HRK');
+    expect(all).toEqual([...all].sort());
+    // every replacement is an active code
+    for (const code of all) {
+      const meta = getCurrencyMeta(code);
+      if (meta.status === 'historic') expect(active).toContain(meta.replacedBy);
+    }
+  });
+});
@@ -0,0 +1,382 @@
+//
+// Locale-aware number parsing and formatting driven by the user's number settings.
+//
+// Settings pick a locale (empty = browser) and may override its decimal and grouping separators
+// and the display precision. The parser reads what people type in their locale: '1.234,56' in
+// de-DE, '1 234,56' in fr-CH, '12,34,567.89' in en-IN (lakh grouping) and Arabic-Indic digits
+// in ar-EG. When a single separator cannot be grouping (e.g. '1.5' in de-DE) it is read as the
+// decimal point, so partially typed or foreign input does not jump by a factor of 1000.
+//
+
+import { decimalToString, toDecimal } from './decimal';
+import { getCurrencyMeta } from './iso4217';
+
+/**
+ * PUBLIC_INTERFACE
+ * NUMBER_SETTINGS_STORAGE_KEY
+ * localStorage key of the persisted number settings.
+ */
+export const NUMBER_SETTINGS_STORAGE_KEY = 'cc_hub_number_settings_v1';
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_NUMBER_SETTINGS
+ * Empty values mean "use the locale's default"; precision null means automatic
+ * (currency minor units for amounts, the calculator's own display scale).
+ */
+export const DEFAULT_NUMBER_SETTINGS = Object.freeze({
+  locale: '',
+  decimal: '',
+  group: '',
+  precision: null,
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * LOCALE_CHOICES
+ * Locales offered by the settings panel.
+ */
+export const LOCALE_CHOICES = [
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'en-IN', label: 'English (India)' },
+  { value: 'de-DE', label: 'Deutsch (Deutschland)' },
+  { value: 'de-CH', label: 'Deutsch (Schweiz)' },
+  { value: 'fr-FR', label: 'Français (France)' },
+  { value: 'fr-CH', label: 'Français (Suisse)' },
+  { value: 'es-ES', label: 'Español (España)' },
+  { value: 'it-IT', label: 'Italiano' },
+  { value: 'nl-NL', label: 'Nederlands' },
+  { value: 'pt-BR', label: 'Português (Brasil)' },
+  { value: 'pl-PL', label: 'Polski' },
+  { value: 'ja-JP', label: '日本語' },
+  { value: 'zh-CN', label: '中文 (简体)' },
+  { value: 'hi-IN', label: 'हिन्दी' },
+  { value: 'ar-EG', label: 'العربية (مصر)' },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * DECIMAL_SEPARATORS / GROUP_SEPARATORS
+ * Separator overrides offered by the settings panel; 'none' disables grouping.
+ */
+export const DECIMAL_SEPARATORS = ['.', ','];
+export const GROUP_SEPARATORS = [',', '.', ' ', '’', 'none'];
+
+/**
+ * PUBLIC_INTERFACE
+ * PRECISION_CHOICES
+ * Fraction digits offered for the display precision.
+ */
+export const PRECISION_CHOICES = [0, 1, 2, 3, 4, 5, 6, 8, 10];
+
+// Zero of each decimal digit block accepted as input besides ASCII
+const DIGIT_ZEROS = [0x0660, 0x06f0, 0x0966, 0x09e6, 0x0e50, 0xff10];
+
+// Bidi marks Intl emits around signs in right-to-left locales
+const BIDI_MARKS = /[\u200e\u200f\u061c]/g;
+
+// Separators that can never be a decimal point and are dropped while parsing
+const isSpaceOrApostrophe = (ch) => /^[\s'’]$/.test(ch);
+
+const symbolCache = new Map();
+
+/**
+ * Locale to use for a settings object: the chosen one, else the browser's, else en-US.
+ */
+function resolveLocale(locale) {
+  const candidate = locale || (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([candidate]).length ? candidate : 'en-US';
+  } catch {
+    return 'en-US';
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getLocaleNumberSymbols
+ * Separators, grouping sizes and digits of a locale as produced by Intl.NumberFormat.
+ *
+ * @param {string} locale BCP 47 tag
+ * @returns {{ decimal: string, group: string, primaryGroupSize: number, secondaryGroupSize: number, digits: string[] }}
+ */
+export function getLocaleNumberSymbols(locale) {
+  const key = resolveLocale(locale);
+  if (symbolCache.has(key)) return symbolCache.get(key);
+
+  const parts = new Intl.NumberFormat(key).formatToParts(1234567.5);
+  const integers = parts.filter((p) => p.type === 'integer').map((p) => p.value.length);
+  const plain = new Intl.NumberFormat(key, { useGrouping: false });
+  const symbols = {
+    decimal: parts.find((p) => p.type === 'decimal')?.value || '.',
+    group: parts.find((p) => p.type === 'group')?.value || ',',
+    primaryGroupSize: integers.length > 1 ? integers[integers.length - 1] : 3,
+    // 2 for the Indian lakh/crore grouping: 12,34,567
+    secondaryGroupSize: integers.length > 2 ? integers[integers.length - 2] : 3,
+    digits: Array.from({ length: 10 }, (_, d) => plain.format(d)),
+  };
+  symbolCache.set(key, symbols);
+  return symbols;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * validateNumberSettings
+ * Reason the settings cannot be used, or '' when they are fine.
+ *
+ * @param {Partial<typeof DEFAULT_NUMBER_SETTINGS>} settings
+ * @returns {string}
+ */
+export function validateNumberSettings(settings) {
+  const s = settings || {};
+  if (s.decimal && !DECIMAL_SEPARATORS.includes(s.decimal)) return 'Unsupported decimal separator';
+  if (s.group && !GROUP_SEPARATORS.includes(s.group)) return 'Unsupported grouping separator';
+  if (s.decimal && s.group && s.decimal === s.group) return 'Decimal and grouping separators must differ';
+  if (s.precision !== null && s.precision !== undefined && !(Number.isInteger(s.precision) && s.precision >= 0 && s.precision <= 10)) {
+    return 'Precision must be between 0 and 10 digits';
+  }
+  return '';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * resolveNumberSettings
+ * Effective locale, separators and digits for a settings object. A decimal override equal to
+ * the locale's grouping separator swaps the two (de-DE with '.' as decimal groups with ',').
+ *
+ * @param {Partial<typeof DEFAULT_NUMBER_SETTINGS>} [settings]
+ * @returns {{
+ *   locale: string, decimal: string, group: string, primaryGroupSize: number,
+ *   secondaryGroupSize: number, digits: string[], precision: number | null, custom: boolean
+ * }} group is '' when grouping is disabled; custom is true when separators are overridden
+ */
+export function resolveNumberSettings(settings) {
+  const s = { ...DEFAULT_NUMBER_SETTINGS, ...(settings || {}) };
+  const locale = resolveLocale(s.locale);
+  const symbols = getLocaleNumberSymbols(locale);
+  const decimal = DECIMAL_SEPARATORS.includes(s.decimal) ? s.decimal : symbols.decimal;
+
+  let group = symbols.group;
+  if (GROUP_SEPARATORS.includes(s.group) && s.group !== decimal) group = s.group === 'none' ? '' : s.group;
+  else if (group === decimal) group = symbols.decimal;
+
+  return {
+    ...symbols,
+    locale,
+    decimal,
+    group,
+    precision: Number.isInteger(s.precision) ? s.precision : null,
+    custom: Boolean(s.decimal || s.group),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * toAsciiDigits
+ * Replace Arabic-Indic, Persian, Devanagari, Bengali, Thai and full-width digits with 0-9.
+ *
+ * @param {string} s
+ * @returns {string}
+ */
+export function toAsciiDigits(s) {
+  return String(s).replace(/[\u0660-\u0669\u06f0-\u06f9\u0966-\u096f\u09e6-\u09ef\u0e50-\u0e59\uff10-\uff19]/g, (ch) => {
+    const code = ch.charCodeAt(0);
+    const zero = DIGIT_ZEROS.find((z) => code >= z && code <= z + 9);
+    return String(code - zero);
+  });
+}
+
+/**
+ * Is `int` (digits and `group`) grouped like the locale: a leading group of 1..size digits
+ * without a leading zero (so '0.123' in de-DE is a decimal, not 123), then groups of the secondary size and a last group of the primary size. Western grouping
+ * (all 3) is accepted in lakh locales too.
+ */
+function isWellGrouped(int, group, r) {
+  const groups = int.split(group);
+  if (groups.length < 2 || groups.some((g) => !/^\d+$/.test(g))) return false;
+  const last = groups[groups.length - 1];
+  const middle = groups.slice(1, -1);
+  const first = groups[0];
+  if (first.startsWith('0') || last.length !== r.primaryGroupSize) return false;
+  return [r.secondaryGroupSize, 3].some(
+    (size) => first.length <= size && middle.every((g) => g.length === size)
+  );
+}
+
+/**
+ * Is `run` a currency affix: a currency symbol, optionally after a short country prefix ('€',
+ * 'US$', 'R$'), or an ISO 4217 code ('EUR'). Other letters ('1.5k', '12abc') are not.
+ */
+function isCurrencyAffix(run) {
+  if (/^\p{Lu}{0,2}\p{Sc}$/u.test(run)) return true;
+  return /^[A-Za-z]{3}$/.test(run) && !!getCurrencyMeta(run);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseLocaleDecimal
+ * Parse user input in the settings' locale into an exact decimal string.
+ * Currency symbols/ISO codes and spaces are ignored; any other letters make the input invalid
+ * (no 'k'/'m' suffixes). '−' counts as a minus sign.
+ *
+ * @param {string | number} input
+ * @param {Partial<typeof DEFAULT_NUMBER_SETTINGS>} [settings]
+ * @returns {string | undefined} e.g. '1234.56', or undefined when the input is not a number
+ */
+export function parseLocaleDecimal(input, settings) {
+  if (typeof input === 'number') return Number.isFinite(input) ? decimalToString(toDecimal(input)) : undefined;
+  if (typeof input !== 'string') return undefined;
+  const r = resolveNumberSettings(settings);
+
+  // currency symbols and codes may lead or trail, on either side of the sign: '-€5', '€-5', '5 EUR'
+  const stripAffixes = (str) =>
+    str.replace(/^[\p{L}\p{Sc}]+|[\p{L}\p{Sc}]+$/gu, (run) => (isCurrencyAffix(run) ? '' : run));
+  let s = stripAffixes(toAsciiDigits(input).replace(BIDI_MARKS, '').replace(/[\s'’]/g, ''));
+  let negative = false;
+  const sign = /^[-−+]/.exec(s);
+  if (sign) {
+    negative = sign[0] !== '+';
+    s = stripAffixes(s.slice(1));
+  }
+  if (!s || /\p{L}/u.test(s)) return undefined;
+
+  const dec = r.decimal;
+  const grp = isSpaceOrApostrophe(r.group) ? '' : r.group;
+  const allowed = new Set([dec, grp, '.', ',', '٫', '٬'].filter(Boolean));
+  if ([...s].some((ch) => !/\d/.test(ch) && !allowed.has(ch))) return undefined;
+
+  let int;
+  let frac = '';
+  const pieces = s.split(dec);
+  if (pieces.length > 2) return undefined;
+  if (pieces.length === 2) {
+    [int, frac] = pieces;
+    if (!/^\d*$/.test(frac)) return undefined;
+    if (!/^\d*$/.test(int)) {
+      if (!grp || !isWellGrouped(int, grp, r)) return undefined;
+      int = int.split(grp).join('');
+    }
+  } else if (/^\d+$/.test(s)) {
+    int = s;
+  } else if (grp && isWellGrouped(s, grp, r)) {
+    int = s.split(grp).join('');
+  } else {
+    // a lone separator that is not valid grouping is the decimal point: '1.5' in de-DE
+    const seps = s.replace(/\d/g, '');
+    if (seps.length !== 1) return undefined;
+    [int, frac] = s.split(seps);
+  }
+
+  if (!int && !frac) return undefined;
+  return decimalToString(toDecimal(`${negative ? '-' : ''}${int || '0'}${frac ? `.${frac}` : ''}`));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseLocaleNumber
+ * Number-returning wrapper over parseLocaleDecimal.
+ *
+ * @param {string | number} input
+ * @param {Partial<typeof DEFAULT_NUMBER_SETTINGS>} [settings]
+ * @returns {number} NaN when the input is not a number
+ */
+export function parseLocaleNumber(input, settings) {
+  const dec = parseLocaleDecimal(input, settings);
+  return dec === undefined ? NaN : Number(dec);
+}
+
+/**
+ * Insert `group` into a string of digits using the locale's group sizes.
+ */
+function groupDigits(int, group, r) {
+  if (!group || int.length <= r.primaryGroupSize) return int;
+  const out = [int.slice(-r.primaryGroupSize)];
+  let rest = int.slice(0, -r.primaryGroupSize);
+  while (rest.length > r.secondaryGroupSize) {
+    out.unshift(rest.slice(-r.secondaryGroupSize));
+    rest = rest.slice(0, -r.secondaryGroupSize);
+  }
+  if (rest) out.unshift(rest);
+  return out.join(group);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatDecimalString
+ * Localize a plain decimal string exactly as given, digit for digit: trailing zeros and a
+ * trailing decimal point are kept, so it suits input being typed ('1234.50' => '1.234,50' in
+ * de-DE). Anything else (e.g. '1.2e+21' or an error message) is returned unchanged.
+ *
+ * @param {string} value e.g. '-1234567.8'
+ * @param {Partial<typeof DEFAULT_NUMBER_SETTINGS>} [settings]
+ * @returns {string}
+ */
+export function formatDecimalString(value, settings) {
+  const m = /^(-?)(\d+)(\.(\d*))?$/.exec(String(value));
+  if (!m) return String(value);
+  const r = resolveNumberSettings(settings);
+  const localDigits = (str) => str.replace(/\d/g, (d) => r.digits[d]);
+  const int = localDigits(groupDigits(m[2], r.group, r));
+  return `${m[1]}${int}${m[3] !== undefined ? `${r.decimal}${localDigits(m[4])}` : ''}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatWithSettings
+ * Format a number with Intl.NumberFormat in the settings' locale, substituting the
+ * separators when they are overridden.
+ *
+ * @param {number} value
+ * @param {Partial<typeof DEFAULT_NUMBER_SETTINGS>} [settings]
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatWithSettings(value, settings, options = {}) {
+  const r = resolveNumberSettings(settings);
+  const fmt = new Intl.NumberFormat(r.locale, { ...options, useGrouping: r.group !== '' });
+  if (!r.custom) return fmt.format(value);
+  return fmt
+    .formatToParts(value)
+    .map((p) => (p.type === 'decimal' ? r.decimal : p.type === 'group' ? r.group : p.value))
+    .join('');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadNumberSettings
+ * Persisted number settings merged over the defaults.
+ *
+ * @returns {typeof DEFAULT_NUMBER_SETTINGS}
+ */
+export function loadNumberSettings() {
+  try {
+    const raw = window.localStorage.getItem(NUMBER_SETTINGS_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : undefined;
+    if (!data || typeof data !== 'object') return DEFAULT_NUMBER_SETTINGS;
+    const settings = {
+      locale: typeof data.locale === 'string' ? data.locale : '',
+      decimal: typeof data.decimal === 'string' ? data.decimal : '',
+      group: typeof data.group === 'string' ? data.group : '',
+      precision: Number.isInteger(data.precision) ? data.precision : null,
+    };
+    return validateNumberSettings(settings) ? DEFAULT_NUMBER_SETTINGS : settings;
+  } catch {
+    return DEFAULT_NUMBER_SETTINGS;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * persistNumberSettings
+ * Save number settings to localStorage.
+ *
+ * @param {typeof DEFAULT_NUMBER_SETTINGS} settings
+ */
+export function persistNumberSettings(settings) {
+  try {
+    window.localStorage.setItem(NUMBER_SETTINGS_STORAGE_KEY, JSON.stringify({ ...settings, ts: Date.now() }));
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,135 @@
+import {
+  formatDecimalString,
+  formatWithSettings,
+  parseLocaleDecimal,
+  parseLocaleNumber,
+  resolveNumberSettings,
+  validateNumberSettings,
+} from './locale';
+import { formatCurrency, parseNumber } from './currency';
+
+const de = { locale: 'de-DE' };
+const frCH = { locale: 'fr-CH' };
+const enIN = { locale: 'en-IN' };
+const arEG = { locale: 'ar-EG' };
+const enUS = { locale: 'en-US' };
+
+describe('parseLocaleDecimal', () => {
+  test('de-DE: period groups, comma is the decimal separator', () => {
+    expect(parseLocaleDecimal('1.234,56', de)).toBe('1234.56');
+    expect(parseLocaleDecimal('1.234', de)).toBe('1234');
+    expect(parseLocaleDecimal('1.234.567', de)).toBe('1234567');
+    expect(parseLocaleDecimal('1,234', de)).toBe('1.234');
+    expect(parseLocaleDecimal('-12,5 €', de)).toBe('-12.5');
+    // a period that cannot be grouping is read as the decimal point
+    expect(parseLocaleDecimal('1.5', de)).toBe('1.5');
+    expect(parseLocaleDecimal('1,234,5', de)).toBeUndefined();
+    expect(parseLocaleDecimal('1.23,4', de)).toBeUndefined();
+  });
+
+  test('fr-CH: narrow no-break space or space groups, comma is the decimal separator', () => {
+    expect(parseLocaleDecimal('1 234,56', frCH)).toBe('1234.56');
+    expect(parseLocaleDecimal('1 234 567,8', frCH)).toBe('1234567.8');
+    expect(parseLocaleDecimal('CHF 1 000', frCH)).toBe('1000');
+    expect(parseLocaleDecimal('0,05', frCH)).toBe('0.05');
+  });
+
+  test('en-IN: lakh grouping', () => {
+    expect(parseLocaleDecimal('12,34,567.89', enIN)).toBe('1234567.89');
+    expect(parseLocaleDecimal('1,00,00,000', enIN)).toBe('10000000');
+    // western grouping is accepted as well
+    expect(parseLocaleDecimal('1,234,567', enIN)).toBe('1234567');
+    expect(parseLocaleDecimal('1,2,34', enIN)).toBeUndefined();
+  });
+
+  test('ar-EG: Arabic-Indic digits and separators', () => {
+    expect(parseLocaleDecimal('١٬٢٣٤٫٥٦', arEG)).toBe('1234.56');
+    expect(parseLocaleDecimal('\u061c-\u200f٧٫٥', arEG)).toBe('-7.5');
+    expect(parseLocaleDecimal('٣٠٠', arEG)).toBe('300');
+    // ASCII digits typed on a Latin keyboard still work
+    expect(parseLocaleDecimal('250', arEG)).toBe('250');
+  });
+
+  test('en-US no longer reads a grouping comma as a decimal point', () => {
+    expect(parseLocaleDecimal('1,234', enUS)).toBe('1234');
+    expect(parseLocaleDecimal('$1,234.50', enUS)).toBe('1234.5');
+    expect(parseLocaleDecimal('12,5', enUS)).toBe('12.5');
+    expect(parseLocaleDecimal('.5', enUS)).toBe('0.5');
+    expect(parseLocaleDecimal('12.', enUS)).toBe('12');
+  });
+
+  test('a leading group with a leading zero is not grouping', () => {
+    expect(parseLocaleDecimal('0.123', de)).toBe('0.123');
+    expect(parseLocaleDecimal('-0.500', de)).toBe('-0.5');
+    expect(parseLocaleDecimal('0,500', enUS)).toBe('0.5');
+    expect(parseLocaleDecimal('01,234', enUS)).toBe('1.234');
+    expect(parseLocaleDecimal('0.123,5', de)).toBeUndefined();
+  });
+
+  test('rejects empty and non-numeric input', () => {
+    expect(parseLocaleDecimal('', enUS)).toBeUndefined();
+    expect(parseLocaleDecimal('abc', enUS)).toBeUndefined();
+    expect(parseLocaleDecimal('1.2.3', enUS)).toBeUndefined();
+    expect(parseLocaleNumber('--1', enUS)).toBeNaN();
+  });
+
+  test('strips currency symbols and ISO codes but no other letters', () => {
+    expect(parseLocaleDecimal('5 EUR', enUS)).toBe('5');
+    expect(parseLocaleDecimal('usd 12.50', enUS)).toBe('12.5');
+    expect(parseLocaleDecimal('US$1,000', enUS)).toBe('1000');
+    expect(parseLocaleDecimal('-₹1,00,000', enIN)).toBe('-100000');
+    expect(parseLocaleDecimal('1.5k', enUS)).toBeUndefined();
+    expect(parseLocaleDecimal('10m', enUS)).toBeUndefined();
+    expect(parseLocaleDecimal('12abc', enUS)).toBeUndefined();
+    expect(parseLocaleDecimal('5 thousand', enUS)).toBeUndefined();
+    expect(parseLocaleDecimal('5 XYZ', enUS)).toBeUndefined();
+  });
+
+  test('separator overrides apply to parsing', () => {
+    expect(parseLocaleDecimal('1.234,5', { locale: 'en-US', decimal: ',' })).toBe('1234.5');
+    expect(parseLocaleDecimal('1 234.5', { locale: 'de-DE', decimal: '.', group: ' ' })).toBe('1234.5');
+  });
+
+  test('parseNumber takes a locale or settings', () => {
+    expect(parseNumber('1.234,56', 'de-DE')).toBe(1234.56);
+    expect(parseNumber('1,234', de)).toBe(1.234);
+    expect(parseNumber(42)).toBe(42);
+  });
+});
+
+describe('formatting', () => {
+  test('formatDecimalString keeps the typed digits', () => {
+    expect(formatDecimalString('1234567.50', de)).toBe('1.234.567,50');
+    expect(formatDecimalString('1234.', de)).toBe('1.234,');
+    expect(formatDecimalString('-1234567.891', frCH)).toBe('-1 234 567,891');
+    expect(formatDecimalString('12345678', enIN)).toBe('1,23,45,678');
+    expect(formatDecimalString('1234.5', arEG)).toBe('١٬٢٣٤٫٥');
+    expect(formatDecimalString('Cannot divide by zero', de)).toBe('Cannot divide by zero');
+  });
+
+  test('formatWithSettings applies separator overrides to Intl output', () => {
+    expect(formatWithSettings(1234567.5, enIN)).toBe('12,34,567.5');
+    expect(formatWithSettings(1234.5, { locale: 'de-DE', decimal: '.' })).toBe('1,234.5');
+    expect(formatWithSettings(1234.5, { locale: 'en-US', group: 'none' })).toBe('1234.5');
+    expect(formatWithSettings(1234.5, { locale: 'en-US', group: '’' })).toBe('1’234.5');
+  });
+
+  test('formatCurrency uses the locale and display precision', () => {
+    expect(formatCurrency(1234.5, 'EUR', de)).toMatch(/^1\.234,50\s€$/);
+    expect(formatCurrency(1234.5, 'USD', { locale: 'en-US', precision: 0 })).toBe('$1,235');
+    expect(formatCurrency(1234.5, 'EGP', arEG)).toContain('١٬٢٣٤٫٥٠');
+  });
+});
+
+describe('settings', () => {
+  test('a decimal override equal to the locale grouping swaps the separators', () => {
+    const r = resolveNumberSettings({ locale: 'de-DE', decimal: '.' });
+    expect([r.decimal, r.group]).toEqual(['.', ',']);
+  });
+
+  test('validation', () => {
+    expect(validateNumberSettings({ decimal: ',', group: ',' })).toMatch(/must differ/);
+    expect(validateNumberSettings({ precision: 11 })).toMatch(/Precision/);
+    expect(validateNumberSettings({ locale: 'de-DE', decimal: ',', group: '.', precision: 2 })).toBe('');
+  });
+});
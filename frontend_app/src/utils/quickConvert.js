@@ -0,0 +1,183 @@
+//
+// Quick-convert queries: "250 eur to jpy", "€40 in $", "1.5k gbp usd", "euros to yen".
+//
+// A query names an optional amount (default 1, with k/m/bn multipliers), a source currency and an
+// optional target, in any of these spellings: ISO codes, symbols (see CURRENCY_SYMBOLS), common
+// names ("pounds") and the connectors "to", "in", "into", "as", "=", "->" or "→". Ambiguous signs
+// ($, ¥, kr) resolve to a configurable currency.
+//
+// Storage schema:
+//  - Key: 'cc_hub_quick_convert_v1'
+//  - Value: JSON.stringify({ signs: Record<string, string>, ts: number })
+//
+
+import { CURRENCY_SYMBOLS } from './currencyExpression';
+import { decimalToString, multiplyDecimal } from './decimal';
+import { parseLocaleDecimal } from './locale';
+
+// PUBLIC_INTERFACE
+// QUICK_CONVERT_STORAGE_KEY
+export const QUICK_CONVERT_STORAGE_KEY = 'cc_hub_quick_convert_v1';
+
+/**
+ * PUBLIC_INTERFACE
+ * AMBIGUOUS_SIGNS
+ * Signs shared by several currencies, with the currencies each can be set to.
+ */
+export const AMBIGUOUS_SIGNS = Object.freeze({
+  $: ['USD', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'MXN'],
+  '¥': ['JPY', 'CNY'],
+  kr: ['SEK', 'NOK', 'DKK', 'ISK'],
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_SIGN_CURRENCIES
+ * How ambiguous signs are read unless configured otherwise.
+ */
+export const DEFAULT_SIGN_CURRENCIES = Object.freeze({ $: 'USD', '¥': 'JPY', kr: 'SEK' });
+
+// Currency names; '$' and 'kr' entries follow the sign settings
+const CURRENCY_WORDS = {
+  dollar: '$', dollars: '$', buck: '$', bucks: '$',
+  euro: 'EUR', euros: 'EUR',
+  pound: 'GBP', pounds: 'GBP', quid: 'GBP', sterling: 'GBP',
+  yen: 'JPY', yuan: 'CNY', rmb: 'CNY', renminbi: 'CNY',
+  franc: 'CHF', francs: 'CHF',
+  rupee: 'INR', rupees: 'INR',
+  won: 'KRW', peso: 'MXN', pesos: 'MXN', real: 'BRL', reais: 'BRL', rand: 'ZAR', lira: 'TRY',
+  zloty: 'PLN', forint: 'HUF', koruna: 'CZK', baht: 'THB', shekel: 'ILS', shekels: 'ILS',
+  krona: 'SEK', kronor: 'SEK', krone: 'NOK', kroner: 'NOK', kr: 'kr',
+};
+
+const CONNECTORS = ['to', 'in', 'into', 'as'];
+
+const MULTIPLIERS = { k: '1000', m: '1000000', mn: '1000000', b: '1000000000', bn: '1000000000' };
+
+/**
+ * Build a quick-convert error with a machine-readable code, mirroring the api client style.
+ * @param {string} message
+ * @param {'EMPTY'|'SYNTAX'|'CURRENCY'} code
+ * @returns {Error}
+ */
+function quickConvertError(message, code) {
+  const e = new Error(`[quick-convert] ${message}`);
+  e.code = code;
+  return e;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseQuickConvert
+ * Read a quick-convert query.
+ *
+ * @param {string} input e.g. "1.5k gbp usd"
+ * @param {{
+ *   signs?: Record<string, string>,
+ *   numberSettings?: object,
+ *   codes?: string[],
+ *   defaultTo?: string
+ * }} [options] signs: currencies for $, ¥ and kr (see DEFAULT_SIGN_CURRENCIES); numberSettings:
+ *   how numbers are typed (utils/locale); codes: known currency codes, to reject others;
+ *   defaultTo: target when the query names one currency (default USD, or EUR for USD itself)
+ * @returns {{ amount: string, from: string, to: string }} amount is a decimal string
+ */
+export function parseQuickConvert(input, options = {}) {
+  const text = String(input ?? '').trim();
+  if (!text) throw quickConvertError('Type an amount and currencies, e.g. "250 eur to jpy"', 'EMPTY');
+  const signs = { ...DEFAULT_SIGN_CURRENCIES, ...(options.signs || {}) };
+  const symbols = { ...CURRENCY_SYMBOLS, $: signs.$, '¥': signs['¥'] };
+  const symbolKeys = Object.keys(symbols).sort((a, b) => b.length - a.length);
+  const known = options.codes ? new Set(options.codes) : null;
+
+  let amount;
+  const currencies = [];
+  const addCurrency = (code) => {
+    if (known && !known.has(code)) throw quickConvertError(`Unknown currency "${code}"`, 'CURRENCY');
+    currencies.push(code);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const skip = /^(?:\s+|->|=>|→|=)/.exec(rest);
+    if (skip) {
+      i += skip[0].length;
+      continue;
+    }
+
+    const num = /^([0-9][0-9.,'’]*|[.,][0-9]+)(?:(k|mn|m|bn|b)(?![a-z]))?/i.exec(rest);
+    if (num) {
+      if (amount !== undefined) throw quickConvertError('Only one amount can be converted', 'SYNTAX');
+      const value = parseLocaleDecimal(num[1], options.numberSettings);
+      if (value === undefined) throw quickConvertError(`Invalid amount "${num[1]}"`, 'SYNTAX');
+      amount = num[2] ? decimalToString(multiplyDecimal(value, MULTIPLIERS[num[2].toLowerCase()])) : value;
+      i += num[0].length;
+      continue;
+    }
+
+    const symbol = symbolKeys.find((s) => rest.toUpperCase().startsWith(s.toUpperCase()));
+    if (symbol) {
+      addCurrency(symbols[symbol]);
+      i += symbol.length;
+      continue;
+    }
+
+    const word = /^[a-z]+/i.exec(rest);
+    if (word) {
+      const w = word[0].toLowerCase();
+      if (!CONNECTORS.includes(w)) {
+        const named = CURRENCY_WORDS[w];
+        if (named) addCurrency(named === '$' || named === 'kr' ? signs[named] : named);
+        else if (w.length === 3) addCurrency(w.toUpperCase());
+        else throw quickConvertError(`Unknown currency "${word[0]}"`, 'CURRENCY');
+      }
+      i += w.length;
+      continue;
+    }
+    throw quickConvertError(`Unexpected "${rest[0]}"`, 'SYNTAX');
+  }
+
+  if (!currencies.length) throw quickConvertError('Name a currency, e.g. "250 eur to jpy"', 'SYNTAX');
+  if (currencies.length > 2) throw quickConvertError('Name at most two currencies', 'SYNTAX');
+  const [from] = currencies;
+  const fallback = options.defaultTo || 'USD';
+  const to = currencies[1] || (fallback !== from ? fallback : from === 'EUR' ? 'USD' : 'EUR');
+  return { amount: amount ?? '1', from, to };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadQuickConvertSettings
+ * Saved sign settings, falling back to DEFAULT_SIGN_CURRENCIES for missing or invalid entries.
+ *
+ * @returns {{ signs: Record<string, string> }}
+ */
+export function loadQuickConvertSettings() {
+  const signs = { ...DEFAULT_SIGN_CURRENCIES };
+  try {
+    const raw = window.localStorage.getItem(QUICK_CONVERT_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : undefined;
+    Object.keys(AMBIGUOUS_SIGNS).forEach((sign) => {
+      if (AMBIGUOUS_SIGNS[sign].includes(data?.signs?.[sign])) signs[sign] = data.signs[sign];
+    });
+  } catch {
+    // ignore
+  }
+  return { signs };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * persistQuickConvertSettings
+ * Best-effort save of the sign settings.
+ *
+ * @param {{ signs: Record<string, string> }} settings
+ */
+export function persistQuickConvertSettings(settings) {
+  try {
+    window.localStorage.setItem(QUICK_CONVERT_STORAGE_KEY, JSON.stringify({ signs: settings.signs, ts: Date.now() }));
+  } catch {
+    // ignore
+  }
+}
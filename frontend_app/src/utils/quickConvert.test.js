@@ -0,0 +1,59 @@
+import {
+  DEFAULT_SIGN_CURRENCIES, QUICK_CONVERT_STORAGE_KEY, loadQuickConvertSettings, parseQuickConvert, persistQuickConvertSettings,
+} from './quickConvert';
+
+describe('parseQuickConvert', () => {
+  test('reads amount, source and target in the documented forms', () => {
+    expect(parseQuickConvert('250 eur to jpy')).toEqual({ amount: '250', from: 'EUR', to: 'JPY' });
+    expect(parseQuickConvert('€40 in $')).toEqual({ amount: '40', from: 'EUR', to: 'USD' });
+    expect(parseQuickConvert('1.5k gbp usd')).toEqual({ amount: '1500', from: 'GBP', to: 'USD' });
+    expect(parseQuickConvert('CHF 12.5 -> €')).toEqual({ amount: '12.5', from: 'CHF', to: 'EUR' });
+    expect(parseQuickConvert('2M JPY → usd')).toEqual({ amount: '2000000', from: 'JPY', to: 'USD' });
+    expect(parseQuickConvert('100mxn = cad')).toEqual({ amount: '100', from: 'MXN', to: 'CAD' });
+  });
+
+  test('reads currency names and defaults the amount to 1', () => {
+    expect(parseQuickConvert('euros to yen')).toEqual({ amount: '1', from: 'EUR', to: 'JPY' });
+    expect(parseQuickConvert('20 pounds in dollars')).toEqual({ amount: '20', from: 'GBP', to: 'USD' });
+  });
+
+  test('uses the default target when only one currency is named', () => {
+    expect(parseQuickConvert('50 eur')).toEqual({ amount: '50', from: 'EUR', to: 'USD' });
+    expect(parseQuickConvert('$50')).toEqual({ amount: '50', from: 'USD', to: 'EUR' });
+    expect(parseQuickConvert('50 eur', { defaultTo: 'GBP' }).to).toBe('GBP');
+  });
+
+  test('resolves ambiguous signs from the settings', () => {
+    const signs = { $: 'CAD', '¥': 'CNY', kr: 'NOK' };
+    expect(parseQuickConvert('$10 to ¥', { signs })).toEqual({ amount: '10', from: 'CAD', to: 'CNY' });
+    expect(parseQuickConvert('100 kr in dollars', { signs })).toEqual({ amount: '100', from: 'NOK', to: 'CAD' });
+    expect(parseQuickConvert('A$5 to US$', { signs })).toEqual({ amount: '5', from: 'AUD', to: 'USD' });
+  });
+
+  test('reads numbers in the configured format', () => {
+    const numberSettings = { locale: 'de-DE', decimal: '', group: '', precision: null };
+    expect(parseQuickConvert('1.234,5 eur to usd', { numberSettings }).amount).toBe('1234.5');
+    expect(parseQuickConvert('1,5k eur', { numberSettings }).amount).toBe('1500');
+  });
+
+  test('rejects incomplete or unknown queries with codes', () => {
+    expect(() => parseQuickConvert('  ')).toThrow(expect.objectContaining({ code: 'EMPTY' }));
+    expect(() => parseQuickConvert('250')).toThrow(expect.objectContaining({ code: 'SYNTAX' }));
+    expect(() => parseQuickConvert('1 eur 2 usd')).toThrow(expect.objectContaining({ code: 'SYNTAX' }));
+    expect(() => parseQuickConvert('1 eur usd gbp')).toThrow(/at most two/);
+    expect(() => parseQuickConvert('5 bananas')).toThrow(expect.objectContaining({ code: 'CURRENCY' }));
+    expect(() => parseQuickConvert('5 xyz to usd', { codes: ['USD', 'EUR'] })).toThrow(/Unknown currency "XYZ"/);
+  });
+});
+
+describe('quick convert settings', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('loads defaults and keeps only valid saved signs', () => {
+    expect(loadQuickConvertSettings()).toEqual({ signs: { ...DEFAULT_SIGN_CURRENCIES } });
+    persistQuickConvertSettings({ signs: { $: 'AUD', '¥': 'EUR' } });
+    expect(loadQuickConvertSettings().signs).toEqual({ ...DEFAULT_SIGN_CURRENCIES, $: 'AUD' });
+    window.localStorage.setItem(QUICK_CONVERT_STORAGE_KEY, '{broken');
+    expect(loadQuickConvertSettings().signs).toEqual({ ...DEFAULT_SIGN_CURRENCIES });
+  });
+});
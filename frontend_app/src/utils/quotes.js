@@ -0,0 +1,191 @@
+//
+// Quote settings: direct or inverse rate quotes, and bank-style spreads around the mid rate.
+//
+// A direct quote is 1 BASE = rate CODE; an inverse quote is 1 CODE = 1/rate BASE (what you want
+// for KWD, GBP or EUR against USD). Spreads are markups in percent applied on each side of the
+// mid rate of the quote shown: bid = mid × (1 − markup), ask = mid × (1 + markup). Markups are
+// set per currency, with a default for the others; a pair uses the larger markup of its two
+// currencies. A conversion at the bank rate gives the customer the amount less the markup.
+//
+// Storage schema:
+//  - Key: 'cc_hub_quotes_v1'
+//  - Value: JSON.stringify({ quote, spreads: { enabled, defaultMarkup, markups, applyInConverter }, ts })
+//
+
+import { decimalToNumber, decimalToString, multiplyDecimal, roundDecimal, subtractDecimal, toDecimal } from './decimal';
+
+// PUBLIC_INTERFACE
+// QUOTES_STORAGE_KEY / MAX_MARKUP
+export const QUOTES_STORAGE_KEY = 'cc_hub_quotes_v1';
+export const MAX_MARKUP = 50;
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_QUOTE_SETTINGS
+ * Direct quotes, spreads off. Markups are decimal strings in percent, e.g. '1.5'.
+ */
+export const DEFAULT_QUOTE_SETTINGS = Object.freeze({
+  quote: 'direct',
+  spreads: Object.freeze({
+    enabled: false,
+    defaultMarkup: '0',
+    markups: Object.freeze({}),
+    applyInConverter: false,
+  }),
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * validateMarkup
+ * Reason a markup cannot be used, or '' when it is fine.
+ *
+ * @param {string} value percent, e.g. '1.5'
+ * @returns {string}
+ */
+export function validateMarkup(value) {
+  const s = String(value ?? '').trim();
+  if (!/^\d*\.?\d+$|^\d+\.$/.test(s)) return 'Enter a markup in percent, e.g. 1.5';
+  const n = Number(s);
+  if (n < 0 || n >= MAX_MARKUP) return `Markup must be between 0 and ${MAX_MARKUP}%`;
+  return '';
+}
+
+/**
+ * Canonical markup string ('1.50' => '1.5'), or undefined when invalid.
+ */
+function normalizeMarkup(value) {
+  if (validateMarkup(value)) return undefined;
+  return decimalToString(toDecimal(String(value).trim()));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeQuoteSettings
+ * Settings with every field valid, falling back to the defaults field by field.
+ *
+ * @param {any} data
+ * @returns {typeof DEFAULT_QUOTE_SETTINGS}
+ */
+export function normalizeQuoteSettings(data) {
+  const spreads = data?.spreads || {};
+  const markups = {};
+  Object.entries(spreads.markups || {}).forEach(([code, value]) => {
+    const markup = normalizeMarkup(value);
+    if (/^[A-Z]{3}$/.test(code) && markup !== undefined) markups[code] = markup;
+  });
+  return {
+    quote: data?.quote === 'inverse' ? 'inverse' : 'direct',
+    spreads: {
+      enabled: spreads.enabled === true,
+      defaultMarkup: normalizeMarkup(spreads.defaultMarkup) ?? '0',
+      markups,
+      applyInConverter: spreads.applyInConverter === true,
+    },
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadQuoteSettings
+ * Saved quote settings, or the defaults.
+ *
+ * @returns {typeof DEFAULT_QUOTE_SETTINGS}
+ */
+export function loadQuoteSettings() {
+  try {
+    const raw = window.localStorage.getItem(QUOTES_STORAGE_KEY);
+    return normalizeQuoteSettings(raw ? JSON.parse(raw) : undefined);
+  } catch {
+    return normalizeQuoteSettings(undefined);
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * persistQuoteSettings
+ * Best-effort save of the quote settings.
+ *
+ * @param {typeof DEFAULT_QUOTE_SETTINGS} settings
+ */
+export function persistQuoteSettings(settings) {
+  try {
+    window.localStorage.setItem(QUOTES_STORAGE_KEY, JSON.stringify({ ...settings, ts: Date.now() }));
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * markupFor
+ * Markup in percent for one currency: its own, or the default.
+ *
+ * @param {typeof DEFAULT_QUOTE_SETTINGS['spreads']} spreads
+ * @param {string} code
+ * @returns {string}
+ */
+export function markupFor(spreads, code) {
+  return spreads?.markups?.[code] ?? spreads?.defaultMarkup ?? '0';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * pairMarkup
+ * Markup in percent for a currency pair: the larger of the two currencies' markups.
+ *
+ * @param {typeof DEFAULT_QUOTE_SETTINGS['spreads']} spreads
+ * @param {string} from
+ * @param {string} to
+ * @returns {string}
+ */
+export function pairMarkup(spreads, from, to) {
+  const a = markupFor(spreads, from);
+  const b = markupFor(spreads, to);
+  return Number(a) >= Number(b) ? a : b;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * quoteRate
+ * The rate as shown for a quote direction: rate itself (direct) or 1/rate (inverse).
+ *
+ * @param {number} rate 1 BASE = rate CODE
+ * @param {'direct'|'inverse'} quote
+ * @returns {number} NaN for a missing or non-positive rate
+ */
+export function quoteRate(rate, quote) {
+  if (!(typeof rate === 'number' && Number.isFinite(rate) && rate > 0)) return NaN;
+  return quote === 'inverse' ? 1 / rate : rate;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * quoteSides
+ * Bid, mid and ask around a mid rate.
+ *
+ * @param {number} mid
+ * @param {string} markup percent on each side
+ * @returns {{ bid: number, mid: number, ask: number }}
+ */
+export function quoteSides(mid, markup) {
+  if (!Number.isFinite(mid)) return { bid: NaN, mid: NaN, ask: NaN };
+  const m = decimalToNumber(toDecimal(markup || '0')) / 100;
+  return { bid: mid * (1 - m), mid, ask: mid * (1 + m) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * applyMarkup
+ * Amount the customer receives at the bank rate: amount × (1 − markup / 100), exactly, then
+ * rounded with options (e.g. currencyDecimalOptions of the target).
+ *
+ * @param {string} amount decimal string
+ * @param {string} markup percent
+ * @param {{ scale?: number, rounding?: string }} [options]
+ * @returns {string}
+ */
+export function applyMarkup(amount, markup, options) {
+  const factor = subtractDecimal('1', multiplyDecimal(markup || '0', '0.01'));
+  const value = multiplyDecimal(amount, factor);
+  return decimalToString(options ? roundDecimal(value, options) : value);
+}
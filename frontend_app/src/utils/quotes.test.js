@@ -0,0 +1,77 @@
+import {
+  DEFAULT_QUOTE_SETTINGS, QUOTES_STORAGE_KEY, applyMarkup, loadQuoteSettings, markupFor, normalizeQuoteSettings,
+  pairMarkup, persistQuoteSettings, quoteRate, quoteSides, validateMarkup,
+} from './quotes';
+
+describe('validateMarkup', () => {
+  test('accepts percentages from 0 up to the maximum', () => {
+    expect(validateMarkup('0')).toBe('');
+    expect(validateMarkup('1.5')).toBe('');
+    expect(validateMarkup('.25')).toBe('');
+    expect(validateMarkup('abc')).toMatch(/percent/);
+    expect(validateMarkup('-1')).toMatch(/percent/);
+    expect(validateMarkup('50')).toMatch(/between/);
+  });
+});
+
+describe('normalizeQuoteSettings', () => {
+  test('falls back to the defaults field by field', () => {
+    expect(normalizeQuoteSettings(undefined)).toEqual(DEFAULT_QUOTE_SETTINGS);
+    expect(normalizeQuoteSettings({
+      quote: 'inverse',
+      spreads: { enabled: true, defaultMarkup: 'x', markups: { EUR: '1.50', usd: '1', GBP: '99' } },
+    })).toEqual({
+      quote: 'inverse',
+      spreads: { enabled: true, defaultMarkup: '0', markups: { EUR: '1.5' }, applyInConverter: false },
+    });
+  });
+});
+
+describe('markups', () => {
+  const spreads = { enabled: true, defaultMarkup: '0.5', markups: { TRY: '3', EUR: '0.25' } };
+
+  test('uses the currency markup or the default', () => {
+    expect(markupFor(spreads, 'TRY')).toBe('3');
+    expect(markupFor(spreads, 'JPY')).toBe('0.5');
+  });
+
+  test('uses the larger markup of a pair', () => {
+    expect(pairMarkup(spreads, 'EUR', 'TRY')).toBe('3');
+    expect(pairMarkup(spreads, 'EUR', 'JPY')).toBe('0.5');
+  });
+});
+
+describe('quotes', () => {
+  test('inverts rates for inverse quotes', () => {
+    expect(quoteRate(0.25, 'direct')).toBe(0.25);
+    expect(quoteRate(0.25, 'inverse')).toBe(4);
+    expect(quoteRate(0, 'inverse')).toBeNaN();
+    expect(quoteRate(undefined, 'direct')).toBeNaN();
+  });
+
+  test('puts bid and ask around the mid rate', () => {
+    const { bid, mid, ask } = quoteSides(2, '1');
+    expect(bid).toBeCloseTo(1.98, 10);
+    expect(mid).toBe(2);
+    expect(ask).toBeCloseTo(2.02, 10);
+    expect(quoteSides(NaN, '1').bid).toBeNaN();
+  });
+
+  test('marks amounts down exactly', () => {
+    expect(applyMarkup('100', '1.5')).toBe('98.5');
+    expect(applyMarkup('33.33', '2.5', { scale: 2, rounding: 'half-even' })).toBe('32.5');
+    expect(applyMarkup('10', '0')).toBe('10');
+  });
+});
+
+describe('storage', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('round-trips the settings and survives broken storage', () => {
+    const settings = normalizeQuoteSettings({ quote: 'inverse', spreads: { enabled: true, markups: { KWD: '0.8' } } });
+    persistQuoteSettings(settings);
+    expect(loadQuoteSettings()).toEqual(settings);
+    window.localStorage.setItem(QUOTES_STORAGE_KEY, '{broken');
+    expect(loadQuoteSettings()).toEqual(DEFAULT_QUOTE_SETTINGS);
+  });
+});
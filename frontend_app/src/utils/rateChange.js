@@ -0,0 +1,69 @@
+//
+// Day-over-day rate changes: how far each rate moved since the previous day's fixing, and the
+// "biggest movers" order for the morning look at what moved overnight. Changes are computed on
+// the quote as shown (direct or inverse), so an up arrow always means the number went up.
+// Designed to be pure and easily testable.
+//
+
+import { previousBusinessDay } from './date';
+
+/**
+ * PUBLIC_INTERFACE
+ * isPreviousDayOf
+ * Whether rates dated previousDate can serve as the previous day of date: earlier than date,
+ * and no older than the business day before it.
+ *
+ * @param {string | undefined} previousDate YYYY-MM-DD
+ * @param {string | undefined} date YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isPreviousDayOf(previousDate, date) {
+  if (!previousDate || !date) return false;
+  return previousDate < date && previousDate >= previousBusinessDay(date);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rateChange
+ * Absolute and percentage change from a previous rate.
+ *
+ * @param {number} current
+ * @param {number} previous
+ * @returns {{ change: number, percent: number } | undefined} undefined when either rate is missing
+ */
+export function rateChange(current, previous) {
+  const valid = (n) => typeof n === 'number' && Number.isFinite(n) && n > 0;
+  if (!valid(current) || !valid(previous)) return undefined;
+  const change = current - previous;
+  return { change, percent: (change / previous) * 100 };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * changeDirection
+ * 'up', 'down' or 'flat' for a change, with moves under 0.00005% counted as flat so float noise
+ * from re-quoting does not show as a move.
+ *
+ * @param {{ percent: number } | undefined} change
+ * @returns {'up' | 'down' | 'flat' | undefined}
+ */
+export function changeDirection(change) {
+  if (!change) return undefined;
+  if (Math.abs(change.percent) < 0.00005) return 'flat';
+  return change.percent > 0 ? 'up' : 'down';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * sortByMovers
+ * Rows ordered by the size of their percentage move, largest first; rows without a change go
+ * last, alphabetically.
+ *
+ * @template {{ code: string, change?: { percent: number } }} T
+ * @param {T[]} rows
+ * @returns {T[]} a new array
+ */
+export function sortByMovers(rows) {
+  const size = (r) => (r.change ? Math.abs(r.change.percent) : -1);
+  return [...rows].sort((a, b) => size(b) - size(a) || a.code.localeCompare(b.code));
+}
@@ -0,0 +1,41 @@
+import { changeDirection, isPreviousDayOf, rateChange, sortByMovers } from './rateChange';
+
+describe('isPreviousDayOf', () => {
+  test('accepts the business day before, including over a weekend', () => {
+    expect(isPreviousDayOf('2024-03-27', '2024-03-28')).toBe(true);
+    expect(isPreviousDayOf('2024-03-22', '2024-03-25')).toBe(true);
+    expect(isPreviousDayOf('2024-03-26', '2024-03-28')).toBe(false);
+    expect(isPreviousDayOf('2024-03-28', '2024-03-28')).toBe(false);
+    expect(isPreviousDayOf(undefined, '2024-03-28')).toBe(false);
+  });
+});
+
+describe('rateChange', () => {
+  test('gives the absolute and percentage change', () => {
+    const c = rateChange(0.92, 0.9);
+    expect(c.change).toBeCloseTo(0.02, 10);
+    expect(c.percent).toBeCloseTo(2.2222, 4);
+    expect(rateChange(1, undefined)).toBeUndefined();
+    expect(rateChange(0, 1)).toBeUndefined();
+  });
+
+  test('reads the direction with float noise as flat', () => {
+    expect(changeDirection({ percent: 0.5 })).toBe('up');
+    expect(changeDirection({ percent: -0.01 })).toBe('down');
+    expect(changeDirection(rateChange(1 / 3, 0.3333333333333333))).toBe('flat');
+    expect(changeDirection(undefined)).toBeUndefined();
+  });
+});
+
+describe('sortByMovers', () => {
+  test('orders by the size of the move, unknown changes last', () => {
+    const rows = [
+      { code: 'EUR', change: { percent: 0.2 } },
+      { code: 'ZAR', change: undefined },
+      { code: 'TRY', change: { percent: -1.5 } },
+      { code: 'AUD', change: undefined },
+      { code: 'JPY', change: { percent: 0.9 } },
+    ];
+    expect(sortByMovers(rows).map((r) => r.code)).toEqual(['TRY', 'JPY', 'EUR', 'AUD', 'ZAR']);
+  });
+});
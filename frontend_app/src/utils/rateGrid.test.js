@@ -0,0 +1,69 @@
+import {
+  DEFAULT_RATE_GRID_SETTINGS, RATE_GRID_STORAGE_KEY, defaultSortDir, describeSort, loadRateGridSettings,
+  normalizeRateGridSettings, persistRateGridSettings, sortRateRows, visibleRowRange,
+} from './rateGrid';
+
+const ROWS = [
+  { code: 'JPY', description: 'Japanese Yen', rate: 151.3, change: { percent: 0.4 } },
+  { code: 'EUR', description: 'Euro', rate: 0.92, change: { percent: -0.2 } },
+  { code: 'KWD', description: '', rate: 0.31, change: undefined },
+  { code: 'ZAR', description: 'South African Rand', rate: 18.9, change: { percent: 1.1 } },
+];
+const codes = (rows) => rows.map((r) => r.code);
+
+describe('sortRateRows', () => {
+  test('sorts by code, name, rate and inverse in both directions', () => {
+    expect(codes(sortRateRows(ROWS, { by: 'code', dir: 'asc' }))).toEqual(['EUR', 'JPY', 'KWD', 'ZAR']);
+    expect(codes(sortRateRows(ROWS, { by: 'code', dir: 'desc' }))).toEqual(['ZAR', 'KWD', 'JPY', 'EUR']);
+    expect(codes(sortRateRows(ROWS, { by: 'name', dir: 'asc' }))).toEqual(['EUR', 'JPY', 'ZAR', 'KWD']);
+    expect(codes(sortRateRows(ROWS, { by: 'rate', dir: 'desc' }))).toEqual(['JPY', 'ZAR', 'EUR', 'KWD']);
+    expect(codes(sortRateRows(ROWS, { by: 'inverse', dir: 'desc' }))).toEqual(['KWD', 'EUR', 'ZAR', 'JPY']);
+  });
+
+  test('keeps rows without a change last in either direction', () => {
+    expect(codes(sortRateRows(ROWS, { by: 'change', dir: 'desc' }))).toEqual(['ZAR', 'JPY', 'EUR', 'KWD']);
+    expect(codes(sortRateRows(ROWS, { by: 'change', dir: 'asc' }))).toEqual(['EUR', 'JPY', 'ZAR', 'KWD']);
+  });
+
+  test('supports the top currencies and biggest movers orders', () => {
+    expect(codes(sortRateRows(ROWS, { by: 'top' }, { topCodes: ['USD', 'JPY', 'EUR'] }))).toEqual(['JPY', 'EUR', 'KWD', 'ZAR']);
+    expect(codes(sortRateRows(ROWS, { by: 'movers' }))).toEqual(['ZAR', 'JPY', 'EUR', 'KWD']);
+  });
+});
+
+describe('sort descriptions', () => {
+  test('describes sorts and their default directions', () => {
+    expect(describeSort({ by: 'code', dir: 'asc' })).toBe('alphabetical');
+    expect(describeSort({ by: 'inverse', dir: 'desc' })).toBe('inverse rate, high to low');
+    expect(describeSort({ by: 'top' })).toBe('top currencies first');
+    expect(defaultSortDir('change')).toBe('desc');
+    expect(defaultSortDir('name')).toBe('asc');
+  });
+});
+
+describe('visibleRowRange', () => {
+  test('renders the rows in view plus overscan', () => {
+    expect(visibleRowRange({ count: 170, rowHeight: 50, viewportHeight: 500, scrollTop: 0, overscan: 5 })).toEqual({ start: 0, end: 16 });
+    expect(visibleRowRange({ count: 170, rowHeight: 50, viewportHeight: 500, scrollTop: 2000, overscan: 5 })).toEqual({ start: 35, end: 56 });
+    expect(visibleRowRange({ count: 170, rowHeight: 50, viewportHeight: 500, scrollTop: 9000, overscan: 5 })).toEqual({ start: 165, end: 170 });
+    expect(visibleRowRange({ count: 0, rowHeight: 50, viewportHeight: 500, scrollTop: 0 })).toEqual({ start: 0, end: 0 });
+  });
+});
+
+describe('grid settings', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('drops unknown or fixed columns and unknown sorts', () => {
+    expect(normalizeRateGridSettings({ hidden: ['history', 'code', 'nope', 'history'], sort: { by: 'rate', dir: 'desc' } }))
+      .toEqual({ hidden: ['history'], sort: { by: 'rate', dir: 'desc' } });
+    expect(normalizeRateGridSettings({ sort: { by: 'alpha' } })).toEqual(DEFAULT_RATE_GRID_SETTINGS);
+  });
+
+  test('round-trips the settings and survives broken storage', () => {
+    const settings = { hidden: ['name', 'inverse'], sort: { by: 'change', dir: 'asc' } };
+    persistRateGridSettings(settings);
+    expect(loadRateGridSettings()).toEqual(settings);
+    window.localStorage.setItem(RATE_GRID_STORAGE_KEY, '{broken');
+    expect(loadRateGridSettings()).toEqual(DEFAULT_RATE_GRID_SETTINGS);
+  });
+});
@@ -0,0 +1,169 @@
+//
+// Rate matrix: derive cross rates for any base from one fetched rates table.
+//
+// A table { base: 'USD', rates: { EUR: 0.93, JPY: 151.2 } } already determines every pair:
+//   EUR->JPY = rate(JPY) / rate(EUR)          path EUR → USD → JPY
+//   EUR->USD = 1 / rate(EUR)                  path EUR → USD
+// so switching the displayed base needs no extra request.
+//
+// Precision: published rates are rounded to a fixed number of decimal places, so each carries
+// up to half a unit in its last place of error. A cross rate divides two of them and their
+// relative errors add up; that bound is reported as `relativeError` next to every derived rate.
+// The division itself is done in decimal (utils/decimal) so derived rates carry no float drift.
+//
+
+import { decimalToNumber, divideDecimal, toDecimal } from './decimal';
+
+// PUBLIC_INTERFACE
+// CROSS_RATE_DECIMAL_OPTIONS
+// Precision of derived rates: far below any published rate precision, even for tiny rates.
+export const CROSS_RATE_DECIMAL_OPTIONS = Object.freeze({ scale: 15, rounding: 'half-even' });
+
+/**
+ * Rate of `code` in the table, with the table base fixed at exactly 1.
+ */
+function tableRate(table, code) {
+  if (code === table.base) return 1;
+  const v = table.rates?.[code];
+  return typeof v === 'number' && Number.isFinite(v) && v > 0 ? v : undefined;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * publishedRelativeError
+ * Worst-case relative rounding error of a published rate: half a unit in its last decimal place
+ * divided by the rate (0.93 => 0.005 / 0.93). The table base (rate 1 by definition) is exact.
+ *
+ * @param {number} rate
+ * @returns {number} NaN for missing or non-positive rates
+ */
+export function publishedRelativeError(rate) {
+  if (!(typeof rate === 'number' && Number.isFinite(rate) && rate > 0)) return NaN;
+  const { scale } = toDecimal(rate);
+  return (0.5 * 10 ** -scale) / rate;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * crossRate
+ * Rate for 1 `from` in `to`, derived from a table quoted against another base.
+ *
+ * @param {{ base: string, rates: Record<string, number> }} table
+ * @param {string} from
+ * @param {string} to
+ * @returns {{ rate: number, path: string[], relativeError: number } | undefined}
+ *   path lists the currencies the rate was derived through, e.g. ['EUR', 'USD', 'JPY']
+ */
+export function crossRate(table, from, to) {
+  const f = (from || '').toUpperCase();
+  const t = (to || '').toUpperCase();
+  const base = (table?.base || '').toUpperCase();
+  if (!table || !base) return undefined;
+  if (f === t) return { rate: 1, path: [f], relativeError: 0 };
+
+  const t0 = { ...table, base };
+  const rf = tableRate(t0, f);
+  const rt = tableRate(t0, t);
+  if (rf === undefined || rt === undefined) return undefined;
+
+  const path = f === base || t === base ? [f, t] : [f, base, t];
+  const relativeError = (f === base ? 0 : publishedRelativeError(rf)) + (t === base ? 0 : publishedRelativeError(rt));
+  const rate = decimalToNumber(divideDecimal(toDecimal(rt), toDecimal(rf), CROSS_RATE_DECIMAL_OPTIONS));
+  return { rate, path, relativeError };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deriveRateTable
+ * Re-quote a whole rates table against `newBase`. The source base is included as a regular
+ * currency (the inverse rate) and `newBase` maps to exactly 1, so the result can feed
+ * convertAmount and the rate lists unchanged.
+ *
+ * @param {{ base: string, date?: string, rates: Record<string, number> }} table
+ * @param {string} newBase
+ * @returns {{
+ *   base: string,
+ *   date?: string,
+ *   sourceBase: string,
+ *   derived: boolean,
+ *   rates: Record<string, number>,
+ *   paths: Record<string, string[]>,
+ *   relativeErrors: Record<string, number>,
+ *   maxRelativeError: number
+ * } | undefined} undefined when `newBase` has no rate in the table
+ */
+export function deriveRateTable(table, newBase) {
+  const sourceBase = (table?.base || '').toUpperCase();
+  const nb = (newBase || sourceBase).toUpperCase();
+  if (!sourceBase || tableRate({ ...table, base: sourceBase }, nb) === undefined) return undefined;
+
+  const codes = new Set([...Object.keys(table.rates || {}), sourceBase]);
+  const rates = {};
+  const paths = {};
+  const relativeErrors = {};
+  let maxRelativeError = 0;
+  for (const code of codes) {
+    const cross = crossRate(table, nb, code);
+    if (!cross) continue;
+    rates[code] = cross.rate;
+    paths[code] = cross.path;
+    relativeErrors[code] = cross.relativeError;
+    if (cross.relativeError > maxRelativeError) maxRelativeError = cross.relativeError;
+  }
+
+  return {
+    base: nb,
+    date: table.date,
+    sourceBase,
+    derived: nb !== sourceBase,
+    rates,
+    paths,
+    relativeErrors,
+    maxRelativeError,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deriveSeries
+ * Re-quote per-currency histories ({ code: [{ date, rate }] } against `sourceBase`) against
+ * `newBase`, day by day. Needs the `newBase` history itself; days missing it are dropped.
+ *
+ * @param {Record<string, { date: string, rate: number }[]>} series
+ * @param {string} sourceBase
+ * @param {string} newBase
+ * @returns {Record<string, { date: string, rate: number }[]>}
+ */
+export function deriveSeries(series, sourceBase, newBase) {
+  const sb = (sourceBase || '').toUpperCase();
+  const nb = (newBase || sb).toUpperCase();
+  if (nb === sb) return series || {};
+
+  const pivot = new Map();
+  for (const point of series?.[nb] || []) pivot.set(point.date, point.rate);
+
+  const out = {};
+  for (const [code, points] of Object.entries(series || {})) {
+    if (code === nb) continue;
+    out[code] = points
+      .filter((p) => pivot.get(p.date) > 0)
+      .map((p) => ({ date: p.date, rate: p.rate / pivot.get(p.date) }));
+  }
+  // the old base is 1 on every day, so its history is the inverse of the new base's
+  out[sb] = [...pivot.entries()].filter(([, r]) => r > 0).map(([date, r]) => ({ date, rate: 1 / r }));
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatRelativeError
+ * Human readable precision bound, e.g. 0.0000123 => '±0.0012%'.
+ *
+ * @param {number} relativeError
+ * @returns {string}
+ */
+export function formatRelativeError(relativeError) {
+  if (!Number.isFinite(relativeError)) return '—';
+  if (relativeError === 0) return 'exact';
+  return `±${Number((relativeError * 100).toPrecision(2))}%`;
+}
@@ -0,0 +1,60 @@
+import { convertAmount } from './currency';
+import { crossRate, deriveRateTable, deriveSeries, formatRelativeError, publishedRelativeError } from './rateMatrix';
+
+const USD_TABLE = { base: 'USD', date: '2024-05-02', rates: { EUR: 0.8, GBP: 0.64, JPY: 150 } };
+
+describe('rate matrix', () => {
+  test('publishedRelativeError is half a unit in the last published place', () => {
+    expect(publishedRelativeError(0.8)).toBeCloseTo(0.05 / 0.8, 12);
+    expect(publishedRelativeError(150)).toBeCloseTo(0.5 / 150, 12);
+    expect(publishedRelativeError(0)).toBeNaN();
+  });
+
+  test('crossRate reports the path through the table base', () => {
+    expect(crossRate(USD_TABLE, 'EUR', 'JPY')).toMatchObject({ rate: 187.5, path: ['EUR', 'USD', 'JPY'] });
+    expect(crossRate(USD_TABLE, 'EUR', 'USD')).toMatchObject({ rate: 1.25, path: ['EUR', 'USD'] });
+    expect(crossRate(USD_TABLE, 'USD', 'GBP')).toEqual({ rate: 0.64, path: ['USD', 'GBP'], relativeError: publishedRelativeError(0.64) });
+    expect(crossRate(USD_TABLE, 'EUR', 'XXX')).toBeUndefined();
+  });
+
+  test('cross rate errors add up from both legs', () => {
+    const { relativeError } = crossRate(USD_TABLE, 'EUR', 'GBP');
+    expect(relativeError).toBeCloseTo(publishedRelativeError(0.8) + publishedRelativeError(0.64), 12);
+  });
+
+  test('deriveRateTable re-quotes every currency against the new base', () => {
+    const eur = deriveRateTable(USD_TABLE, 'eur');
+    expect(eur).toMatchObject({ base: 'EUR', sourceBase: 'USD', derived: true, date: '2024-05-02' });
+    expect(eur.rates).toEqual({ EUR: 1, USD: 1.25, GBP: 0.8, JPY: 187.5 });
+    expect(eur.paths.JPY).toEqual(['EUR', 'USD', 'JPY']);
+    expect(eur.relativeErrors.EUR).toBe(0);
+    expect(eur.maxRelativeError).toBeCloseTo(publishedRelativeError(0.8) + publishedRelativeError(0.64), 12);
+    expect(deriveRateTable(USD_TABLE, 'XXX')).toBeUndefined();
+  });
+
+  test('derived tables convert like the source table', () => {
+    const eur = deriveRateTable(USD_TABLE, 'EUR');
+    expect(convertAmount(100, 'GBP', 'JPY', eur.rates, eur.base)).toBeCloseTo(
+      convertAmount(100, 'GBP', 'JPY', USD_TABLE.rates, 'USD'),
+      8
+    );
+  });
+
+  test('deriveSeries re-quotes histories day by day', () => {
+    const series = {
+      EUR: [{ date: '2024-05-01', rate: 0.8 }, { date: '2024-05-02', rate: 0.5 }],
+      JPY: [{ date: '2024-05-01', rate: 160 }, { date: '2024-05-02', rate: 150 }, { date: '2024-05-03', rate: 151 }],
+    };
+    expect(deriveSeries(series, 'USD', 'EUR')).toEqual({
+      JPY: [{ date: '2024-05-01', rate: 200 }, { date: '2024-05-02', rate: 300 }],
+      USD: [{ date: '2024-05-01', rate: 1.25 }, { date: '2024-05-02', rate: 2 }],
+    });
+    expect(deriveSeries(series, 'USD', 'USD')).toBe(series);
+  });
+
+  test('formatRelativeError', () => {
+    expect(formatRelativeError(0)).toBe('exact');
+    expect(formatRelativeError(0.0000123)).toBe('±0.0012%');
+    expect(formatRelativeError(NaN)).toBe('—');
+  });
+});
@@ -0,0 +1,113 @@
+//
+// Rate sheets: the rates currently shown in Daily Rates, stamped with their date, base and source,
+// as CSV, JSON or a printable sheet. Rates are quoted as 1 base = rate currency; inverse is the
+// price of one unit of the currency in the base. Designed to be pure and easily testable.
+//
+
+import { toCsv } from './csv';
+import { decimalToString, divideDecimal } from './decimal';
+
+// Digits kept for inverse rates, as many as the converter's internal precision
+const INVERSE_OPTIONS = { scale: 10, rounding: 'half-even' };
+
+// Rows that fit in one column of an A4 portrait page at full print size, and the most columns
+// that fit across it
+const ROWS_PER_COLUMN = 40;
+const MAX_COLUMNS = 3;
+
+/**
+ * PUBLIC_INTERFACE
+ * buildRateSheet
+ * Rate sheet for a list of rows in display order.
+ *
+ * @param {{ code: string, description?: string, rate: number }[]} rows
+ * @param {{
+ *   base: string, date?: string, source?: string, derivedFrom?: string | null,
+ *   filter?: { query?: string, sortBy?: string, sortDir?: string }, generatedAt?: number
+ * }} meta source: provider name; derivedFrom: base of the fetched table when rates are cross rates;
+ *   filter.sortBy/sortDir: sort order of the rows (utils/rateGrid)
+ * @returns {{
+ *   base: string, date: string, source: string, derivedFrom: string | null,
+ *   filter: { query: string, sortBy: string, sortDir: string }, generatedAt: string,
+ *   rates: { code: string, currency: string, rate: number, inverse: string }[]
+ * }} generatedAt as an ISO timestamp
+ */
+export function buildRateSheet(rows, meta) {
+  return {
+    base: meta.base,
+    date: meta.date || '',
+    source: meta.source || '',
+    derivedFrom: meta.derivedFrom || null,
+    filter: {
+      query: meta.filter?.query || '',
+      sortBy: meta.filter?.sortBy || '',
+      sortDir: meta.filter?.sortDir || '',
+    },
+    generatedAt: new Date(meta.generatedAt ?? Date.now()).toISOString(),
+    rates: (rows || [])
+      .filter((r) => typeof r.rate === 'number' && Number.isFinite(r.rate) && r.rate > 0)
+      .map((r) => ({
+        code: r.code,
+        currency: r.description || '',
+        rate: r.rate,
+        inverse: decimalToString(divideDecimal('1', r.rate, INVERSE_OPTIONS)),
+      })),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rateSheetLayout
+ * How a printed sheet of `count` rows fits on one page: up to three side-by-side columns, then
+ * a smaller print size once even three columns would be longer than a page.
+ *
+ * @param {number} count
+ * @returns {{ columns: number, rowsPerColumn: number, scale: number }} scale: factor for the
+ *   table's font size and padding, 1 when the rows fit at full size
+ */
+export function rateSheetLayout(count) {
+  const columns = Math.min(MAX_COLUMNS, Math.max(1, Math.ceil(count / ROWS_PER_COLUMN)));
+  const rowsPerColumn = Math.ceil(count / columns);
+  return { columns, rowsPerColumn, scale: Math.min(1, ROWS_PER_COLUMN / Math.max(1, rowsPerColumn)) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rateSheetToCsv
+ * One row per currency; every row carries the base, rate date and source so a pasted range
+ * stays self-describing.
+ *
+ * @param {ReturnType<typeof buildRateSheet>} sheet
+ * @returns {string}
+ */
+export function rateSheetToCsv(sheet) {
+  return toCsv([
+    ['code', 'currency', 'rate', 'inverse', 'base', 'rate_date', 'source'],
+    ...sheet.rates.map((r) => [r.code, r.currency, r.rate, r.inverse, sheet.base, sheet.date, sheet.source]),
+  ]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rateSheetToJson
+ * The whole sheet, including the filter it was taken with, as indented JSON.
+ *
+ * @param {ReturnType<typeof buildRateSheet>} sheet
+ * @returns {string}
+ */
+export function rateSheetToJson(sheet) {
+  return JSON.stringify(sheet, null, 2);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * rateSheetFileName
+ * File name for an export, e.g. "rates-USD-2024-03-28.csv".
+ *
+ * @param {ReturnType<typeof buildRateSheet>} sheet
+ * @param {string} extension without the dot
+ * @returns {string}
+ */
+export function rateSheetFileName(sheet, extension) {
+  return `rates-${sheet.base}${sheet.date ? `-${sheet.date}` : ''}.${extension}`;
+}
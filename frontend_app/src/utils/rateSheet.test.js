@@ -0,0 +1,56 @@
+import { buildRateSheet, rateSheetFileName, rateSheetLayout, rateSheetToCsv, rateSheetToJson } from './rateSheet';
+import { parseCsv } from './csv';
+
+const ROWS = [
+  { code: 'EUR', description: 'Euro', rate: 0.8 },
+  { code: 'JPY', description: 'Japanese Yen', rate: 150 },
+  { code: 'XXX', description: 'Broken', rate: NaN },
+];
+const META = {
+  base: 'USD',
+  date: '2024-03-28',
+  source: 'Frankfurter (ECB)',
+  filter: { query: 'e', sortBy: 'top' },
+  generatedAt: Date.UTC(2024, 2, 28, 12),
+};
+
+describe('rate sheets', () => {
+  test('keep the rows in order with inverse rates and the view stamp', () => {
+    const sheet = buildRateSheet(ROWS, META);
+    expect(sheet).toMatchObject({
+      base: 'USD',
+      date: '2024-03-28',
+      source: 'Frankfurter (ECB)',
+      derivedFrom: null,
+      filter: { query: 'e', sortBy: 'top', sortDir: '' },
+      generatedAt: '2024-03-28T12:00:00.000Z',
+    });
+    expect(sheet.filter).toEqual({ query: 'e', sortBy: 'top', sortDir: '' });
+    expect(sheet.rates).toEqual([
+      { code: 'EUR', currency: 'Euro', rate: 0.8, inverse: '1.25' },
+      { code: 'JPY', currency: 'Japanese Yen', rate: 150, inverse: '0.0066666667' },
+    ]);
+  });
+
+  test('export as CSV and JSON', () => {
+    const sheet = buildRateSheet(ROWS, { ...META, derivedFrom: 'EUR' });
+    expect(parseCsv(rateSheetToCsv(sheet))).toEqual([
+      ['code', 'currency', 'rate', 'inverse', 'base', 'rate_date', 'source'],
+      ['EUR', 'Euro', '0.8', '1.25', 'USD', '2024-03-28', 'Frankfurter (ECB)'],
+      ['JPY', 'Japanese Yen', '150', '0.0066666667', 'USD', '2024-03-28', 'Frankfurter (ECB)'],
+    ]);
+    expect(JSON.parse(rateSheetToJson(sheet))).toEqual(sheet);
+    expect(rateSheetFileName(sheet, 'csv')).toBe('rates-USD-2024-03-28.csv');
+    expect(rateSheetFileName({ ...sheet, date: '' }, 'json')).toBe('rates-USD.json');
+  });
+
+  test('lay out long lists on one page: more columns, then a smaller print size', () => {
+    expect(rateSheetLayout(0)).toEqual({ columns: 1, rowsPerColumn: 0, scale: 1 });
+    expect(rateSheetLayout(40)).toEqual({ columns: 1, rowsPerColumn: 40, scale: 1 });
+    expect(rateSheetLayout(41)).toEqual({ columns: 2, rowsPerColumn: 21, scale: 1 });
+    expect(rateSheetLayout(120)).toEqual({ columns: 3, rowsPerColumn: 40, scale: 1 });
+    const all = rateSheetLayout(170);
+    expect(all).toMatchObject({ columns: 3, rowsPerColumn: 57 });
+    expect(all.rowsPerColumn * all.scale).toBeLessThanOrEqual(40);
+  });
+});
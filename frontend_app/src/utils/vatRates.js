@@ -0,0 +1,91 @@
+//
+// VAT rates offered by the calculator's financial mode; users can add and remove rates.
+//
+// Storage schema:
+//  - Key: 'cc_hub_vat_rates_v1'
+//  - Value: JSON.stringify({ rates: string[], ts: number }) - percentages as decimal strings
+//
+
+import { compareDecimal, decimalToString, toDecimal } from './decimal';
+
+// PUBLIC_INTERFACE
+// VAT_RATES_STORAGE_KEY / MAX_VAT_RATES
+export const VAT_RATES_STORAGE_KEY = 'cc_hub_vat_rates_v1';
+export const MAX_VAT_RATES = 12;
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_VAT_RATES
+ * Common standard and reduced rates (e.g. 19 % and 7 % in Germany, 20 % in the UK and France).
+ */
+export const DEFAULT_VAT_RATES = Object.freeze(['21', '20', '19', '10', '7', '5', '0']);
+
+/**
+ * PUBLIC_INTERFACE
+ * validateVatRate
+ * Error message for an invalid rate, '' when the rate is fine.
+ *
+ * @param {string} rate percentage as a decimal string
+ * @returns {string}
+ */
+export function validateVatRate(rate) {
+  let value;
+  try {
+    value = toDecimal(String(rate ?? ''));
+  } catch {
+    return 'Enter the rate as a number, e.g. 19 or 8.1';
+  }
+  if (compareDecimal(value, 0) < 0 || compareDecimal(value, 100) >= 0) return 'VAT rates must be between 0 and 100 %';
+  return '';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeVatRates
+ * Valid, distinct rates in canonical form ("7.50" => "7.5"), highest first, at most MAX_VAT_RATES.
+ *
+ * @param {any[]} rates
+ * @returns {string[]}
+ */
+export function normalizeVatRates(rates) {
+  const out = [];
+  for (const rate of Array.isArray(rates) ? rates : []) {
+    if (validateVatRate(rate)) continue;
+    const canonical = decimalToString(toDecimal(String(rate)));
+    if (!out.includes(canonical)) out.push(canonical);
+  }
+  return out.sort((a, b) => compareDecimal(b, a)).slice(0, MAX_VAT_RATES);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadVatRates
+ * Saved rates, or DEFAULT_VAT_RATES when none were saved.
+ *
+ * @returns {string[]}
+ */
+export function loadVatRates() {
+  try {
+    const raw = window.localStorage.getItem(VAT_RATES_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : undefined;
+    if (Array.isArray(data?.rates)) return normalizeVatRates(data.rates);
+  } catch {
+    // ignore
+  }
+  return [...DEFAULT_VAT_RATES];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * persistVatRates
+ * Best-effort save of the rates.
+ *
+ * @param {string[]} rates
+ */
+export function persistVatRates(rates) {
+  try {
+    window.localStorage.setItem(VAT_RATES_STORAGE_KEY, JSON.stringify({ rates, ts: Date.now() }));
+  } catch {
+    // ignore
+  }
+}
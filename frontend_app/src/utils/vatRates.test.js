@@ -0,0 +1,26 @@
+import { DEFAULT_VAT_RATES, VAT_RATES_STORAGE_KEY, loadVatRates, normalizeVatRates, persistVatRates, validateVatRate } from './vatRates';
+
+describe('VAT rates', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('validates rates', () => {
+    expect(validateVatRate('19')).toBe('');
+    expect(validateVatRate('8.1')).toBe('');
+    expect(validateVatRate('abc')).toMatch(/number/);
+    expect(validateVatRate('-1')).toMatch(/between/);
+    expect(validateVatRate('100')).toMatch(/between/);
+  });
+
+  test('normalizes, dedupes and sorts highest first', () => {
+    expect(normalizeVatRates(['7.50', '19', 'x', '7.5', '0', '120'])).toEqual(['19', '7.5', '0']);
+    expect(normalizeVatRates(null)).toEqual([]);
+  });
+
+  test('loads defaults until rates are saved', () => {
+    expect(loadVatRates()).toEqual([...DEFAULT_VAT_RATES]);
+    persistVatRates(['8.1', '2.6']);
+    expect(loadVatRates()).toEqual(['8.1', '2.6']);
+    window.localStorage.setItem(VAT_RATES_STORAGE_KEY, '{broken');
+    expect(loadVatRates()).toEqual([...DEFAULT_VAT_RATES]);
+  });
+});